@@ -1,6 +1,17 @@
 // Logger and EVENTS will be injected by NavigationController
+import { EarconRegistry } from './EarconRegistry.js';
+import { SpeechRenderer } from './SpeechRenderer.js';
 
 export class AutoPlayController {
+    // Audio export: rendering rate, longest traversal rendered, and silence before the first tone
+    // when markers are on, so the first chime can sound MARKER_CHIME_LEAD seconds before its row
+    static EXPORT_SAMPLE_RATE = 44100;
+    static MAX_EXPORT_SECONDS = 600;
+    static MARKER_LEAD_IN = 0.5;
+    static MARKER_CHIME_LEAD = 0.14;
+    static SPOKEN_MARKER_GAP = 0.25;    // Seconds between a spoken marker and the row or segment it announces
+    static EARCON_OFFSET = 0.05;    // Seconds after its tone that an autoplay earcon starts
+
     constructor() {
         // Core autoplay properties
         this.autoplayActive = false;
@@ -8,6 +19,7 @@ export class AutoPlayController {
         this.autoplayCurrentPointIndex = -1; // Track currently highlighted point during autoplay
         this.fastAutoplayMode = false; // Fast intelligent traverse mode
         this.autoplayMode = 'normal'; // 'normal' or 'fast'
+        this.autoplayGlide = null; // Continuous glide playing along a line plot path
         
         // Dependencies - injected by NavigationController
         this.audioContext = null;
@@ -132,6 +144,18 @@ export class AutoPlayController {
         this.autoplayActive = true;
         this.autoplayTimeouts = [];
 
+        // Line plots are played as one continuous glide along the path
+        if (this.navigationController?.pathNavigation) {
+            if (this.textController) {
+                this.textController.announceToScreenReader('Autoplay started - gliding along the path from start to end');
+            }
+            document.dispatchEvent(new CustomEvent(this.events.AUTOPLAY_STATE_CHANGED, {
+                detail: { active: true, mode: 'path' }
+            }));
+            this.startPathAutoplay();
+            return;
+        }
+
         // Determine display mode for different autoplay strategies
         const displayMode = document.getElementById('displayMode')?.value || 'points';
         const isWireframeMode = displayMode === 'surface';
@@ -161,14 +185,51 @@ export class AutoPlayController {
      * Start autoplay for point mode - original Z segment strategy
      */
     startPointAutoplay() {
+        const plan = this.planPointAutoplay();
+
+        // Schedule each point in its segment
+        plan.events.forEach(({ time, point, segmentIndex, pointIndex, totalSegments, totalPoints, earcons }) => {
+            const timeoutId = setTimeout(() => {
+                if (this.autoplayActive) {
+                    this.playAutoplayPoint(point, segmentIndex, pointIndex, totalSegments, totalPoints, earcons);
+                }
+            }, time);
+
+            this.autoplayTimeouts.push(timeoutId);
+        });
+        
+        // Schedule autoplay completion
+        const completionTimeoutId = setTimeout(() => {
+            this.stopAutoplay();
+            if (this.textController) {
+                this.textController.announceToScreenReader('Autoplay completed');
+            }
+            this.logger?.info('Autoplay completed');
+        }, plan.duration + 500);
+        
+        this.autoplayTimeouts.push(completionTimeoutId);
+    }
+
+    /**
+     * Timing of point autoplay: Z segments front to back, points within a segment from high to low X
+     * @returns {Object} { events, markers, duration } with times in milliseconds, the earcons of each point
+     *   and a marker at each segment
+     */
+    planPointAutoplay() {
         // Get Z segments organized by unique Z values (front to back)
         const zSegments = this.organizeZSegmentsForAutoplay();
+        const levels = this.navigationController?.getEarconLevels() || null;
+        // Column of each X value in the whole grid, to hear X values a segment has no point at
+        const xColumns = new Map([...new Set(this.dataController.xValues)].sort((a, b) => a - b).map((x, column) => [x, column]));
+        let lastValue;
         
         // Calculate timing parameters
         const pointsPerSecond = 8; // 8 points per second for good audibility
         const pointDuration = 1000 / pointsPerSecond; // 125ms per point
         const segmentPause = 300; // 300ms pause between segments
         
+        const events = [];
+        const markers = [];
         let currentTime = 0;
         
         // Process each Z segment
@@ -180,29 +241,62 @@ export class AutoPlayController {
             if (segmentIndex > 0) {
                 currentTime += segmentPause;
             }
+            markers.push({
+                time: currentTime,
+                text: `Segment ${segmentIndex + 1} of ${zSegments.length}, ${this.describeAxisValue('z', segment.zValue)}`
+            });
+            
+            const earcons = this.planRowEarcons(sortedPoints.map(point => ({ value: point.y, position: xColumns.get(point.x) })),
+                levels, lastValue, segmentIndex > 0);
+            lastValue = sortedPoints[sortedPoints.length - 1]?.y ?? lastValue;
             
-            // Schedule each point in the segment
             sortedPoints.forEach((point, pointIndex) => {
-                const timeoutId = setTimeout(() => {
-                    if (this.autoplayActive) {
-                        this.playAutoplayPoint(point, segmentIndex, pointIndex, zSegments.length, sortedPoints.length);
-                    }
-                }, currentTime);
-                
-                this.autoplayTimeouts.push(timeoutId);
+                events.push({ time: currentTime, point, segmentIndex, pointIndex, totalSegments: zSegments.length, totalPoints: sortedPoints.length, earcons: earcons[pointIndex] });
                 currentTime += pointDuration;
             });
         });
         
+        return { events, markers, duration: currentTime };
+    }
+
+    /**
+     * Start autoplay for line plots - one glide through every vertex in path order
+     * The highlight follows the glide vertex by vertex
+     */
+    startPathAutoplay() {
+        const vertexDuration = 125; // 8 vertices per second, matching point autoplay
+        const vertexCount = this.dataController.xValues.length;
+        const vertices = [];
+        for (let i = 0; i < vertexCount; i++) {
+            vertices.push(this.navigationController.getPointAtIndex(i));
+        }
+
+        this.autoplayGlide = this.sonificationController.glideAlongPath(vertices, vertexDuration / 1000);
+        const earcons = this.planPathEarcons(vertices);
+
+        vertices.forEach((vertex, i) => {
+            const timeoutId = setTimeout(() => {
+                if (!this.autoplayActive) return;
+                this.scheduleEarcons(this.audioContext, this.audioContext.destination, earcons[i], this.audioContext.currentTime);
+                if (this.highlightController) {
+                    this.autoplayCurrentPointIndex = vertex.index;
+                    this.navigationController.currentPointIndex = vertex.index;
+                    this.highlightController.setEnabled(true);
+                    this.highlightController.setHighlightedPoint(vertex.index);
+                }
+            }, i * vertexDuration);
+            this.autoplayTimeouts.push(timeoutId);
+        });
+
         // Schedule autoplay completion
         const completionTimeoutId = setTimeout(() => {
             this.stopAutoplay();
             if (this.textController) {
                 this.textController.announceToScreenReader('Autoplay completed');
             }
-            this.logger?.info('Autoplay completed');
-        }, currentTime + 500);
-        
+            this.logger?.info('Path autoplay completed');
+        }, (vertexCount - 1) * vertexDuration + 500);
+
         this.autoplayTimeouts.push(completionTimeoutId);
     }
 
@@ -216,15 +310,49 @@ export class AutoPlayController {
             return;
         }
 
+        const plan = this.planWireframeAutoplay();
+
+        plan.events.forEach(({ time, rectIndex, xIndex, zIndex, totalX, totalZ, earcons }) => {
+            const timeoutId = setTimeout(() => {
+                if (this.autoplayActive) {
+                    this.playAutoplayWireframeRectangle(rectIndex, xIndex, zIndex, totalX, totalZ, earcons);
+                }
+            }, time);
+
+            this.autoplayTimeouts.push(timeoutId);
+        });
+        
+        // Schedule autoplay completion
+        const completionTimeoutId = setTimeout(() => {
+            this.stopAutoplay();
+            if (this.textController) {
+                this.textController.announceToScreenReader('Autoplay completed');
+            }
+            this.logger?.info('Wireframe autoplay completed');
+        }, plan.duration + 500);
+        
+        this.autoplayTimeouts.push(completionTimeoutId);
+    }
+
+    /**
+     * Timing of wireframe autoplay: rectangles left to right, rows in grid order
+     * @returns {Object} { events, markers, duration } with times in milliseconds, the earcons of each
+     *   rectangle and a marker at each row
+     */
+    planWireframeAutoplay() {
         const wireframeGrid = this.navigationController.wireframeGrid;
         const xValues = wireframeGrid.xValues;
         const zValues = wireframeGrid.zValues;
+        const rectangles = this.navigationController.wireframeRectangles;
+        const levels = this.navigationController.getEarconLevels();
+        let lastValue;
         
         // Calculate timing parameters
-        const rectanglesPerSecond = 4; // 4 rectangles per second
-        const rectangleDuration = 250; // 250ms per rectangle
+        const rectangleDuration = 250; // 4 rectangles per second
         const rowPause = 500; // 500ms pause between rows
         
+        const events = [];
+        const markers = [];
         let currentTime = 0;
         
         // Traverse wireframe grid: left to right, then next row (top to bottom)
@@ -235,36 +363,29 @@ export class AutoPlayController {
             }
             
             // Traverse each row from left to right
+            const rowEvents = [];
             for (let xIndex = 0; xIndex < xValues.length; xIndex++) {
-                const x = xValues[xIndex];
-                const z = zValues[zIndex];
-                const key = `${x},${z}`;
+                const key = `${xValues[xIndex]},${zValues[zIndex]}`;
                 const rectIndex = wireframeGrid.rectMap.get(key);
                 
                 if (rectIndex !== undefined) {
-                    // Schedule this rectangle
-                    const timeoutId = setTimeout(() => {
-                        if (this.autoplayActive) {
-                            this.playAutoplayWireframeRectangle(rectIndex, xIndex, zIndex, xValues.length, zValues.length);
-                        }
-                    }, currentTime);
-                    
-                    this.autoplayTimeouts.push(timeoutId);
+                    if (rowEvents.length === 0) {
+                        markers.push({ time: currentTime, text: this.describeRow(zIndex, zValues) });
+                    }
+                    rowEvents.push({ time: currentTime, rectIndex, xIndex, zIndex, totalX: xValues.length, totalZ: zValues.length });
                     currentTime += rectangleDuration;
                 }
             }
-        }
-        
-        // Schedule autoplay completion
-        const completionTimeoutId = setTimeout(() => {
-            this.stopAutoplay();
-            if (this.textController) {
-                this.textController.announceToScreenReader('Autoplay completed');
+
+            const earcons = this.planRowEarcons(rowEvents.map(event => ({ value: rectangles[event.rectIndex].avgY, position: event.xIndex })),
+                levels, lastValue, events.length > 0);
+            rowEvents.forEach((event, index) => events.push({ ...event, earcons: earcons[index] }));
+            if (rowEvents.length > 0) {
+                lastValue = rectangles[rowEvents[rowEvents.length - 1].rectIndex].avgY;
             }
-            this.logger?.info('Wireframe autoplay completed');
-        }, currentTime + 500);
+        }
         
-        this.autoplayTimeouts.push(completionTimeoutId);
+        return { events, markers, duration: currentTime };
     }
 
     /**
@@ -278,6 +399,12 @@ export class AutoPlayController {
         // Clear all scheduled timeouts
         this.autoplayTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
         this.autoplayTimeouts = [];
+
+        // Cut a path glide short if it is still sounding
+        if (this.autoplayGlide) {
+            this.autoplayGlide.stop();
+            this.autoplayGlide = null;
+        }
         
         // Clear visual highlighting when autoplay stops
         if (this.highlightController) {
@@ -356,9 +483,9 @@ export class AutoPlayController {
     }
 
     /**
-     * Play a single point during autoplay with stereo positioning and visual highlighting
+     * Play a single point during autoplay with stereo positioning, its earcons and visual highlighting
      */
-    playAutoplayPoint(point, segmentIndex, pointIndex, totalSegments, totalPointsInSegment) {
+    playAutoplayPoint(point, segmentIndex, pointIndex, totalSegments, totalPointsInSegment, earcons = []) {
         if (!this.audioContext || !point || !this.sonificationController?.isEnabled) return;
 
         // Visual highlighting: highlight the current point being played
@@ -381,18 +508,32 @@ export class AutoPlayController {
             this.updateNavigationSegmentForAutoplay(point);
         }
 
-        // Get data range for normalization
         const dataRange = this.dataController.getDataRange();
+        const tone = this.schedulePointTone(this.audioContext, this.audioContext.destination, point, dataRange, this.audioContext.currentTime);
+        this.scheduleEarcons(this.audioContext, this.audioContext.destination, earcons, this.audioContext.currentTime);
         
+        this.logger?.debug(`Autoplay point - Z:${point.z.toFixed(2)} X:${point.x.toFixed(2)} Y:${point.y.toFixed(2)} → freq:${tone.frequency.toFixed(0)}Hz, pan:${tone.pan.toFixed(2)}, vol:${tone.volume.toFixed(2)}`);
+    }
+
+    /**
+     * Schedule the tone of one autoplay point: Y sets the pitch, X the stereo position and Z the volume.
+     * When the sonification mapping positions tones in 3D, the point is placed there instead.
+     * @param {BaseAudioContext} context - Live or offline audio context
+     * @param {AudioNode} destination - Node the tone is connected to
+     * @param {Object} point - { x, y, z }
+     * @param {Object} dataRange - Result of PlotData.getDataRange()
+     * @param {number} when - Start time in the context's seconds
+     * @returns {Object} { frequency, pan, volume } as played
+     */
+    schedulePointTone(context, destination, point, dataRange, when) {
         // Normalize coordinates (0 to 1)
         const normalizedX = (point.x - dataRange.x.min) / (dataRange.x.max - dataRange.x.min);
         const normalizedY = (point.y - dataRange.y.min) / (dataRange.y.max - dataRange.y.min);
         const normalizedZ = (point.z - dataRange.z.min) / (dataRange.z.max - dataRange.z.min);
         
-        // Create audio nodes with stereo positioning
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        const pannerNode = this.audioContext.createStereoPanner();
+        // Create audio nodes with stereo or 3D positioning
+        const oscillator = context.createOscillator();
+        const gainNode = context.createGain();
         
         // Y value → Frequency (primary data mapping)
         const minFreq = 200;
@@ -411,32 +552,32 @@ export class AutoPlayController {
         
         // Configure oscillator
         oscillator.type = 'sine';
-        oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+        oscillator.frequency.setValueAtTime(frequency, when);
         
-        // Configure stereo panning
-        pannerNode.pan.setValueAtTime(panValue, this.audioContext.currentTime);
+        // Configure positioning
+        const pannerNode = this.createPositionNode(context, point, dataRange, when);
         
         // Configure volume envelope
-        gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-        gainNode.gain.linearRampToValueAtTime(baseVolume, this.audioContext.currentTime + 0.01);
-        gainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + duration);
+        gainNode.gain.setValueAtTime(0, when);
+        gainNode.gain.linearRampToValueAtTime(baseVolume, when + 0.01);
+        gainNode.gain.linearRampToValueAtTime(0, when + duration);
         
         // Connect audio nodes: oscillator → gain → panner → destination
         oscillator.connect(gainNode);
         gainNode.connect(pannerNode);
-        pannerNode.connect(this.audioContext.destination);
+        pannerNode.connect(destination);
         
         // Play the sound
-        oscillator.start();
-        oscillator.stop(this.audioContext.currentTime + duration);
+        oscillator.start(when);
+        oscillator.stop(when + duration);
         
-        this.logger?.debug(`Autoplay point - Z:${point.z.toFixed(2)} X:${point.x.toFixed(2)} Y:${point.y.toFixed(2)} → freq:${frequency.toFixed(0)}Hz, pan:${panValue.toFixed(2)}, vol:${baseVolume.toFixed(2)}`);
+        return { frequency, pan: panValue, volume: baseVolume };
     }
 
     /**
-     * Play a single wireframe rectangle during autoplay with visual highlighting
+     * Play a single wireframe rectangle during autoplay with its earcons and visual highlighting
      */
-    playAutoplayWireframeRectangle(rectIndex, xIndex, zIndex, totalXPositions, totalZPositions) {
+    playAutoplayWireframeRectangle(rectIndex, xIndex, zIndex, totalXPositions, totalZPositions, earcons = []) {
         if (!this.audioContext || !this.sonificationController?.isEnabled || !this.navigationController) return;
 
         const wireframeRectangles = this.navigationController.wireframeRectangles;
@@ -464,42 +605,80 @@ export class AutoPlayController {
         }
 
         // Audio feedback: play sound based on rectangle's average Y value
-        if (rectangle && rectangle.avgY !== undefined) {
-            // Create audio nodes
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            
-            // Map rectangle's average Y value to frequency
-            const dataRange = this.dataController.getDataRange();
-            const normalizedY = (rectangle.avgY - dataRange.y.min) / (dataRange.y.max - dataRange.y.min);
-            
-            const minFreq = 200;
-            const maxFreq = 800; // Slightly lower range for wireframe rectangles
-            const frequency = minFreq + normalizedY * (maxFreq - minFreq);
-            
-            // Configure oscillator
-            oscillator.type = 'sine';
-            oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-            
-            // Configure volume envelope - slightly longer for wireframes
-            const volume = 0.4 + normalizedY * 0.3; // 0.4 to 0.7 range
-            const duration = 0.2; // 200ms duration for rectangles
-            
-            gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-            gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + 0.02);
-            gainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + duration);
-            
-            // Connect and play
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            oscillator.start();
-            oscillator.stop(this.audioContext.currentTime + duration);
-            
-            this.logger?.debug(`Autoplay wireframe rectangle ${rectIndex} - Grid(${xIndex + 1}/${totalXPositions}, ${zIndex + 1}/${totalZPositions}) → freq:${frequency.toFixed(0)}Hz, vol:${volume.toFixed(2)}`);
+        const dataRange = this.dataController.getDataRange();
+        const tone = this.scheduleRectangleTone(this.audioContext, this.audioContext.destination, rectangle, dataRange, this.audioContext.currentTime);
+        this.scheduleEarcons(this.audioContext, this.audioContext.destination, earcons, this.audioContext.currentTime);
+        if (tone) {
+            this.logger?.debug(`Autoplay wireframe rectangle ${rectIndex} - Grid(${xIndex + 1}/${totalXPositions}, ${zIndex + 1}/${totalZPositions}) → freq:${tone.frequency.toFixed(0)}Hz, vol:${tone.volume.toFixed(2)}`);
         }
     }
 
+    /**
+     * Stereo or 3D panner for an autoplay tone (see SonificationController.createPositionNode);
+     * in stereo, X runs from left to right as in schedulePointTone
+     * @param {BaseAudioContext} context - Live or offline audio context
+     * @param {Object} point - { x, y, z }, e.g. a wireframe rectangle's center
+     * @param {Object} dataRange - Result of PlotData.getDataRange()
+     * @param {number} when - Start time in the context's seconds
+     * @returns {AudioNode} Panner node
+     */
+    createPositionNode(context, point, dataRange, when) {
+        return this.sonificationController.createPositionNode(context, point, dataRange, when, this.getStereoPan(point, dataRange));
+    }
+
+    getStereoPan(point, dataRange) {
+        const span = dataRange.x.max - dataRange.x.min;
+        return span > 0 ? Math.max(-1, Math.min(1, ((point.x - dataRange.x.min) / span) * 2 - 1)) : 0;
+    }
+
+    /**
+     * Schedule the tone of one wireframe rectangle, pitched and weighted by its average Y and placed
+     * at its center
+     * @param {BaseAudioContext} context - Live or offline audio context
+     * @param {AudioNode} destination - Node the tone is connected to
+     * @param {Object} rectangle - Wireframe rectangle with avgY
+     * @param {Object} dataRange - Result of PlotData.getDataRange()
+     * @param {number} when - Start time in the context's seconds
+     * @returns {Object|null} { frequency, volume } as played, or null for a rectangle without a value
+     */
+    scheduleRectangleTone(context, destination, rectangle, dataRange, when) {
+        if (!rectangle || rectangle.avgY === undefined) return null;
+
+        // Create audio nodes
+        const oscillator = context.createOscillator();
+        const gainNode = context.createGain();
+
+        // Map rectangle's average Y value to frequency
+        const normalizedY = (rectangle.avgY - dataRange.y.min) / (dataRange.y.max - dataRange.y.min);
+
+        const minFreq = 200;
+        const maxFreq = 800; // Slightly lower range for wireframe rectangles
+        const frequency = minFreq + normalizedY * (maxFreq - minFreq);
+
+        // Configure oscillator
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(frequency, when);
+
+        // Configure volume envelope - slightly longer for wireframes
+        const volume = 0.4 + normalizedY * 0.3; // 0.4 to 0.7 range
+        const duration = 0.2; // 200ms duration for rectangles
+
+        gainNode.gain.setValueAtTime(0, when);
+        gainNode.gain.linearRampToValueAtTime(volume, when + 0.02);
+        gainNode.gain.linearRampToValueAtTime(0, when + duration);
+
+        // Connect and play
+        const pannerNode = this.createPositionNode(context, rectangle.center, dataRange, when);
+        oscillator.connect(gainNode);
+        gainNode.connect(pannerNode);
+        pannerNode.connect(destination);
+
+        oscillator.start(when);
+        oscillator.stop(when + duration);
+
+        return { frequency, volume };
+    }
+
     /**
      * Fast wireframe autoplay - intelligent grouping with adaptive timing for peaks/troughs
      */
@@ -510,6 +689,36 @@ export class AutoPlayController {
             return;
         }
 
+        const plan = this.planFastWireframeAutoplay();
+
+        // Play continuous sweep for each wireframe row with dynamic intensity for peaks
+        plan.rows.forEach(({ time, rectangles, zIndex, totalRows, duration }) => {
+            const timeoutId = setTimeout(() => {
+                if (this.autoplayActive && this.fastAutoplayMode) {
+                    this.playContinuousWireframeSweep(rectangles, zIndex, totalRows, duration);
+                }
+            }, time);
+
+            this.autoplayTimeouts.push(timeoutId);
+        });
+        
+        // Schedule completion
+        const completionTimeoutId = setTimeout(() => {
+            this.stopAutoplay();
+            if (this.textController) {
+                this.textController.announceToScreenReader('Fast autoplay completed');
+            }
+        }, plan.duration + 500);
+        
+        this.autoplayTimeouts.push(completionTimeoutId);
+    }
+
+    /**
+     * Timing of fast autoplay: one sweep per wireframe row, with more time overall when much of the
+     * surface is a significant peak or trough
+     * @returns {Object} { rows, markers, duration } with times in milliseconds and a marker at each row
+     */
+    planFastWireframeAutoplay() {
         const wireframeGrid = this.navigationController.wireframeGrid;
         const xValues = wireframeGrid.xValues;
         const zValues = wireframeGrid.zValues;
@@ -544,7 +753,11 @@ export class AutoPlayController {
         const availableTime = totalDuration - (rowPause * (totalRows - 1));
         const timePerRow = availableTime / totalRows;
         
+        const rows = [];
+        const markers = [];
         let currentTime = 0;
+        const levels = this.navigationController.getEarconLevels();
+        let lastValue;
         
         // Process each row
         for (let zIndex = 0; zIndex < zValues.length; zIndex++) {
@@ -574,28 +787,20 @@ export class AutoPlayController {
                 }
             }
             
-            // Play continuous sweep for this wireframe row with dynamic intensity for peaks
             if (rowRectangles.length > 0) {
-                const timeoutId = setTimeout(() => {
-                    if (this.autoplayActive && this.fastAutoplayMode) {
-                        this.playContinuousWireframeSweep(rowRectangles, zIndex, zValues.length, timePerRow);
-                    }
-                }, currentTime);
-                
-                this.autoplayTimeouts.push(timeoutId);
+                // Each rectangle's earcons sound as the sweep reaches it
+                this.planRowEarcons(rowRectangles.map(rectData => ({ value: rectData.rectangle.avgY, position: rectData.xIndex })),
+                    levels, lastValue, rows.length > 0).forEach((earcons, index) => {
+                    rowRectangles[index].earcons = earcons;
+                });
+                lastValue = rowRectangles[rowRectangles.length - 1].rectangle.avgY;
+                markers.push({ time: currentTime, text: this.describeRow(zIndex, zValues) });
+                rows.push({ time: currentTime, rectangles: rowRectangles, zIndex, totalRows, duration: timePerRow });
             }
             currentTime += timePerRow;
         }
         
-        // Schedule completion
-        const completionTimeoutId = setTimeout(() => {
-            this.stopAutoplay();
-            if (this.textController) {
-                this.textController.announceToScreenReader('Fast autoplay completed');
-            }
-        }, totalDuration + 500);
-        
-        this.autoplayTimeouts.push(completionTimeoutId);
+        return { rows, markers, duration: totalDuration };
     }
 
     /**
@@ -604,17 +809,55 @@ export class AutoPlayController {
     playContinuousWireframeSweep(rectangleData, rowIndex, totalRows, duration) {
         if (!this.audioContext || rectangleData.length === 0) return;
 
+        const dataRange = this.dataController.getDataRange();
+        const sweep = this.scheduleWireframeSweep(this.audioContext, this.audioContext.destination, rectangleData, dataRange, this.audioContext.currentTime, duration);
+        
+        // Visual highlighting for significant peaks
+        if (this.highlightController) {
+            sweep.peaks.forEach(({ rectData, offset }) => {
+                setTimeout(() => {
+                    if (this.autoplayActive && this.fastAutoplayMode) {
+                        this.highlightController.setWireframeHighlightEnabled(true);
+                        this.highlightController.setHighlightedWireframeRectangle(rectData.rectIndex);
+                        
+                        // Update navigation state
+                        if (this.navigationController) {
+                            this.navigationController.currentWireframeRectIndex = rectData.rectIndex;
+                            this.navigationController.currentWireframeXIndex = rectData.xIndex;
+                            this.navigationController.currentWireframeZIndex = rectData.zIndex;
+                        }
+                    }
+                }, offset * 1000);
+            });
+        }
+        
+        this.logger?.debug(`Fast wireframe sweep - Row ${rowIndex + 1}/${totalRows}, ${rectangleData.length} rectangles, ${duration}ms`);
+    }
+
+    /**
+     * Schedule one continuous tone across a wireframe row, gliding from rectangle to rectangle
+     * (in pitch and, left to right or in 3D, in position) and louder on significant peaks and troughs
+     * @param {BaseAudioContext} context - Live or offline audio context
+     * @param {AudioNode} destination - Node the tone is connected to
+     * @param {Array} rectangleData - [{ rectangle, rectIndex, xIndex, zIndex, earcons }] of the row, earcons
+     *   being played as the sweep reaches the rectangle
+     * @param {Object} dataRange - Result of PlotData.getDataRange()
+     * @param {number} when - Start time in the context's seconds
+     * @param {number} duration - Length of the sweep in milliseconds
+     * @returns {Object} { peaks: [{ rectData, offset }] } with offsets in seconds from when
+     */
+    scheduleWireframeSweep(context, destination, rectangleData, dataRange, when, duration) {
         // Sort rectangles left to right
         const sortedRectangles = rectangleData.sort((a, b) => a.xIndex - b.xIndex);
         
         // Start with first rectangle
         const firstRect = sortedRectangles[0];
-        const dataRange = this.dataController.getDataRange();
         const yRange = dataRange.y.max - dataRange.y.min;
         
-        // Create continuous oscillator and gain for the entire row
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+        // Create continuous oscillator, gain and panner for the entire row
+        const oscillator = context.createOscillator();
+        const gainNode = context.createGain();
+        const pannerNode = this.createPositionNode(context, firstRect.rectangle.center, dataRange, when);
         
         // Initial settings based on first rectangle
         const initialNormalizedY = (firstRect.rectangle.avgY - dataRange.y.min) / yRange;
@@ -622,20 +865,24 @@ export class AutoPlayController {
         const initialVolume = 0.3 + initialNormalizedY * 0.4;
         
         oscillator.type = 'sine';
-        oscillator.frequency.setValueAtTime(initialFrequency, this.audioContext.currentTime);
-        gainNode.gain.setValueAtTime(initialVolume, this.audioContext.currentTime);
+        oscillator.frequency.setValueAtTime(initialFrequency, when);
+        gainNode.gain.setValueAtTime(initialVolume, when);
         
         // Connect and start
         oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        oscillator.start();
+        gainNode.connect(pannerNode);
+        pannerNode.connect(destination);
+        oscillator.start(when);
+        this.scheduleEarcons(context, destination, firstRect.earcons, when);
         
         // Schedule frequency and volume changes for each rectangle
         const durationPerRect = duration / sortedRectangles.length;
-        let currentTime = this.audioContext.currentTime + 0.02;
+        let currentTime = when + 0.02;
+        const peaks = [];
         
         sortedRectangles.forEach((rectData, index) => {
             if (index === 0) return; // Skip first rectangle, already set
+            this.scheduleEarcons(context, destination, rectData.earcons, currentTime);
             
             const normalizedY = (rectData.rectangle.avgY - dataRange.y.min) / yRange;
             const frequency = 200 + normalizedY * 600;
@@ -650,32 +897,217 @@ export class AutoPlayController {
             
             // Schedule volume change for peak emphasis
             gainNode.gain.linearRampToValueAtTime(emphasisVolume, currentTime);
+
+            // Move the tone along the row
+            const center = rectData.rectangle.center;
+            this.sonificationController.rampPosition(pannerNode, center, dataRange, currentTime, this.getStereoPan(center, dataRange));
             
-            // Visual highlighting for significant peaks
-            if (isSignificantPeak && this.highlightController) {
-                const highlightDelay = (currentTime - this.audioContext.currentTime) * 1000;
-                setTimeout(() => {
-                    if (this.autoplayActive && this.fastAutoplayMode) {
-                        this.highlightController.setWireframeHighlightEnabled(true);
-                        this.highlightController.setHighlightedWireframeRectangle(rectData.rectIndex);
-                        
-                        // Update navigation state
-                        if (this.navigationController) {
-                            this.navigationController.currentWireframeRectIndex = rectData.rectIndex;
-                            this.navigationController.currentWireframeXIndex = rectData.xIndex;
-                            this.navigationController.currentWireframeZIndex = rectData.zIndex;
-                        }
-                    }
-                }, highlightDelay);
+            if (isSignificantPeak) {
+                peaks.push({ rectData, offset: currentTime - when });
             }
             
             currentTime += durationPerRect / 1000; // Convert to seconds
         });
         
         // Stop oscillator at the end
-        oscillator.stop(this.audioContext.currentTime + duration / 1000);
+        oscillator.stop(when + duration / 1000);
         
-        this.logger?.debug(`Fast wireframe sweep - Row ${rowIndex + 1}/${totalRows}, ${sortedRectangles.length} rectangles, ${duration}ms`);
+        return { peaks };
+    }
+
+    /**
+     * Render an autoplay traversal offline, sounding as it does live, for audio export.
+     * Surface display mode renders the wireframe traversal ('normal') or the fast sweep ('fast'),
+     * point mode the Z segments and line plots the glide along the path.
+     * @param {Object} options - { mode: 'normal' | 'fast', markers, spokenMarkers } with markers adding a chime
+     *   before each row or segment and returning its description, and spokenMarkers also saying the description
+     *   there (SpeechRenderer) while the traversal waits
+     * @returns {Promise<Object>} { audioBuffer, markers: [{ time, text }] } with marker times in seconds
+     */
+    async renderAutoplay({ mode = 'normal', markers = false, spokenMarkers = false } = {}) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            throw new Error('This browser cannot render audio offline');
+        }
+
+        const dataRange = this.dataController?.getDataRange();
+        if (!dataRange || !this.dataController.zValues || this.dataController.zValues.length === 0) {
+            throw new Error('No data available for autoplay');
+        }
+
+        const pathMode = !!this.navigationController?.pathNavigation;
+        const isWireframeMode = !pathMode && (document.getElementById('displayMode')?.value || 'points') === 'surface';
+        if (mode === 'fast' && !isWireframeMode) {
+            throw new Error('Fast autoplay is only available in surface display mode');
+        }
+        if (isWireframeMode && !this.navigationController.wireframeGrid) {
+            throw new Error('The wireframe grid is not ready yet');
+        }
+
+        // Each traversal's plan (times in milliseconds) and how to schedule it, given a function that
+        // turns plan times into the context's seconds
+        let plan;
+        let schedule;
+        if (pathMode) {
+            const vertexDuration = 125; // Same pace as live path autoplay
+            const vertices = [];
+            for (let i = 0; i < this.dataController.xValues.length; i++) {
+                vertices.push(this.navigationController.getPointAtIndex(i));
+            }
+            plan = { markers: [], duration: Math.max(1, vertices.length - 1) * vertexDuration + 100 };
+            const earcons = this.planPathEarcons(vertices);
+            schedule = (context, at) => {
+                this.sonificationController.glideAlongPath(vertices, vertexDuration / 1000,
+                    { context, destination: context.destination, time: at(0) });
+                earcons.forEach((names, i) => this.scheduleEarcons(context, context.destination, names, at(i * vertexDuration)));
+            };
+        } else if (!isWireframeMode) {
+            plan = this.planPointAutoplay();
+            schedule = (context, at) => plan.events.forEach(event => {
+                this.schedulePointTone(context, context.destination, event.point, dataRange, at(event.time));
+                this.scheduleEarcons(context, context.destination, event.earcons, at(event.time));
+            });
+        } else if (mode === 'fast') {
+            plan = this.planFastWireframeAutoplay();
+            schedule = (context, at) => plan.rows.forEach(row =>
+                this.scheduleWireframeSweep(context, context.destination, row.rectangles, dataRange, at(row.time), row.duration));
+        } else {
+            plan = this.planWireframeAutoplay();
+            const rectangles = this.navigationController.wireframeRectangles;
+            schedule = (context, at) => plan.events.forEach(event => {
+                this.scheduleRectangleTone(context, context.destination, rectangles[event.rectIndex], dataRange, at(event.time));
+                this.scheduleEarcons(context, context.destination, event.earcons, at(event.time));
+            });
+        }
+
+        // Silence before the first tone leaves room for the first marker chime
+        const start = markers ? AutoPlayController.MARKER_LEAD_IN : 0;
+        // A spoken marker holds the traversal back for as long as it takes to say, from its row or segment on
+        const speech = markers && spokenMarkers ? plan.markers.map(marker => SpeechRenderer.render(marker.text)) : [];
+        const pauses = speech.map(({ samples, sampleRate }) =>
+            samples.length > 0 ? samples.length / sampleRate + AutoPlayController.SPOKEN_MARKER_GAP : 0);
+        const at = (time) => start + time / 1000 +
+            plan.markers.reduce((sum, marker, index) => marker.time <= time && pauses[index] ? sum + pauses[index] : sum, 0);
+
+        const seconds = at(plan.duration) + 0.5;
+        if (seconds > AutoPlayController.MAX_EXPORT_SECONDS) {
+            throw new Error(`This autoplay lasts ${Math.ceil(seconds / 60)} minutes; audio exports are limited to ` +
+                `${AutoPlayController.MAX_EXPORT_SECONDS / 60}. Surface display mode or fast autoplay give a shorter overview` +
+                (speech.length ? ', and so do markers that are not spoken.' : '.'));
+        }
+
+        const sampleRate = AutoPlayController.EXPORT_SAMPLE_RATE;
+        const context = new OfflineContext(2, Math.ceil(seconds * sampleRate), sampleRate);
+        schedule(context, at);
+
+        // Each marker (and its cue point) sits where its chime ends: at the row, or where its words begin
+        const markerList = markers
+            ? plan.markers.map((marker, index) => ({ time: at(marker.time) - (pauses[index] || 0), text: marker.text }))
+            : [];
+        markerList.forEach((marker, index) => {
+            this.scheduleMarkerChime(context, context.destination, marker.time - AutoPlayController.MARKER_CHIME_LEAD);
+            if (pauses[index]) {
+                this.scheduleSpokenMarker(context, context.destination, speech[index], marker.time);
+            }
+        });
+
+        this.logger?.info(`Rendering ${seconds.toFixed(1)}s of autoplay audio with ${markerList.length} ${speech.length ? 'spoken ' : ''}markers`);
+        const audioBuffer = await context.startRendering();
+        return { audioBuffer, markers: markerList };
+    }
+
+    /**
+     * Earcons along one row of an autoplay traversal (see EarconRegistry.detect)
+     * @param {Array} row - [{ value, position }] in playing order, position being the item's column in the grid
+     * @param {Object|null} levels - Result of NavigationController.getEarconLevels()
+     * @param {number} last - Value played before the row, for a mean crossing on its first item
+     * @param {boolean} newSegment - The row follows another one
+     * @returns {Array} Earcon names for each item
+     */
+    planRowEarcons(row, levels, last, newSegment) {
+        if (!levels) return row.map(() => []);
+        return row.map((item, index) => EarconRegistry.detect({
+            value: item.value,
+            previous: row[index - 1]?.value,
+            next: row[index + 1]?.value,
+            last: index > 0 ? row[index - 1].value : last,
+            skipped: index > 0 ? Math.abs(item.position - row[index - 1].position) - 1 : 0,
+            newSegment: newSegment && index === 0
+        }, levels));
+    }
+
+    /**
+     * Earcons at the vertices of a line plot path; a path has no segments or grid cells to skip
+     * @param {Array} vertices - Points in path order
+     * @returns {Array} Earcon names for each vertex
+     */
+    planPathEarcons(vertices) {
+        return this.planRowEarcons(vertices.map((vertex, index) => ({ value: vertex.y, position: index })),
+            this.navigationController?.getEarconLevels() || null, undefined, false);
+    }
+
+    /**
+     * Schedule the earcons of a tone shortly after it starts
+     * @param {BaseAudioContext} context - Live or offline audio context
+     * @param {AudioNode} destination - Node the earcons are connected to
+     * @param {Array} names - Earcon names, may be empty
+     * @param {number} when - Start time of the tone in the context's seconds
+     */
+    scheduleEarcons(context, destination, names, when) {
+        if (!names || names.length === 0) return;
+        this.sonificationController.playEarcons(names, { context, destination, time: when + AutoPlayController.EARCON_OFFSET });
+    }
+
+    /**
+     * Schedule the two-note chime that announces a marker; it ends before the marked row starts
+     * @param {BaseAudioContext} context - Audio context
+     * @param {AudioNode} destination - Node the chime is connected to
+     * @param {number} when - Start time in the context's seconds
+     */
+    scheduleMarkerChime(context, destination, when) {
+        [1568, 2093].forEach((frequency, index) => {
+            const start = when + index * 0.06;
+            const oscillator = context.createOscillator();
+            const gainNode = context.createGain();
+            oscillator.type = 'triangle';
+            oscillator.frequency.setValueAtTime(frequency, start);
+            gainNode.gain.setValueAtTime(0, start);
+            gainNode.gain.linearRampToValueAtTime(0.2, start + 0.005);
+            gainNode.gain.linearRampToValueAtTime(0, start + 0.05);
+            oscillator.connect(gainNode);
+            gainNode.connect(destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.05);
+        });
+    }
+
+    /**
+     * Schedule a marker's words, rendered by SpeechRenderer
+     * @param {BaseAudioContext} context - Audio context
+     * @param {AudioNode} destination - Node the speech is connected to
+     * @param {Object} speech - { samples, sampleRate } from SpeechRenderer.render(), with at least one sample
+     * @param {number} when - Start time in the context's seconds
+     */
+    scheduleSpokenMarker(context, destination, speech, when) {
+        const buffer = context.createBuffer(1, speech.samples.length, speech.sampleRate);
+        buffer.copyToChannel(speech.samples, 0);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(destination);
+        source.start(when);
+    }
+
+    /**
+     * Marker text for a wireframe row, e.g. "Row 3 of 12, Time 4.50 min"
+     */
+    describeRow(zIndex, zValues) {
+        return `Row ${zIndex + 1} of ${zValues.length}, ${this.describeAxisValue('z', zValues[zIndex])}`;
+    }
+
+    describeAxisValue(axis, value) {
+        const label = this.dataController?.[`${axis}Label`] || axis.toUpperCase();
+        const unit = this.dataController?.[`${axis}Unit`];
+        return `${label} ${value.toFixed(2)}${unit ? ` ${unit}` : ''}`;
     }
 
     /**
@@ -0,0 +1,352 @@
+// EarconRegistry.js - Short sounds that mark structure in the data: peaks, troughs, plateaus, gaps, segment changes and mean crossings
+// Owned by SonificationController; each earcon has a synthesized sound that the user can replace with a sample of their own
+
+export class EarconRegistry {
+    static VOLUME = 0.25;                  // Earcons sit below the navigation tones
+    static LEVEL_TOLERANCE = 0.01;         // Share of the Y range within which neighbouring values count as level
+    static MAX_STORED_SAMPLE_BYTES = 256 * 1024;  // Larger samples are used for the session but not remembered
+
+    static STORAGE_KEYS = {
+        settings: 'surfaceplot-earcons',
+        samplePrefix: 'surfaceplot-earcon-sample-'
+    };
+
+    // Built-in earcons in the order they play when several mark the same position
+    static BUILT_IN = {
+        segment: {
+            label: 'Segment change',
+            description: 'Entering another segment or row',
+            synth: (context, destination, when, volume) =>
+                EarconRegistry.tone(context, destination, when, { type: 'sine', from: 220, to: 110, duration: 0.12, volume: volume * 1.4 })
+        },
+        gap: {
+            label: 'Gap',
+            description: 'Grid cells without data were skipped',
+            synth: (context, destination, when, volume) =>
+                EarconRegistry.noise(context, destination, when, { frequency: 2500, duration: 0.08, volume })
+        },
+        peak: {
+            label: 'Peak',
+            description: 'Local maximum along the row',
+            synth: (context, destination, when, volume) =>
+                EarconRegistry.tone(context, destination, when, { type: 'triangle', from: 660, to: 1320, duration: 0.1, volume })
+        },
+        trough: {
+            label: 'Trough',
+            description: 'Local minimum along the row',
+            synth: (context, destination, when, volume) =>
+                EarconRegistry.tone(context, destination, when, { type: 'triangle', from: 660, to: 330, duration: 0.1, volume })
+        },
+        plateau: {
+            label: 'Plateau',
+            description: 'Level with both neighbours along the row',
+            synth: (context, destination, when, volume) => {
+                EarconRegistry.tone(context, destination, when, { type: 'square', from: 880, duration: 0.03, volume: volume * 0.5 });
+                return 0.07 + EarconRegistry.tone(context, destination, when + 0.07, { type: 'square', from: 880, duration: 0.03, volume: volume * 0.5 });
+            }
+        },
+        meanCrossing: {
+            label: 'Mean crossing',
+            description: 'The value crossed the mean since the last position',
+            synth: (context, destination, when, volume) => {
+                EarconRegistry.tone(context, destination, when, { type: 'sine', from: 2637, duration: 0.25, volume: volume * 0.4 });
+                return EarconRegistry.tone(context, destination, when, { type: 'sine', from: 1760, duration: 0.25, volume: volume * 0.8 });
+            }
+        }
+    };
+
+    constructor() {
+        this.earcons = new Map();   // name -> { label, description, synth, enabled }
+        this.samples = new Map();   // name -> { buffer, fileName, stored }
+        this.logger = null;         // Will be injected by SonificationController
+
+        const settings = EarconRegistry.loadSettings();
+        this.enabled = settings.enabled;
+        Object.entries(EarconRegistry.BUILT_IN).forEach(([name, definition]) => this.register(name, definition));
+        Object.entries(settings.earcons).forEach(([name, stored]) => {
+            if (this.earcons.has(name)) this.earcons.get(name).enabled = stored.enabled;
+        });
+    }
+
+    /**
+     * Add an earcon, or replace the sound of an existing one
+     * @param {string} name - Key used to play it
+     * @param {Object} definition - { label, description, synth } where synth(context, destination, when, volume)
+     *   schedules the sound and returns its length in seconds
+     */
+    register(name, { label = name, description = '', synth }) {
+        if (typeof synth !== 'function') {
+            throw new Error(`Earcon ${name} needs a synth function`);
+        }
+        const existing = this.earcons.get(name);
+        this.earcons.set(name, { label, description, synth, enabled: existing ? existing.enabled : true });
+    }
+
+    names() {
+        return Array.from(this.earcons.keys());
+    }
+
+    /**
+     * Whether an earcon plays during navigation and autoplay
+     * @param {string} name - Earcon name
+     * @returns {boolean} True if earcons are on and this one is enabled
+     */
+    isActive(name) {
+        return this.enabled && !!this.earcons.get(name)?.enabled;
+    }
+
+    setEnabled(name, enabled) {
+        const earcon = this.earcons.get(name);
+        if (earcon) earcon.enabled = !!enabled;
+    }
+
+    setAllEnabled(enabled) {
+        this.enabled = !!enabled;
+    }
+
+    /**
+     * Schedule an earcon: its custom sample if one is set, otherwise its synthesized sound
+     * @param {string} name - Earcon name
+     * @param {BaseAudioContext} context - Live or offline audio context
+     * @param {AudioNode} destination - Node the sound is connected to
+     * @param {number} when - Start time in the context's seconds
+     * @returns {number} Length of the sound in seconds, 0 if the earcon is unknown
+     */
+    play(name, context, destination, when) {
+        const earcon = this.earcons.get(name);
+        if (!earcon) return 0;
+
+        const sample = this.samples.get(name);
+        if (sample) {
+            const source = context.createBufferSource();
+            const gainNode = context.createGain();
+            source.buffer = sample.buffer;
+            gainNode.gain.setValueAtTime(EarconRegistry.VOLUME * 2, when);
+            source.connect(gainNode);
+            gainNode.connect(destination);
+            source.start(when);
+            return sample.buffer.duration;
+        }
+        return earcon.synth(context, destination, when, EarconRegistry.VOLUME) || 0;
+    }
+
+    /**
+     * Use an audio file as an earcon's sound. Files up to MAX_STORED_SAMPLE_BYTES are remembered
+     * for the next session.
+     * @param {string} name - Earcon name
+     * @param {BaseAudioContext} context - Context used to decode the file
+     * @param {ArrayBuffer} data - Contents of the audio file
+     * @param {string} fileName - Shown in the settings
+     * @returns {Promise<boolean>} True if the sample was stored for later sessions
+     */
+    async setSample(name, context, data, fileName) {
+        if (!this.earcons.has(name)) {
+            throw new Error(`Unknown earcon: ${name}`);
+        }
+        // decodeAudioData detaches the buffer, so encode the copy to store first
+        const encoded = data.byteLength <= EarconRegistry.MAX_STORED_SAMPLE_BYTES ? EarconRegistry.toBase64(data) : null;
+        let buffer;
+        try {
+            buffer = await context.decodeAudioData(data);
+        } catch {
+            throw new Error(`${fileName} is not an audio file this browser can play`);
+        }
+
+        const stored = !!encoded && EarconRegistry.writeStorage(EarconRegistry.STORAGE_KEYS.samplePrefix + name, { fileName, data: encoded });
+        this.samples.set(name, { buffer, fileName, stored });
+        this.saveSettings();
+        this.logger?.debug(`Earcon ${name} uses sample ${fileName}${stored ? '' : ' for this session only'}`);
+        return stored;
+    }
+
+    clearSample(name) {
+        this.samples.delete(name);
+        EarconRegistry.removeStorage(EarconRegistry.STORAGE_KEYS.samplePrefix + name);
+        this.saveSettings();
+    }
+
+    /**
+     * Decode the samples remembered from earlier sessions; one that fails to decode is dropped
+     * @param {BaseAudioContext} context - Context used to decode them
+     */
+    async loadSamples(context) {
+        for (const name of this.names()) {
+            const stored = EarconRegistry.readStorage(EarconRegistry.STORAGE_KEYS.samplePrefix + name);
+            if (!stored?.data) continue;
+            try {
+                const buffer = await context.decodeAudioData(EarconRegistry.fromBase64(stored.data));
+                this.samples.set(name, { buffer, fileName: stored.fileName, stored: true });
+            } catch (error) {
+                this.logger?.warn(`Stored sample for earcon ${name} could not be decoded:`, error);
+            }
+        }
+    }
+
+    /**
+     * Settings as shown in the earcon settings
+     * @returns {Object} { enabled, earcons: [{ name, label, description, enabled, sample, stored }] } with
+     *   sample the file name of a custom sample or null
+     */
+    getSettings() {
+        return {
+            enabled: this.enabled,
+            earcons: Array.from(this.earcons, ([name, earcon]) => ({
+                name,
+                label: earcon.label,
+                description: earcon.description,
+                enabled: earcon.enabled,
+                sample: this.samples.get(name)?.fileName || null,
+                stored: !!this.samples.get(name)?.stored
+            }))
+        };
+    }
+
+    saveSettings() {
+        const earcons = {};
+        this.earcons.forEach((earcon, name) => {
+            const sample = this.samples.get(name);
+            earcons[name] = { enabled: earcon.enabled, sample: sample?.stored ? sample.fileName : null };
+        });
+        EarconRegistry.writeStorage(EarconRegistry.STORAGE_KEYS.settings, { enabled: this.enabled, earcons });
+    }
+
+    /**
+     * Settings remembered from earlier sessions, for the registry and for the settings before it is ready
+     * @returns {Object} { enabled, earcons: { [name]: { enabled, sample } } }
+     */
+    static loadSettings() {
+        const stored = EarconRegistry.readStorage(EarconRegistry.STORAGE_KEYS.settings);
+        const earcons = {};
+        if (stored?.earcons && typeof stored.earcons === 'object') {
+            Object.entries(stored.earcons).forEach(([name, earcon]) => {
+                earcons[name] = { enabled: earcon?.enabled !== false, sample: earcon?.sample || null };
+            });
+        }
+        return { enabled: stored?.enabled !== false, earcons };
+    }
+
+    /**
+     * Earcons for a position in a row of values, in playing order
+     * @param {Object} position - { value, previous, next, last, skipped, newSegment } where previous and next
+     *   are the neighbouring values along the row (undefined at its ends), last the value heard before,
+     *   skipped the number of grid cells without data passed on the way, and newSegment true when the
+     *   position is in another segment or row than the one before
+     * @param {Object} levels - { mean, tolerance } with tolerance the difference still counted as level
+     * @returns {Array} Earcon names
+     */
+    static detect({ value, previous, next, last, skipped = 0, newSegment = false }, { mean, tolerance }) {
+        const names = [];
+        if (newSegment) names.push('segment');
+        if (skipped > 0) names.push('gap');
+
+        if (Number.isFinite(value) && Number.isFinite(previous) && Number.isFinite(next)) {
+            if (value - previous > tolerance && value - next > tolerance) {
+                names.push('peak');
+            } else if (previous - value > tolerance && next - value > tolerance) {
+                names.push('trough');
+            } else if (Math.abs(value - previous) <= tolerance && Math.abs(value - next) <= tolerance) {
+                names.push('plateau');
+            }
+        }
+
+        if (Number.isFinite(value) && Number.isFinite(last) && Number.isFinite(mean) && (last - mean) * (value - mean) < 0) {
+            names.push('meanCrossing');
+        }
+        return names;
+    }
+
+    /**
+     * Schedule a short tone, optionally gliding, with a sharp attack and exponential decay
+     * @returns {number} Length in seconds
+     */
+    static tone(context, destination, when, { type, from, to = from, duration, volume }) {
+        const oscillator = context.createOscillator();
+        const gainNode = context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(from, when);
+        if (to !== from) {
+            oscillator.frequency.exponentialRampToValueAtTime(to, when + duration);
+        }
+        gainNode.gain.setValueAtTime(0, when);
+        gainNode.gain.linearRampToValueAtTime(volume, when + 0.005);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, when + duration);
+
+        oscillator.connect(gainNode);
+        gainNode.connect(destination);
+        oscillator.start(when);
+        oscillator.stop(when + duration);
+        return duration;
+    }
+
+    /**
+     * Schedule a burst of band-passed noise
+     * @returns {number} Length in seconds
+     */
+    static noise(context, destination, when, { frequency, duration, volume }) {
+        const buffer = context.createBuffer(1, Math.ceil(context.sampleRate * duration), context.sampleRate);
+        const samples = buffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+
+        const source = context.createBufferSource();
+        const filter = context.createBiquadFilter();
+        const gainNode = context.createGain();
+        source.buffer = buffer;
+        filter.type = 'bandpass';
+        filter.frequency.setValueAtTime(frequency, when);
+        gainNode.gain.setValueAtTime(volume * 2, when);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, when + duration);
+
+        source.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(destination);
+        source.start(when);
+        return duration;
+    }
+
+    static toBase64(data) {
+        const bytes = new Uint8Array(data);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    // Storage can be unavailable or full; settings and samples then last for the session
+    static readStorage(key) {
+        try {
+            const text = localStorage.getItem(key);
+            return text ? JSON.parse(text) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    static writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    static removeStorage(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch {
+            // Nothing stored
+        }
+    }
+}
@@ -1,5 +1,7 @@
 // NavigationController.js - Coordinates between different accessibility controllers
 import { SonificationController } from './SonificationController.js';
+import { SonificationMapping } from './SonificationMapping.js';
+import { EarconRegistry } from './EarconRegistry.js';
 import { TextController } from './TextController.js';
 import { TTSController } from './TTSController.js';
 import { GamepadController } from './GamepadController.js';
@@ -10,6 +12,22 @@ import { EVENTS } from '../constants/EventConstants.js';
 import { AccessibilityLogger } from '../utils/Logger.js';
 
 export class NavigationController {
+    // Nearest-neighbour navigation: widest accepted angle from the requested direction (cosine of 60°)
+    static NEIGHBOR_MIN_COSINE = 0.5;
+
+    // Direction keys used for neighbour lookups: axis and sign
+    static NEIGHBOR_DIRECTIONS = {
+        xForward: ['x', 1],
+        xBackward: ['x', -1],
+        zForward: ['z', 1],
+        zBackward: ['z', -1],
+        yForward: ['y', 1],
+        yBackward: ['y', -1]
+    };
+
+    // Path navigation: vertices skipped by Up/Down
+    static PATH_JUMP_SIZE = 10;
+
     constructor(visualizationEngine, plotData) {
         this.engine = visualizationEngine;
         this.data = plotData;
@@ -38,8 +56,26 @@ export class NavigationController {
         this.currentWireframeZIndex = 0; // Z position in wireframe grid
         this.wireframeGrid = null; // 2D grid for spatial wireframe navigation
         
+        // Peak navigation - index into PlotData.peaks (-1 until the first jump)
+        this.currentPeakIndex = -1;
+
+        // Nearest-neighbour navigation for irregular point clouds (scatter plots)
+        this.currentPointIndex = -1;   // Data index of the current point
+        this.scaledPoints = null;      // Coordinates scaled to the data range, 3 values per point
+        this.currentNeighbors = null;  // Data index of the nearest point in each direction
+
+        // Path navigation for line plots - vertices are visited in data order using currentPointIndex
+        this.pathNavigation = false;
+        
         // Focus handling state
         this.preventFocusDeactivation = false;
+        this.keepPositionOnFocus = false;  // Set when the cursor was placed from outside the plot (data table)
+
+        // Reference tones (L)
+        this.referenceLevels = {};          // Per axis: { source, levels } with source the array the levels were computed from
+
+        // Earcons - the last position they were worked out for, to hear segment changes, skipped cells and mean crossings
+        this.earconPosition = null;         // { key, value, along }
         
         // Initialize accessibility controllers internally
         this.sonificationController = null;
@@ -129,6 +165,9 @@ export class NavigationController {
                 this.createXSegments();
                 this.updateNavigationInfo();
             }
+
+            // The earcon settings show the registry once custom samples from earlier sessions are loaded
+            this.dispatchEarconsChanged();
             
             AccessibilityLogger.info('Navigation system initialized with all accessibility controllers');
         } catch (error) {
@@ -247,6 +286,24 @@ export class NavigationController {
             AccessibilityLogger.debug('Navigation axis toggle blocked - wireframe mode active');
             return;
         }
+
+        if (this.data.usesNearestNeighborNavigation()) {
+            // Point clouds have no segments - arrow keys always move to the nearest point
+            AccessibilityLogger.debug('Navigation axis toggle blocked - nearest-neighbour navigation active');
+            if (this.textController) {
+                this.textController.announceToScreenReader('Navigation axis is not used for scatter plots. Arrow keys move to the nearest point in each direction.');
+            }
+            return;
+        }
+
+        if (this.pathNavigation) {
+            // Line plots are followed in path order rather than by axis
+            AccessibilityLogger.debug('Navigation axis toggle blocked - path navigation active');
+            if (this.textController) {
+                this.textController.announceToScreenReader('Navigation axis is not used for line plots. Arrow keys follow the path from vertex to vertex.');
+            }
+            return;
+        }
         
         const previousAxis = this.navigationAxis;
         AccessibilityLogger.debug(`[Navigation Toggle] Current axis: ${previousAxis}`);
@@ -363,8 +420,12 @@ export class NavigationController {
             
             AccessibilityLogger.info('Navigation activated via focus');
             
-            // Check if we're in wireframe mode and initialize accordingly
-            if (this.isWireframeMode()) {
+            // A cursor placed from the data table is kept; otherwise navigation starts from the beginning
+            if (this.keepPositionOnFocus) {
+                this.keepPositionOnFocus = false;
+                this.updateWireframeHighlight();
+                this.updateNavigationInfo();
+            } else if (this.isWireframeMode()) {
                 AccessibilityLogger.debug('Initializing wireframe navigation');
                 this.initializeWireframeNavigation();
                 // Force update navigation info for wireframe mode
@@ -507,9 +568,22 @@ export class NavigationController {
 
     // Called when new data is loaded
     onDataLoaded() {
+        this.currentPeakIndex = -1;
+        this.keepPositionOnFocus = false;
+        this.earconPosition = null;
         this.createYSegments();
         this.createZSegments(); // Also create Z segments
         this.createXSegments(); // Also create X segments
+
+        this.scaledPoints = null;
+        this.currentNeighbors = null;
+        this.currentPointIndex = -1;
+        this.pathNavigation = false;
+        if (this.data.usesNearestNeighborNavigation()) {
+            this.initializeNearestNeighborNavigation();
+        } else if (this.data.usesPathNavigation()) {
+            this.initializePathNavigation();
+        }
         
         // Check if we're in wireframe mode and initialize accordingly
         if (this.isWireframeMode()) {
@@ -535,20 +609,19 @@ export class NavigationController {
         const minPointsPerSegment = 5; // Minimum points per segment
         const maxSegments = 20; // Maximum number of segments to create
         
-        // Calculate Y value range and determine appropriate threshold
-        const yValues = sortedPoints.map(p => p.y);
-        const yRange = Math.max(...yValues) - Math.min(...yValues);
+        // Calculate Y value range and determine appropriate threshold (points are sorted by Y)
+        const yRange = sortedPoints[sortedPoints.length - 1].y - sortedPoints[0].y;
         
         // Use adaptive threshold based on data distribution
         let threshold = yRange / 15; // Start with range/15 as base threshold
         
         // If threshold is too small (leading to too many segments), increase it
-        const uniqueYValues = [...new Set(yValues)];
-        if (uniqueYValues.length > maxSegments) {
+        const uniqueYValues = new Set(sortedPoints.map(p => p.y));
+        if (uniqueYValues.size > maxSegments) {
             threshold = yRange / maxSegments;
         }
         
-        AccessibilityLogger.debug(`Y clustering: range=${yRange.toFixed(3)}, threshold=${threshold.toFixed(3)}, unique values=${uniqueYValues.length}`);
+        AccessibilityLogger.debug(`Y clustering: range=${yRange.toFixed(3)}, threshold=${threshold.toFixed(3)}, unique values=${uniqueYValues.size}`);
         
         let currentCluster = [sortedPoints[0]];
         let clusterStartY = sortedPoints[0].y;
@@ -595,6 +668,44 @@ export class NavigationController {
         return clusters;
     }
 
+    // Points the segments are built from, with their indices into the full data arrays
+    getNavigationPoints() {
+        const { xValues, zValues, yValues } = this.data;
+        const indices = this.data.getLevelOfDetail().navigationIndices;
+        const count = indices ? indices.length : yValues.length;
+
+        const points = new Array(count);
+        for (let k = 0; k < count; k++) {
+            const i = indices ? indices[k] : k;
+            points[k] = { x: xValues[i], z: zValues[i], y: yValues[i], index: i };
+        }
+        return points;
+    }
+
+    /**
+     * Points the X and Z segments are built from. Where the surface is meshed from a resampled grid,
+     * rows and columns step over its nodes so navigation follows the surface that is drawn; each node
+     * carries the index of its nearest data point, which is highlighted for it.
+     * @returns {Object} { points, resampled }
+     */
+    getGridNavigationPoints() {
+        const grid = this.data.hasSurfaceMesh() ? this.data.getResampledGrid() : null;
+        if (!grid) {
+            return { points: this.getNavigationPoints(), resampled: false };
+        }
+
+        const points = [];
+        for (let xIndex = 0; xIndex < grid.nx; xIndex++) {
+            for (let zIndex = 0; zIndex < grid.nz; zIndex++) {
+                const y = grid.get(xIndex, zIndex);
+                // Nodes too far from any data point are left out of the surface, and so out of navigation
+                if (Number.isNaN(y)) continue;
+                points.push({ x: grid.xAxis[xIndex], z: grid.zAxis[zIndex], y, index: grid.nearest[xIndex * grid.nz + zIndex] });
+            }
+        }
+        return { points, resampled: true };
+    }
+
     // Create Y segments with 2D grid structure for navigation
     createYSegments() {
         const totalPoints = this.data.yValues.length;
@@ -604,16 +715,8 @@ export class NavigationController {
             return;
         }
 
-        // Create an array of all points with their indices
-        const allPoints = [];
-        for (let i = 0; i < totalPoints; i++) {
-            allPoints.push({
-                x: this.data.xValues[i],
-                z: this.data.zValues[i],
-                y: this.data.yValues[i],
-                index: i
-            });
-        }
+        // Large datasets are segmented from their level-of-detail subset or the zoom region
+        const allPoints = this.getNavigationPoints();
 
         // Sort points by Y value (ascending)
         allPoints.sort((a, b) => a.y - b.y);
@@ -623,10 +726,10 @@ export class NavigationController {
         
         // Create segment objects
         this.ySegments = ySegments.map((segmentPoints, index) => {
-            const yValues = segmentPoints.map(p => p.y);
+            // Segments are slices of the Y-sorted points
             return {
-                minY: Math.min(...yValues),
-                maxY: Math.max(...yValues),
+                minY: segmentPoints[0].y,
+                maxY: segmentPoints[segmentPoints.length - 1].y,
                 points: segmentPoints,
                 grid: null
             };
@@ -658,16 +761,9 @@ export class NavigationController {
             return;
         }
 
-        // Create an array of all points with their indices
-        const allPoints = [];
-        for (let i = 0; i < totalPoints; i++) {
-            allPoints.push({
-                x: this.data.xValues[i],
-                z: this.data.zValues[i],
-                y: this.data.yValues[i],
-                index: i
-            });
-        }
+        // Large datasets are segmented from their level-of-detail subset or the zoom region,
+        // scattered surfaces from the nodes of their resampled grid
+        const { points: allPoints, resampled } = this.getGridNavigationPoints();
 
         // Group points by unique Z values
         const zGroupMap = new Map();
@@ -689,6 +785,7 @@ export class NavigationController {
                 minZ: zValue,
                 maxZ: zValue, // Same Z value for all points in segment
                 points: points,
+                resampled,
                 grid: null
             };
         });
@@ -714,16 +811,9 @@ export class NavigationController {
             return;
         }
 
-        // Create an array of all points with their indices
-        const allPoints = [];
-        for (let i = 0; i < totalPoints; i++) {
-            allPoints.push({
-                x: this.data.xValues[i],
-                z: this.data.zValues[i],
-                y: this.data.yValues[i],
-                index: i
-            });
-        }
+        // Large datasets are segmented from their level-of-detail subset or the zoom region,
+        // scattered surfaces from the nodes of their resampled grid
+        const { points: allPoints, resampled } = this.getGridNavigationPoints();
 
         // Group points by unique X values
         const xGroupMap = new Map();
@@ -745,6 +835,7 @@ export class NavigationController {
                 minX: xValue,
                 maxX: xValue, // Same X value for all points in segment
                 points: points,
+                resampled,
                 grid: null
             };
         });
@@ -849,6 +940,10 @@ export class NavigationController {
 
     // Get current point using 2D coordinates (supports Y, Z, and X axis navigation)
     getCurrentPoint() {
+        if (this.scaledPoints || this.pathNavigation) {
+            return this.getPointAtIndex(this.currentPointIndex);
+        }
+
         if (this.navigationAxis === 'z') {
             // Z-axis navigation: navigate by X/Y coordinates within the same Z plane
             if (this.currentZSegment >= 0 && this.currentZSegment < this.zSegments.length) {
@@ -922,6 +1017,17 @@ export class NavigationController {
 
     // Get current segment point indices (supports Y, Z, and X navigation)
     getCurrentSegmentPointIndices() {
+        // In nearest-neighbour navigation the points reachable with the arrow keys are highlighted
+        if (this.scaledPoints) {
+            return new Set(Object.values(this.currentNeighbors || {}).filter(index => index !== -1));
+        }
+
+        // In path navigation the previous and next vertices are highlighted
+        if (this.pathNavigation) {
+            return new Set([this.currentPointIndex - 1, this.currentPointIndex + 1]
+                .filter(index => index >= 0 && index < this.data.xValues.length));
+        }
+
         const segment = this.getCurrentSegment();
         if (!segment || !segment.points) {
             return new Set();
@@ -1123,6 +1229,46 @@ export class NavigationController {
             // Only process arrow keys if navigation is active
             if (!this.isActive) return;
 
+            // Handle [ and ] for peak navigation (works in both point and wireframe modes)
+            if (event.key === ']' || event.key === '[') {
+                event.preventDefault();
+                event.stopPropagation();
+                if (event.key === ']') {
+                    this.moveToNextPeak();
+                } else {
+                    this.moveToPreviousPeak();
+                }
+                return;
+            }
+
+            // Handle O for the row chord and Shift+O for the row arpeggio
+            if (event.key.toLowerCase() === 'o' && !event.ctrlKey && !event.metaKey) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.playRowChord(event.shiftKey ? 'arpeggio' : 'chord');
+                return;
+            }
+
+            // Handle L for the reference tones (minimum, mean and maximum, then the current value)
+            if (event.key.toLowerCase() === 'l' && !event.ctrlKey && !event.metaKey) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.playReferenceTones();
+                return;
+            }
+
+            // Handle + and - for zooming into the region around the cursor and back out
+            if (event.key === '+' || event.key === '=' || event.key === '-') {
+                event.preventDefault();
+                event.stopPropagation();
+                if (event.key === '-') {
+                    this.zoomOutOfRegion();
+                } else {
+                    this.zoomIntoRegion();
+                }
+                return;
+            }
+
             // Handle wireframe navigation if in wireframe mode
             if (this.isWireframeMode() && this.wireframeNavigationMode) {
                 switch(event.key) {
@@ -1159,6 +1305,16 @@ export class NavigationController {
                 return; // Exit early for wireframe mode
             }
 
+            // Nearest-neighbour navigation for point clouds (Enter falls through to the shared handler)
+            if (this.scaledPoints && this.handleNearestNeighborKey(event)) {
+                return;
+            }
+
+            // Path navigation for line plots (Enter falls through to the shared handler)
+            if (this.pathNavigation && this.handlePathKey(event)) {
+                return;
+            }
+
             // Point navigation mode - handle both Y and Z axis navigation
             // Use Ctrl+Shift for segment navigation to avoid conflicts
             const isSegmentNavigation = event.ctrlKey && event.shiftKey;
@@ -2181,11 +2337,1036 @@ export class NavigationController {
         return false;
     }
 
+    /**
+     * === PEAK NAVIGATION METHODS ===
+     * These methods move the cursor between peaks detected by PlotData.findPeaks
+     */
+
+    /**
+     * Called by the application after peak detection has run
+     * @param {Array} peaks - Peaks ranked by prominence
+     */
+    onPeaksFound(peaks) {
+        this.currentPeakIndex = -1;
+
+        if (this.textController) {
+            this.textController.announcePeakSummary(peaks);
+        }
+
+        if (this.isActive) {
+            this.updateNavigationInfo();
+        }
+    }
+
+    /**
+     * Called by the application after the baseline correction state changed
+     * @param {string} action - 'apply', 'toggle', 'undo', or 'none' when there was nothing to change
+     * @param {Object|null} state - PlotData.baselineCorrection after the change
+     */
+    onBaselineChanged(action, state) {
+        this.currentPeakIndex = -1;
+
+        if (this.textController) {
+            this.textController.announceBaselineChange(action, state);
+        }
+    }
+
+    /**
+     * Called by the application after another series was shown or a comparison started or ended
+     * @param {string} action - 'select', 'next', 'previous', 'compare', 'clear', or 'none' when there was nothing to change
+     * @param {PlotData} data - Plot data holding the series
+     */
+    onSeriesChanged(action, data) {
+        this.currentPeakIndex = -1;
+
+        if (this.textController) {
+            this.textController.announceSeriesChange(action, data);
+        }
+    }
+
+    onDeconvolutionChanged(action, state) {
+        this.currentPeakIndex = -1;
+
+        if (this.textController) {
+            this.textController.announceDeconvolutionChange(action, state);
+        }
+    }
+
+    moveToNextPeak() {
+        const peaks = this.data.peaks || [];
+        if (peaks.length === 0) {
+            this.announceNoPeaks();
+            return;
+        }
+
+        if (this.currentPeakIndex < peaks.length - 1) {
+            this.moveToPeak(this.currentPeakIndex + 1);
+        } else {
+            this.playBoundarySound();
+        }
+    }
+
+    moveToPreviousPeak() {
+        const peaks = this.data.peaks || [];
+        if (peaks.length === 0) {
+            this.announceNoPeaks();
+            return;
+        }
+
+        if (this.currentPeakIndex > 0) {
+            this.moveToPeak(this.currentPeakIndex - 1);
+        } else {
+            this.playBoundarySound();
+        }
+    }
+
+    announceNoPeaks() {
+        this.playBoundarySound();
+        if (this.textController) {
+            const message = 'No peaks detected. Press K to find peaks.';
+            this.textController.announceToScreenReader(message, true);
+            this.textController.speak(message);
+        }
+    }
+
+    /**
+     * Move the cursor to a detected peak and announce it
+     * @param {number} peakIndex - Position of the peak in PlotData.peaks
+     */
+    moveToPeak(peakIndex) {
+        const peaks = this.data.peaks || [];
+        const peak = peaks[peakIndex];
+        if (!peak) return;
+
+        this.currentPeakIndex = peakIndex;
+
+        if (this.isWireframeMode() && this.wireframeNavigationMode) {
+            if (this.moveWireframeToNearestRectangle(peak.x, peak.z)) {
+                this.updateWireframeHighlight();
+                this.updateWireframeNavigationInfo();
+            }
+        } else if (this.moveToDataIndex(peak.index)) {
+            this.updateNavigationInfo();
+        } else {
+            AccessibilityLogger.warn(`Peak ${peakIndex + 1} could not be located in the ${this.navigationAxis.toUpperCase()} segments`);
+        }
+
+        if (this.sonificationController) {
+            this.sonificationController.sonifyPointByYValue({ x: peak.x, y: peak.y, z: peak.z, index: peak.index });
+        }
+        if (this.textController) {
+            this.textController.announcePeak(peak, peakIndex, peaks.length);
+        }
+    }
+
+    /**
+     * === LEVEL-OF-DETAIL ZOOM METHODS ===
+     * Large datasets are drawn and segmented from a decimated subset. Zooming into the
+     * region around the cursor restores full resolution there and re-segments only that region.
+     */
+
+    zoomIntoRegion() {
+        const center = this.getZoomCenter();
+        if (!center) {
+            this.playBoundarySound();
+            return;
+        }
+
+        this.data.zoomInto(center.x, center.z);
+        this.onZoomChanged('in', center);
+    }
+
+    zoomOutOfRegion() {
+        if (!this.data.zoomOut()) {
+            this.playBoundarySound();
+            if (this.textController) {
+                this.textController.announceZoomChange('none', this.data);
+            }
+            return;
+        }
+        this.onZoomChanged('out', this.getZoomCenter());
+    }
+
+    // Point (or wireframe rectangle centre) the zoom region is centred on
+    getZoomCenter() {
+        if (this.isWireframeMode() && this.wireframeNavigationMode) {
+            const rect = this.getCurrentWireframeRectangle();
+            return rect ? { x: rect.center.x, z: rect.center.z, index: -1 } : null;
+        }
+        return this.getCurrentPoint();
+    }
+
+    /**
+     * Rebuild the mesh and the segments for the new zoom level, keeping the cursor where it was
+     * @param {string} action - 'in' or 'out'
+     * @param {Object|null} center - Point the cursor was on before zooming
+     */
+    onZoomChanged(action, center) {
+        this.currentPeakIndex = -1;
+
+        // The wireframe rectangles come from the rebuilt mesh, so draw before re-segmenting
+        if (this.engine) {
+            this.engine.createBuffers();
+        }
+        this.createYSegments();
+        this.createZSegments();
+        this.createXSegments();
+
+        if (this.isWireframeMode()) {
+            this.initializeWireframeNavigation();
+            if (center && this.moveWireframeToNearestRectangle(center.x, center.z)) {
+                this.updateWireframeHighlight();
+            }
+            if (this.isActive) this.updateWireframeNavigationInfo();
+        } else {
+            // A point decimated away at the new level leaves the cursor at the start of its segment
+            if (!this.scaledPoints && !this.pathNavigation &&
+                !(center && center.index >= 0 && this.moveToDataIndex(center.index))) {
+                this.resetPositionInSegment();
+            }
+            if (this.isActive) this.updateNavigationInfo();
+        }
+
+        if (this.engine) {
+            this.engine.createBuffers();
+        }
+        if (this.textController) {
+            this.textController.announceZoomChange(action, this.data);
+        }
+    }
+
+    /**
+     * Position point navigation on a specific data point for the current navigation axis
+     * @param {number} dataIndex - Index into the PlotData arrays
+     * @returns {boolean} True if the point was found in a segment
+     */
+    moveToDataIndex(dataIndex) {
+        if (this.scaledPoints) {
+            this.setCurrentPointIndex(dataIndex);
+            return true;
+        }
+
+        if (this.pathNavigation) {
+            this.currentPointIndex = dataIndex;
+            return true;
+        }
+
+        const x = this.data.xValues[dataIndex];
+        const z = this.data.zValues[dataIndex];
+        const y = this.data.yValues[dataIndex];
+
+        const segments = { z: this.zSegments, x: this.xSegments }[this.navigationAxis];
+        if (segments?.[0]?.resampled) {
+            return this.moveToNearestNode(x, z);
+        }
+
+        if (this.navigationAxis === 'z') {
+            const segmentIndex = this.zSegments.findIndex(segment => segment.minZ === z);
+            if (segmentIndex === -1) return false;
+            this.currentZSegment = segmentIndex;
+            const grid = this.zSegments[segmentIndex].grid;
+            return this.tryMoveToPosition(grid.xValues.indexOf(x), grid.yValues.indexOf(y));
+        }
+
+        if (this.navigationAxis === 'x') {
+            const segmentIndex = this.xSegments.findIndex(segment => segment.minX === x);
+            if (segmentIndex === -1) return false;
+            this.currentXSegment = segmentIndex;
+            const grid = this.xSegments[segmentIndex].grid;
+            return this.tryMoveToPosition(0, grid.zValues.indexOf(z));
+        }
+
+        const segmentIndex = this.ySegments.findIndex(segment =>
+            segment.points.some(point => point.index === dataIndex)
+        );
+        if (segmentIndex === -1) return false;
+        this.currentYSegment = segmentIndex;
+        const grid = this.ySegments[segmentIndex].grid;
+        return this.tryMoveToPosition(grid.xValues.indexOf(x), grid.zValues.indexOf(z));
+    }
+
+    /**
+     * Position X or Z axis navigation on the grid node nearest to a position. Segments of a resampled
+     * surface hold its nodes rather than the data points, so the nearest node stands in for a point.
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {boolean} False if the position is outside the zoom region
+     */
+    moveToNearestNode(x, z) {
+        const region = this.data.getZoomRegion();
+        if (region && (x < region.xMin || x > region.xMax || z < region.zMin || z > region.zMax)) {
+            return false;
+        }
+
+        const nearest = (items, distance) => items.reduce((best, item) => distance(item) < distance(best) ? item : best);
+        if (this.navigationAxis === 'z') {
+            const segment = nearest(this.zSegments, candidate => Math.abs(candidate.minZ - z));
+            const node = nearest(segment.points, point => Math.abs(point.x - x));
+            this.currentZSegment = this.zSegments.indexOf(segment);
+            return this.tryMoveToPosition(segment.grid.xValues.indexOf(node.x), segment.grid.yValues.indexOf(node.y));
+        }
+
+        const segment = nearest(this.xSegments, candidate => Math.abs(candidate.minX - x));
+        const node = nearest(segment.points, point => Math.abs(point.z - z));
+        this.currentXSegment = this.xSegments.indexOf(segment);
+        return this.tryMoveToPosition(0, segment.grid.zValues.indexOf(node.z));
+    }
+
+    /**
+     * Move the cursor to a data point chosen outside the plot (a data table cell), play it and announce it.
+     * A point left out at the current level of detail is zoomed into. The cursor stays there when the plot
+     * is focused next.
+     * @param {number} dataIndex - Index into the PlotData arrays
+     * @returns {boolean} False if the point is not among the navigable points (e.g. outside the zoom region)
+     */
+    moveToDataPoint(dataIndex) {
+        const point = this.getPointAtIndex(dataIndex);
+        if (!point) return false;
+
+        this.currentPeakIndex = -1;
+
+        if (this.isWireframeMode()) {
+            if (!this.wireframeGrid) {
+                this.initializeWireframeNavigation();
+            }
+            if (!this.wireframeNavigationMode || !this.moveWireframeToNearestRectangle(point.x, point.z)) {
+                return false;
+            }
+            this.updateWireframeHighlight();
+        } else if (!this.moveToDataIndex(dataIndex)) {
+            if (!this.data.getLevelOfDetail().navigationDecimated) {
+                return false;
+            }
+            // onZoomChanged moves the cursor to the point once it is in the navigable set
+            this.data.zoomInto(point.x, point.z);
+            this.onZoomChanged('in', point);
+            if (!this.moveToDataIndex(dataIndex)) {
+                return false;
+            }
+        }
+
+        this.keepPositionOnFocus = !this.isActive;
+        this.updateNavigationInfo();
+
+        if (this.sonificationController) {
+            this.sonificationController.sonifyPointByYValue(point);
+        }
+        if (this.textController) {
+            this.textController.announceCurrentPointToAll(point);
+        }
+        return true;
+    }
+
+    /**
+     * Change which data dimensions drive the navigation tones, then announce the new mapping
+     * and play the current point with it
+     * @param {Object} mapping - Mapping as described by SonificationMapping.normalize()
+     * @param {Object} options - { announce: false } to apply silently, e.g. when a project is opened
+     */
+    setSonificationMapping(mapping, { announce = true } = {}) {
+        if (!this.sonificationController) return;
+
+        const applied = this.sonificationController.setMapping(mapping);
+        const description = SonificationMapping.describe(applied, {
+            x: this.data.xLabel, y: this.data.yLabel, z: this.data.zLabel
+        });
+        document.dispatchEvent(new CustomEvent(EVENTS.SONIFICATION_MAPPING_CHANGED, {
+            detail: { mapping: applied, description }
+        }));
+        if (!announce) return;
+
+        if (this.textController) {
+            this.textController.announceToScreenReader(`Sound mapping: ${description}`);
+        }
+        const rect = this.isWireframeMode() && this.wireframeNavigationMode ? this.getCurrentWireframeRectangle() : null;
+        const point = rect ? null : this.getCurrentPoint();
+        if (rect) {
+            this.sonificationController.playDataSonification(rect.avgY, 0.3, 150, rect.center);
+        } else if (point) {
+            this.sonificationController.sonifyPointByYValue(point);
+        }
+    }
+
+    /**
+     * The row of points through the cursor: the current segment in Z and X axis navigation, otherwise
+     * the Z segment holding the cursor (in surface mode the one nearest the rectangle's center)
+     * @returns {Object|null} { axis, value, points } where axis is the coordinate the row shares ('z' or 'x')
+     *   and points are ordered along the row, or null for scatter and line plots, which have no rows
+     */
+    getCurrentRow() {
+        if (this.scaledPoints || this.pathNavigation) return null;
+
+        if (!this.isWireframeMode() && this.navigationAxis === 'x') {
+            const segment = this.xSegments[this.currentXSegment];
+            return segment ? { axis: 'x', value: segment.minX, points: [...segment.points].sort((a, b) => a.z - b.z) } : null;
+        }
+
+        let segment = null;
+        if (this.isWireframeMode()) {
+            const rect = this.getCurrentWireframeRectangle();
+            if (rect) {
+                segment = this.zSegments.reduce((nearest, candidate) =>
+                    !nearest || Math.abs(candidate.minZ - rect.center.z) < Math.abs(nearest.minZ - rect.center.z) ? candidate : nearest, null);
+            }
+        } else if (this.navigationAxis === 'z') {
+            segment = this.zSegments[this.currentZSegment];
+        } else {
+            const point = this.getCurrentPoint();
+            // Rows of a resampled surface lie between the data points, so take the closest one
+            segment = point && this.zSegments.length > 0
+                ? this.zSegments.reduce((nearest, candidate) =>
+                    Math.abs(candidate.minZ - point.z) < Math.abs(nearest.minZ - point.z) ? candidate : nearest)
+                : null;
+        }
+        return segment ? { axis: 'z', value: segment.minZ, points: [...segment.points].sort((a, b) => a.x - b.x) } : null;
+    }
+
+    /**
+     * Play the row through the cursor at once or as a fast arpeggio (O / Shift+O) and say which row it was
+     * @param {string} style - 'chord' or 'arpeggio'
+     */
+    playRowChord(style) {
+        if (!this.textController) return;
+
+        const row = this.getCurrentRow();
+        if (!row || row.points.length === 0) {
+            this.textController.announceRowChord(null, style, 0);
+            return;
+        }
+        if (!this.sonificationController?.isEnabled) {
+            this.textController.announceToScreenReader('Sonification is off. Press S to turn it on.', true);
+            return;
+        }
+
+        const played = this.sonificationController.playRow(row.points, style);
+        this.textController.announceRowChord(row, style, played);
+    }
+
+    /**
+     * Minimum, mean and maximum of one dimension of the shown data from the descriptive statistics, kept
+     * until the shown data changes (a new dataset, series, baseline correction or deconvolution component)
+     * @param {string} axis - 'x', 'y' or 'z' (default 'y')
+     * @returns {Object|null} { min, mean, max }, or null without data
+     */
+    getReferenceLevels(axis = 'y') {
+        const values = this.data[`${axis}Values`];
+        if (!values || values.length === 0) return null;
+
+        if (this.referenceLevels[axis]?.source !== values) {
+            const { min, mean, max } = this.data.getDescriptiveStatistics()[axis];
+            this.referenceLevels[axis] = { source: values, levels: { min, mean, max } };
+        }
+        return this.referenceLevels[axis].levels;
+    }
+
+    /**
+     * Play soft reference tones at the minimum, mean and maximum of the dimension that drives the pitch
+     * and then the current value (L), and say the levels, so the current pitch can be placed on an
+     * absolute scale. Wireframe rectangles are always pitched by their height, so their references are Y.
+     * Without a pitch dimension every point sounds at the same pitch and there is nothing to compare.
+     */
+    playReferenceTones() {
+        const rect = this.isWireframeMode() && this.wireframeNavigationMode ? this.getCurrentWireframeRectangle() : null;
+        const axis = rect ? 'y' : (this.sonificationController?.mapping.pitch ?? 'y');
+        if (axis === 'none') {
+            this.textController?.announceReferenceTonesUnavailable();
+            return;
+        }
+
+        const levels = this.getReferenceLevels(axis);
+        if (!levels) return;
+
+        const current = rect ? rect.avgY : (this.getCurrentPoint()?.[axis] ?? null);
+
+        if (this.sonificationController?.isEnabled) {
+            this.sonificationController.playReferenceTones([levels.min, levels.mean, levels.max], current, axis);
+        }
+        if (this.textController) {
+            this.textController.announceReferenceTones(levels, current, !!this.sonificationController?.isEnabled, axis);
+        }
+    }
+
+    /**
+     * Mean of the shown Y values and the difference still counted as level, for earcon detection
+     * @returns {Object|null} { mean, tolerance }, or null without data
+     */
+    getEarconLevels() {
+        const levels = this.getReferenceLevels();
+        if (!levels) return null;
+        return { mean: levels.mean, tolerance: (levels.max - levels.min) * EarconRegistry.LEVEL_TOLERANCE };
+    }
+
+    /**
+     * Where a point sits for its earcons: the segment it was reached in, its neighbours along its row
+     * (the path for line plots), and in Z and X axis navigation its coordinate along the row, so grid
+     * cells without data in this row can be counted. Scatter plots have neither rows nor segments.
+     * @param {Object} point - { x, y, z, index }
+     * @returns {Object} { key, value, previous, next, along, grid } with grid the sorted coordinates of every
+     *   cell along the row, or null where cells are not counted
+     */
+    getPointEarconPosition(point) {
+        if (this.pathNavigation) {
+            return {
+                key: 'path',
+                value: point.y,
+                previous: this.getPointAtIndex(point.index - 1)?.y,
+                next: this.getPointAtIndex(point.index + 1)?.y,
+                along: null,
+                grid: null
+            };
+        }
+        if (this.scaledPoints) {
+            return { key: 'scatter', value: point.y, along: null, grid: null };
+        }
+
+        const points = this.getCurrentRow()?.points || [];
+        // Grid nodes can share a nearest data point, so the node itself is looked for first
+        let position = points.indexOf(point);
+        if (position === -1) position = points.findIndex(candidate => candidate.index === point.index);
+        const segment = { y: this.currentYSegment, z: this.currentZSegment, x: this.currentXSegment }[this.navigationAxis];
+        // Y segments are height bands, not rows of the grid
+        const alongAxis = { z: 'x', x: 'z' }[this.navigationAxis] || null;
+        let grid = null;
+        if (alongAxis === 'x') grid = this.xSegments.map(candidate => candidate.minX);
+        if (alongAxis === 'z') grid = this.zSegments.map(candidate => candidate.minZ);
+
+        return {
+            key: `${this.navigationAxis}:${segment}`,
+            value: point.y,
+            previous: position > 0 ? points[position - 1].y : undefined,
+            next: position >= 0 ? points[position + 1]?.y : undefined,
+            along: alongAxis ? point[alongAxis] : null,
+            grid
+        };
+    }
+
+    /**
+     * Where the wireframe cursor sits for its earcons: its row, the nearest rectangles to either side
+     * and its grid column. The value is undefined on a cell without a rectangle.
+     * @returns {Object} { key, value, previous, next, along, grid }
+     */
+    getWireframeEarconPosition() {
+        const grid = this.wireframeGrid;
+        const z = grid.zValues[this.currentWireframeZIndex];
+        const valueAt = (xIndex) => {
+            const rectIndex = grid.rectMap.get(`${grid.xValues[xIndex]},${z}`);
+            return rectIndex === undefined ? undefined : this.wireframeRectangles[rectIndex]?.avgY;
+        };
+        const nearest = (step) => {
+            for (let xIndex = this.currentWireframeXIndex + step; xIndex >= 0 && xIndex < grid.xValues.length; xIndex += step) {
+                const value = valueAt(xIndex);
+                if (value !== undefined) return value;
+            }
+            return undefined;
+        };
+
+        return {
+            key: `row:${this.currentWireframeZIndex}`,
+            value: valueAt(this.currentWireframeXIndex),
+            previous: nearest(-1),
+            next: nearest(1),
+            along: this.currentWireframeXIndex,
+            grid: null
+        };
+    }
+
+    /**
+     * Play the earcons for the position just reached: a segment change, skipped cells without data,
+     * a peak, trough or plateau along the row, and a crossing of the mean since the last position
+     * @param {Object} position - Result of getPointEarconPosition() or getWireframeEarconPosition()
+     */
+    playNavigationEarcons(position) {
+        const last = this.earconPosition;
+        const sameSegment = !!last && last.key === position.key;
+
+        let skipped = 0;
+        if (position.value === undefined) {
+            skipped = 1;
+        } else if (sameSegment && position.grid && last.along !== null) {
+            const low = Math.min(last.along, position.along);
+            const high = Math.max(last.along, position.along);
+            skipped = position.grid.filter(value => value > low && value < high).length;
+        }
+        this.earconPosition = { key: position.key, value: position.value ?? last?.value, along: position.along };
+
+        const levels = this.getEarconLevels();
+        if (!levels || !this.sonificationController?.isEnabled) return;
+
+        const names = EarconRegistry.detect({ ...position, last: last?.value, skipped, newSegment: !!last && !sameSegment }, levels);
+        if (names.length > 0) {
+            this.sonificationController.playEarcons(names);
+        }
+    }
+
+    /**
+     * Tell the earcon settings what the registry holds now
+     * @param {string} message - Status to show, e.g. after a sample was set
+     */
+    dispatchEarconsChanged(message = '') {
+        if (!this.sonificationController) return;
+        document.dispatchEvent(new CustomEvent(EVENTS.EARCONS_CHANGED, {
+            detail: { settings: this.sonificationController.earcons.getSettings(), message }
+        }));
+    }
+
+    /**
+     * Turn earcons on or off, all of them or one at a time; remembered for the next session
+     * @param {Object} settings - { enabled, earcons: { [name]: boolean } }, either part optional
+     */
+    setEarconSettings({ enabled, earcons = {} } = {}) {
+        if (!this.sonificationController) return;
+
+        const registry = this.sonificationController.earcons;
+        if (enabled !== undefined) registry.setAllEnabled(enabled);
+        Object.entries(earcons).forEach(([name, on]) => registry.setEnabled(name, on));
+        registry.saveSettings();
+        this.dispatchEarconsChanged();
+    }
+
+    /**
+     * Give an earcon a custom sample, or go back to its built-in sound
+     * @param {string} name - Earcon name
+     * @param {File|null} file - Audio file, or null for the built-in sound
+     */
+    async setEarconSample(name, file) {
+        if (!this.sonificationController?.audioContext) {
+            this.dispatchEarconsChanged('Audio is not available in this browser.');
+            return;
+        }
+
+        const registry = this.sonificationController.earcons;
+        const label = registry.earcons.get(name)?.label || name;
+        let message;
+        if (!file) {
+            registry.clearSample(name);
+            message = `${label} uses its built-in sound.`;
+        } else {
+            try {
+                const stored = await registry.setSample(name, this.sonificationController.audioContext, await file.arrayBuffer(), file.name);
+                message = stored
+                    ? `${label} uses ${file.name}.`
+                    : `${label} uses ${file.name} for this session; the file is too large to remember.`;
+                this.sonificationController.previewEarcon(name);
+            } catch (error) {
+                AccessibilityLogger.warn(`Earcon sample for ${name} not used:`, error);
+                message = error.message;
+            }
+        }
+
+        this.dispatchEarconsChanged(message);
+        if (this.textController) {
+            this.textController.announceToScreenReader(message);
+        }
+    }
+
+    previewEarcon(name) {
+        this.sonificationController?.previewEarcon(name);
+    }
+
+    /**
+     * Render autoplay offline for audio export, as AutoPlayController.renderAutoplay() describes
+     * @param {Object} options - { mode: 'normal' | 'fast', markers }
+     * @returns {Promise<Object>} { audioBuffer, markers }
+     */
+    async renderAutoplayAudio(options) {
+        if (!this.autoPlayController) {
+            throw new Error('Autoplay is not available');
+        }
+        if (this.isWireframeMode() && !this.wireframeGrid) {
+            this.initializeWireframeNavigation();
+        }
+        return this.autoPlayController.renderAutoplay(options);
+    }
+
+    /**
+     * Cursor, speech and sonification settings for a project file
+     * @returns {Object} { navigation, speech, sonification } sections
+     */
+    getProjectState() {
+        const rect = this.isWireframeMode() && this.wireframeNavigationMode ? this.getCurrentWireframeRectangle() : null;
+        const point = rect ? null : this.getCurrentPoint();
+
+        return {
+            navigation: {
+                axis: this.navigationAxis,
+                pointIndex: point ? point.index : -1,
+                wireframeCenter: rect ? { x: rect.center.x, z: rect.center.z } : null,
+                peakIndex: this.currentPeakIndex
+            },
+            speech: {
+                textMode: this.textController?.displayMode ?? 'off',
+                speechRate: this.textController?.speechRate ?? 1.0,
+                builtInTts: this.ttsController?.isEnabled ?? false
+            },
+            sonification: {
+                enabled: this.sonificationController?.isEnabled ?? true,
+                mapping: this.sonificationController?.mapping ?? null
+            }
+        };
+    }
+
+    /**
+     * Put the cursor and the speech and sonification settings back as a project file saved them.
+     * Call after onDataLoaded, once the display mode of the project has been applied.
+     * @param {Object} project - Project with navigation, speech and sonification sections
+     */
+    restoreProjectState({ navigation = {}, speech = {}, sonification = {} } = {}) {
+        if (this.textController) {
+            if (['off', 'verbose', 'terse', 'superTerse'].includes(speech.textMode)) {
+                this.textController.displayMode = speech.textMode;
+                this.textController.updateSpeechRateControlVisibility();
+            }
+            if (Number.isFinite(speech.speechRate)) {
+                const rates = this.textController.speechRates;
+                this.textController.currentRateIndex = rates.reduce((closest, rate, index) =>
+                    Math.abs(rate - speech.speechRate) < Math.abs(rates[closest] - speech.speechRate) ? index : closest, 0);
+                this.textController.speechRate = rates[this.textController.currentRateIndex];
+                this.textController.updateSpeechRateDisplay();
+            }
+        }
+        if (this.ttsController && typeof speech.builtInTts === 'boolean' && speech.builtInTts !== this.ttsController.isEnabled) {
+            this.ttsController.isEnabled = speech.builtInTts;
+            document.dispatchEvent(new CustomEvent(EVENTS.TTS_STATE_CHANGED, {
+                detail: { isEnabled: this.ttsController.isEnabled }
+            }));
+        }
+        if (this.sonificationController && typeof sonification.enabled === 'boolean') {
+            this.sonificationController.isEnabled = sonification.enabled;
+        }
+        if (sonification.mapping) {
+            this.setSonificationMapping(sonification.mapping, { announce: false });
+        }
+
+        // The display mode was set without a change event, so wireframe navigation is set up here
+        this.initializeWireframeNavigation();
+        if (!this.wireframeNavigationMode && this.highlightController) {
+            this.highlightController.setWireframeHighlightEnabled(false);
+        }
+
+        if (['x', 'y', 'z'].includes(navigation.axis)) {
+            this.navigationAxis = navigation.axis;
+        }
+
+        if (this.wireframeNavigationMode) {
+            const center = navigation.wireframeCenter;
+            if (center && this.moveWireframeToNearestRectangle(center.x, center.z)) {
+                this.updateWireframeHighlight();
+            }
+        } else {
+            const index = navigation.pointIndex;
+            const found = Number.isInteger(index) && index >= 0 && index < this.data.xValues.length &&
+                this.moveToDataIndex(index);
+            if (!found && !this.scaledPoints && !this.pathNavigation) {
+                this.currentYSegment = 0;
+                this.currentZSegment = 0;
+                this.currentXSegment = 0;
+                this.resetPositionInSegment();
+            }
+        }
+
+        const peakCount = this.data.peaks ? this.data.peaks.length : 0;
+        this.currentPeakIndex = Number.isInteger(navigation.peakIndex) && navigation.peakIndex < peakCount
+            ? navigation.peakIndex : -1;
+
+        document.dispatchEvent(new CustomEvent(EVENTS.NAVIGATION_AXIS_CHANGED, {
+            detail: { axis: this.navigationAxis }
+        }));
+
+        if (this.isActive) {
+            if (this.wireframeNavigationMode) {
+                this.updateWireframeNavigationInfo();
+            } else {
+                this.updateNavigationInfo();
+            }
+        }
+        AccessibilityLogger.debug(`Restored project navigation on the ${this.navigationAxis.toUpperCase()} axis`);
+    }
+
+    /**
+     * === NEAREST-NEIGHBOUR NAVIGATION METHODS ===
+     * Irregular point clouds do not fit the X/Z grid, so the arrow keys move to the
+     * closest point that lies roughly in the requested direction
+     */
+
+    /**
+     * Scale the point coordinates to the data range and start at the point with the lowest X
+     */
+    initializeNearestNeighborNavigation() {
+        const { xValues, yValues, zValues } = this.data;
+        const count = xValues.length;
+        const range = this.data.getDataRange();
+
+        this.scaledPoints = new Float32Array(count * 3);
+        if (count === 0 || !range) {
+            this.currentPointIndex = -1;
+            this.currentNeighbors = null;
+            return;
+        }
+
+        const span = (axis) => (range[axis].max - range[axis].min) || 1;
+        const xSpan = span('x');
+        const ySpan = span('y');
+        const zSpan = span('z');
+
+        let startIndex = 0;
+        for (let i = 0; i < count; i++) {
+            this.scaledPoints[i * 3] = (xValues[i] - range.x.min) / xSpan;
+            this.scaledPoints[i * 3 + 1] = (yValues[i] - range.y.min) / ySpan;
+            this.scaledPoints[i * 3 + 2] = (zValues[i] - range.z.min) / zSpan;
+            if (xValues[i] < xValues[startIndex] ||
+                (xValues[i] === xValues[startIndex] && zValues[i] < zValues[startIndex])) {
+                startIndex = i;
+            }
+        }
+
+        this.setCurrentPointIndex(startIndex);
+        AccessibilityLogger.debug(`Nearest-neighbour navigation initialized for ${count} points, starting at index ${startIndex}`);
+    }
+
+    /**
+     * Make a data point current and look up its neighbours in every direction
+     * @param {number} index - Index into the PlotData arrays
+     */
+    setCurrentPointIndex(index) {
+        this.currentPointIndex = index;
+        this.currentNeighbors = {};
+        Object.entries(NavigationController.NEIGHBOR_DIRECTIONS).forEach(([key, [axis, sign]]) => {
+            this.currentNeighbors[key] = this.findNearestNeighbor(index, axis, sign);
+        });
+    }
+
+    /**
+     * Find the closest point in a direction. Candidates must lie within 60° of the axis;
+     * the distance is divided by the cosine of the angle so points straight ahead win.
+     * @param {number} fromIndex - Data index of the starting point
+     * @param {string} axis - 'x', 'y' or 'z'
+     * @param {number} sign - 1 for increasing values, -1 for decreasing values
+     * @returns {number} Data index of the neighbour, or -1 if there is none
+     */
+    findNearestNeighbor(fromIndex, axis, sign) {
+        const points = this.scaledPoints;
+        if (!points || fromIndex < 0) return -1;
+
+        const axisOffset = { x: 0, y: 1, z: 2 }[axis];
+        const origin = points[fromIndex * 3 + axisOffset];
+        const fx = points[fromIndex * 3];
+        const fy = points[fromIndex * 3 + 1];
+        const fz = points[fromIndex * 3 + 2];
+
+        let bestIndex = -1;
+        let bestScore = Infinity;
+        for (let i = 0; i < points.length / 3; i++) {
+            const along = sign * (points[i * 3 + axisOffset] - origin);
+            if (along <= 0) continue;
+
+            const dx = points[i * 3] - fx;
+            const dy = points[i * 3 + 1] - fy;
+            const dz = points[i * 3 + 2] - fz;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            const cosine = along / distance;
+            if (cosine < NavigationController.NEIGHBOR_MIN_COSINE) continue;
+
+            const score = distance / cosine;
+            if (score < bestScore) {
+                bestScore = score;
+                bestIndex = i;
+            }
+        }
+        return bestIndex;
+    }
+
+    /**
+     * Handle arrow keys in nearest-neighbour navigation
+     * Left/Right follow X, Up/Down follow Z, Ctrl+Shift+Up/Down follow Y
+     * @param {KeyboardEvent} event - The keydown event
+     * @returns {boolean} True if the key was handled
+     */
+    handleNearestNeighborKey(event) {
+        const isHeightNavigation = event.ctrlKey && event.shiftKey;
+        const directions = {
+            ArrowRight: 'xForward',
+            ArrowLeft: 'xBackward',
+            ArrowUp: isHeightNavigation ? 'yForward' : 'zForward',
+            ArrowDown: isHeightNavigation ? 'yBackward' : 'zBackward'
+        };
+        const direction = directions[event.key];
+        if (!direction) return false;
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.moveToNearestNeighbor(direction);
+        return true;
+    }
+
+    /**
+     * Move to the neighbour in a direction, or play the boundary sound if there is none
+     * @param {string} direction - Key of NEIGHBOR_DIRECTIONS
+     */
+    moveToNearestNeighbor(direction) {
+        const target = this.currentNeighbors ? this.currentNeighbors[direction] : -1;
+        if (target === undefined || target === -1) {
+            this.playBoundarySound();
+            return;
+        }
+
+        this.setCurrentPointIndex(target);
+        this.updateNavigationInfo();
+        this.playCurrentPointSound();
+    }
+
+    /**
+     * Build a point object for a data index
+     * @param {number} index - Index into the PlotData arrays
+     * @returns {Object|null} { x, y, z, index } or null if out of range
+     */
+    getPointAtIndex(index) {
+        if (index < 0 || index >= this.data.xValues.length) return null;
+        return {
+            x: this.data.xValues[index],
+            y: this.data.yValues[index],
+            z: this.data.zValues[index],
+            index
+        };
+    }
+
+    /**
+     * === PATH NAVIGATION METHODS ===
+     * Line plots are followed vertex by vertex in data order. Each step reports how the
+     * direction and length of the segment just travelled differ from the one before it.
+     */
+
+    /**
+     * Start path navigation at the first vertex
+     */
+    initializePathNavigation() {
+        this.pathNavigation = true;
+        this.currentPointIndex = this.data.xValues.length > 0 ? 0 : -1;
+        AccessibilityLogger.debug(`Path navigation initialized for ${this.data.xValues.length} vertices`);
+    }
+
+    /**
+     * Handle arrow keys in path navigation
+     * Left/Right step one vertex, Up/Down jump PATH_JUMP_SIZE vertices, Home/End go to the path ends
+     * @param {KeyboardEvent} event - The keydown event
+     * @returns {boolean} True if the key was handled
+     */
+    handlePathKey(event) {
+        const lastIndex = this.data.xValues.length - 1;
+        const jump = NavigationController.PATH_JUMP_SIZE;
+        const targets = {
+            ArrowRight: this.currentPointIndex + 1,
+            ArrowLeft: this.currentPointIndex - 1,
+            ArrowUp: Math.min(lastIndex, this.currentPointIndex + jump),
+            ArrowDown: Math.max(0, this.currentPointIndex - jump),
+            Home: 0,
+            End: lastIndex
+        };
+        if (!(event.key in targets)) return false;
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.moveToPathVertex(targets[event.key]);
+        return true;
+    }
+
+    /**
+     * Move to a vertex, gliding the sonification through every vertex passed on the way
+     * @param {number} targetIndex - Data index of the vertex to move to
+     */
+    moveToPathVertex(targetIndex) {
+        const previousIndex = this.currentPointIndex;
+        if (targetIndex < 0 || targetIndex >= this.data.xValues.length || targetIndex === previousIndex) {
+            this.playBoundarySound();
+            return;
+        }
+
+        this.currentPointIndex = targetIndex;
+        this.updateNavigationInfo();
+
+        const direction = Math.sign(targetIndex - previousIndex);
+        if (this.sonificationController) {
+            const vertices = [];
+            for (let i = previousIndex; i !== targetIndex + direction; i += direction) {
+                vertices.push(this.getPointAtIndex(i));
+            }
+            // Longer jumps glide faster so the sound stays short
+            const segmentDuration = Math.min(0.25, 0.6 / (vertices.length - 1));
+            this.sonificationController.glideAlongPath(vertices, segmentDuration);
+            this.playNavigationEarcons(this.getPointEarconPosition(this.getPointAtIndex(targetIndex)));
+        }
+
+        if (this.textController && this.textController.displayMode !== 'off') {
+            const pointMessage = this.textController.getPointMessage(this.getCurrentPoint());
+            const stepMessage = this.textController.getPathStepMessage(this.describePathStep(targetIndex, direction));
+            const message = [stepMessage, pointMessage].filter(Boolean).join(' ');
+            if (message) {
+                this.textController.announceToScreenReader(message, true);
+            }
+        }
+    }
+
+    /**
+     * Describe the segment that arrives at a vertex and compare it with the segment before it
+     * Turn angles use coordinates scaled to the data range so mixed units compare fairly;
+     * the length change compares the segment lengths in data units, as they are announced
+     * @param {number} index - Data index of the vertex that was reached
+     * @param {number} direction - 1 when travelling forward along the path, -1 when travelling back
+     * @returns {Object} { vertex, total, segment, turnAngle, lengthChange } - segment is null at a path end
+     */
+    describePathStep(index, direction) {
+        const total = this.data.xValues.length;
+        const segment = this.getPathSegment(index - direction, index);
+        const previousSegment = this.getPathSegment(index - 2 * direction, index - direction);
+
+        let turnAngle = null;
+        let lengthChange = null;
+        if (segment && previousSegment && segment.scaledLength > 0 && previousSegment.scaledLength > 0) {
+            const dot = segment.scaled.x * previousSegment.scaled.x +
+                segment.scaled.y * previousSegment.scaled.y +
+                segment.scaled.z * previousSegment.scaled.z;
+            const cosine = Math.max(-1, Math.min(1, dot / (segment.scaledLength * previousSegment.scaledLength)));
+            turnAngle = Math.acos(cosine) * 180 / Math.PI;
+            lengthChange = previousSegment.length > 0 ? segment.length / previousSegment.length : null;
+        }
+
+        return { vertex: index + 1, total, segment, turnAngle, lengthChange };
+    }
+
+    /**
+     * Measure the segment between two vertices
+     * @param {number} fromIndex - Data index of the start vertex
+     * @param {number} toIndex - Data index of the end vertex
+     * @returns {Object|null} { delta, length, scaled, scaledLength } or null if either vertex is out of range
+     */
+    getPathSegment(fromIndex, toIndex) {
+        const count = this.data.xValues.length;
+        if (fromIndex < 0 || toIndex < 0 || fromIndex >= count || toIndex >= count) return null;
+
+        const range = this.data.getDataRange();
+        const delta = {
+            x: this.data.xValues[toIndex] - this.data.xValues[fromIndex],
+            y: this.data.yValues[toIndex] - this.data.yValues[fromIndex],
+            z: this.data.zValues[toIndex] - this.data.zValues[fromIndex]
+        };
+        const scaled = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            scaled[axis] = delta[axis] / ((range[axis].max - range[axis].min) || 1);
+        });
+
+        return {
+            delta,
+            length: Math.hypot(delta.x, delta.y, delta.z),
+            scaled,
+            scaledLength: Math.hypot(scaled.x, scaled.y, scaled.z)
+        };
+    }
+
     // Helper method to play sound for current point during navigation
     playCurrentPointSound() {
         const currentPoint = this.getCurrentPoint();
         if (this.sonificationController && currentPoint) {
             this.sonificationController.sonifyPointByYValue(currentPoint);
+            this.playNavigationEarcons(this.getPointEarconPosition(currentPoint));
         }
         // For automatic navigation, only announce to screen readers if text mode is active
         if (this.textController && currentPoint && this.textController.displayMode !== 'off') {
@@ -2225,7 +3406,8 @@ export class NavigationController {
      */
     isWireframeMode() {
         const displayMode = document.getElementById('displayMode')?.value;
-        return displayMode === 'surface';
+        // Point clouds are never meshed, so they always use point navigation
+        return displayMode === 'surface' && this.data.hasSurfaceMesh();
     }
 
     /**
@@ -2247,6 +3429,7 @@ export class NavigationController {
             this.currentWireframeRectIndex = 0;
             this.currentWireframeXIndex = 0;
             this.currentWireframeZIndex = 0;
+            this.keepPositionOnFocus = false;
         }
 
         console.log(`[DEBUG] NavigationController: Initialized wireframe navigation with ${this.wireframeRectangles.length} rectangles`);
@@ -2441,6 +3624,45 @@ export class NavigationController {
         }
     }
 
+    /**
+     * Move the wireframe cursor to the rectangle whose center is closest to a data position
+     * @param {number} x - X coordinate in data units
+     * @param {number} z - Z coordinate in data units
+     * @returns {boolean} - True if a rectangle was found
+     */
+    moveWireframeToNearestRectangle(x, z) {
+        if (!this.wireframeGrid || this.wireframeRectangles.length === 0) {
+            return false;
+        }
+
+        // Compare distances in axis-relative units so X and Z weigh equally
+        const range = this.data.getDataRange();
+        const xSpan = (range.x.max - range.x.min) || 1;
+        const zSpan = (range.z.max - range.z.min) || 1;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const rect of this.wireframeRectangles) {
+            const dx = (rect.center.x - x) / xSpan;
+            const dz = (rect.center.z - z) / zSpan;
+            const distance = dx * dx + dz * dz;
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = rect;
+            }
+        }
+
+        const xIndex = this.wireframeGrid.xValues.indexOf(nearest.center.x);
+        const zIndex = this.wireframeGrid.zValues.indexOf(nearest.center.z);
+        if (xIndex === -1 || zIndex === -1) {
+            return false;
+        }
+
+        this.currentWireframeXIndex = xIndex;
+        this.currentWireframeZIndex = zIndex;
+        return this.getCurrentWireframeRectangleFromGrid() !== null;
+    }
+
     /**
      * Update wireframe position and highlighting after grid movement
      */
@@ -2451,6 +3673,8 @@ export class NavigationController {
             this.updateWireframeNavigationInfo();
             this.playWireframeNavigationSound();
         }
+        // A cell without a rectangle is silent apart from the gap earcon
+        this.playNavigationEarcons(this.getWireframeEarconPosition());
     }
 
     /**
@@ -2505,7 +3729,7 @@ export class NavigationController {
             if (currentRect) {
                 AccessibilityLogger.debug('Playing wireframe sound for Y value:', currentRect.avgY);
                 // Use the rectangle's average Y value for sonification
-                this.sonificationController.playDataSonification(currentRect.avgY, 0.3, 150);
+                this.sonificationController.playDataSonification(currentRect.avgY, 0.3, 150, currentRect.center);
             } else {
                 AccessibilityLogger.debug('No current rectangle found for wireframe sound');
             }
@@ -1,10 +1,20 @@
 // Logger will be injected by NavigationController
+import { SonificationMapping } from './SonificationMapping.js';
+import { EarconRegistry } from './EarconRegistry.js';
 
 export class SonificationController {
+    static ROW_VOICES = 32;       // Most tones in a row chord or arpeggio; longer rows are thinned
+    static ROW_DURATION = 1.0;    // Seconds a row chord sounds, and the most an arpeggio takes
+    static REFERENCE_VOLUME = 0.3;  // Reference tones sit well below the navigation tones
+    static EARCON_DELAY = 0.12;     // Seconds between a navigation tone and its first earcon
+    static EARCON_SPACING = 0.11;   // Seconds between earcons that mark the same position
+
     constructor(dataController = null, textController = null) {
         this.audioContext = null;
         this.isEnabled = true; // Sonification enabled by default
         this.boundaryAudioBuffer = null; // For storing the boundary sound WAV file
+        this.mapping = SonificationMapping.loadCurrent(); // Data dimension behind each sound property
+        this.earcons = new EarconRegistry(); // Sounds for peaks, troughs, plateaus, gaps, segment changes and mean crossings
         
         // Dependencies
         this.dataController = dataController;
@@ -23,6 +33,7 @@ export class SonificationController {
         this.highlightController = highlightController;
         this.navigationController = navigationController;
         this.logger = logger;
+        this.earcons.logger = logger;
     }
 
     async initialize() {
@@ -30,6 +41,7 @@ export class SonificationController {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.setupAudioNodes();
             await this.loadBoundarySound(); // Load the boundary sound WAV file
+            await this.earcons.loadSamples(this.audioContext); // Custom earcon samples from earlier sessions
             this.logger?.debug('SonificationController initialized successfully');
         } catch (error) {
             this.logger?.warn('Audio context not available:', error);
@@ -91,7 +103,20 @@ export class SonificationController {
     // Note: Autoplay functionality moved to AutoPlayController.js
 
     /**
-     * Play data sonification based on point's Y value
+     * Use another sonification mapping for navigation tones; it is remembered for the next session
+     * @param {Object} mapping - Mapping as described by SonificationMapping.normalize()
+     * @returns {Object} The normalized mapping now in use
+     */
+    setMapping(mapping) {
+        this.mapping = SonificationMapping.normalize(mapping);
+        SonificationMapping.saveCurrent(this.mapping);
+        this.logger?.debug('Sonification mapping changed:', this.mapping);
+        return this.mapping;
+    }
+
+    /**
+     * Play a point as a tone shaped by the sonification mapping. By default (the Standard preset)
+     * Y sets the pitch (150-400 Hz) and loudness, X the timbre and Z the duration.
      * @param {Object} point - The data point containing x, y, z values
      */
     sonifyPointByYValue(point) {
@@ -103,47 +128,280 @@ export class SonificationController {
             y: { min: 0, max: 3 }, 
             z: { min: 0, max: 10 } 
         };
+        const { frequency, type, duration, volume, pan } = SonificationMapping.toTone(point, dataRange, this.mapping);
+        const now = this.audioContext.currentTime;
         
-        // Primary mapping: Y value to frequency (150-400 Hz range - lower for comfort)
-        const minFreq = 150;
-        const maxFreq = 400;
-        const normalizedY = Math.max(0, Math.min(1, (point.y - dataRange.y.min) / (dataRange.y.max - dataRange.y.min)));
-        const frequency = minFreq + normalizedY * (maxFreq - minFreq);
-        
-        // Secondary mapping: X value affects oscillator type/timbre - using gentler waveforms
-        const normalizedX = Math.max(0, Math.min(1, (point.x - dataRange.x.min) / (dataRange.x.max - dataRange.x.min)));
-        const oscillatorTypes = ['sine', 'triangle']; // Only gentle waveforms - removed harsh sawtooth and square
-        const typeIndex = Math.floor(normalizedX * (oscillatorTypes.length - 0.01)); // Avoid overflow
-        const oscillatorType = oscillatorTypes[typeIndex];
-        
-        // Tertiary mapping: Z value affects duration and volume envelope - gentler settings
-        const normalizedZ = Math.max(0, Math.min(1, (point.z - dataRange.z.min) / (dataRange.z.max - dataRange.z.min)));
-        const duration = 0.15 + normalizedZ * 0.25; // 0.15s to 0.4s duration (shorter for less fatigue)
-        // Much higher minimum volume (0.7) with smaller dynamic range to ensure low values are audible
-        const volume = 0.7 + normalizedY * 0.2;
-        
-        // Create oscillator and gain nodes
+        // Create oscillator, gain and panner nodes
         const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
+        const pannerNode = this.createPositionNode(this.audioContext, point, dataRange, now, pan);
         
         // Configure oscillator
-        oscillator.type = oscillatorType;
-        oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, now);
         
         // Create smooth envelope with variable duration
-        gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-        gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + 0.05);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration);
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(volume, now + 0.05);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + duration);
         
         // Connect audio nodes
         oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        gainNode.connect(pannerNode);
+        pannerNode.connect(this.audioContext.destination);
         
         // Play the sound
         oscillator.start();
-        oscillator.stop(this.audioContext.currentTime + duration);
+        oscillator.stop(now + duration);
         
-        AccessibilityLogger.debug(`Sonified point - Y:${point.y.toFixed(2)} -> freq:${frequency.toFixed(0)}Hz, type:${oscillatorType}, duration:${duration.toFixed(2)}s`);
+        this.logger?.debug(`Sonified point - Y:${point.y.toFixed(2)} -> freq:${frequency.toFixed(0)}Hz, type:${type}, duration:${duration.toFixed(2)}s, pan:${pan.toFixed(2)}`);
+    }
+
+    /**
+     * Node that places a tone: an HRTF panner at the point's 3D position when the mapping positions
+     * tones in space (see SonificationMapping.spatialPosition), otherwise a stereo panner
+     * @param {BaseAudioContext} context - Live or offline audio context
+     * @param {Object} point - { x, y, z } the tone belongs to
+     * @param {Object} dataRange - Result of PlotData.getDataRange()
+     * @param {number} when - Time in the context's seconds from which the position applies
+     * @param {number} pan - Stereo position (-1 left to 1 right) used when spatial audio is off
+     * @returns {AudioNode} Panner to connect between the tone's gain and its destination
+     */
+    createPositionNode(context, point, dataRange, when, pan = 0) {
+        const position = SonificationMapping.spatialPosition(point, dataRange, this.mapping);
+        if (!position) {
+            const stereoPanner = context.createStereoPanner();
+            stereoPanner.pan.setValueAtTime(pan, when);
+            return stereoPanner;
+        }
+
+        const pannerNode = context.createPanner();
+        pannerNode.panningModel = 'HRTF';
+        pannerNode.distanceModel = 'inverse';
+        pannerNode.rolloffFactor = 0; // Loudness stays with the mapping; only the direction changes
+        this.setPannerPosition(pannerNode, position, when, false);
+        return pannerNode;
+    }
+
+    /**
+     * Glide a node from createPositionNode to another point, arriving at the given time
+     * @param {AudioNode} node - Stereo or HRTF panner
+     * @param {Object} point - { x, y, z } to move to
+     * @param {Object} dataRange - Result of PlotData.getDataRange()
+     * @param {number} time - Arrival time in the context's seconds
+     * @param {number} pan - Stereo position used when the node is a stereo panner
+     */
+    rampPosition(node, point, dataRange, time, pan = 0) {
+        if (node.pan) {
+            node.pan.linearRampToValueAtTime(pan, time);
+            return;
+        }
+        const position = SonificationMapping.spatialPosition(point, dataRange, this.mapping);
+        if (position) {
+            this.setPannerPosition(node, position, time, true);
+        }
+    }
+
+    setPannerPosition(pannerNode, position, time, ramp) {
+        if (!pannerNode.positionX) {
+            // Older WebKit has only the immediate setter
+            pannerNode.setPosition(position.x, position.y, position.z);
+            return;
+        }
+        ['x', 'y', 'z'].forEach(axis => {
+            const param = pannerNode[`position${axis.toUpperCase()}`];
+            if (ramp) {
+                param.linearRampToValueAtTime(position[axis], time);
+            } else {
+                param.setValueAtTime(position[axis], time);
+            }
+        });
+    }
+
+    /**
+     * Glide one continuous tone through a sequence of line plot vertices
+     * Pitch follows the sonification mapping as in sonifyPointByYValue; the tone moves with the 3D
+     * position when the mapping has one, and otherwise with the mapping's pan dimension (X when it does not pan)
+     * @param {Array} points - Vertices in the order they are passed ({ x, y, z })
+     * @param {number} segmentDuration - Seconds spent gliding between consecutive vertices
+     * @param {Object} target - { context, destination, time } to schedule into another context, e.g. an
+     *   OfflineAudioContext for audio export (played regardless of the sonification toggle)
+     * @returns {Object|null} { duration, stop } so callers can cut the glide short, or null if nothing plays
+     */
+    glideAlongPath(points, segmentDuration = 0.25, target = null) {
+        const context = target ? target.context : this.audioContext;
+        if (!context || (!target && !this.isEnabled)) return null;
+
+        const vertices = (points || []).filter(Boolean);
+        if (vertices.length === 0) return null;
+
+        const dataRange = this.dataController ? this.dataController.getDataRange() : {
+            x: { min: 0, max: 1 },
+            y: { min: 0, max: 1 },
+            z: { min: 0, max: 1 }
+        };
+        const mapping = this.mapping.pan === 'none' ? { ...this.mapping, pan: 'x' } : this.mapping;
+        const frequencyAt = (point) => SonificationMapping.toTone(point, dataRange, mapping).frequency;
+        const panAt = (point) => SonificationMapping.toTone(point, dataRange, mapping).pan;
+
+        const startTime = target ? target.time : context.currentTime;
+        const glideDuration = Math.max(1, vertices.length - 1) * segmentDuration;
+        const duration = glideDuration + 0.1; // Short release after the last vertex
+        const volume = 0.7;
+
+        const oscillator = context.createOscillator();
+        const gainNode = context.createGain();
+        const pannerNode = this.createPositionNode(context, vertices[0], dataRange, startTime, panAt(vertices[0]));
+
+        // Ramp pitch and position from vertex to vertex instead of restarting the tone
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(frequencyAt(vertices[0]), startTime);
+        vertices.slice(1).forEach((point, i) => {
+            const time = startTime + (i + 1) * segmentDuration;
+            oscillator.frequency.linearRampToValueAtTime(frequencyAt(point), time);
+            this.rampPosition(pannerNode, point, dataRange, time, panAt(point));
+        });
+
+        gainNode.gain.setValueAtTime(0, startTime);
+        gainNode.gain.linearRampToValueAtTime(volume, startTime + 0.03);
+        gainNode.gain.setValueAtTime(volume, startTime + glideDuration);
+        gainNode.gain.linearRampToValueAtTime(0, startTime + duration);
+
+        oscillator.connect(gainNode);
+        gainNode.connect(pannerNode);
+        pannerNode.connect(target ? target.destination : context.destination);
+
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration);
+
+        this.logger?.debug(`Path glide through ${vertices.length} vertices over ${duration.toFixed(2)}s`);
+
+        return {
+            duration,
+            stop: () => {
+                // Fade out quickly to avoid a click
+                const now = context.currentTime;
+                gainNode.gain.cancelScheduledValues(now);
+                gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+                gainNode.gain.linearRampToValueAtTime(0, now + 0.02);
+                oscillator.stop(now + 0.03);
+            }
+        };
+    }
+
+    /**
+     * Play a whole row of points as one sound: all at once as a cluster ('chord') or one after another
+     * in order ('arpeggio'). Each tone keeps its mapped pitch and timbre, and the row is spread from
+     * left to right (or placed in 3D when the mapping positions tones), so its shape is heard in a second.
+     * @param {Array} points - Points ({ x, y, z }) ordered by position along the row
+     * @param {string} style - 'chord' or 'arpeggio'
+     * @returns {number} Number of tones played; rows longer than ROW_VOICES are thinned
+     */
+    playRow(points, style = 'chord') {
+        if (!this.audioContext || !this.isEnabled || points.length === 0) return 0;
+
+        const voices = this.thinRow(points, SonificationController.ROW_VOICES);
+        const dataRange = this.dataController ? this.dataController.getDataRange() : null;
+        const context = this.audioContext;
+        const now = context.currentTime;
+        const arpeggio = style === 'arpeggio';
+        const step = arpeggio ? Math.min(0.12, SonificationController.ROW_DURATION / voices.length) : 0;
+        const duration = arpeggio ? Math.max(0.05, step * 1.5) : SonificationController.ROW_DURATION;
+        // Quieter voices in a cluster, and a compressor, keep a dense chord from clipping
+        const level = arpeggio ? 1 : 1 / Math.sqrt(voices.length);
+        const compressor = context.createDynamicsCompressor();
+        compressor.connect(context.destination);
+
+        voices.forEach((point, i) => {
+            const { frequency, type, volume } = SonificationMapping.toTone(point, dataRange, this.mapping);
+            const when = now + i * step;
+            const pan = voices.length > 1 ? (i / (voices.length - 1)) * 2 - 1 : 0;
+
+            const oscillator = context.createOscillator();
+            const gainNode = context.createGain();
+            const pannerNode = this.createPositionNode(context, point, dataRange, when, pan);
+
+            oscillator.type = type;
+            oscillator.frequency.setValueAtTime(frequency, when);
+            gainNode.gain.setValueAtTime(0, when);
+            gainNode.gain.linearRampToValueAtTime(volume * level, when + Math.min(0.05, duration * 0.2));
+            gainNode.gain.linearRampToValueAtTime(0, when + duration);
+
+            oscillator.connect(gainNode);
+            gainNode.connect(pannerNode);
+            pannerNode.connect(compressor);
+            oscillator.start(when);
+            oscillator.stop(when + duration);
+        });
+
+        this.logger?.debug(`Row ${style} of ${voices.length} tones (${points.length} points)`);
+        return voices.length;
+    }
+
+    /**
+     * Play soft reference tones at fixed data levels, then the current value at full loudness, so its
+     * pitch can be judged against known levels rather than only against the previous point.
+     * Pitches follow the mapping's frequency range, pitch curve and scale.
+     * @param {Array} levels - Values to sound softly, in order (e.g. minimum, mean, maximum)
+     * @param {number|null} current - Value to sound last, or null for the reference tones alone
+     * @param {string} axis - Dimension the values belong to, placed in its data range (default 'y')
+     * @returns {number} Seconds the sequence lasts, 0 if nothing plays
+     */
+    playReferenceTones(levels, current = null, axis = 'y') {
+        if (!this.audioContext || !this.isEnabled) return 0;
+
+        const range = this.dataController ? this.dataController.getDataRange()[axis] : { min: 0, max: 1 };
+        const span = range.max - range.min;
+        const frequencyOf = (value) => SonificationMapping.frequencyFor(
+            span > 0 ? Math.max(0, Math.min(1, (value - range.min) / span)) : 0.5, this.mapping);
+
+        const tones = levels.map(value => ({ value, volume: SonificationController.REFERENCE_VOLUME, pause: 0.1 }));
+        if (current !== null && current !== undefined) {
+            // A longer pause sets the current value apart from the references
+            tones[tones.length - 1].pause = 0.3;
+            tones.push({ value: current, volume: SonificationMapping.LOUDNESS_RANGE.max, pause: 0 });
+        }
+
+        const context = this.audioContext;
+        const start = context.currentTime;
+        const duration = 0.3;
+        let when = start;
+        tones.forEach(({ value, volume, pause }) => {
+            const oscillator = context.createOscillator();
+            const gainNode = context.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(frequencyOf(value), when);
+            gainNode.gain.setValueAtTime(0, when);
+            gainNode.gain.linearRampToValueAtTime(volume, when + 0.03);
+            gainNode.gain.linearRampToValueAtTime(0, when + duration);
+            oscillator.connect(gainNode);
+            gainNode.connect(context.destination);
+            oscillator.start(when);
+            oscillator.stop(when + duration);
+            when += duration + pause;
+        });
+
+        this.logger?.debug(`Reference tones (${axis}) at ${levels.join(', ')}${current !== null ? `, current ${current}` : ''}`);
+        return when - start;
+    }
+
+    /**
+     * Thin a row to at most `count` points, keeping from each stretch of the row the point furthest
+     * from the row's mean, so peaks and dips survive
+     * @param {Array} points - Points ordered along the row
+     * @param {number} count - Most points to keep
+     * @returns {Array} Points in the same order
+     */
+    thinRow(points, count) {
+        if (points.length <= count) return points;
+
+        const mean = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            const stretch = points.slice(Math.floor(i * points.length / count), Math.floor((i + 1) * points.length / count));
+            result.push(stretch.reduce((best, point) => Math.abs(point.y - mean) > Math.abs(best.y - mean) ? point : best));
+        }
+        return result;
     }
 
     /**
@@ -151,8 +409,10 @@ export class SonificationController {
      * @param {number} dataValue - The primary data value to sonify
      * @param {number} duration - Duration of the sound in seconds (optional)
      * @param {number} baseFreq - Base frequency to start from (optional)
+     * @param {Object} point - Where the value lies ({ x, y, z }, e.g. a wireframe rectangle's center),
+     *   used to place the tone when the mapping positions tones in 3D (optional)
      */
-    playDataSonification(dataValue, duration = 0.3, baseFreq = 200) {
+    playDataSonification(dataValue, duration = 0.3, baseFreq = 200, point = null) {
         this.logger?.debug(`playDataSonification called with: dataValue=${dataValue}, duration=${duration}, baseFreq=${baseFreq}`);
         this.logger?.debug('Audio context exists:', !!this.audioContext);
         this.logger?.debug('Sonification enabled:', this.isEnabled);
@@ -179,10 +439,8 @@ export class SonificationController {
             normalizedValue = Math.max(0, Math.min(1, normalizedValue));
         }
         
-        // Map to frequency range (150-400 Hz - lower for comfort)
-        const minFreq = 150;
-        const maxFreq = 400;
-        const frequency = minFreq + normalizedValue * (maxFreq - minFreq);
+        // Rectangles only carry a height, so Y takes the mapping's frequency range and pitch curve
+        const frequency = SonificationMapping.frequencyFor(normalizedValue, this.mapping);
         
         // Even higher minimum volume for surface/wireframe mode to ensure squares are clearly audible
     const minVolume = 0.85;
@@ -219,9 +477,17 @@ export class SonificationController {
             gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + 0.05);
             gainNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + duration);
             
-            // Connect and play
+            // Connect and play; with a point the tone is placed as the mapping places points
             oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            if (point) {
+                const dataRange = this.dataController?.getDataRange();
+                const { pan } = SonificationMapping.toTone(point, dataRange, this.mapping);
+                const pannerNode = this.createPositionNode(this.audioContext, point, dataRange, this.audioContext.currentTime, pan);
+                gainNode.connect(pannerNode);
+                pannerNode.connect(this.audioContext.destination);
+            } else {
+                gainNode.connect(this.audioContext.destination);
+            }
             
             oscillator.start();
             oscillator.stop(this.audioContext.currentTime + duration);
@@ -304,6 +570,35 @@ export class SonificationController {
         oscillator.stop(this.audioContext.currentTime + 0.3);
     }
 
+    /**
+     * Play earcons one after another, after the navigation tone that was just started
+     * @param {Array} names - Earcon names in playing order (see EarconRegistry.detect); disabled ones are left out
+     * @param {Object} target - { context, destination, time } to schedule into another context or at another
+     *   time, e.g. during autoplay or in an OfflineAudioContext for audio export (played regardless of the sonification toggle)
+     * @returns {Array} Names of the earcons played
+     */
+    playEarcons(names, target = null) {
+        const context = target ? target.context : this.audioContext;
+        if (!context || (!target && !this.isEnabled)) return [];
+
+        const destination = target ? target.destination : context.destination;
+        const start = target ? target.time : context.currentTime + SonificationController.EARCON_DELAY;
+        const played = names.filter(name => this.earcons.isActive(name));
+        played.forEach((name, index) => {
+            this.earcons.play(name, context, destination, start + index * SonificationController.EARCON_SPACING);
+        });
+        return played;
+    }
+
+    /**
+     * Play one earcon now, whether or not it is enabled, so it can be tried out in the settings
+     * @param {string} name - Earcon name
+     */
+    previewEarcon(name) {
+        if (!this.audioContext) return;
+        this.earcons.play(name, this.audioContext, this.audioContext.destination, this.audioContext.currentTime);
+    }
+
     // Play a boundary sound using the loaded WAV file
     playBoundarySound() {
         this.logger?.debug('playBoundarySound called - checking conditions...');
@@ -405,6 +700,6 @@ export class SonificationController {
             this.audioContext.close();
         }
         
-        AccessibilityLogger.debug('SonificationController destroyed and cleaned up');
+        this.logger?.debug('SonificationController destroyed and cleaned up');
     }
 }
\ No newline at end of file
@@ -0,0 +1,289 @@
+// SonificationMapping.js - Which data dimension drives each sound property of a navigation tone, how values become pitch and where tones are heard
+// Used by SonificationController to shape tones and by the mapping editor for its presets
+
+export class SonificationMapping {
+    static PROPERTIES = {
+        pitch: 'Pitch',
+        timbre: 'Timbre',
+        duration: 'Duration',
+        loudness: 'Loudness',
+        pan: 'Stereo pan'
+    };
+    static DIMENSIONS = ['x', 'y', 'z', 'none'];
+    static PITCH_CURVES = {
+        linear: 'Linear',
+        log: 'Logarithmic',
+        scale: 'Musical scale'
+    };
+    // Notes of the 'scale' pitch curve, in semitones above the lowest note of the pitch range
+    static SCALES = {
+        chromatic: { name: 'Chromatic', steps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+        major: { name: 'Major', steps: [0, 2, 4, 5, 7, 9, 11] },
+        pentatonic: { name: 'Pentatonic', steps: [0, 2, 4, 7, 9] }
+    };
+    static SPATIAL_MODES = {
+        off: 'Off (stereo pan)',
+        depth: 'Z front to back',
+        elevation: 'Z as elevation'
+    };
+
+    // Ranges the dimensions are mapped onto; a property driven by no dimension takes the middle value
+    static FREQUENCY_LIMITS = { min: 40, max: 4000 };
+    static TIMBRES = ['sine', 'triangle'];  // Gentle waveforms only
+    static DURATION_RANGE = { min: 0.15, max: 0.4 };
+    static LOUDNESS_RANGE = { min: 0.7, max: 0.9 };  // High floor so low values stay audible
+    static AZIMUTH_RANGE = 60;     // Degrees either side of straight ahead for the lowest and highest X; short of
+                                   // 90 so that Z still turns the sound at the far left and right
+    static ELEVATION_RANGE = 45;   // Degrees below and above the horizon for the lowest and highest Z
+
+    static STORAGE_KEYS = {
+        current: 'surfaceplot-sonification-mapping',
+        presets: 'surfaceplot-sonification-presets'
+    };
+
+    static PRESETS = {
+        standard: {
+            name: 'Standard',
+            mapping: { pitch: 'y', timbre: 'x', duration: 'z', loudness: 'y', pan: 'none', spatial: 'off', pitchCurve: 'linear', scale: 'chromatic', minFrequency: 150, maxFrequency: 400 }
+        },
+        lowRange: {
+            name: 'Low range (high-frequency hearing loss)',
+            mapping: { pitch: 'y', timbre: 'none', duration: 'z', loudness: 'none', pan: 'none', spatial: 'off', pitchCurve: 'log', scale: 'chromatic', minFrequency: 80, maxFrequency: 500 }
+        },
+        spatial: {
+            name: 'Spatial (X as left to right)',
+            mapping: { pitch: 'y', timbre: 'none', duration: 'z', loudness: 'y', pan: 'x', spatial: 'off', pitchCurve: 'log', scale: 'chromatic', minFrequency: 150, maxFrequency: 600 }
+        },
+        surround: {
+            name: '3D headphones (X left to right, Z front to back)',
+            mapping: { pitch: 'y', timbre: 'none', duration: 'none', loudness: 'y', pan: 'none', spatial: 'depth', pitchCurve: 'log', scale: 'chromatic', minFrequency: 150, maxFrequency: 600 }
+        },
+        musical: {
+            name: 'Musical (semitones, C3 to C6)',
+            mapping: { pitch: 'y', timbre: 'x', duration: 'z', loudness: 'y', pan: 'x', spatial: 'off', pitchCurve: 'scale', scale: 'chromatic', minFrequency: 130.81, maxFrequency: 1046.5 }
+        },
+        pentatonic: {
+            name: 'Pentatonic (C3 to C6)',
+            mapping: { pitch: 'y', timbre: 'none', duration: 'z', loudness: 'y', pan: 'x', spatial: 'off', pitchCurve: 'scale', scale: 'pentatonic', minFrequency: 130.81, maxFrequency: 1046.5 }
+        }
+    };
+
+    static get DEFAULT() {
+        return { ...SonificationMapping.PRESETS.standard.mapping };
+    }
+
+    /**
+     * Complete and check a mapping, e.g. one read from storage or a project file. Unknown values fall
+     * back to the standard mapping; frequencies are kept within FREQUENCY_LIMITS and in order.
+     * @param {Object} mapping - Partial mapping
+     * @returns {Object} { pitch, timbre, duration, loudness, pan, spatial, pitchCurve, scale, minFrequency, maxFrequency }
+     */
+    static normalize(mapping = {}) {
+        const result = SonificationMapping.DEFAULT;
+        Object.keys(SonificationMapping.PROPERTIES).forEach(property => {
+            if (SonificationMapping.DIMENSIONS.includes(mapping?.[property])) {
+                result[property] = mapping[property];
+            }
+        });
+        if (mapping?.pitchCurve in SonificationMapping.PITCH_CURVES) {
+            result.pitchCurve = mapping.pitchCurve;
+        }
+        if (mapping?.scale in SonificationMapping.SCALES) {
+            result.scale = mapping.scale;
+        }
+        if (mapping?.spatial in SonificationMapping.SPATIAL_MODES) {
+            result.spatial = mapping.spatial;
+        }
+
+        const { min, max } = SonificationMapping.FREQUENCY_LIMITS;
+        const clamp = (value, fallback) => Number.isFinite(Number(value)) ? Math.max(min, Math.min(max, Number(value))) : fallback;
+        const low = clamp(mapping?.minFrequency, result.minFrequency);
+        const high = clamp(mapping?.maxFrequency, result.maxFrequency);
+        result.minFrequency = Math.min(low, high);
+        result.maxFrequency = Math.max(low, high);
+        return result;
+    }
+
+    /**
+     * Frequency for a normalized value along the mapping's pitch curve
+     * @param {number} value - Position in the data range, 0 to 1
+     * @param {Object} mapping - Normalized mapping
+     * @returns {number} Frequency in Hz
+     */
+    static frequencyFor(value, mapping) {
+        const { minFrequency: low, maxFrequency: high, pitchCurve } = mapping;
+        if (pitchCurve === 'linear') {
+            return low + value * (high - low);
+        }
+
+        // Equal ratios for equal steps, as the ear hears pitch
+        const frequency = low * Math.pow(high / low, value);
+        if (pitchCurve !== 'scale') {
+            return frequency;
+        }
+
+        // Round to the nearest equal-tempered note (A4 = 440 Hz) of the scale that lies inside the range;
+        // the scale starts on the lowest semitone of the range
+        const note = (hz) => 69 + 12 * Math.log2(hz / 440);
+        const lowest = Math.ceil(note(low) - 1e-9);
+        const highest = Math.floor(note(high) + 1e-9);
+        const steps = (SonificationMapping.SCALES[mapping.scale] || SonificationMapping.SCALES.chromatic).steps;
+        const target = note(frequency);
+        let nearest = null;
+        for (let semitone = lowest; semitone <= highest; semitone++) {
+            if (steps.includes((semitone - lowest) % 12) &&
+                (nearest === null || Math.abs(semitone - target) < Math.abs(nearest - target))) {
+                nearest = semitone;
+            }
+        }
+        return nearest === null ? frequency : 440 * Math.pow(2, (nearest - 69) / 12);
+    }
+
+    /**
+     * Sound of one point under a mapping
+     * @param {Object} point - { x, y, z }
+     * @param {Object} dataRange - Result of PlotData.getDataRange()
+     * @param {Object} mapping - Normalized mapping
+     * @returns {Object} { frequency, type, duration, volume, pan }
+     */
+    static toTone(point, dataRange, mapping) {
+        // Position of the driving dimension in its range, or the middle for 'none' and flat data
+        const level = (property) => {
+            const axis = mapping[property];
+            const range = dataRange?.[axis];
+            if (axis === 'none' || !range || !(range.max > range.min)) return 0.5;
+            return Math.max(0, Math.min(1, (point[axis] - range.min) / (range.max - range.min)));
+        };
+
+        const timbres = SonificationMapping.TIMBRES;
+        const { DURATION_RANGE: duration, LOUDNESS_RANGE: loudness } = SonificationMapping;
+        return {
+            frequency: SonificationMapping.frequencyFor(level('pitch'), mapping),
+            // With no driving dimension the first (sine) timbre is used rather than the middle
+            type: mapping.timbre === 'none' ? timbres[0] : timbres[Math.min(timbres.length - 1, Math.floor(level('timbre') * timbres.length))],
+            duration: duration.min + level('duration') * (duration.max - duration.min),
+            volume: loudness.min + level('loudness') * (loudness.max - loudness.min),
+            pan: mapping.pan === 'none' ? 0 : level('pan') * 2 - 1
+        };
+    }
+
+    /**
+     * Where a point is heard when the mapping positions tones in 3D: X turns the sound from the far left
+     * to the far right, and Z either carries it from in front over the head to behind ('depth') or from
+     * below to above the horizon ('elevation'). The source stays one unit from the listener, who faces -Z
+     * with +Y up (the Web Audio defaults), so every point has a clear direction.
+     * @param {Object} point - { x, z }
+     * @param {Object} dataRange - Result of PlotData.getDataRange()
+     * @param {Object} mapping - Normalized mapping
+     * @returns {Object|null} { x, y, z } listener-space position, or null when spatial audio is off
+     */
+    static spatialPosition(point, dataRange, mapping) {
+        if (!mapping || mapping.spatial === 'off') return null;
+
+        const level = (axis) => {
+            const range = dataRange?.[axis];
+            if (!range || !(range.max > range.min)) return 0.5;
+            return Math.max(0, Math.min(1, (point[axis] - range.min) / (range.max - range.min)));
+        };
+        const radians = Math.PI / 180;
+        const azimuth = (level('x') * 2 - 1) * SonificationMapping.AZIMUTH_RANGE * radians;
+
+        if (mapping.spatial === 'depth') {
+            // Tilt the direction about the left-right axis: 0 is straight ahead, 180 degrees behind
+            const tilt = level('z') * 180 * radians;
+            return { x: Math.sin(azimuth), y: Math.cos(azimuth) * Math.sin(tilt), z: -Math.cos(azimuth) * Math.cos(tilt) };
+        }
+        const elevation = (level('z') * 2 - 1) * SonificationMapping.ELEVATION_RANGE * radians;
+        return {
+            x: Math.cos(elevation) * Math.sin(azimuth),
+            y: Math.sin(elevation),
+            z: -Math.cos(elevation) * Math.cos(azimuth)
+        };
+    }
+
+    /**
+     * One-line summary of a mapping for announcements, e.g. "Pitch: Intensity, logarithmic 80 to 500 Hz. ..."
+     * @param {Object} mapping - Normalized mapping
+     * @param {Object} labels - { x, y, z } axis names
+     * @returns {string} Description
+     */
+    static describe(mapping, labels = {}) {
+        const name = (axis) => axis === 'none' ? 'fixed' : (labels[axis] || axis.toUpperCase());
+        const curve = mapping.pitchCurve === 'scale'
+            ? `${SonificationMapping.SCALES[mapping.scale].name.toLowerCase()} scale`
+            : SonificationMapping.PITCH_CURVES[mapping.pitchCurve].toLowerCase();
+        const hz = (value) => Number(value.toFixed(value < 200 ? 1 : 0));
+        const spatial = mapping.spatial === 'off' ? '' :
+            ` 3D position: ${name('x')} left to right, ${name('z')} ${mapping.spatial === 'depth' ? 'front to back' : 'low to high'}.`;
+        // A 3D position replaces the stereo pan
+        return `Pitch: ${name(mapping.pitch)}, ${curve} ${hz(mapping.minFrequency)} to ${hz(mapping.maxFrequency)} Hz. ` +
+            ['timbre', 'duration', 'loudness', ...(mapping.spatial === 'off' ? ['pan'] : [])]
+                .map(property => `${SonificationMapping.PROPERTIES[property]}: ${name(mapping[property])}`)
+                .join(', ') + '.' + spatial;
+    }
+
+    /**
+     * Mapping used in the last session
+     * @returns {Object} Normalized mapping (the standard one if none was stored)
+     */
+    static loadCurrent() {
+        return SonificationMapping.normalize(SonificationMapping.readStorage(SonificationMapping.STORAGE_KEYS.current) || {});
+    }
+
+    static saveCurrent(mapping) {
+        SonificationMapping.writeStorage(SonificationMapping.STORAGE_KEYS.current, mapping);
+    }
+
+    /**
+     * Presets the user saved, by name
+     * @returns {Object} { [name]: mapping }
+     */
+    static loadUserPresets() {
+        const stored = SonificationMapping.readStorage(SonificationMapping.STORAGE_KEYS.presets);
+        const presets = {};
+        if (stored && typeof stored === 'object') {
+            Object.entries(stored).forEach(([name, mapping]) => {
+                presets[name] = SonificationMapping.normalize(mapping);
+            });
+        }
+        return presets;
+    }
+
+    /**
+     * Save a mapping under a name, replacing a preset of the same name
+     * @param {string} name - Preset name
+     * @param {Object} mapping - Mapping to save
+     * @returns {Object} All user presets
+     */
+    static saveUserPreset(name, mapping) {
+        const presets = SonificationMapping.loadUserPresets();
+        presets[name] = SonificationMapping.normalize(mapping);
+        SonificationMapping.writeStorage(SonificationMapping.STORAGE_KEYS.presets, presets);
+        return presets;
+    }
+
+    static deleteUserPreset(name) {
+        const presets = SonificationMapping.loadUserPresets();
+        delete presets[name];
+        SonificationMapping.writeStorage(SonificationMapping.STORAGE_KEYS.presets, presets);
+        return presets;
+    }
+
+    // Storage can be unavailable (private browsing, file:// pages); the mapping then lasts for the session
+    static readStorage(key) {
+        try {
+            const text = localStorage.getItem(key);
+            return text ? JSON.parse(text) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    static writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch {
+            // Not persisted
+        }
+    }
+}
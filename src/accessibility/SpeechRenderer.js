@@ -0,0 +1,422 @@
+// SpeechRenderer.js - A small formant speech synthesizer that renders short English phrases, such as autoplay markers, to audio samples
+// Used by AutoPlayController to speak markers in exported audio, since browsers cannot record their own speech synthesis
+
+export class SpeechRenderer {
+    static SAMPLE_RATE = 16000;
+    static FRAME_SECONDS = 0.005;            // Synthesis parameters are set per frame and smoothed between frames
+    static PITCH = { start: 130, end: 95 };  // Voice pitch in Hz, falling over the phrase as in a statement
+    static PEAK = 0.5;                       // Peak level of the rendered speech
+    static RATE = 1.2;                       // Speaking rate relative to the phoneme durations below
+    static PAUSES = { ',': 120, ';': 120, ':': 120, '.': 250, '!': 250, '?': 250 };  // Milliseconds of silence
+
+    // Phonemes (ARPAbet) with formant targets F1-F3 in Hz and duration in ms. Diphthongs glide to `to`;
+    // consonants' formants are where neighbouring vowels bend towards. Noise is { frequency, bandwidth, level }.
+    static PHONEMES = {
+        IY: { kind: 'vowel', formants: [270, 2290, 3010], ms: 120 },
+        IH: { kind: 'vowel', formants: [390, 1990, 2550], ms: 80 },
+        EH: { kind: 'vowel', formants: [530, 1840, 2480], ms: 90 },
+        AE: { kind: 'vowel', formants: [660, 1720, 2410], ms: 120 },
+        AA: { kind: 'vowel', formants: [730, 1090, 2440], ms: 130 },
+        AO: { kind: 'vowel', formants: [570, 840, 2410], ms: 130 },
+        UH: { kind: 'vowel', formants: [440, 1020, 2240], ms: 80 },
+        UW: { kind: 'vowel', formants: [300, 870, 2240], ms: 120 },
+        AH: { kind: 'vowel', formants: [640, 1190, 2390], ms: 70 },
+        ER: { kind: 'vowel', formants: [490, 1350, 1690], ms: 120 },
+        EY: { kind: 'vowel', formants: [480, 1850, 2500], to: [330, 2200, 2800], ms: 150 },
+        AY: { kind: 'vowel', formants: [730, 1090, 2440], to: [330, 2100, 2700], ms: 170 },
+        OW: { kind: 'vowel', formants: [570, 840, 2410], to: [330, 870, 2240], ms: 150 },
+        AW: { kind: 'vowel', formants: [730, 1090, 2440], to: [400, 900, 2240], ms: 170 },
+        OY: { kind: 'vowel', formants: [570, 840, 2410], to: [330, 2100, 2700], ms: 170 },
+        L: { kind: 'sonorant', formants: [360, 1300, 2700], ms: 70 },
+        R: { kind: 'sonorant', formants: [350, 1060, 1380], ms: 70 },
+        W: { kind: 'sonorant', formants: [290, 610, 2150], ms: 60 },
+        Y: { kind: 'sonorant', formants: [260, 2070, 3020], ms: 60 },
+        M: { kind: 'nasal', formants: [280, 1000, 2200], ms: 70 },
+        N: { kind: 'nasal', formants: [280, 1700, 2600], ms: 70 },
+        NG: { kind: 'nasal', formants: [280, 2300, 2750], ms: 80 },
+        S: { kind: 'fricative', formants: [320, 1700, 2600], noise: { frequency: 5500, bandwidth: 2500, level: 0.6 }, ms: 110 },
+        Z: { kind: 'fricative', voiced: true, formants: [320, 1700, 2600], noise: { frequency: 5500, bandwidth: 2500, level: 0.4 }, ms: 90 },
+        SH: { kind: 'fricative', formants: [300, 1840, 2750], noise: { frequency: 2800, bandwidth: 1500, level: 1.6 }, ms: 120 },
+        ZH: { kind: 'fricative', voiced: true, formants: [300, 1840, 2750], noise: { frequency: 2800, bandwidth: 1500, level: 1.0 }, ms: 90 },
+        F: { kind: 'fricative', formants: [340, 1100, 2080], noise: { frequency: 5000, bandwidth: 4000, level: 0.25 }, ms: 100 },
+        V: { kind: 'fricative', voiced: true, formants: [340, 1100, 2080], noise: { frequency: 5000, bandwidth: 4000, level: 0.2 }, ms: 70 },
+        TH: { kind: 'fricative', formants: [320, 1290, 2540], noise: { frequency: 5500, bandwidth: 4000, level: 0.2 }, ms: 100 },
+        DH: { kind: 'fricative', voiced: true, formants: [320, 1290, 2540], noise: { frequency: 5500, bandwidth: 4000, level: 0.15 }, ms: 50 },
+        HH: { kind: 'aspirate', ms: 60 },
+        P: { kind: 'stop', formants: [300, 900, 2100], noise: { frequency: 1500, bandwidth: 2500, level: 0.4 }, ms: 55 },
+        B: { kind: 'stop', voiced: true, formants: [300, 900, 2100], noise: { frequency: 1500, bandwidth: 2500, level: 0.3 }, ms: 45 },
+        T: { kind: 'stop', formants: [300, 1700, 2600], noise: { frequency: 4500, bandwidth: 2500, level: 0.6 }, ms: 50 },
+        D: { kind: 'stop', voiced: true, formants: [300, 1700, 2600], noise: { frequency: 4500, bandwidth: 2500, level: 0.4 }, ms: 45 },
+        K: { kind: 'stop', formants: [300, 1900, 2300], noise: { frequency: 2200, bandwidth: 1200, level: 0.6 }, ms: 60 },
+        G: { kind: 'stop', voiced: true, formants: [300, 1900, 2300], noise: { frequency: 2200, bandwidth: 1200, level: 0.4 }, ms: 45 },
+        CH: { kind: 'affricate', formants: [300, 1840, 2750], noise: { frequency: 2800, bandwidth: 1500, level: 1.6 }, ms: 60 },
+        JH: { kind: 'affricate', voiced: true, formants: [300, 1840, 2750], noise: { frequency: 2800, bandwidth: 1500, level: 1.0 }, ms: 50 }
+    };
+
+    // Words the spelling rules get wrong, and the words numbers and markers are spoken with
+    static LEXICON = {
+        zero: 'Z IH R OW', one: 'W AH N', two: 'T UW', three: 'TH R IY', four: 'F AO R', five: 'F AY V',
+        six: 'S IH K S', seven: 'S EH V AH N', eight: 'EY T', nine: 'N AY N', ten: 'T EH N',
+        eleven: 'IH L EH V AH N', twelve: 'T W EH L V', thirteen: 'TH ER T IY N', fourteen: 'F AO R T IY N',
+        fifteen: 'F IH F T IY N', sixteen: 'S IH K S T IY N', seventeen: 'S EH V AH N T IY N',
+        eighteen: 'EY T IY N', nineteen: 'N AY N T IY N', twenty: 'T W EH N T IY', thirty: 'TH ER T IY',
+        forty: 'F AO R T IY', fifty: 'F IH F T IY', sixty: 'S IH K S T IY', seventy: 'S EH V AH N T IY',
+        eighty: 'EY T IY', ninety: 'N AY N T IY', hundred: 'HH AH N D R AH D', thousand: 'TH AW Z AH N D',
+        million: 'M IH L Y AH N', billion: 'B IH L Y AH N',
+        point: 'P OY N T', minus: 'M AY N AH S', plus: 'P L AH S', percent: 'P ER S EH N T', per: 'P ER',
+        degrees: 'D IH G R IY Z', and: 'AE N D', of: 'AH V', the: 'DH AH', a: 'AH', to: 'T UW', is: 'IH Z',
+        row: 'R OW', segment: 'S EH G M AH N T', time: 'T AY M', position: 'P AH Z IH SH AH N',
+        component: 'K AH M P OW N AH N T', height: 'HH AY T', data: 'D EY T AH', value: 'V AE L Y UW',
+        wavelength: 'W EY V L EH NG TH', intensity: 'IH N T EH N S IH T IY', absorbance: 'AH B Z AO R B AH N S',
+        temperature: 'T EH M P R AH CH ER', frequency: 'F R IY K W AH N S IY', energy: 'EH N ER JH IY',
+        altitude: 'AE L T IH T UW D', north: 'N AO R TH', east: 'IY S T', units: 'Y UW N IH T S', steps: 'S T EH P S',
+        nanometers: 'N AE N OW M IY T ER Z', kilometers: 'K IH L AA M AH T ER Z', meters: 'M IY T ER Z',
+        millimeters: 'M IH L IH M IY T ER Z', centimeters: 'S EH N T IH M IY T ER Z',
+        seconds: 'S EH K AH N D Z', milliseconds: 'M IH L IH S EH K AH N D Z', minutes: 'M IH N AH T S',
+        hours: 'AW ER Z', hertz: 'HH ER T S', kilohertz: 'K IH L AH HH ER T S', megahertz: 'M EH G AH HH ER T S'
+    };
+
+    // Unit abbreviations read as the words they stand for
+    static ABBREVIATIONS = {
+        nm: 'nanometers', km: 'kilometers', mm: 'millimeters', cm: 'centimeters', min: 'minutes',
+        ms: 'milliseconds', hz: 'hertz', khz: 'kilohertz', mhz: 'megahertz'
+    };
+
+    // Letter names, for abbreviations that cannot be sounded out
+    static LETTERS = {
+        a: 'EY', b: 'B IY', c: 'S IY', d: 'D IY', e: 'IY', f: 'EH F', g: 'JH IY', h: 'EY CH', i: 'AY',
+        j: 'JH EY', k: 'K EY', l: 'EH L', m: 'EH M', n: 'EH N', o: 'OW', p: 'P IY', q: 'K Y UW', r: 'AA R',
+        s: 'EH S', t: 'T IY', u: 'Y UW', v: 'V IY', w: 'D AH B AH L Y UW', x: 'EH K S', y: 'W AY', z: 'Z IY'
+    };
+
+    // Spelling rules, tried longest first at each position of a word
+    static SPELLINGS = [
+        ['tion', 'SH AH N'], ['sion', 'ZH AH N'], ['ture', 'CH ER'], ['ough', 'AO'], ['igh', 'AY'], ['tch', 'CH'],
+        ['ing', 'IH NG'], ['ph', 'F'], ['th', 'TH'], ['sh', 'SH'], ['ch', 'CH'], ['ck', 'K'], ['ng', 'NG'],
+        ['qu', 'K W'], ['wh', 'W'], ['gh', ''], ['ee', 'IY'], ['ea', 'IY'], ['oo', 'UW'], ['ou', 'AW'],
+        ['ow', 'OW'], ['ai', 'EY'], ['ay', 'EY'], ['oa', 'OW'], ['oi', 'OY'], ['oy', 'OY'], ['au', 'AO'],
+        ['aw', 'AO'], ['ei', 'EY'], ['ey', 'IY'], ['ie', 'IY'], ['ue', 'UW'], ['ew', 'UW'], ['er', 'ER'],
+        ['ir', 'ER'], ['ur', 'ER'], ['ar', 'AA R'], ['or', 'AO R'],
+        ['a', 'AE'], ['b', 'B'], ['c', 'K'], ['d', 'D'], ['e', 'EH'], ['f', 'F'], ['g', 'G'], ['h', 'HH'],
+        ['i', 'IH'], ['j', 'JH'], ['k', 'K'], ['l', 'L'], ['m', 'M'], ['n', 'N'], ['o', 'AA'], ['p', 'P'],
+        ['q', 'K'], ['r', 'R'], ['s', 'S'], ['t', 'T'], ['u', 'AH'], ['v', 'V'], ['w', 'W'], ['x', 'K S'],
+        ['y', 'IH'], ['z', 'Z']
+    ];
+    static LONG_VOWELS = { a: 'EY', e: 'IY', i: 'AY', o: 'OW', u: 'UW' };
+
+    /**
+     * Render a phrase as speech
+     * @param {string} text - Phrase to speak, e.g. "Row 3 of 12, Time 4.50 min"
+     * @returns {Object} { samples: Float32Array, sampleRate }, empty samples when nothing can be spoken
+     */
+    static render(text) {
+        const frames = SpeechRenderer.toFrames(SpeechRenderer.toPhonemes(text));
+        return { samples: SpeechRenderer.synthesize(frames), sampleRate: SpeechRenderer.SAMPLE_RATE };
+    }
+
+    /**
+     * Phonemes of a phrase. Numbers are read out ("4.50" as "four point five zero"), unit
+     * abbreviations expanded, and words that cannot be sounded out spelled letter by letter.
+     * @param {string} text - Phrase to speak
+     * @returns {Array} Phoneme names, with { pause: ms } for punctuation
+     */
+    static toPhonemes(text) {
+        const symbols = { '%': ' percent ', '°': ' degrees ', '/': ' per ', '+': ' plus ', '&': ' and ' };
+        const words = String(text)
+            .replace(/[%°/+&]/g, symbol => symbols[symbol])
+            .replace(/(^|[^\w.])-(?=\d)/g, '$1 minus ')
+            .replace(/\d+(?:\.\d+)?/g, number => ` ${SpeechRenderer.numberToWords(number)} `)
+            .match(/[A-Za-z']+|[,;:.!?]/g) || [];
+
+        const phonemes = [];
+        words.forEach(word => {
+            if (SpeechRenderer.PAUSES[word]) {
+                phonemes.push({ pause: SpeechRenderer.PAUSES[word] });
+                return;
+            }
+            const lower = word.toLowerCase().replace(/'/g, '');
+            const expanded = SpeechRenderer.ABBREVIATIONS[lower] || lower;
+            let spoken = SpeechRenderer.LEXICON[expanded];
+            if (!spoken) {
+                // Short capitals (AU, NMR) and words without vowels are abbreviations
+                const abbreviation = !/[aeiouy]/.test(lower) || (word.length <= 4 && word === word.toUpperCase() && word.length > 1);
+                spoken = abbreviation || lower.length === 1
+                    ? [...lower].map(letter => SpeechRenderer.LETTERS[letter]).join(' ')
+                    : SpeechRenderer.soundOut(lower);
+            }
+            phonemes.push(...spoken.split(' ').filter(Boolean));
+        });
+        return phonemes;
+    }
+
+    /**
+     * Number as words; the digits after the decimal point are read one by one
+     * @param {string} number - Digits with an optional decimal part, e.g. "4.50"
+     * @returns {string} e.g. "four point five zero"
+     */
+    static numberToWords(number) {
+        const digits = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+        const [whole, fraction] = number.split('.');
+        const value = Number(whole);
+        // Very long numbers are easier to follow digit by digit
+        const wholeWords = value < 1e12 ? SpeechRenderer.integerToWords(value) : [...whole].map(digit => digits[digit]).join(' ');
+        return fraction ? `${wholeWords} point ${[...fraction].map(digit => digits[digit]).join(' ')}` : wholeWords;
+    }
+
+    static integerToWords(value) {
+        const small = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+            'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+        const tens = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+        if (value < 20) return small[value];
+        if (value < 100) return tens[Math.floor(value / 10)] + (value % 10 ? ` ${small[value % 10]}` : '');
+        if (value < 1000) {
+            return `${small[Math.floor(value / 100)]} hundred` + (value % 100 ? ` ${SpeechRenderer.integerToWords(value % 100)}` : '');
+        }
+        for (const [size, name] of [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']]) {
+            if (value >= size) {
+                const rest = value % size;
+                return `${SpeechRenderer.integerToWords(Math.floor(value / size))} ${name}` +
+                    (rest ? ` ${SpeechRenderer.integerToWords(rest)}` : '');
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Sound out a word with English spelling rules: soft c and g before e, i and y, a silent final e
+     * that lengthens the vowel before it, doubled consonants said once and a final s after a voiced
+     * sound said as z
+     * @param {string} word - Lower-case letters
+     * @returns {string} Space-separated phonemes
+     */
+    static soundOut(word) {
+        const vowels = 'aeiou';
+        const phonemes = [];
+        let i = 0;
+
+        // Silent letters at the start
+        if (/^(kn|wr|gn)/.test(word)) i = 1;
+
+        while (i < word.length) {
+            const letter = word[i];
+            const next = word[i + 1];
+
+            // Silent e at the end of a word with another vowel
+            if (letter === 'e' && i === word.length - 1 && i > 1 && /[aeiouy]/.test(word.slice(0, i - 1))) break;
+
+            // Vowel, one consonant and a final e (or es / ed): the vowel says its name
+            if (vowels.includes(letter) && next && !vowels.includes(next) && next !== 'r' && next !== 'w' &&
+                /^e[sd]?$/.test(word.slice(i + 2))) {
+                phonemes.push(SpeechRenderer.LONG_VOWELS[letter], ...SpeechRenderer.soundOut(next).split(' '));
+                // -es and -ed are voiceless after a voiceless consonant (notes, based)
+                const voiceless = 'ptkfs'.includes(next);
+                if (word.endsWith('es')) phonemes.push(voiceless ? 'S' : 'Z');
+                if (word.endsWith('ed')) phonemes.push(voiceless ? 'T' : 'D');
+                break;
+            }
+
+            if ((letter === 'c' || letter === 'g') && next && 'eiy'.includes(next)) {
+                phonemes.push(letter === 'c' ? 'S' : 'JH');
+                i++;
+                continue;
+            }
+            if (letter === 'y') {
+                if (i === 0) phonemes.push('Y');
+                else if (i === word.length - 1) phonemes.push(word.length > 2 ? 'IY' : 'AY');
+                else phonemes.push('IH');
+                i++;
+                continue;
+            }
+            if (letter === 'x' && i === 0) {
+                phonemes.push('Z');
+                i++;
+                continue;
+            }
+            if (letter === 's' && i === word.length - 1 && i > 0 && !'ptkfs'.includes(word[i - 1])) {
+                phonemes.push('Z');
+                i++;
+                continue;
+            }
+            if (letter === next && !vowels.includes(letter)) {
+                i++;
+                continue;
+            }
+
+            const [spelling, sound] = SpeechRenderer.SPELLINGS.find(([candidate]) => word.startsWith(candidate, i)) || [letter, ''];
+            if (sound) phonemes.push(...sound.split(' '));
+            i += spelling.length;
+        }
+        return phonemes.join(' ');
+    }
+
+    /**
+     * Synthesis parameters every FRAME_SECONDS: formants, and the levels of voicing, aspiration and
+     * frication with the frication band. Formants are smoothed so vowels bend towards their consonants.
+     * @param {Array} phonemes - Result of toPhonemes()
+     * @returns {Array} Frames of { formants, voice, aspiration, noise, noiseFrequency, noiseBandwidth }
+     */
+    static toFrames(phonemes) {
+        const frameMs = SpeechRenderer.FRAME_SECONDS * 1000;
+        const frames = [];
+        let formants = [500, 1500, 2500];
+        const add = (ms, settings) => {
+            const count = Math.max(1, Math.round(ms / SpeechRenderer.RATE / frameMs));
+            for (let k = 0; k < count; k++) {
+                const at = count > 1 ? k / (count - 1) : 0;
+                const target = settings.to
+                    ? settings.formants.map((value, index) => value + (settings.to[index] - value) * at)
+                    : settings.formants || formants;
+                frames.push({
+                    formants: target,
+                    voice: settings.voice || 0,
+                    aspiration: settings.aspiration || 0,
+                    noise: settings.noise ? settings.noise.level : 0,
+                    noiseFrequency: settings.noise ? settings.noise.frequency : 3000,
+                    noiseBandwidth: settings.noise ? settings.noise.bandwidth : 2000
+                });
+            }
+            formants = frames[frames.length - 1].formants;
+        };
+
+        phonemes.forEach((name, index) => {
+            if (typeof name === 'object') {
+                add(name.pause, {});
+                return;
+            }
+            const phoneme = SpeechRenderer.PHONEMES[name];
+            if (!phoneme) return;
+            const nextPhoneme = SpeechRenderer.PHONEMES[phonemes[index + 1]];
+
+            switch (phoneme.kind) {
+                case 'vowel':
+                    add(phoneme.ms, { formants: phoneme.formants, to: phoneme.to, voice: 1 });
+                    break;
+                case 'sonorant':
+                    add(phoneme.ms, { formants: phoneme.formants, voice: 0.7 });
+                    break;
+                case 'nasal':
+                    add(phoneme.ms, { formants: phoneme.formants, voice: 0.45 });
+                    break;
+                case 'fricative':
+                    add(phoneme.ms, { formants: phoneme.formants, voice: phoneme.voiced ? 0.35 : 0, noise: phoneme.noise });
+                    break;
+                case 'aspirate':
+                    // H takes the mouth shape of the sound that follows it
+                    add(phoneme.ms, { formants: nextPhoneme?.formants || formants, aspiration: 0.6 });
+                    break;
+                case 'stop':
+                case 'affricate':
+                    // Closure (a low voice bar for voiced stops), release burst, then breath or frication
+                    add(phoneme.ms, { formants: phoneme.formants, voice: phoneme.voiced ? 0.1 : 0 });
+                    if (phoneme.kind === 'affricate') {
+                        add(90, { formants: phoneme.formants, voice: phoneme.voiced ? 0.3 : 0, noise: phoneme.noise });
+                    } else {
+                        add(phoneme.voiced ? 10 : 20, { formants: phoneme.formants, noise: phoneme.noise });
+                        if (!phoneme.voiced && nextPhoneme && nextPhoneme.kind !== 'stop') {
+                            add(40, { formants: nextPhoneme.formants || phoneme.formants, aspiration: 0.4 });
+                        }
+                    }
+                    break;
+            }
+        });
+
+        // Moving average over 35 ms turns the formant steps into transitions
+        const reach = 3;
+        return frames.map((frame, index) => {
+            const window = frames.slice(Math.max(0, index - reach), index + reach + 1);
+            return {
+                ...frame,
+                formants: frame.formants.map((_, f) => window.reduce((sum, other) => sum + other.formants[f], 0) / window.length)
+            };
+        });
+    }
+
+    /**
+     * Two-pole resonator (as in Klatt's synthesizer) with unity gain at 0 Hz
+     * @returns {Object} { tune(frequency, bandwidth), process(sample) }
+     */
+    static createResonator() {
+        const rate = SpeechRenderer.SAMPLE_RATE;
+        let a = 0, b = 0, c = 0, y1 = 0, y2 = 0;
+        return {
+            tune(frequency, bandwidth) {
+                c = -Math.exp(-2 * Math.PI * bandwidth / rate);
+                b = 2 * Math.exp(-Math.PI * bandwidth / rate) * Math.cos(2 * Math.PI * frequency / rate);
+                a = 1 - b - c;
+            },
+            process(sample) {
+                const y = a * sample + b * y1 + c * y2;
+                y2 = y1;
+                y1 = y;
+                return y;
+            }
+        };
+    }
+
+    /**
+     * Turn frames into samples: a glottal pulse train and breath noise through three formant resonators
+     * in cascade, with frication noise through its own band filter alongside
+     * @param {Array} frames - Result of toFrames()
+     * @returns {Float32Array} Samples at SAMPLE_RATE, normalized to PEAK
+     */
+    static synthesize(frames) {
+        const rate = SpeechRenderer.SAMPLE_RATE;
+        const perFrame = Math.round(rate * SpeechRenderer.FRAME_SECONDS);
+        const samples = new Float32Array(frames.length * perFrame);
+        if (frames.length === 0) return samples;
+
+        const bandwidths = [60, 90, 150];
+        const formantFilters = bandwidths.map(() => SpeechRenderer.createResonator());
+        const noiseFilter = SpeechRenderer.createResonator();
+        const { start: startPitch, end: endPitch } = SpeechRenderer.PITCH;
+
+        // A fixed-seed generator keeps renders of the same text identical
+        let seed = 22222;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            return seed / 0x3fffffff - 1;
+        };
+
+        let phase = 0;
+        let lastPulse = 0;
+        let peak = 0;
+        frames.forEach((frame, index) => {
+            const next = frames[index + 1] || frame;
+            frame.formants.forEach((frequency, f) => formantFilters[f].tune(frequency, bandwidths[f]));
+            noiseFilter.tune(frame.noiseFrequency, frame.noiseBandwidth);
+
+            for (let k = 0; k < perFrame; k++) {
+                // Levels glide from this frame to the next so nothing clicks
+                const at = k / perFrame;
+                const voice = frame.voice + (next.voice - frame.voice) * at;
+                const aspiration = frame.aspiration + (next.aspiration - frame.aspiration) * at;
+                const noise = frame.noise + (next.noise - frame.noise) * at;
+
+                const position = index * perFrame + k;
+                const pitch = startPitch + (endPitch - startPitch) * position / samples.length;
+                phase = (phase + pitch / rate) % 1;
+                // Rosenberg glottal pulse; its slope stands for the flow radiated from the lips
+                const pulse = phase < 0.4 ? 0.5 * (1 - Math.cos(Math.PI * phase / 0.4))
+                    : phase < 0.56 ? Math.cos(Math.PI * (phase - 0.4) / 0.32) : 0;
+                const source = (pulse - lastPulse) * rate / (4 * pitch);
+                lastPulse = pulse;
+
+                let sample = voice * source + aspiration * 0.3 * random();
+                formantFilters.forEach(filter => { sample = filter.process(sample); });
+                sample += noise * noiseFilter.process(random());
+
+                samples[position] = sample;
+                peak = Math.max(peak, Math.abs(sample));
+            }
+        });
+
+        // Normalize, with 10 ms fades at the ends
+        const fade = Math.round(rate * 0.01);
+        const scale = peak > 0 ? SpeechRenderer.PEAK / peak : 0;
+        for (let i = 0; i < samples.length; i++) {
+            const edge = Math.min(1, i / fade, (samples.length - 1 - i) / fade);
+            samples[i] *= scale * edge;
+        }
+        return samples;
+    }
+}
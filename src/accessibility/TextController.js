@@ -248,6 +248,18 @@ export class TextController {
             return;
         }
 
+        // Point clouds (scatter plots) have no segments - show nearest-neighbour navigation info
+        if (navigationController.scaledPoints) {
+            this.updateNearestNeighborNavigationInfo(navigationController);
+            return;
+        }
+
+        // Line plots are followed in path order - show path navigation info
+        if (navigationController.pathNavigation) {
+            this.updatePathNavigationInfo(navigationController);
+            return;
+        }
+
         // Point mode navigation - support Y, Z, and X axis navigation
         const navigationAxis = navigationController.navigationAxis;
         const isYNavigation = navigationAxis === 'y';
@@ -345,6 +357,14 @@ export class TextController {
                 <p><strong>P:</strong> Toggle autoplay data overview (currently ${navigationController.autoPlayController?.autoplayActive ? 'ACTIVE' : 'OFF'})</p>
                 <p><strong>T:</strong> Cycle text display modes (currently: ${this.displayMode})</p>
                 <p><strong>V:</strong> Toggle review mode - automatically switches focus between plot and text field</p>
+                <p><strong>K:</strong> Find peaks${this.getPeakCountSuffix()}</p>
+                <p><strong>[ ]:</strong> Jump to previous/next peak</p>
+                <p><strong>O / Shift+O:</strong> Play the current row as a chord / arpeggio</p>
+                <p><strong>L:</strong> Reference tones at the minimum, mean and maximum, then the current value</p>
+                <p><strong>B / Shift+B:</strong> Correct baseline / compare with original${this.getBaselineStateSuffix()}</p>
+                <p><strong>D / Shift+D:</strong> Deconvolve along Z / next component dataset${this.getDeconvolutionStateSuffix()}</p>
+                ${this.getSeriesKeyHelp()}
+                ${this.getZoomKeyHelp()}
                 <p><strong>Enter:</strong> Read current point values</p>
             </div>
         `;
@@ -376,13 +396,15 @@ export class TextController {
         const yUnit = this.data?.yUnit || '';
         const zUnit = this.data?.zUnit || '';
 
+        const series = this.getSeriesPrefix();
+
         switch(this.displayMode) {
             case 'verbose':
-                return `${xLabel}: ${point.x.toFixed(1)} ${xUnit}, ` +
+                return `${series}${xLabel}: ${point.x.toFixed(1)} ${xUnit}, ` +
                        `${zLabel}: ${point.z.toFixed(2)} ${zUnit}, ` +
                        `${yLabel}: ${point.y.toFixed(3)} ${yUnit}`;
             case 'terse':
-                return `X axis: ${point.x.toFixed(1)} ${xUnit}, ` +
+                return `${series}X axis: ${point.x.toFixed(1)} ${xUnit}, ` +
                        `Y axis: ${point.y.toFixed(3)} ${yUnit}, ` +
                        `Z axis: ${point.z.toFixed(2)} ${zUnit}`;
             case 'superTerse':
@@ -413,6 +435,534 @@ export class TextController {
         }
     }
 
+    /**
+     * === PEAK ANNOUNCEMENT METHODS ===
+     * Methods for describing detected peaks
+     */
+
+    // Short suffix for the key help showing how many peaks are currently detected
+    getPeakCountSuffix() {
+        const count = this.data?.peaks?.length || 0;
+        return count > 0 ? ` (currently ${count} found)` : '';
+    }
+
+    // Short suffix for the key help showing whether baseline-corrected data is displayed
+    getBaselineStateSuffix() {
+        const state = this.data?.baselineCorrection;
+        if (!state) return '';
+        return state.active ? ' (currently corrected)' : ' (currently original)';
+    }
+
+    getDeconvolutionStateSuffix() {
+        const state = this.data?.deconvolution;
+        if (!state) return '';
+        return state.activeComponent === -1
+            ? ` (${state.components.length} components, showing fitted data)`
+            : ` (showing component ${state.activeComponent + 1} of ${state.components.length})`;
+    }
+
+    /**
+     * Get the announcement message for a peak in the current text mode
+     * @param {Object} peak - Peak from PlotData.findPeaks
+     * @param {number} position - Zero-based position of the peak in the peak list
+     * @param {number} total - Total number of detected peaks
+     * @returns {string|null} Message or null when text mode is off
+     */
+    getPeakMessage(peak, position, total) {
+        if (!peak || this.displayMode === 'off') return null;
+
+        const xLabel = this.data?.xLabel || 'X';
+        const yLabel = this.data?.yLabel || 'Y';
+        const zLabel = this.data?.zLabel || 'Z';
+        const xUnit = this.data?.xUnit || '';
+        const yUnit = this.data?.yUnit || '';
+        const zUnit = this.data?.zUnit || '';
+
+        switch(this.displayMode) {
+            case 'verbose':
+                return `Peak ${position + 1} of ${total}. ` +
+                       `${xLabel}: ${peak.x.toFixed(1)} ${xUnit}, ` +
+                       `${zLabel}: ${peak.z.toFixed(2)} ${zUnit}, ` +
+                       `${yLabel}: ${peak.y.toFixed(3)} ${yUnit}. ` +
+                       `Prominence ${peak.prominence.toFixed(3)}, ` +
+                       `width ${peak.width.toFixed(1)} ${xUnit}, ` +
+                       `area ${peak.area.toFixed(3)}`;
+            case 'terse':
+                return `Peak ${position + 1} of ${total}: ` +
+                       `X axis: ${peak.x.toFixed(1)} ${xUnit}, ` +
+                       `Y axis: ${peak.y.toFixed(3)} ${yUnit}, ` +
+                       `Z axis: ${peak.z.toFixed(2)} ${zUnit}, ` +
+                       `width ${peak.width.toFixed(1)}, area ${peak.area.toFixed(3)}`;
+            case 'superTerse':
+                return `Peak ${position + 1}: ` +
+                       `${peak.x.toFixed(1)} ${xUnit}, ` +
+                       `${peak.y.toFixed(3)} ${yUnit}, ` +
+                       `${peak.z.toFixed(2)} ${zUnit}`;
+            default:
+                return null;
+        }
+    }
+
+    // Announce a peak to screen reader and built-in TTS using the exact same format
+    announcePeak(peak, position, total) {
+        const message = this.getPeakMessage(peak, position, total);
+        if (message) {
+            this.announceToScreenReader(message, true);
+            this.speak(message, true);
+        }
+    }
+
+    // Announce the result of a peak search (always spoken since the user requested it explicitly)
+    announcePeakSummary(peaks) {
+        const xUnit = this.data?.xUnit || '';
+        let message;
+
+        if (!peaks || peaks.length === 0) {
+            message = 'No peaks found. Try lowering the peak prominence or noise threshold.';
+        } else {
+            const strongest = peaks[0];
+            const noun = peaks.length === 1 ? 'peak' : 'peaks';
+            message = `Found ${peaks.length} ${noun}. Strongest at ${strongest.x.toFixed(1)} ${xUnit}. ` +
+                      'Press right bracket to jump to the next peak.';
+        }
+
+        this.announceToScreenReader(message, true);
+        this.speak(message);
+    }
+
+    /**
+     * Announce the row played as a chord or arpeggio (always spoken since the user requested it explicitly)
+     * @param {Object|null} row - NavigationController.getCurrentRow(), or null where there is no row
+     * @param {string} style - 'chord' or 'arpeggio'
+     * @param {number} played - Number of tones played
+     */
+    announceRowChord(row, style, played) {
+        let message;
+
+        if (!row) {
+            message = 'No row here. Row chords need points that share X or Z values, so they are not available for scatter and line plots.';
+        } else {
+            const [shared, along] = row.axis === 'z' ? ['z', 'x'] : ['x', 'z'];
+            const label = (axis) => this.data?.[`${axis}Label`] || axis.toUpperCase();
+            const unit = (axis) => this.data?.[`${axis}Unit`] ? ` ${this.data[`${axis}Unit`]}` : '';
+            const first = row.points[0][along];
+            const last = row.points[row.points.length - 1][along];
+            const count = played < row.points.length ? `${played} of ${row.points.length} points` : `${row.points.length} points`;
+            message = `${style === 'arpeggio' ? 'Arpeggio' : 'Chord'} of the row at ${label(shared)} ${row.value.toFixed(2)}${unit(shared)}: ` +
+                      `${count}, ${label(along)} ${first.toFixed(1)} to ${last.toFixed(1)}${unit(along)} from left to right.`;
+        }
+
+        this.announceToScreenReader(message, true);
+        this.speak(message);
+    }
+
+    /**
+     * Announce the reference levels just played (always spoken since the user requested them explicitly)
+     * @param {Object} levels - { min, mean, max } of the dimension that drives the pitch
+     * @param {number|null} current - Value of that dimension at the cursor, if any
+     * @param {boolean} played - Whether the tones sounded (sonification is on)
+     * @param {string} axis - The dimension, 'x', 'y' or 'z' (default 'y')
+     */
+    announceReferenceTones(levels, current, played, axis = 'y') {
+        const label = this.data?.[`${axis}Label`] || axis.toUpperCase();
+        const unit = this.data?.[`${axis}Unit`] ? ` ${this.data[`${axis}Unit`]}` : '';
+        let message = `${label} reference: minimum ${levels.min.toFixed(3)}, mean ${levels.mean.toFixed(3)}, maximum ${levels.max.toFixed(3)}${unit}.`;
+
+        if (current !== null) {
+            const span = levels.max - levels.min;
+            const percent = span > 0 ? Math.round((current - levels.min) / span * 100) : 50;
+            message += ` Current ${current.toFixed(3)}${unit}, ${percent} percent of the way from minimum to maximum, ` +
+                       `${current >= levels.mean ? 'above' : 'below'} the mean.`;
+        }
+        if (!played) {
+            message += ' Sonification is off; press S to hear the tones.';
+        }
+
+        this.announceToScreenReader(message, true);
+        this.speak(message);
+    }
+
+    /**
+     * Announce that reference tones have nothing to place the pitch against, because the sound
+     * mapping drives the pitch with no dimension (always spoken since the user requested them)
+     */
+    announceReferenceTonesUnavailable() {
+        const message = 'Reference tones are not available: no dimension is mapped to pitch. ' +
+                        'Choose a pitch dimension in the Sound Mapping panel.';
+        this.announceToScreenReader(message, true);
+        this.speak(message);
+    }
+
+    /**
+     * Announce a baseline correction change (always spoken since the user requested it explicitly)
+     * @param {string} action - 'apply', 'toggle', 'undo', or 'none' when there was nothing to change
+     * @param {Object|null} state - PlotData.baselineCorrection after the change
+     */
+    announceBaselineChange(action, state) {
+        let message;
+
+        if (action === 'none' || (action !== 'undo' && !state)) {
+            message = 'No baseline correction applied. Press B to correct the baseline.';
+        } else if (action === 'undo') {
+            message = 'Baseline correction removed. Showing original data.';
+        } else if (action === 'toggle') {
+            message = state.active
+                ? `Showing baseline-corrected data (${state.methodName}).`
+                : 'Showing original data. Press Shift+B to return to the corrected data.';
+        } else {
+            const sliceLabel = state.sliceAxis === 'z' ? (this.data?.zLabel || 'Z') : (this.data?.xLabel || 'X');
+            message = `Baseline corrected using ${state.methodName}, one baseline per ${sliceLabel} slice. ` +
+                      'Press Shift+B to compare with the original data.';
+        }
+
+        this.announceToScreenReader(message, true);
+        this.speak(message);
+    }
+
+    /**
+     * Announce the result of running a deconvolution or switching its dataset
+     * @param {string} action - 'run', 'select', 'next', 'previous', 'clear' or 'none' (nothing to switch)
+     * @param {Object|null} state - PlotData.deconvolution
+     */
+    announceDeconvolutionChange(action, state) {
+        const zLabel = this.data?.zLabel || 'Z';
+        const zUnit = this.data?.zUnit ? ` ${this.data.zUnit}` : '';
+        let message;
+
+        if (action === 'clear') {
+            message = 'Deconvolution removed. Showing original data.';
+        } else if (action === 'none' || !state) {
+            message = `No deconvolution available. Press D to deconvolve along ${zLabel}.`;
+        } else if (action === 'run') {
+            const centers = state.components
+                .map((component, index) => `component ${index + 1} at ${component.center.toFixed(2)}${zUnit}`)
+                .join(', ');
+            message = `Found ${state.components.length} ${state.shapeName} components along ${zLabel}: ${centers}. ` +
+                      `Fit explains ${(state.rSquared * 100).toFixed(1)} percent of the data. ` +
+                      'Press Shift+D to step through the components.';
+        } else if (state.activeComponent === -1) {
+            message = 'Showing fitted data.';
+        } else {
+            const component = state.components[state.activeComponent];
+            message = `Showing component ${state.activeComponent + 1} of ${state.components.length}, ` +
+                      `${zLabel} center ${component.center.toFixed(2)}${zUnit}, ` +
+                      `${Math.round(component.contribution * 100)} percent of the signal.`;
+        }
+
+        this.announceToScreenReader(message, true);
+        this.speak(message);
+    }
+
+    /**
+     * === SERIES ANNOUNCEMENT METHODS ===
+     * Methods for naming the series shown when a file holds several
+     */
+
+    // Series name spoken before point values, empty unless several series were loaded
+    getSeriesPrefix() {
+        if ((this.data?.series?.length || 0) < 2) return '';
+        return `${this.data.currentSample}, `;
+    }
+
+    // Key help line for switching and comparing series, empty unless several series were loaded
+    getSeriesKeyHelp() {
+        const { series = [], currentSeriesIndex = -1, seriesComparison = null } = this.data || {};
+        if (series.length < 2) return '';
+
+        const state = seriesComparison
+            ? `currently ${seriesComparison.baseName} minus ${seriesComparison.otherName}`
+            : `currently ${currentSeriesIndex + 1} of ${series.length}, ${series[currentSeriesIndex].name}`;
+        return `<p><strong>E / Shift+E:</strong> Next/previous series (${state})</p>
+                <p><strong>G:</strong> Toggle difference with another series</p>`;
+    }
+
+    // Key help line for zooming, empty unless the data is decimated or already zoomed
+    getZoomKeyHelp() {
+        const lod = this.data?.getLevelOfDetail?.();
+        if (!lod || (!lod.decimated && !lod.region)) return '';
+
+        const state = lod.region
+            ? `zoom level ${this.data.zoomRegions.length}`
+            : `showing ${lod.indices.length} of ${lod.total} points`;
+        return `<p><strong>+ / -:</strong> Zoom into the region around the cursor at full resolution / zoom out (${state})</p>`;
+    }
+
+    /**
+     * Announce the region and resolution shown after zooming in or out
+     * @param {string} action - 'in', 'out', or 'none' when there was nothing to zoom out of
+     * @param {PlotData} data - Plot data holding the zoom regions
+     */
+    announceZoomChange(action, data) {
+        const lod = data.getLevelOfDetail();
+        let message;
+
+        if (lod.region) {
+            const { xMin, xMax, zMin, zMax } = lod.region;
+            const resolution = lod.navigationDecimated
+                ? `, reduced to ${lod.navigationIndices.length} that keep every local high and low. Press plus to zoom further.`
+                : ' at full resolution.';
+            message = `Zoomed ${action === 'out' ? 'out' : 'in'} to ${data.xLabel || 'X'} ${xMin.toFixed(2)} to ${xMax.toFixed(2)}, ` +
+                      `${data.zLabel || 'Z'} ${zMin.toFixed(2)} to ${zMax.toFixed(2)}: ${lod.regionTotal} points${resolution} ` +
+                      `Zoom level ${data.zoomRegions.length}, press minus to zoom out.`;
+        } else {
+            const prefix = action === 'none' ? 'Already showing' : 'Showing';
+            const resolution = lod.decimated
+                ? `, reduced to ${lod.indices.length} that keep every local high and low. Press plus to zoom into the region around the cursor.`
+                : '.';
+            message = `${prefix} the whole dataset, ${lod.total} points${resolution}`;
+        }
+
+        this.announceToScreenReader(message, true);
+        this.speak(message);
+    }
+
+    /**
+     * Announce which series is shown after the series or comparison changed
+     * @param {string} action - 'select', 'next', 'previous', 'compare', 'clear', or 'none' when there was nothing to change
+     * @param {PlotData} data - Plot data holding the series
+     */
+    announceSeriesChange(action, data) {
+        const { series = [], currentSeriesIndex = -1, seriesComparison = null } = data || {};
+        let message;
+
+        if (action === 'none' || series.length === 0) {
+            message = 'This data has only one series. Load a CSV file with a Sample or Series column to switch between series.';
+        } else if (action === 'compare' && seriesComparison) {
+            const yLabel = data.yLabel || 'Y';
+            const dropped = seriesComparison.dropped > 0
+                ? ` ${seriesComparison.dropped} points without a partner at the same position were left out.`
+                : '';
+            message = `Showing ${yLabel} of ${seriesComparison.baseName} minus ${seriesComparison.otherName}, ` +
+                      `${seriesComparison.matched} points.${dropped} Press G to return to ${seriesComparison.baseName}.`;
+        } else {
+            const current = series[currentSeriesIndex];
+            const prefix = action === 'clear' ? 'Difference removed. ' : '';
+            message = `${prefix}Series ${currentSeriesIndex + 1} of ${series.length}: ${current.name}, ${current.xValues.length} points.`;
+        }
+
+        this.announceToScreenReader(message, true);
+        this.speak(message);
+    }
+
+    /**
+     * === NEAREST-NEIGHBOUR NAVIGATION METHODS ===
+     * Methods for describing navigation through irregular point clouds
+     */
+
+    /**
+     * Update navigation info for nearest-neighbour (scatter plot) navigation
+     * @param {Object} navigationController - The navigation controller instance
+     */
+    updateNearestNeighborNavigationInfo(navigationController) {
+        const infoElement = document.getElementById('navigationInfo');
+        if (!infoElement) {
+            this.logger?.error('Navigation info element not found');
+            return;
+        }
+
+        const point = navigationController.getCurrentPoint();
+        const totalPoints = this.data?.xValues?.length || 0;
+        const neighbors = navigationController.currentNeighbors || {};
+        const xLabel = this.data?.xLabel || 'X';
+        const yLabel = this.data?.yLabel || 'Y';
+        const zLabel = this.data?.zLabel || 'Z';
+
+        let pointInfo = '';
+        if (this.displayMode !== 'off' && point) {
+            const pointMessage = this.getPointMessage(point);
+            if (pointMessage) {
+                pointInfo = `<p><strong>Current Point:</strong> ${pointMessage}</p>`;
+            }
+        }
+
+        // List the directions that lead somewhere from the current point
+        const directionNames = {
+            xForward: `→ higher ${xLabel}`,
+            xBackward: `← lower ${xLabel}`,
+            zForward: `↑ higher ${zLabel}`,
+            zBackward: `↓ lower ${zLabel}`,
+            yForward: `Ctrl+Shift+↑ higher ${yLabel}`,
+            yBackward: `Ctrl+Shift+↓ lower ${yLabel}`
+        };
+        const available = Object.keys(directionNames).filter(key => neighbors[key] !== undefined && neighbors[key] !== -1);
+        const neighborText = available.length > 0
+            ? available.map(key => directionNames[key]).join(', ')
+            : 'none';
+
+        let navInfoContent = infoElement.querySelector('#navInfoContent');
+        if (!navInfoContent) {
+            navInfoContent = document.createElement('div');
+            navInfoContent.id = 'navInfoContent';
+            infoElement.appendChild(navInfoContent);
+        }
+
+        navInfoContent.innerHTML = `
+            <p><strong>Nearest-Neighbour Navigation Active</strong></p>
+            <p>Point ${navigationController.currentPointIndex + 1} of ${totalPoints}</p>
+            <p>Neighbours: ${neighborText}</p>
+            <p style="font-size: 0.9em; color: #aaa; margin-top: 5px;">Scatter points do not lie on a grid. Each arrow key moves to the closest point in that direction (within 60 degrees).</p>
+            ${pointInfo}
+            <div style="margin-top: 10px; padding: 8px; background-color: rgba(52, 73, 94, 0.3); border-radius: 4px;">
+                <p><strong>Available Keys:</strong></p>
+                <p><strong>← →:</strong> Nearest point with lower/higher ${xLabel}</p>
+                <p><strong>↑ ↓:</strong> Nearest point with higher/lower ${zLabel}</p>
+                <p><strong>Ctrl+Shift+↑↓:</strong> Nearest point with higher/lower ${yLabel}</p>
+                <p><strong>X/Y/Z:</strong> Announce axis labels</p>
+                <p><strong>S:</strong> Toggle sonification audio (currently ${navigationController.sonificationController?.isEnabled ? 'ON' : 'OFF'})</p>
+                <p><strong>P:</strong> Toggle autoplay data overview (currently ${navigationController.autoPlayController?.autoplayActive ? 'ACTIVE' : 'OFF'})</p>
+                <p><strong>T:</strong> Cycle text display modes (currently: ${this.displayMode})</p>
+                <p><strong>V:</strong> Toggle review mode - automatically switches focus between plot and text field</p>
+                <p><strong>K:</strong> Find peaks${this.getPeakCountSuffix()}</p>
+                <p><strong>[ ]:</strong> Jump to previous/next peak</p>
+                <p><strong>L:</strong> Reference tones at the minimum, mean and maximum, then the current value</p>
+                ${this.getSeriesKeyHelp()}
+                ${this.getZoomKeyHelp()}
+                <p><strong>Enter:</strong> Read current point values</p>
+            </div>
+        `;
+
+        // If display mode is active, ensure the slider is shown
+        if (this.displayMode !== 'off') {
+            this.showSpeechRateControl();
+        }
+        if (this.uiController) {
+            this.uiController.setupTTSToggle();
+        }
+
+        // Update review mode text if currently active
+        this.updateReviewModeText();
+    }
+
+    /**
+     * === PATH NAVIGATION METHODS ===
+     * Methods for describing steps along a line plot
+     */
+
+    /**
+     * Get the announcement message for a step along a path in the current text mode
+     * @param {Object} step - Step from NavigationController.describePathStep
+     * @returns {string|null} Message or null when text mode is off
+     */
+    getPathStepMessage(step) {
+        if (!step || this.displayMode === 'off') return null;
+
+        const position = `Vertex ${step.vertex} of ${step.total}`;
+        const segment = step.segment;
+        if (!segment) return `${position}.`;
+        if (segment.scaledLength === 0) return `${position}, no movement.`;
+
+        // An axis counts towards the heading when it carries at least 30% of the scaled segment
+        const share = (axis) => segment.scaled[axis] / segment.scaledLength;
+        const vertical = share('y') >= 0.3 ? 'rising' : share('y') <= -0.3 ? 'falling' : 'level';
+        const heading = [];
+        [['x', this.data?.xLabel || 'X'], ['z', this.data?.zLabel || 'Z']].forEach(([axis, label]) => {
+            if (Math.abs(share(axis)) >= 0.3) {
+                heading.push(`${label} ${share(axis) > 0 ? 'increasing' : 'decreasing'}`);
+            }
+        });
+        heading.push(vertical);
+
+        let lengthChange = null;
+        if (step.lengthChange !== null) {
+            const percent = Math.round(Math.abs(step.lengthChange - 1) * 100);
+            lengthChange = step.lengthChange > 1.1 ? `${percent}% longer`
+                : step.lengthChange < 0.9 ? `${percent}% shorter`
+                : 'same length';
+        }
+        let turn = null;
+        if (step.turnAngle !== null) {
+            turn = step.turnAngle < 10 ? 'straight on' : `turned ${Math.round(step.turnAngle)} degrees`;
+        }
+
+        // Lengths are only given a unit when all three axes share it
+        const units = [this.data?.xUnit, this.data?.yUnit, this.data?.zUnit];
+        const unit = units[0] && units.every(u => u === units[0]) ? ` ${units[0]}` : '';
+        const changes = [lengthChange, turn].filter(Boolean);
+
+        switch(this.displayMode) {
+            case 'verbose':
+                return `${position}. Heading ${heading.join(', ')}. ` +
+                       `Segment length ${segment.length.toFixed(2)}${unit}` +
+                       `${changes.length > 0 ? `, ${changes.join(', ')}` : ''}.`;
+            case 'terse':
+                return `${position}, ${vertical}${changes.length > 0 ? `, ${changes.join(', ')}` : ''}.`;
+            case 'superTerse':
+                return `${step.vertex} of ${step.total}, ${vertical}${turn ? `, ${turn}` : ''}.`;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Show path navigation state for line plots
+     * @param {NavigationController} navigationController - Navigation state to describe
+     */
+    updatePathNavigationInfo(navigationController) {
+        const infoElement = document.getElementById('navigationInfo');
+        if (!infoElement) {
+            this.logger?.error('Navigation info element not found');
+            return;
+        }
+
+        const point = navigationController.getCurrentPoint();
+        const index = navigationController.currentPointIndex;
+        const totalVertices = this.data?.xValues?.length || 0;
+
+        let pointInfo = '';
+        if (this.displayMode !== 'off' && point) {
+            const pointMessage = this.getPointMessage(point);
+            if (pointMessage) {
+                pointInfo = `<p><strong>Current Point:</strong> ${pointMessage}</p>`;
+            }
+        }
+
+        const incoming = navigationController.getPathSegment(index - 1, index);
+        const outgoing = navigationController.getPathSegment(index, index + 1);
+        const segmentText = (segment, end) => segment ? segment.length.toFixed(3) : end;
+
+        let navInfoContent = infoElement.querySelector('#navInfoContent');
+        if (!navInfoContent) {
+            navInfoContent = document.createElement('div');
+            navInfoContent.id = 'navInfoContent';
+            infoElement.appendChild(navInfoContent);
+        }
+
+        navInfoContent.innerHTML = `
+            <p><strong>Path Navigation Active</strong></p>
+            <p>Vertex ${index + 1} of ${totalVertices}</p>
+            <p>Segment length from previous vertex: ${segmentText(incoming, 'start of path')}</p>
+            <p>Segment length to next vertex: ${segmentText(outgoing, 'end of path')}</p>
+            <p style="font-size: 0.9em; color: #aaa; margin-top: 5px;">Line plots are followed in data order. Each step reports the heading of the segment travelled, whether it is longer or shorter than the one before, and how sharply the path turned.</p>
+            ${pointInfo}
+            <div style="margin-top: 10px; padding: 8px; background-color: rgba(52, 73, 94, 0.3); border-radius: 4px;">
+                <p><strong>Available Keys:</strong></p>
+                <p><strong>← →:</strong> Previous/next vertex along the path</p>
+                <p><strong>↑ ↓:</strong> Jump ${navigationController.constructor.PATH_JUMP_SIZE} vertices forward/back</p>
+                <p><strong>Home / End:</strong> Start/end of the path</p>
+                <p><strong>X/Y/Z:</strong> Announce axis labels</p>
+                <p><strong>S:</strong> Toggle sonification audio (currently ${navigationController.sonificationController?.isEnabled ? 'ON' : 'OFF'})</p>
+                <p><strong>P:</strong> Toggle autoplay glide along the path (currently ${navigationController.autoPlayController?.autoplayActive ? 'ACTIVE' : 'OFF'})</p>
+                <p><strong>L:</strong> Reference tones at the minimum, mean and maximum, then the current value</p>
+                <p><strong>T:</strong> Cycle text display modes (currently: ${this.displayMode})</p>
+                <p><strong>V:</strong> Toggle review mode - automatically switches focus between plot and text field</p>
+                ${this.getSeriesKeyHelp()}
+                ${this.getZoomKeyHelp()}
+                <p><strong>Enter:</strong> Read current point values</p>
+            </div>
+        `;
+
+        // If display mode is active, ensure the slider is shown
+        if (this.displayMode !== 'off') {
+            this.showSpeechRateControl();
+        }
+        if (this.uiController) {
+            this.uiController.setupTTSToggle();
+        }
+
+        // Update review mode text if currently active
+        this.updateReviewModeText();
+    }
+
     /**
      * === WIREFRAME NAVIGATION METHODS ===
      * Methods for handling wireframe rectangle navigation and display
@@ -505,6 +1055,14 @@ export class TextController {
                 <p><strong>P:</strong> Toggle autoplay data overview (currently ${navigationController.autoPlayController?.autoplayActive ? 'ACTIVE' : 'OFF'})</p>
                 <p><strong>T:</strong> Cycle text display modes (currently: ${this.displayMode})</p>
                 <p><strong>V:</strong> Toggle review mode - automatically switches focus between plot and text field</p>
+                <p><strong>K:</strong> Find peaks${this.getPeakCountSuffix()}</p>
+                <p><strong>[ ]:</strong> Jump to previous/next peak</p>
+                <p><strong>O / Shift+O:</strong> Play the current row as a chord / arpeggio</p>
+                <p><strong>L:</strong> Reference tones at the minimum, mean and maximum, then the current value</p>
+                <p><strong>B / Shift+B:</strong> Correct baseline / compare with original${this.getBaselineStateSuffix()}</p>
+                <p><strong>D / Shift+D:</strong> Deconvolve along Z / next component dataset${this.getDeconvolutionStateSuffix()}</p>
+                ${this.getSeriesKeyHelp()}
+                ${this.getZoomKeyHelp()}
                 <p><strong>Enter:</strong> Read current rectangle details</p>
             </div>
         `;
@@ -4,6 +4,12 @@ import { PlotData } from './core/PlotData.js';
 import { UIController } from './ui/UIController.js';
 import { NavigationController } from './accessibility/NavigationController.js';
 import { AppLogger } from './utils/Logger.js';
+import { DataImporter } from './utils/DataImporter.js';
+import { ProjectFile } from './utils/ProjectFile.js';
+import { MeshExporter } from './utils/MeshExporter.js';
+import { TactileGraphics } from './utils/TactileGraphics.js';
+import { WavEncoder } from './utils/WavEncoder.js';
+import { DataTable } from './utils/DataTable.js';
 import { EVENTS } from './constants/EventConstants.js';
 
 // Global reference for access from other modules
@@ -24,9 +30,9 @@ export class SurfacePlotApplication {
         this.frameCount = 0;
         
         // Custom data loading state
-        this.pendingFileContent = null;
-        this.pendingFileType = null;
+        this.pendingImport = null;  // File opened by DataImporter, waiting for its columns to be confirmed
         this.filePickerOpen = false;
+        this.lastImportProgress = -1;
     }
 
     async initialize(customCanvas = null) {
@@ -139,6 +145,80 @@ export class SurfacePlotApplication {
         document.addEventListener(EVENTS.SURFACE_PLOT_EXPORT_IMAGE, exportImageHandler);
         this.eventListeners.set('export-image', { element: document, event: EVENTS.SURFACE_PLOT_EXPORT_IMAGE, handler: exportImageHandler });
 
+        const exportModelHandler = (event) => {
+            AppLogger.debug('Exporting 3D model:', event.detail.format);
+            this.exportModel(event.detail.format);
+        };
+        document.addEventListener(EVENTS.SURFACE_PLOT_EXPORT_MODEL, exportModelHandler);
+        this.eventListeners.set('export-model', { element: document, event: EVENTS.SURFACE_PLOT_EXPORT_MODEL, handler: exportModelHandler });
+
+        const exportTactileHandler = (event) => {
+            AppLogger.debug('Exporting tactile graphic:', event.detail.mode);
+            this.exportTactile(event.detail.mode);
+        };
+        document.addEventListener(EVENTS.SURFACE_PLOT_EXPORT_TACTILE, exportTactileHandler);
+        this.eventListeners.set('export-tactile', { element: document, event: EVENTS.SURFACE_PLOT_EXPORT_TACTILE, handler: exportTactileHandler });
+
+        const exportAudioHandler = (event) => {
+            AppLogger.debug('Exporting audio:', event.detail);
+            this.exportAudio(event.detail.mode, event.detail.markers, event.detail.spokenMarkers);
+        };
+        document.addEventListener(EVENTS.SURFACE_PLOT_EXPORT_AUDIO, exportAudioHandler);
+        this.eventListeners.set('export-audio', { element: document, event: EVENTS.SURFACE_PLOT_EXPORT_AUDIO, handler: exportAudioHandler });
+
+        const exportTableHandler = (event) => {
+            AppLogger.debug('Exporting data table as', event.detail.format);
+            this.exportTable(event.detail.format);
+        };
+        document.addEventListener(EVENTS.SURFACE_PLOT_EXPORT_TABLE, exportTableHandler);
+        this.eventListeners.set('export-table', { element: document, event: EVENTS.SURFACE_PLOT_EXPORT_TABLE, handler: exportTableHandler });
+
+        // The mapping editor asks for a new sonification mapping; navigation applies and announces it
+        const sonificationMappingHandler = (event) => {
+            this.navigation.setSonificationMapping(event.detail.mapping);
+        };
+        document.addEventListener(EVENTS.SONIFICATION_MAPPING_REQUESTED, sonificationMappingHandler);
+        this.eventListeners.set('sonification-mapping', { element: document, event: EVENTS.SONIFICATION_MAPPING_REQUESTED, handler: sonificationMappingHandler });
+
+        const sonificationReferenceHandler = () => {
+            this.navigation.playReferenceTones();
+        };
+        document.addEventListener(EVENTS.SONIFICATION_REFERENCE_REQUESTED, sonificationReferenceHandler);
+        this.eventListeners.set('sonification-reference', { element: document, event: EVENTS.SONIFICATION_REFERENCE_REQUESTED, handler: sonificationReferenceHandler });
+
+        // The earcon settings turn earcons on and off, set custom samples and preview them
+        const earconSettingsHandler = (event) => {
+            this.navigation.setEarconSettings(event.detail);
+        };
+        document.addEventListener(EVENTS.EARCON_SETTINGS_REQUESTED, earconSettingsHandler);
+        this.eventListeners.set('earcon-settings', { element: document, event: EVENTS.EARCON_SETTINGS_REQUESTED, handler: earconSettingsHandler });
+
+        const earconSampleHandler = (event) => {
+            this.navigation.setEarconSample(event.detail.name, event.detail.file);
+        };
+        document.addEventListener(EVENTS.EARCON_SAMPLE_REQUESTED, earconSampleHandler);
+        this.eventListeners.set('earcon-sample', { element: document, event: EVENTS.EARCON_SAMPLE_REQUESTED, handler: earconSampleHandler });
+
+        const earconPreviewHandler = (event) => {
+            this.navigation.previewEarcon(event.detail.name);
+        };
+        document.addEventListener(EVENTS.EARCON_PREVIEW_REQUESTED, earconPreviewHandler);
+        this.eventListeners.set('earcon-preview', { element: document, event: EVENTS.EARCON_PREVIEW_REQUESTED, handler: earconPreviewHandler });
+
+        // Choosing a cell in the data table moves the plot cursor to that point
+        const tableCellSelectedHandler = (event) => {
+            this.moveCursorToTableCell(event.detail.index, event.detail.focusPlot);
+        };
+        document.addEventListener(EVENTS.DATA_TABLE_CELL_SELECTED, tableCellSelectedHandler);
+        this.eventListeners.set('data-table-cell-selected', { element: document, event: EVENTS.DATA_TABLE_CELL_SELECTED, handler: tableCellSelectedHandler });
+
+        const saveProjectHandler = () => {
+            AppLogger.debug('Saving project');
+            this.saveProject();
+        };
+        document.addEventListener(EVENTS.SURFACE_PLOT_SAVE_PROJECT, saveProjectHandler);
+        this.eventListeners.set('save-project', { element: document, event: EVENTS.SURFACE_PLOT_SAVE_PROJECT, handler: saveProjectHandler });
+
         // Data import events
         const importDataHandler = () => {
             AppLogger.debug('Importing data');
@@ -147,10 +227,10 @@ export class SurfacePlotApplication {
         document.addEventListener(EVENTS.SURFACE_PLOT_IMPORT_DATA, importDataHandler);
         this.eventListeners.set('import-data', { element: document, event: EVENTS.SURFACE_PLOT_IMPORT_DATA, handler: importDataHandler });
 
-        // Custom data loading events
+        // Load Your Own Data opens the same import as Import Data
         const loadCustomDataHandler = () => {
             AppLogger.debug('Loading custom data');
-            this.loadCustomData();
+            this.importData();
         };
         document.addEventListener(EVENTS.SURFACE_PLOT_LOAD_CUSTOM_DATA, loadCustomDataHandler);
         this.eventListeners.set('load-custom-data', { element: document, event: EVENTS.SURFACE_PLOT_LOAD_CUSTOM_DATA, handler: loadCustomDataHandler });
@@ -192,41 +272,45 @@ export class SurfacePlotApplication {
 
         // Handle variable selection events from UI layer
         const loadSelectedVariablesHandler = async (event) => {
-            const { xVar, yVar, zVar } = event.detail;
-            try {
-                if (!this.pendingFileContent || !this.pendingFileType) {
-                    throw new Error('No file content available');
-                }
-
-                // Clear the canvas
-                this.engine.clearCanvas();
+            await this.loadPendingFile(event.detail);
+        };
+        document.addEventListener(EVENTS.LOAD_SELECTED_VARIABLES, loadSelectedVariablesHandler);
+        this.eventListeners.set('load-selected-variables', { element: document, event: EVENTS.LOAD_SELECTED_VARIABLES, handler: loadSelectedVariablesHandler });
 
-                // Load data based on file type
-                if (this.pendingFileType === 'csv') {
-                    await this.data.loadFromCSV(this.pendingFileContent, xVar, yVar, zVar);
-                } else if (this.pendingFileType === 'json') {
-                    await this.data.loadFromJSON(this.pendingFileContent, xVar, yVar, zVar);
-                }
+        const sheetSelectedHandler = async (event) => {
+            await this.selectPendingSheet(event.detail.sheet);
+        };
+        document.addEventListener(EVENTS.SHEET_SELECTED, sheetSelectedHandler);
+        this.eventListeners.set('sheet-selected', { element: document, event: EVENTS.SHEET_SELECTED, handler: sheetSelectedHandler });
 
-                // Update visualization
-                this.engine.createBuffers();
-                this.ui.updateRangeControls();
-                this.navigation.onDataLoaded();
+        // Analysis events
+        const findPeaksHandler = (event) => {
+            AppLogger.debug('Finding peaks');
+            this.findPeaks(event.detail || {});
+        };
+        document.addEventListener(EVENTS.SURFACE_PLOT_FIND_PEAKS, findPeaksHandler);
+        this.eventListeners.set('find-peaks', { element: document, event: EVENTS.SURFACE_PLOT_FIND_PEAKS, handler: findPeaksHandler });
 
-                // Clear pending data
-                this.pendingFileContent = null;
-                this.pendingFileType = null;
+        const baselineCorrectionHandler = (event) => {
+            AppLogger.debug('Baseline correction:', event.detail);
+            this.baselineCorrection(event.detail || {});
+        };
+        document.addEventListener(EVENTS.SURFACE_PLOT_BASELINE_CORRECTION, baselineCorrectionHandler);
+        this.eventListeners.set('baseline-correction', { element: document, event: EVENTS.SURFACE_PLOT_BASELINE_CORRECTION, handler: baselineCorrectionHandler });
 
-                // Notify that custom data was loaded
-                document.dispatchEvent(new CustomEvent(EVENTS.CUSTOM_DATA_LOADED));
+        const spectralDeconvolutionHandler = (event) => {
+            AppLogger.debug('Spectral deconvolution:', event.detail);
+            this.spectralDeconvolution(event.detail || {});
+        };
+        document.addEventListener(EVENTS.SURFACE_PLOT_SPECTRAL_DECONVOLUTION, spectralDeconvolutionHandler);
+        this.eventListeners.set('spectral-deconvolution', { element: document, event: EVENTS.SURFACE_PLOT_SPECTRAL_DECONVOLUTION, handler: spectralDeconvolutionHandler });
 
-            } catch (error) {
-                AppLogger.error('Error loading selected variables:', error);
-                this.showError('Data Loading Error', 'Failed to load data: ' + error.message);
-            }
+        const seriesHandler = (event) => {
+            AppLogger.debug('Series change:', event.detail);
+            this.changeSeries(event.detail || {});
         };
-        document.addEventListener(EVENTS.LOAD_SELECTED_VARIABLES, loadSelectedVariablesHandler);
-        this.eventListeners.set('load-selected-variables', { element: document, event: EVENTS.LOAD_SELECTED_VARIABLES, handler: loadSelectedVariablesHandler });
+        document.addEventListener(EVENTS.SURFACE_PLOT_SERIES, seriesHandler);
+        this.eventListeners.set('series', { element: document, event: EVENTS.SURFACE_PLOT_SERIES, handler: seriesHandler });
 
         // Error handling events
         const errorHandler = (event) => {
@@ -282,6 +366,9 @@ export class SurfacePlotApplication {
         try {
             // Load the new sample data
             this.data.loadSample(sampleName);
+
+            // Scatter and line samples cannot use the surface display mode
+            this.ui.updatePlotTypeControls();
             
             // CRITICAL FIX: Ensure engine always has fresh buffers regardless of navigation state
             this.engine.createBuffers();
@@ -333,6 +420,129 @@ export class SurfacePlotApplication {
         }
     }
 
+    /**
+     * Run peak detection on the current data and hand the results to navigation
+     * @param {Object} options - Detection parameters forwarded to PlotData.findPeaks
+     */
+    findPeaks(options = {}) {
+        try {
+            const peaks = this.data.findPeaks(options);
+
+            // Rebuild buffers so the peak markers are drawn
+            this.engine.createBuffers();
+            this.navigation.onPeaksFound(peaks);
+        } catch (error) {
+            AppLogger.error('Peak detection failed:', error);
+            this.showError('Peak Detection Error', `Failed to find peaks: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply, toggle or undo baseline correction and refresh everything that depends on Y
+     * @param {Object} detail - { action: 'apply' | 'toggle' | 'undo', ...baseline options }
+     */
+    baselineCorrection(detail = {}) {
+        const { action = 'apply', ...options } = detail;
+
+        try {
+            let changed;
+            if (action === 'toggle') {
+                changed = this.data.toggleBaselineCorrection() !== null;
+            } else if (action === 'undo') {
+                changed = this.data.undoBaselineCorrection();
+            } else {
+                this.data.applyBaselineCorrection(options);
+                changed = true;
+            }
+
+            if (changed) {
+                // Y range changes, so the threshold control must be updated before rebuilding buffers
+                this.ui.updateRangeControls();
+                this.engine.createBuffers();
+                this.navigation.onDataLoaded();
+                this.updateSampleInfoPanel();
+            }
+
+            this.navigation.onBaselineChanged(changed ? action : 'none', this.data.baselineCorrection);
+        } catch (error) {
+            AppLogger.error('Baseline correction failed:', error);
+            this.showError('Baseline Correction Error', `Failed to correct baseline: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a deconvolution or switch between the fitted data and its components
+     * @param {Object} detail - { action: 'run' | 'select' | 'next' | 'previous' | 'clear', index, ...fitting options }
+     */
+    spectralDeconvolution(detail = {}) {
+        const { action = 'run', index = -1, ...options } = detail;
+
+        try {
+            let changed;
+            if (action === 'select') {
+                changed = this.data.selectDeconvolutionDataset(index) !== null;
+            } else if (action === 'next' || action === 'previous') {
+                changed = this.data.cycleDeconvolutionDataset(action === 'next' ? 1 : -1) !== null;
+            } else if (action === 'clear') {
+                changed = this.data.clearDeconvolution();
+            } else {
+                this.data.runDeconvolution(options);
+                changed = true;
+            }
+
+            if (changed) {
+                this.ui.updateRangeControls();
+                this.engine.createBuffers();
+                this.navigation.onDataLoaded();
+                this.updateSampleInfoPanel();
+            }
+
+            this.navigation.onDeconvolutionChanged(changed ? action : 'none', this.data.deconvolution);
+        } catch (error) {
+            AppLogger.error('Spectral deconvolution failed:', error);
+            this.showError('Spectral Deconvolution Error', `Failed to deconvolve data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Switch to another series or show the difference between two series
+     * @param {Object} detail - { action: 'select' | 'next' | 'previous' | 'compare' | 'toggle-compare' | 'clear', index }
+     */
+    changeSeries(detail = {}) {
+        const { action = 'next', index = -1 } = detail;
+
+        try {
+            let changed;
+            let announced = action;
+            if (action === 'select') {
+                changed = this.data.selectSeries(index) !== null;
+            } else if (action === 'next' || action === 'previous') {
+                changed = this.data.cycleSeries(action === 'next' ? 1 : -1) !== null;
+            } else if (action === 'clear' || (action === 'toggle-compare' && this.data.seriesComparison)) {
+                changed = this.data.clearSeriesComparison();
+                announced = 'clear';
+            } else {
+                // Without a chosen series, compare with the one after the current series
+                const count = this.data.series.length;
+                const otherIndex = index >= 0 ? index : (this.data.currentSeriesIndex + 1) % Math.max(count, 1);
+                changed = this.data.compareSeries(otherIndex) !== null;
+                announced = 'compare';
+            }
+
+            if (changed) {
+                this.ui.updateRangeControls();
+                this.engine.createBuffers();
+                this.navigation.onDataLoaded();
+                this.updateSampleInfoPanel();
+            }
+
+            this.navigation.onSeriesChanged(changed ? announced : 'none', this.data);
+        } catch (error) {
+            AppLogger.error('Series change failed:', error);
+            this.showError('Series Error', `Failed to change series: ${error.message}`);
+        }
+    }
+
     // File operations
     async exportData() {
         try {
@@ -369,25 +579,189 @@ export class SurfacePlotApplication {
         }
     }
 
+    /**
+     * Export the surface as drawn (same ranges, threshold and colors) as a 3D model
+     * @param {string} format - 'glb', 'stl' (surface only), 'stl-base' (printable solid) or 'obj'
+     */
+    async exportModel(format) {
+        try {
+            const mesh = this.engine.getSurfaceMesh();
+            if (!mesh) {
+                this.showError('3D model export failed', 'A 3D model needs surface data with points inside the current ranges. Scatter and line plots have no surface to export.');
+                return;
+            }
+
+            const fileFormat = format === 'stl-base' ? 'stl' : format;
+            const result = MeshExporter.export(mesh, fileFormat, {
+                name: this.data.currentSample,
+                labels: this.getAxisTitles(),
+                base: format === 'stl-base'
+            });
+            this.data.downloadFile(result.content, result.filename, result.type);
+            this.announceProgress(`${MeshExporter.FORMATS[fileFormat].name} model with ${result.triangles} triangles saved as ${result.filename}.`);
+        } catch (error) {
+            AppLogger.error('3D model export failed:', error);
+            this.showError('3D model export failed', error.message);
+        }
+    }
+
+    /**
+     * Export the visible surface as a tactile graphic (SVG with braille) for swell paper or an embosser
+     * @param {string} mode - 'contour' or 'sections'
+     */
+    async exportTactile(mode) {
+        try {
+            const grid = this.engine.getSurfaceGrid();
+            if (!grid) {
+                this.showError('Tactile graphic export failed', 'A tactile graphic needs surface data with points inside the current ranges. Scatter and line plots have no surface to draw.');
+                return;
+            }
+
+            const result = TactileGraphics.export(grid, mode, {
+                name: this.data.currentSample,
+                labels: this.getAxisTitles()
+            });
+            this.data.downloadFile(result.content, result.filename, result.type);
+            this.announceProgress(`${result.description} Saved as ${result.filename}.`);
+        } catch (error) {
+            AppLogger.error('Tactile graphic export failed:', error);
+            this.showError('Tactile graphic export failed', error.message);
+        }
+    }
+
+    /**
+     * Render autoplay offline and download it as WAV, so the sound of the data can be shared
+     * @param {string} mode - 'normal' autoplay or 'fast' sweep (surface display mode only)
+     * @param {boolean} markers - Chime before each row or segment and label it as a cue point
+     * @param {boolean} spokenMarkers - Also say each marker in the audio
+     */
+    async exportAudio(mode, markers, spokenMarkers) {
+        try {
+            this.announceProgress('Rendering autoplay audio.');
+            const { audioBuffer, markers: cues } = await this.navigation.renderAutoplayAudio({ mode, markers, spokenMarkers });
+            const content = WavEncoder.encode(audioBuffer, cues);
+            const filename = WavEncoder.filename(this.data.currentSample, mode);
+            this.data.downloadFile(content, filename, WavEncoder.MIME_TYPE);
+            this.announceProgress(`${Math.round(audioBuffer.duration)} seconds of audio` +
+                (cues.length ? ` with ${cues.length} ${markers && spokenMarkers ? 'spoken ' : ''}markers` : '') + ` saved as ${filename}.`);
+        } catch (error) {
+            AppLogger.error('Audio export failed:', error);
+            this.showError('Audio export failed', error.message);
+        }
+    }
+
+    /**
+     * Export the shown data as a table: X columns by Z rows with Y in the cells, or one row per point
+     * @param {string} format - 'html' (accessible table document) or 'csv'
+     */
+    exportTable(format) {
+        try {
+            const table = DataTable.build(this.data);
+            if (table.rowCount === 0) {
+                throw new Error('No data available to export');
+            }
+            const result = DataTable.export(table, format, this.data.currentSample);
+            this.data.downloadFile(result.content, result.filename, result.type);
+            this.announceProgress(`Table with ${table.rowCount} rows saved as ${result.filename}.`);
+        } catch (error) {
+            AppLogger.error('Table export failed:', error);
+            this.showError('Table export failed', error.message);
+        }
+    }
+
+    /**
+     * Move the plot cursor to the point of a data table cell
+     * @param {number} index - Index into the PlotData arrays
+     * @param {boolean} focusPlot - Move keyboard focus to the plot to continue from there
+     */
+    moveCursorToTableCell(index, focusPlot) {
+        if (!this.navigation.moveToDataPoint(index)) {
+            this.announceProgress('This point is not part of the navigable data. Zoom out with minus to reach it.');
+            return;
+        }
+        if (focusPlot) {
+            this.canvas.focus();
+        }
+    }
+
+    /**
+     * Axis labels with their units, e.g. "Wavelength (nm)"
+     * @returns {Object} { x, y, z }
+     */
+    getAxisTitles() {
+        const title = (label, unit) => unit ? `${label} (${unit})` : label;
+        return {
+            x: title(this.data.xLabel, this.data.xUnit),
+            y: title(this.data.yLabel, this.data.yUnit),
+            z: title(this.data.zLabel, this.data.zUnit)
+        };
+    }
+
+    /**
+     * Save the whole session (data, view, cursor, speech, sonification and analysis results) as a project file
+     */
+    async saveProject() {
+        try {
+            const content = ProjectFile.serialize({
+                data: this.data.getProjectState(),
+                view: this.ui.getProjectState(),
+                ...this.navigation.getProjectState()
+            });
+            const filename = ProjectFile.filename(this.data.currentSample);
+            this.data.downloadFile(content, filename, ProjectFile.MIME_TYPE);
+            this.announceProgress(`Project saved as ${filename}.`);
+        } catch (error) {
+            this.showError('Project save failed', error.message);
+        }
+    }
+
+    /**
+     * Restore a session from a project file. The view is applied after the range controls
+     * are reset to the new data, and navigation after the display mode is known.
+     * @param {File} file - .dixtral project file
+     */
+    async openProject(file) {
+        const project = ProjectFile.parse(await file.text());
+
+        this.data.restoreProjectState(project.data);
+        this.ui.updatePlotTypeControls();
+        this.engine.createBuffers();
+        this.ui.updateRangeControls();
+        this.ui.restoreProjectState(project.view);
+        this.navigation.onDataLoaded();
+        this.navigation.restoreProjectState(project);
+
+        // Highlights follow the restored cursor
+        this.engine.createBuffers();
+        this.engine.render(this.data);
+        this.updateSampleInfoPanel();
+
+        this.announceProgress(`Project ${file.name} opened: ${this.data.currentSample}, ${this.data.getDataPoints().toLocaleString()} points.`);
+    }
+
+    /**
+     * Pick a file to import; data files show a preview and the suggested columns, project files open directly
+     */
     async importData() {
         if (this.filePickerOpen) return; // Prevent multiple file pickers
         
         try {
             this.filePickerOpen = true;
+            AppLogger.debug('File picker opened - current data still visible');
             const input = document.createElement('input');
             input.type = 'file';
-            input.accept = '.csv,.json';
+            input.accept = DataImporter.FILE_ACCEPT;
             input.style.display = 'none';
             document.body.appendChild(input);
             
-            input.onchange = async (event) => {
+            input.addEventListener('change', async (event) => {
                 const file = event.target.files[0];
                 if (file) {
-                    await this.readFile(file);
+                    await this.openImportFile(file);
                 }
                 document.body.removeChild(input);
                 this.filePickerOpen = false;
-            };
+            });
             
             // Handle case where user cancels file picker
             input.oncancel = () => {
@@ -398,105 +772,181 @@ export class SurfacePlotApplication {
             input.click();
         } catch (error) {
             this.filePickerOpen = false;
-            this.showError('Import failed', error.message);
+            this.showError('Import failed', 'Failed to open file picker: ' + error.message);
         }
     }
 
-    async loadCustomData() {
-        if (this.filePickerOpen) return; // Prevent multiple file pickers
-        
+    /**
+     * Open a chosen file and offer its columns, sheets or (for a project) the saved session
+     * @param {File} file - File chosen in the picker
+     */
+    async openImportFile(file) {
         try {
-            this.filePickerOpen = true;
-            AppLogger.debug('File picker opened - sample data still visible');
-            const fileInput = document.createElement('input');
-            fileInput.type = 'file';
-            fileInput.accept = '.csv,.json';
-            fileInput.style.display = 'none';
-            document.body.appendChild(fileInput);
-            
-            fileInput.addEventListener('change', async (event) => {
-                const file = event.target.files[0];
-                if (file) {
-                    try {
-                        const content = await file.text();
-                        const extension = file.name.split('.').pop().toLowerCase();
-                        let headers = [];
-                        
-                        if (extension === 'csv') {
-                            headers = content.split('\n')[0].split(',').map(h => h.trim());
-                        } else if (extension === 'json') {
-                            const data = JSON.parse(content);
-                            headers = Object.keys(data).filter(key => Array.isArray(data[key]));
-                        }
-                        
-                        // NOW clear the plot data after file is selected
-                        AppLogger.debug('File selected - clearing plot before showing dropdowns');
-                        this.data.clearData();
-                        
-                        // Clear buffers and render black canvas
-                        this.engine.createBuffers(); // Creates empty buffers
-                        this.engine.render(this.data); // Renders empty data (black canvas)
-                        
-                        // Clear sample info panel
-                        const sampleInfoElement = document.getElementById('sampleInfo');
-                        if (sampleInfoElement) sampleInfoElement.innerHTML = '';
-                        
-                        // Store file content for later use
-                        this.pendingFileContent = content;
-                        this.pendingFileType = extension;
-                        
-                        // Show variable selection via UI controller
-                        if (this.ui.variableSelection) {
-                            this.ui.variableSelection.style.display = 'flex';
-                            this.ui.populateVariableDropdowns(headers);
-                        }
-                        
-                    } catch (error) {
-                        AppLogger.error('Error reading file:', error);
-                        this.showError('File Error', 'Failed to read file: ' + error.message);
-                    }
+            const source = await DataImporter.open(file);
+            this.ui.hideImportReport();
+            if (source.type === 'project') {
+                // A project carries its own variables and settings
+                if (this.ui.variableSelection) {
+                    this.ui.variableSelection.style.display = 'none';
                 }
-                document.body.removeChild(fileInput);
-                this.filePickerOpen = false;
-            });
-            
-            // Handle case where user cancels file picker
-            fileInput.oncancel = () => {
-                document.body.removeChild(fileInput);
-                this.filePickerOpen = false;
-            };
-            
-            fileInput.click();
+                await this.openProject(file);
+                return;
+            }
+
+            // Clear the plot once a file is chosen, so the preview is not mistaken for loaded data
+            AppLogger.debug('File selected - clearing plot before showing the import preview');
+            this.data.clearData();
+            this.engine.createBuffers(); // Creates empty buffers
+            this.engine.render(this.data); // Renders empty data (black canvas)
+            const sampleInfoElement = document.getElementById('sampleInfo');
+            if (sampleInfoElement) sampleInfoElement.innerHTML = '';
+
+            this.pendingImport = source;
+            if (source.type === 'xlsx') {
+                await this.chooseWorkbookSheet(source);
+            } else {
+                await this.showVariableChoices(source.name);
+            }
         } catch (error) {
-            this.filePickerOpen = false;
-            this.showError('Custom Data Loading Error', 'Failed to open file picker: ' + error.message);
+            AppLogger.error('Error reading file:', error);
+            this.showError('File Error', 'Failed to read file: ' + error.message);
         }
     }
 
-    async readFile(file) {
+    /**
+     * Load the pending file with the columns confirmed in the import panel
+     * @param {Object} selection - { xVar, yVar, zVar, plotType }; variables are null for matrix files
+     */
+    async loadPendingFile({ xVar = null, yVar = null, zVar = null, plotType = null } = {}) {
         try {
-            const extension = file.name.split('.').pop().toLowerCase();
-            
-            if (extension === 'csv') {
-                await this.data.loadFromCSV(file);
-            } else if (extension === 'json') {
-                await this.data.loadFromJSON(file);
-            } else {
-                throw new Error('Unsupported file format. Please use CSV or JSON files.');
+            const source = this.pendingImport;
+            if (!source) {
+                throw new Error('No file content available');
             }
-            
-            // Update visualization after loading
+
+            // Clear the canvas
+            this.engine.clearCanvas();
+
+            const mapping = xVar && yVar && zVar ? { x: xVar, y: yVar, z: zVar } : null;
+            this.lastImportProgress = -1;
+            const importReport = await this.data.importSource(source, mapping,
+                (progress) => this.announceImportProgress(source.name, progress));
+            if (plotType) {
+                this.data.setPlotType(plotType);
+            }
+
+            // Update visualization
+            this.ui.updatePlotTypeControls();
             this.engine.createBuffers();
             this.ui.updateRangeControls();
             this.navigation.onDataLoaded();
-            this.updateSampleInfoPanel();
-            
-            this.showMessage(`File "${file.name}" loaded successfully!\nData points: ${this.data.getDataPoints()}`);
+
+            // Clear pending data
+            this.pendingImport = null;
+            if (this.ui.sheetSelection) {
+                this.ui.sheetSelection.style.display = 'none';
+            }
+
+            // Notify that custom data was loaded
+            document.dispatchEvent(new CustomEvent(EVENTS.CUSTOM_DATA_LOADED));
+
+            // The report stays on screen; rows that could not be read are also shown rather than silently skipped
+            const { lines, problems } = DataImporter.describeImport(source, mapping, importReport, this.data);
+            this.ui.showImportReport(lines, problems);
+            this.announceProgress(`Import complete: ${lines[0]}${problems.length > 0 ? ` ${problems.length} ${problems.length === 1 ? 'problem' : 'problems'} found.` : ''}`);
+            if (problems.length > 0) {
+                this.showMessage(`${lines[0]}\n${problems.join('\n')}`);
+            }
+
         } catch (error) {
-            this.showError('File loading failed', error.message);
+            // Changing a variable while a file is still being read restarts the import
+            if (error.name === 'AbortError') {
+                AppLogger.debug('Import superseded by a newer variable selection');
+                return;
+            }
+            AppLogger.error('Error loading selected variables:', error);
+            this.showError('Data Loading Error', 'Failed to load data: ' + error.message);
         }
     }
 
+    /**
+     * Show the preview and suggested columns of the pending file, or load it straight away when it is a matrix
+     * @param {string} name - File or sheet name for the announcement
+     */
+    async showVariableChoices(name) {
+        const source = this.pendingImport;
+
+        // A matrix already says which axis is which, so there are no variables to choose
+        if (source.isMatrix) {
+            if (this.ui.variableSelection) {
+                this.ui.variableSelection.style.display = 'none';
+            }
+            this.announceProgress(`${name} is a matrix: column headers and the first column become the axes.`);
+            await this.loadPendingFile();
+        } else if (this.ui.variableSelection) {
+            // Show the preview and column mapping via UI controller
+            this.ui.variableSelection.style.display = 'flex';
+            this.ui.showImportPreview(source);
+            this.announceProgress(`${name} opened. Check the suggested X, Y and Z columns in the preview, then choose Import.`);
+        }
+    }
+
+    /**
+     * Ask for the sheet of a pending workbook; a workbook with one sheet goes straight to its columns
+     * @param {Object} source - Workbook opened by DataImporter
+     */
+    async chooseWorkbookSheet(source) {
+        const sheets = source.sheets;
+        if (sheets.length === 1 || !this.ui.sheetSelection) {
+            await this.selectPendingSheet(sheets.length === 1 ? sheets[0].name : null);
+            return;
+        }
+
+        if (this.ui.variableSelection) {
+            this.ui.variableSelection.style.display = 'none';
+        }
+        this.ui.sheetSelection.style.display = 'flex';
+        this.ui.populateSheetDropdown(sheets);
+        this.announceProgress(`${source.name} has ${sheets.length} sheets. Choose a sheet, then the X, Y and Z variables.`);
+    }
+
+    /**
+     * Read the columns of the chosen sheet of the pending workbook and offer them as variables
+     * @param {string|null} sheetName - Sheet name (null for the first visible sheet)
+     */
+    async selectPendingSheet(sheetName) {
+        if (this.pendingImport?.type !== 'xlsx') return;
+
+        try {
+            const source = await DataImporter.selectSheet(this.pendingImport, sheetName);
+            await this.showVariableChoices(`Sheet ${source.sheet}`);
+        } catch (error) {
+            AppLogger.error('Error reading sheet:', error);
+            this.showError('File Error', 'Failed to read sheet: ' + error.message);
+        }
+    }
+
+    /**
+     * Announce import progress in steps of 10 percent through the polite live region
+     * @param {string} fileName - Name of the file being read
+     * @param {Object} progress - { loaded, total, rows } from CsvParser.readFile
+     */
+    announceImportProgress(fileName, { loaded, total, rows }) {
+        const percent = total > 0 ? Math.floor(loaded / total * 10) * 10 : 100;
+        if (percent <= this.lastImportProgress) return;
+
+        this.lastImportProgress = percent;
+        this.announceProgress(`Importing ${fileName}: ${percent} percent, ${rows.toLocaleString()} rows read.`);
+    }
+
+    announceProgress(message) {
+        const region = document.getElementById('screen-reader-announcement');
+        if (region) {
+            region.textContent = message;
+        }
+        AppLogger.debug(message);
+    }
+
     showMessage(message) {
         // Create a simple modal for messages
         const modal = document.createElement('div');
@@ -511,10 +961,15 @@ export class SurfacePlotApplication {
             background: white; padding: 20px; border-radius: 5px; max-width: 400px;
             color: black; text-align: center;
         `;
-        content.innerHTML = `
-            <p style="margin: 0 0 15px 0; white-space: pre-line;">${message}</p>
-            <button onclick="this.closest('.modal').remove()" style="padding: 8px 16px;">OK</button>
-        `;
+        // Messages carry file, sheet and column names from imported files, so they are set as text, never as HTML
+        const text = document.createElement('p');
+        text.style.cssText = 'margin: 0 0 15px 0; white-space: pre-line;';
+        text.textContent = message;
+        const button = document.createElement('button');
+        button.style.cssText = 'padding: 8px 16px;';
+        button.textContent = 'OK';
+        button.addEventListener('click', () => modal.remove());
+        content.append(text, button);
         
         modal.className = 'modal';
         modal.appendChild(content);
@@ -8,7 +8,9 @@ export const EVENTS = {
     DISPLAY_MODE_CHANGED: 'display-mode-changed',
     DISPLAY_MODE_ANNOUNCEMENT_REQUESTED: 'display-mode-announcement-requested',
     LOAD_SELECTED_VARIABLES: 'load-selected-variables',
+    SHEET_SELECTED: 'sheet-selected',
     CUSTOM_DATA_LOADED: 'custom-data-loaded',
+    DATA_TABLE_CELL_SELECTED: 'data-table-cell-selected',
     
     // Navigation events
     NAVIGATION_AXIS_TOGGLE_REQUESTED: 'navigation-axis-toggle-requested',
@@ -27,14 +29,29 @@ export const EVENTS = {
     // Application events
     SURFACE_PLOT_EXPORT_DATA: 'surface-plot-export-data',
     SURFACE_PLOT_EXPORT_IMAGE: 'surface-plot-export-image',
+    SURFACE_PLOT_EXPORT_MODEL: 'surface-plot-export-model',
+    SURFACE_PLOT_EXPORT_TACTILE: 'surface-plot-export-tactile',
+    SURFACE_PLOT_EXPORT_AUDIO: 'surface-plot-export-audio',
+    SURFACE_PLOT_EXPORT_TABLE: 'surface-plot-export-table',
     SURFACE_PLOT_IMPORT_DATA: 'surface-plot-import-data',
+    SURFACE_PLOT_SAVE_PROJECT: 'surface-plot-save-project',
     SURFACE_PLOT_LOAD_SAMPLE: 'surface-plot-load-sample',
     SURFACE_PLOT_LOAD_CUSTOM_DATA: 'surface-plot-load-custom-data',
     SURFACE_PLOT_FIND_PEAKS: 'surface-plot-find-peaks',
     SURFACE_PLOT_BASELINE_CORRECTION: 'surface-plot-baseline-correction',
     SURFACE_PLOT_SPECTRAL_DECONVOLUTION: 'surface-plot-spectral-deconvolution',
+    SURFACE_PLOT_SERIES: 'surface-plot-series',
     SURFACE_PLOT_ERROR: 'surface-plot-error',
     
+    // Sonification events
+    SONIFICATION_MAPPING_REQUESTED: 'sonification-mapping-requested',
+    SONIFICATION_MAPPING_CHANGED: 'sonification-mapping-changed',
+    SONIFICATION_REFERENCE_REQUESTED: 'sonification-reference-requested',
+    EARCON_SETTINGS_REQUESTED: 'earcon-settings-requested',
+    EARCON_SAMPLE_REQUESTED: 'earcon-sample-requested',
+    EARCON_PREVIEW_REQUESTED: 'earcon-preview-requested',
+    EARCONS_CHANGED: 'earcons-changed',
+    
     // TTS events
     TTS_TOGGLE_REQUESTED: 'tts-toggle-requested',
     TTS_STATE_CHANGED: 'tts-state-changed',
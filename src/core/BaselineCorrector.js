@@ -0,0 +1,338 @@
+// BaselineCorrector.js - Baseline estimation and removal for plot data
+// This file is only accessed by PlotData.js for computing baseline-corrected Y values
+
+export class BaselineCorrector {
+    // Supported baseline estimation methods
+    static METHODS = [
+        { id: 'rollingMinimum', name: 'Rolling Minimum' },
+        { id: 'als', name: 'Asymmetric Least Squares' },
+        { id: 'polynomial', name: 'Polynomial Fit' }
+    ];
+
+    // Default estimation parameters
+    static DEFAULT_OPTIONS = {
+        method: 'als',
+        sliceAxis: 'x',        // 'x' = one baseline per X slice (along Z), 'z' = one per Z slice (along X)
+        windowSize: 15,        // Rolling minimum window in samples
+        lambda: 1e4,           // ALS smoothness penalty
+        asymmetry: 0.01,       // Weight for points above the baseline (ALS and polynomial)
+        iterations: 10,        // Reweighting passes for ALS and polynomial fits
+        polynomialOrder: 3     // Polynomial degree
+    };
+
+    /**
+     * Estimate a baseline for every slice of the data and subtract it
+     * @param {Float32Array|Array} xValues - X coordinate values
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {Float32Array|Array} yValues - Y coordinate values
+     * @param {Object} options - Estimation parameters (see DEFAULT_OPTIONS)
+     * @returns {Object} { baseline: Float32Array, corrected: Float32Array }
+     */
+    static correct(xValues, zValues, yValues, options = {}) {
+        const settings = { ...BaselineCorrector.DEFAULT_OPTIONS, ...options };
+        const estimator = BaselineCorrector.getEstimator(settings.method);
+
+        const baseline = new Float32Array(yValues.length);
+        const corrected = new Float32Array(yValues.length);
+
+        for (const slice of BaselineCorrector.getSlices(xValues, zValues, settings.sliceAxis)) {
+            const positions = slice.map(i => settings.sliceAxis === 'x' ? zValues[i] : xValues[i]);
+            const values = slice.map(i => yValues[i]);
+            const sliceBaseline = estimator(positions, values, settings);
+
+            slice.forEach((dataIndex, k) => {
+                baseline[dataIndex] = sliceBaseline[k];
+                corrected[dataIndex] = yValues[dataIndex] - sliceBaseline[k];
+            });
+        }
+
+        return { baseline, corrected };
+    }
+
+    /**
+     * Resolve a method id to its estimator function
+     * @param {string} method - Method id from METHODS
+     * @returns {Function} Estimator (positions, values, settings) => baseline array
+     */
+    static getEstimator(method) {
+        switch (method) {
+            case 'rollingMinimum':
+                return (positions, values, settings) => BaselineCorrector.rollingMinimum(values, settings.windowSize);
+            case 'als':
+                return (positions, values, settings) =>
+                    BaselineCorrector.asymmetricLeastSquares(values, settings.lambda, settings.asymmetry, settings.iterations);
+            case 'polynomial':
+                return (positions, values, settings) =>
+                    BaselineCorrector.polynomialFit(positions, values, settings.polynomialOrder, settings.asymmetry, settings.iterations);
+            default:
+                throw new Error(`Unknown baseline method: ${method}. Supported methods: ${BaselineCorrector.METHODS.map(m => m.id).join(', ')}`);
+        }
+    }
+
+    /**
+     * Group data indices into slices of constant X (or Z), each sorted along the other axis
+     * @param {Float32Array|Array} xValues - X coordinate values
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {string} sliceAxis - 'x' or 'z'
+     * @returns {Array<Array<number>>} Data indices per slice
+     */
+    static getSlices(xValues, zValues, sliceAxis) {
+        const sliceCoordinates = sliceAxis === 'x' ? xValues : zValues;
+        const orderCoordinates = sliceAxis === 'x' ? zValues : xValues;
+
+        const groups = new Map();
+        for (let i = 0; i < sliceCoordinates.length; i++) {
+            const key = sliceCoordinates[i];
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(i);
+        }
+
+        return Array.from(groups.values()).map(indices =>
+            indices.sort((a, b) => orderCoordinates[a] - orderCoordinates[b])
+        );
+    }
+
+    /**
+     * Rolling minimum followed by a moving average of the same width to remove steps
+     * @param {Array} values - Y values of one slice in axis order
+     * @param {number} windowSize - Window width in samples
+     * @returns {Float64Array} Baseline values
+     */
+    static rollingMinimum(values, windowSize) {
+        const n = values.length;
+        const half = Math.max(1, Math.floor(windowSize / 2));
+        const minima = new Float64Array(n);
+        const baseline = new Float64Array(n);
+
+        for (let i = 0; i < n; i++) {
+            let min = Infinity;
+            for (let j = Math.max(0, i - half); j <= Math.min(n - 1, i + half); j++) {
+                if (values[j] < min) min = values[j];
+            }
+            minima[i] = min;
+        }
+
+        for (let i = 0; i < n; i++) {
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, i - half); j <= Math.min(n - 1, i + half); j++) {
+                sum += minima[j];
+                count++;
+            }
+            // Smoothing can lift the baseline above the data; never exceed the signal
+            baseline[i] = Math.min(sum / count, values[i]);
+        }
+
+        return baseline;
+    }
+
+    /**
+     * Asymmetric least squares smoothing (Eilers & Boelens).
+     * Minimises sum w(y - b)^2 + lambda * sum (second difference of b)^2, with small
+     * weights for points above the baseline so peaks do not pull it upward.
+     * @param {Array} values - Y values of one slice in axis order
+     * @param {number} lambda - Smoothness penalty
+     * @param {number} asymmetry - Weight for points above the baseline (0-1)
+     * @param {number} iterations - Number of reweighting passes
+     * @returns {Float64Array} Baseline values
+     */
+    static asymmetricLeastSquares(values, lambda, asymmetry, iterations) {
+        const n = values.length;
+        if (n < 3) {
+            return Float64Array.from(values);
+        }
+
+        // Pentadiagonal penalty matrix lambda * D'D stored by diagonals
+        const penalty0 = new Float64Array(n);
+        const penalty1 = new Float64Array(n - 1);
+        const penalty2 = new Float64Array(n - 2);
+        const difference = [1, -2, 1];
+        for (let k = 0; k < n - 2; k++) {
+            for (let a = 0; a < 3; a++) {
+                penalty0[k + a] += lambda * difference[a] * difference[a];
+                if (a < 2) penalty1[k + a] += lambda * difference[a] * difference[a + 1];
+            }
+            penalty2[k] += lambda * difference[0] * difference[2];
+        }
+
+        const weights = new Float64Array(n).fill(1);
+        const diagonal = new Float64Array(n);
+        const rhs = new Float64Array(n);
+        let baseline = Float64Array.from(values);
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            for (let i = 0; i < n; i++) {
+                diagonal[i] = penalty0[i] + weights[i];
+                rhs[i] = weights[i] * values[i];
+            }
+            baseline = BaselineCorrector.solvePentadiagonal(diagonal, penalty1, penalty2, rhs);
+
+            for (let i = 0; i < n; i++) {
+                weights[i] = values[i] > baseline[i] ? asymmetry : 1 - asymmetry;
+            }
+        }
+
+        return baseline;
+    }
+
+    /**
+     * Solve a symmetric positive definite pentadiagonal system with an LDL' factorisation
+     * @param {Float64Array} d0 - Main diagonal (length n)
+     * @param {Float64Array} d1 - First off-diagonal (length n - 1)
+     * @param {Float64Array} d2 - Second off-diagonal (length n - 2)
+     * @param {Float64Array} b - Right-hand side (length n)
+     * @returns {Float64Array} Solution vector
+     */
+    static solvePentadiagonal(d0, d1, d2, b) {
+        const n = d0.length;
+        const pivots = new Float64Array(n);
+        const l1 = new Float64Array(n); // L[i][i-1]
+        const l2 = new Float64Array(n); // L[i][i-2]
+
+        for (let i = 0; i < n; i++) {
+            l2[i] = i >= 2 ? d2[i - 2] / pivots[i - 2] : 0;
+            l1[i] = i >= 1
+                ? (d1[i - 1] - (i >= 2 ? l2[i] * l1[i - 1] * pivots[i - 2] : 0)) / pivots[i - 1]
+                : 0;
+            pivots[i] = d0[i]
+                - (i >= 1 ? l1[i] * l1[i] * pivots[i - 1] : 0)
+                - (i >= 2 ? l2[i] * l2[i] * pivots[i - 2] : 0);
+        }
+
+        const solution = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            solution[i] = b[i]
+                - (i >= 1 ? l1[i] * solution[i - 1] : 0)
+                - (i >= 2 ? l2[i] * solution[i - 2] : 0);
+        }
+        for (let i = 0; i < n; i++) {
+            solution[i] /= pivots[i];
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            solution[i] -= (i + 1 < n ? l1[i + 1] * solution[i + 1] : 0)
+                + (i + 2 < n ? l2[i + 2] * solution[i + 2] : 0);
+        }
+
+        return solution;
+    }
+
+    /**
+     * Asymmetrically reweighted polynomial fit: points above the current fit get a small
+     * weight on the next pass, so peaks stop pulling the polynomial off the floor
+     * @param {Array} positions - Axis coordinates of one slice
+     * @param {Array} values - Y values of one slice in axis order
+     * @param {number} order - Polynomial degree
+     * @param {number} asymmetry - Weight for points above the baseline (0-1)
+     * @param {number} iterations - Number of reweighting passes
+     * @returns {Float64Array} Baseline values
+     */
+    static polynomialFit(positions, values, order, asymmetry, iterations) {
+        const n = values.length;
+        const degree = Math.min(order, n - 1);
+        if (degree < 1) {
+            return Float64Array.from(values);
+        }
+
+        // Scale positions to [-1, 1] to keep the normal equations well conditioned
+        let min = Infinity;
+        let max = -Infinity;
+        for (const p of positions) {
+            if (p < min) min = p;
+            if (p > max) max = p;
+        }
+        const span = (max - min) || 1;
+        const t = positions.map(p => (p - min) / span * 2 - 1);
+
+        // Start from the lower half of the data so a large peak cannot bow the first fit
+        const median = Float64Array.from(values).sort()[Math.floor(n / 2)];
+        const weights = Float64Array.from(values, v => v > median ? asymmetry : 1 - asymmetry);
+        const baseline = new Float64Array(n);
+
+        for (let iteration = 0; iteration < Math.max(1, iterations); iteration++) {
+            const coefficients = BaselineCorrector.leastSquaresPolynomial(t, values, weights, degree);
+            let negativeSquares = 0;
+            let negativeCount = 0;
+            for (let i = 0; i < n; i++) {
+                let y = 0;
+                for (let k = degree; k >= 0; k--) {
+                    y = y * t[i] + coefficients[k];
+                }
+                baseline[i] = y;
+                if (values[i] < y) {
+                    negativeSquares += (values[i] - y) ** 2;
+                    negativeCount++;
+                }
+            }
+
+            // Points within the noise band above the fit still count as baseline,
+            // otherwise the fit creeps downward one rounding error at a time
+            const tolerance = negativeCount > 0 ? Math.sqrt(negativeSquares / negativeCount) : 0;
+            let changed = false;
+            for (let i = 0; i < n; i++) {
+                const weight = values[i] - baseline[i] > tolerance ? asymmetry : 1 - asymmetry;
+                if (weight !== weights[i]) changed = true;
+                weights[i] = weight;
+            }
+            if (!changed) break;
+        }
+
+        return baseline;
+    }
+
+    /**
+     * Fit polynomial coefficients (lowest order first) by solving the weighted normal equations
+     * @param {Array} t - Scaled positions
+     * @param {Array} values - Values to fit
+     * @param {Float64Array} weights - Weight per value
+     * @param {number} degree - Polynomial degree
+     * @returns {Float64Array} Coefficients c0..cDegree
+     */
+    static leastSquaresPolynomial(t, values, weights, degree) {
+        const size = degree + 1;
+        const matrix = Array.from({ length: size }, () => new Float64Array(size + 1));
+
+        for (let i = 0; i < t.length; i++) {
+            const powers = new Float64Array(2 * size);
+            powers[0] = 1;
+            for (let k = 1; k < 2 * size; k++) {
+                powers[k] = powers[k - 1] * t[i];
+            }
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    matrix[row][col] += weights[i] * powers[row + col];
+                }
+                matrix[row][size] += weights[i] * powers[row] * values[i];
+            }
+        }
+
+        // Gaussian elimination with partial pivoting
+        for (let col = 0; col < size; col++) {
+            let pivotRow = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivotRow][col])) pivotRow = row;
+            }
+            [matrix[col], matrix[pivotRow]] = [matrix[pivotRow], matrix[col]];
+
+            const pivot = matrix[col][col] || 1e-12;
+            for (let row = col + 1; row < size; row++) {
+                const factor = matrix[row][col] / pivot;
+                for (let k = col; k <= size; k++) {
+                    matrix[row][k] -= factor * matrix[col][k];
+                }
+            }
+        }
+
+        const coefficients = new Float64Array(size);
+        for (let row = size - 1; row >= 0; row--) {
+            let sum = matrix[row][size];
+            for (let k = row + 1; k < size; k++) {
+                sum -= matrix[row][k] * coefficients[k];
+            }
+            coefficients[row] = sum / (matrix[row][row] || 1e-12);
+        }
+
+        return coefficients;
+    }
+}
@@ -13,9 +13,9 @@ export class DescriptiveStatistics {
             return DescriptiveStatistics.getEmptyStats();
         }
 
-        // Convert to regular array for calculations
+        // Convert to regular array for calculations; typed arrays sort numerically and much faster
         const data = Array.from(values);
-        const sorted = [...data].sort((a, b) => a - b);
+        const sorted = Float64Array.from(values).sort();
         const n = data.length;
 
         // Basic statistics
@@ -40,7 +40,7 @@ export class DescriptiveStatistics {
             frequency[rounded] = (frequency[rounded] || 0) + 1;
         });
         
-        const maxFreq = Math.max(...Object.values(frequency));
+        const maxFreq = Object.values(frequency).reduce((max, count) => Math.max(max, count), 0);
         const modes = Object.keys(frequency).filter(key => frequency[key] === maxFreq);
         const mode = modes.length === n ? null : parseFloat(modes[0]); // null if all values unique
 
@@ -0,0 +1,180 @@
+// GridInterpolator.js - Resampling of scattered X/Z/Y data onto a regular grid
+// This file is only accessed by PlotData.js so the surface mesh and wireframe navigation share one grid
+
+export class GridInterpolator {
+    // Default resampling parameters (distances are measured in grid cells)
+    static DEFAULT_OPTIONS = {
+        gridSize: null,       // Nodes per axis (null = about one node per sample, clamped to the limits below)
+        minGridSize: 10,      // Fewest nodes per axis
+        maxGridSize: 50,      // Most nodes per axis (keeps the mesh within 16-bit index buffers)
+        neighbors: 8,         // Nearest samples used for each node
+        power: 2,             // Inverse distance weighting exponent
+        maxDistance: 2        // Leave a node empty when its nearest sample is further away than this
+    };
+
+    /**
+     * Check whether the points already lie on a (nearly) complete grid of unique X and Z values
+     * @param {Float32Array|Array} xValues - X coordinate values
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {number} minFill - Fraction of grid positions that must hold a point
+     * @returns {boolean} True if the data can be meshed without resampling
+     */
+    static isRegularGrid(xValues, zValues, minFill = 0.9) {
+        if (!xValues || xValues.length < 4) return false;
+
+        const uniqueX = new Set(xValues).size;
+        const uniqueZ = new Set(zValues).size;
+        if (uniqueX < 2 || uniqueZ < 2) return false;
+
+        // Scattered data has nearly as many unique values per axis as points, so almost every cell is empty
+        return xValues.length >= uniqueX * uniqueZ * minFill;
+    }
+
+    /**
+     * Resample scattered points onto a regular X/Z grid with inverse distance weighting
+     * @param {Float32Array|Array} xValues - X coordinate values
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {Float32Array|Array} yValues - Y coordinate values
+     * @param {Object} options - Resampling parameters (see DEFAULT_OPTIONS)
+     * @returns {Object|null} { nx, nz, xAxis, zAxis, values, nearest, get } with NaN for empty nodes and, in
+     *   nearest, the index of each node's closest input point (-1 for empty nodes), or null without data
+     */
+    static interpolate(xValues, zValues, yValues, options = {}) {
+        const settings = { ...GridInterpolator.DEFAULT_OPTIONS, ...options };
+        const samples = GridInterpolator.collectSamples(xValues, zValues, yValues);
+        if (samples.count < 3) return null;
+
+        const size = settings.gridSize || Math.round(Math.sqrt(samples.count));
+        const nodes = Math.max(settings.minGridSize, Math.min(settings.maxGridSize, size));
+        const xAxis = Array.from({ length: nodes }, (_, i) => samples.minX + (samples.maxX - samples.minX) * i / (nodes - 1));
+        const zAxis = Array.from({ length: nodes }, (_, i) => samples.minZ + (samples.maxZ - samples.minZ) * i / (nodes - 1));
+
+        // Work in grid-cell units so X and Z count equally whatever their ranges
+        const cellX = (samples.maxX - samples.minX) / (nodes - 1) || 1;
+        const cellZ = (samples.maxZ - samples.minZ) / (nodes - 1) || 1;
+        const buckets = GridInterpolator.buildBuckets(samples, cellX, cellZ, nodes);
+
+        const values = new Float64Array(nodes * nodes).fill(NaN);
+        const nearestSample = new Int32Array(nodes * nodes).fill(-1);
+        for (let xi = 0; xi < nodes; xi++) {
+            for (let zi = 0; zi < nodes; zi++) {
+                const nearest = GridInterpolator.findNearest(buckets, samples, xi, zi, cellX, cellZ, settings.neighbors);
+                if (nearest.length === 0 || nearest[0].distance > settings.maxDistance) continue;
+
+                values[xi * nodes + zi] = GridInterpolator.weightedValue(nearest, samples.y, settings.power);
+                nearestSample[xi * nodes + zi] = samples.source[nearest[0].index];
+            }
+        }
+
+        return {
+            nx: nodes,
+            nz: nodes,
+            xAxis,
+            zAxis,
+            values,
+            nearest: nearestSample,
+            get: (xi, zi) => (xi < 0 || zi < 0 || xi >= nodes || zi >= nodes) ? NaN : values[xi * nodes + zi]
+        };
+    }
+
+    /**
+     * Copy the finite samples and measure their X/Z extent
+     * @returns {Object} { x, z, y, source, count, minX, maxX, minZ, maxZ } with source the input index of each sample
+     */
+    static collectSamples(xValues, zValues, yValues) {
+        const x = [];
+        const z = [];
+        const y = [];
+        const source = [];
+        for (let i = 0; i < xValues.length; i++) {
+            if (Number.isFinite(xValues[i]) && Number.isFinite(zValues[i]) && Number.isFinite(yValues[i])) {
+                x.push(xValues[i]);
+                z.push(zValues[i]);
+                y.push(yValues[i]);
+                source.push(i);
+            }
+        }
+
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        for (let i = 0; i < x.length; i++) {
+            if (x[i] < minX) minX = x[i];
+            if (x[i] > maxX) maxX = x[i];
+            if (z[i] < minZ) minZ = z[i];
+            if (z[i] > maxZ) maxZ = z[i];
+        }
+
+        return { x, z, y, source, count: x.length, minX, maxX, minZ, maxZ };
+    }
+
+    /**
+     * Sort sample indices into one bucket per grid cell for fast neighbour lookups
+     * @returns {Object} { size, cells } where cells[bx * size + bz] lists sample indices
+     */
+    static buildBuckets(samples, cellX, cellZ, nodes) {
+        const cells = Array.from({ length: nodes * nodes }, () => []);
+        for (let i = 0; i < samples.count; i++) {
+            const bx = Math.min(nodes - 1, Math.round((samples.x[i] - samples.minX) / cellX));
+            const bz = Math.min(nodes - 1, Math.round((samples.z[i] - samples.minZ) / cellZ));
+            cells[bx * nodes + bz].push(i);
+        }
+        return { size: nodes, cells };
+    }
+
+    /**
+     * Find the nearest samples to a grid node by searching rings of buckets outwards.
+     * The search stops once the next ring cannot hold anything closer than the samples found.
+     * @returns {Array} Up to `count` entries of { index, distance } sorted by distance in cells
+     */
+    static findNearest(buckets, samples, xi, zi, cellX, cellZ, count) {
+        const nodeX = samples.minX + xi * cellX;
+        const nodeZ = samples.minZ + zi * cellZ;
+        const found = [];
+
+        for (let ring = 0; ring < buckets.size; ring++) {
+            for (let bx = xi - ring; bx <= xi + ring; bx++) {
+                for (let bz = zi - ring; bz <= zi + ring; bz++) {
+                    // Only visit the outline of the ring; the inside was searched already
+                    if (Math.max(Math.abs(bx - xi), Math.abs(bz - zi)) !== ring) continue;
+                    if (bx < 0 || bz < 0 || bx >= buckets.size || bz >= buckets.size) continue;
+
+                    for (const index of buckets.cells[bx * buckets.size + bz]) {
+                        const dx = (samples.x[index] - nodeX) / cellX;
+                        const dz = (samples.z[index] - nodeZ) / cellZ;
+                        found.push({ index, distance: Math.sqrt(dx * dx + dz * dz) });
+                    }
+                }
+            }
+
+            if (found.length >= count) {
+                found.sort((a, b) => a.distance - b.distance);
+                // Samples in the next ring are at least `ring + 0.5` cells away
+                if (found[count - 1].distance <= ring + 0.5) break;
+            }
+        }
+
+        found.sort((a, b) => a.distance - b.distance);
+        return found.slice(0, count);
+    }
+
+    /**
+     * Inverse distance weighted average; a sample sitting on the node is used as is
+     * @param {Array} nearest - Entries of { index, distance } sorted by distance
+     * @param {Array} yValues - Sample Y values
+     * @param {number} power - Weighting exponent
+     * @returns {number} Interpolated Y value
+     */
+    static weightedValue(nearest, yValues, power) {
+        if (nearest[0].distance < 1e-9) {
+            return yValues[nearest[0].index];
+        }
+
+        let weightedSum = 0;
+        let weightTotal = 0;
+        for (const { index, distance } of nearest) {
+            const weight = 1 / Math.pow(distance, power);
+            weightedSum += weight * yValues[index];
+            weightTotal += weight;
+        }
+        return weightedSum / weightTotal;
+    }
+}
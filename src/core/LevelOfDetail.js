@@ -0,0 +1,164 @@
+// LevelOfDetail.js - Min/max-preserving decimation of large datasets and zoom regions
+// This file is only accessed by PlotData.js so rendering and coarse navigation share one reduced point set
+
+export class LevelOfDetail {
+    // Largest number of points drawn or segmented before the data is decimated
+    static POINT_BUDGET = 20000;
+
+    // Each zoom step narrows the X and Z extent to this fraction of the current view
+    static ZOOM_FRACTION = 0.25;
+
+    /**
+     * Pick the indices of at most `budget` points, keeping the lowest and highest Y of every cell
+     * so that peaks and troughs survive. Cells tile the X/Z extent, or the point order for paths.
+     * @param {Float32Array|Array} xValues - X coordinate values
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {Float32Array|Array} yValues - Y coordinate values
+     * @param {Object} options - { budget, region, ordered } where region limits the points considered
+     *                           and ordered bins by position in the arrays (line plots)
+     * @returns {Object} { indices, decimated, total } with indices ascending and total the points in scope
+     */
+    static decimate(xValues, zValues, yValues, options = {}) {
+        const budget = options.budget || LevelOfDetail.POINT_BUDGET;
+        const region = options.region || null;
+
+        const inScope = region ? LevelOfDetail.findInRegion(xValues, zValues, region) : null;
+        const total = inScope ? inScope.length : xValues.length;
+        if (total <= budget) {
+            return { indices: inScope || LevelOfDetail.range(total), decimated: false, total };
+        }
+
+        // Two points per cell at most keeps the result within the budget
+        const cellCount = Math.max(1, Math.floor(budget / 2));
+        const cellOf = options.ordered
+            ? LevelOfDetail.orderCells(total, cellCount)
+            : LevelOfDetail.areaCells(xValues, zValues, inScope, total, cellCount);
+
+        const minIndex = new Int32Array(cellOf.cells).fill(-1);
+        const maxIndex = new Int32Array(cellOf.cells).fill(-1);
+        for (let k = 0; k < total; k++) {
+            const i = inScope ? inScope[k] : k;
+            const y = yValues[i];
+            if (!Number.isFinite(y)) continue;
+
+            const cell = cellOf.get(i, k);
+            if (minIndex[cell] === -1 || y < yValues[minIndex[cell]]) minIndex[cell] = i;
+            if (maxIndex[cell] === -1 || y > yValues[maxIndex[cell]]) maxIndex[cell] = i;
+        }
+
+        const kept = [];
+        for (let cell = 0; cell < cellOf.cells; cell++) {
+            if (minIndex[cell] === -1) continue;
+            kept.push(minIndex[cell]);
+            if (maxIndex[cell] !== minIndex[cell]) kept.push(maxIndex[cell]);
+        }
+
+        // Ascending order keeps line plots drawn in their original sequence
+        const indices = Uint32Array.from(kept).sort();
+        return { indices, decimated: true, total };
+    }
+
+    /**
+     * Cells that split the X/Z bounding box of the points in scope into a square-ish grid
+     * @returns {Object} { cells, get(index) } mapping a data index to its cell
+     */
+    static areaCells(xValues, zValues, inScope, total, cellCount) {
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        for (let k = 0; k < total; k++) {
+            const i = inScope ? inScope[k] : k;
+            if (xValues[i] < minX) minX = xValues[i];
+            if (xValues[i] > maxX) maxX = xValues[i];
+            if (zValues[i] < minZ) minZ = zValues[i];
+            if (zValues[i] > maxZ) maxZ = zValues[i];
+        }
+
+        // Data spread along one axis only gets all of its cells along that axis
+        const spreadX = maxX > minX;
+        const spreadZ = maxZ > minZ;
+        const side = Math.max(1, Math.floor(Math.sqrt(cellCount)));
+        const nx = spreadX ? (spreadZ ? side : cellCount) : 1;
+        const nz = spreadZ ? (spreadX ? side : cellCount) : 1;
+        const scaleX = spreadX ? nx / (maxX - minX) : 0;
+        const scaleZ = spreadZ ? nz / (maxZ - minZ) : 0;
+
+        return {
+            cells: nx * nz,
+            get: (i) => {
+                const cx = Math.min(nx - 1, Math.floor((xValues[i] - minX) * scaleX)) || 0;
+                const cz = Math.min(nz - 1, Math.floor((zValues[i] - minZ) * scaleZ)) || 0;
+                return cx * nz + cz;
+            }
+        };
+    }
+
+    /**
+     * Cells of consecutive points, so a path keeps its extremes in every stretch
+     * @returns {Object} { cells, get(index, position) } mapping a position in scope to its cell
+     */
+    static orderCells(total, cellCount) {
+        const perCell = total / cellCount;
+        return {
+            cells: cellCount,
+            get: (i, position) => Math.min(cellCount - 1, Math.floor(position / perCell))
+        };
+    }
+
+    /**
+     * Indices of the points inside an X/Z region
+     * @param {Object} region - { xMin, xMax, zMin, zMax }
+     * @returns {Uint32Array} Ascending data indices
+     */
+    static findInRegion(xValues, zValues, region) {
+        const inside = [];
+        for (let i = 0; i < xValues.length; i++) {
+            if (LevelOfDetail.contains(region, xValues[i], zValues[i])) inside.push(i);
+        }
+        return Uint32Array.from(inside);
+    }
+
+    static contains(region, x, z) {
+        return x >= region.xMin && x <= region.xMax && z >= region.zMin && z <= region.zMax;
+    }
+
+    /**
+     * Region centred on a point and narrowed from the current view, kept inside that view
+     * @param {number} x - X coordinate to centre on
+     * @param {number} z - Z coordinate to centre on
+     * @param {Object} view - Current { xMin, xMax, zMin, zMax }
+     * @returns {Object} { xMin, xMax, zMin, zMax }
+     */
+    static regionAround(x, z, view) {
+        const [xMin, xMax] = LevelOfDetail.narrow(x, view.xMin, view.xMax);
+        const [zMin, zMax] = LevelOfDetail.narrow(z, view.zMin, view.zMax);
+        return { xMin, xMax, zMin, zMax };
+    }
+
+    static narrow(center, min, max) {
+        const half = (max - min) * LevelOfDetail.ZOOM_FRACTION / 2;
+        if (half <= 0) return [min, max];
+
+        // Shift rather than shrink the window when the point is near an edge
+        const start = Math.min(Math.max(center - half, min), max - 2 * half);
+        return [start, start + 2 * half];
+    }
+
+    /**
+     * Sorted union of two ascending index lists
+     * @returns {Uint32Array} Ascending indices without duplicates
+     */
+    static merge(a, b) {
+        const merged = new Uint32Array(a.length + b.length);
+        let i = 0, j = 0, count = 0;
+        while (i < a.length || j < b.length) {
+            const next = j >= b.length || (i < a.length && a[i] <= b[j]) ? a[i++] : b[j++];
+            if (count === 0 || merged[count - 1] !== next) merged[count++] = next;
+        }
+        return merged.slice(0, count);
+    }
+
+    static range(count) {
+        const indices = new Uint32Array(count);
+        for (let i = 0; i < count; i++) indices[i] = i;
+        return indices;
+    }
+}
@@ -0,0 +1,279 @@
+// PeakDetector.js - Two-dimensional peak detection for gridded plot data
+// This file is only accessed by PlotData.js for locating local maxima on the X/Z grid
+
+export class PeakDetector {
+    // Default detection parameters (prominence and noise are fractions of the Y range)
+    static DEFAULT_OPTIONS = {
+        minProminence: 0.05,   // Minimum prominence as a fraction of the Y range
+        minSeparation: 3,      // Minimum distance between peaks in grid cells
+        noiseThreshold: null,  // Minimum height above the data floor as a fraction of the Y range (null = estimate)
+        maxPeaks: 20,          // Maximum number of peaks to report
+        maxGridSize: 512       // Maximum cells per axis before values are binned
+    };
+
+    /**
+     * Find local maxima on the X/Z grid and rank them by prominence
+     * @param {Float32Array|Array} xValues - X coordinate values
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {Float32Array|Array} yValues - Y coordinate values
+     * @param {Object} options - Detection parameters (see DEFAULT_OPTIONS)
+     * @returns {Array} Peaks sorted by prominence: { index, x, z, y, prominence, width, area, rank }
+     */
+    static findPeaks(xValues, zValues, yValues, options = {}) {
+        const settings = { ...PeakDetector.DEFAULT_OPTIONS, ...options };
+        if (!xValues || xValues.length < 3) {
+            return [];
+        }
+
+        const grid = PeakDetector.buildGrid(xValues, zValues, yValues, settings.maxGridSize);
+        const yRange = grid.maxY - grid.minY;
+        if (yRange <= 0) {
+            return [];
+        }
+
+        const noiseLevel = settings.noiseThreshold !== null && settings.noiseThreshold !== undefined
+            ? settings.noiseThreshold * yRange
+            : PeakDetector.estimateNoise(grid) * 3;
+        const minProminence = Math.max(settings.minProminence * yRange, noiseLevel);
+
+        const candidates = [];
+        for (let xi = 0; xi < grid.nx; xi++) {
+            for (let zi = 0; zi < grid.nz; zi++) {
+                const y = grid.get(xi, zi);
+                if (Number.isNaN(y) || y - grid.minY < noiseLevel) continue;
+                if (!PeakDetector.isLocalMaximum(grid, xi, zi)) continue;
+
+                const prominence = PeakDetector.calculateProminence(grid, xi, zi);
+                if (prominence < minProminence) continue;
+
+                candidates.push({ xi, zi, y, prominence });
+            }
+        }
+
+        // Strongest peaks claim their neighbourhood first
+        candidates.sort((a, b) => b.prominence - a.prominence);
+        const accepted = [];
+        for (const candidate of candidates) {
+            const tooClose = accepted.some(peak =>
+                Math.max(Math.abs(peak.xi - candidate.xi), Math.abs(peak.zi - candidate.zi)) < settings.minSeparation
+            );
+            if (!tooClose) {
+                accepted.push(candidate);
+            }
+            if (accepted.length >= settings.maxPeaks) break;
+        }
+
+        return accepted.map((candidate, rank) => {
+            const shape = PeakDetector.measurePeakShape(grid, candidate.xi, candidate.zi, candidate.prominence);
+            return {
+                index: grid.indexAt(candidate.xi, candidate.zi),
+                x: grid.xAxis[candidate.xi],
+                z: grid.zAxis[candidate.zi],
+                y: candidate.y,
+                prominence: candidate.prominence,
+                width: shape.width,
+                area: shape.area,
+                rank: rank + 1
+            };
+        });
+    }
+
+    /**
+     * Arrange scattered X/Z/Y triples on a regular grid of unique (or binned) axis values
+     * @param {Float32Array|Array} xValues - X coordinate values
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {Float32Array|Array} yValues - Y coordinate values
+     * @param {number} maxGridSize - Maximum cells per axis
+     * @returns {Object} Grid accessor with axis values and source indices
+     */
+    static buildGrid(xValues, zValues, yValues, maxGridSize) {
+        const xAxisInfo = PeakDetector.buildAxis(xValues, maxGridSize);
+        const zAxisInfo = PeakDetector.buildAxis(zValues, maxGridSize);
+        const nx = xAxisInfo.values.length;
+        const nz = zAxisInfo.values.length;
+
+        const values = new Float64Array(nx * nz).fill(NaN);
+        const indices = new Int32Array(nx * nz).fill(-1);
+        let minY = Infinity;
+        let maxY = -Infinity;
+
+        for (let i = 0; i < xValues.length; i++) {
+            const y = yValues[i];
+            if (!Number.isFinite(y)) continue;
+            const cell = xAxisInfo.lookup(xValues[i]) * nz + zAxisInfo.lookup(zValues[i]);
+            // Keep the highest sample when several points share a cell
+            if (Number.isNaN(values[cell]) || y > values[cell]) {
+                values[cell] = y;
+                indices[cell] = i;
+            }
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+
+        return {
+            nx,
+            nz,
+            xAxis: xAxisInfo.values,
+            zAxis: zAxisInfo.values,
+            minY,
+            maxY,
+            get: (xi, zi) => (xi < 0 || zi < 0 || xi >= nx || zi >= nz) ? NaN : values[xi * nz + zi],
+            indexAt: (xi, zi) => indices[xi * nz + zi]
+        };
+    }
+
+    /**
+     * Build a sorted axis from coordinate values, binning when there are too many unique values
+     * @param {Float32Array|Array} coordinates - Coordinate values for one axis
+     * @param {number} maxSize - Maximum number of axis positions
+     * @returns {Object} Axis values and a lookup function from coordinate to axis position
+     */
+    static buildAxis(coordinates, maxSize) {
+        const unique = Array.from(new Set(coordinates)).filter(Number.isFinite).sort((a, b) => a - b);
+
+        if (unique.length <= maxSize) {
+            const positions = new Map(unique.map((value, index) => [value, index]));
+            return {
+                values: unique,
+                lookup: (value) => positions.get(value)
+            };
+        }
+
+        const min = unique[0];
+        const step = (unique[unique.length - 1] - min) / (maxSize - 1);
+        const values = Array.from({ length: maxSize }, (_, i) => min + i * step);
+        return {
+            values,
+            lookup: (value) => Math.min(maxSize - 1, Math.max(0, Math.round((value - min) / step)))
+        };
+    }
+
+    /**
+     * Estimate the noise level as the median absolute difference between X neighbours
+     * @param {Object} grid - Grid from buildGrid
+     * @returns {number} Estimated noise amplitude in Y units
+     */
+    static estimateNoise(grid) {
+        const differences = [];
+        for (let xi = 1; xi < grid.nx; xi++) {
+            for (let zi = 0; zi < grid.nz; zi++) {
+                const difference = grid.get(xi, zi) - grid.get(xi - 1, zi);
+                if (!Number.isNaN(difference)) {
+                    differences.push(Math.abs(difference));
+                }
+            }
+        }
+        if (differences.length === 0) return 0;
+
+        differences.sort((a, b) => a - b);
+        // Scale the median so it approximates one standard deviation of Gaussian noise
+        return differences[Math.floor(differences.length / 2)] / (0.6745 * Math.SQRT2);
+    }
+
+    /**
+     * Check whether a cell is at least as high as all of its eight neighbours
+     * @param {Object} grid - Grid from buildGrid
+     * @param {number} xi - X cell index
+     * @param {number} zi - Z cell index
+     * @returns {boolean} True if the cell is a local maximum
+     */
+    static isLocalMaximum(grid, xi, zi) {
+        const y = grid.get(xi, zi);
+        let strictlyHigher = false;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                if (dx === 0 && dz === 0) continue;
+                const neighbour = grid.get(xi + dx, zi + dz);
+                if (Number.isNaN(neighbour)) continue;
+                if (neighbour > y) return false;
+                if (neighbour < y) strictlyHigher = true;
+            }
+        }
+        return strictlyHigher;
+    }
+
+    /**
+     * Approximate topographic prominence by walking along both grid axes.
+     * Each walk stops at the first higher cell or the grid edge; the highest of the
+     * lowest points along the four walks is used as the key col.
+     * @param {Object} grid - Grid from buildGrid
+     * @param {number} xi - X cell index
+     * @param {number} zi - Z cell index
+     * @returns {number} Prominence in Y units
+     */
+    static calculateProminence(grid, xi, zi) {
+        const y = grid.get(xi, zi);
+        const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        let keyCol = -Infinity;
+
+        for (const [dx, dz] of directions) {
+            let lowest = y;
+            let cx = xi + dx;
+            let cz = zi + dz;
+            while (cx >= 0 && cz >= 0 && cx < grid.nx && cz < grid.nz) {
+                const value = grid.get(cx, cz);
+                if (!Number.isNaN(value)) {
+                    if (value > y) break;
+                    lowest = Math.min(lowest, value);
+                }
+                cx += dx;
+                cz += dz;
+            }
+            keyCol = Math.max(keyCol, lowest);
+        }
+
+        return y - keyCol;
+    }
+
+    /**
+     * Measure full width at half prominence and integrated area along the X axis
+     * @param {Object} grid - Grid from buildGrid
+     * @param {number} xi - X cell index of the apex
+     * @param {number} zi - Z cell index of the apex
+     * @param {number} prominence - Peak prominence in Y units
+     * @returns {Object} Width in X units and trapezoidal area above the peak base
+     */
+    static measurePeakShape(grid, xi, zi, prominence) {
+        const apex = grid.get(xi, zi);
+        const base = apex - prominence;
+        const halfHeight = apex - prominence / 2;
+
+        const halfWidthEdge = (direction) => {
+            let previousX = grid.xAxis[xi];
+            let previousY = apex;
+            for (let cx = xi + direction; cx >= 0 && cx < grid.nx; cx += direction) {
+                const value = grid.get(cx, zi);
+                if (Number.isNaN(value)) continue;
+                if (value <= halfHeight) {
+                    // Interpolate between the last sample above and the first below half height
+                    const t = (previousY - halfHeight) / (previousY - value);
+                    return previousX + t * (grid.xAxis[cx] - previousX);
+                }
+                previousX = grid.xAxis[cx];
+                previousY = value;
+            }
+            return previousX;
+        };
+
+        const width = Math.abs(halfWidthEdge(1) - halfWidthEdge(-1));
+
+        // Integrate the cross-section above the base until it meets the base or starts rising again
+        let area = 0;
+        for (const direction of [1, -1]) {
+            let previousX = grid.xAxis[xi];
+            let previousY = apex;
+            for (let cx = xi + direction; cx >= 0 && cx < grid.nx; cx += direction) {
+                const value = grid.get(cx, zi);
+                if (Number.isNaN(value)) continue;
+                if (value > previousY) break;
+                const clipped = Math.max(value, base);
+                area += Math.abs(grid.xAxis[cx] - previousX) * ((previousY - base) + (clipped - base)) / 2;
+                if (value <= base) break;
+                previousX = grid.xAxis[cx];
+                previousY = value;
+            }
+        }
+
+        return { width, area };
+    }
+}
@@ -2,6 +2,19 @@
 import { PlotDataFactory } from './PlotDataFactory.js';
 import { FileOperations } from '../utils/FileOperations.js';
 import { DescriptiveStatistics } from './DescriptiveStatistics.js';
+import { PeakDetector } from './PeakDetector.js';
+import { BaselineCorrector } from './BaselineCorrector.js';
+import { SpectralDeconvolution } from './SpectralDeconvolution.js';
+import { GridInterpolator } from './GridInterpolator.js';
+import { LevelOfDetail } from './LevelOfDetail.js';
+import { ValueRange } from '../utils/ValueRange.js';
+import { CsvParser } from '../utils/CsvParser.js';
+import { CsvFileImporter } from '../utils/CsvFileImporter.js';
+import { NetCdfReader } from '../utils/NetCdfReader.js';
+import { XlsxReader } from '../utils/XlsxReader.js';
+import { ArrowReader } from '../utils/ArrowReader.js';
+import { ParquetReader } from '../utils/ParquetReader.js';
+import { DataImporter } from '../utils/DataImporter.js';
 import { DataLogger } from '../utils/Logger.js';
 import { EVENTS } from '../constants/EventConstants.js';
 
@@ -30,8 +43,27 @@ export class PlotData {
         this.zUnit = '';
         this.description = '';
 
+        // Analysis results (cleared whenever the data changes)
+        this.peaks = [];
+        this.resetBaselineState();
+        this.deconvolution = null;
+
+        // Named series loaded from one file ({ name, xValues, zValues, yValues } each)
+        this.series = [];
+        this.currentSeriesIndex = -1;
+        this.seriesComparison = null;
+
+        // Interpolated surface grid, cached for the coordinate arrays it was built from
+        this.resampledGrid = null;
+
+        // Nested X/Z regions drilled into at full resolution (innermost last), and the
+        // decimated point selection cached for the arrays and region it was built from
+        this.zoomRegions = [];
+        this.levelOfDetail = null;
+
         // Initialize file operations
         this.fileOperations = new FileOperations(this);
+        this.csvImporter = new CsvFileImporter();
     }
 
     /**
@@ -85,6 +117,13 @@ export class PlotData {
         this.yValues = yValues;
         this.currentSample = sampleName || 'custom';
         this.plotType = plotType;
+        this.peaks = [];
+        this.resetBaselineState();
+        this.deconvolution = null;
+        this.series = [];
+        this.currentSeriesIndex = -1;
+        this.seriesComparison = null;
+        this.zoomRegions = [];
         
         // Set custom labels if provided
         if (labels) {
@@ -101,6 +140,30 @@ export class PlotData {
         this.notifyDataChanged();
     }
 
+    /**
+     * Sets several named series that share axis labels; the first one is shown
+     * @param {Array} seriesList - Series of { name, xValues, zValues, yValues }
+     * @param {Object} labels - Axis labels and metadata
+     * @param {string} plotType - Type of plot (defaults to 'surface')
+     */
+    setSeriesData(seriesList, labels = null, plotType = 'surface') {
+        if (!seriesList || seriesList.length === 0) {
+            throw new Error('At least one series is required');
+        }
+        seriesList.forEach(series => {
+            if (series.xValues.length !== series.zValues.length || series.xValues.length !== series.yValues.length) {
+                throw new Error(`Data arrays of series '${series.name}' must have the same length`);
+            }
+        });
+
+        const first = seriesList[0];
+        this.setData(first.xValues, first.zValues, first.yValues, first.name, labels, plotType);
+        this.series = seriesList;
+        this.currentSeriesIndex = 0;
+
+        DataLogger.info(`Loaded ${seriesList.length} series: ${seriesList.map(series => series.name).join(', ')}`);
+    }
+
     /**
      * Notify other components that data has changed so they can update labels
      */
@@ -121,10 +184,10 @@ export class PlotData {
     /**
      * Loads sample data using the factory pattern
      * @param {string} sampleName - Name of the sample to load
-     * @param {string} plotType - Type of plot (defaults to current plotType)
+     * @param {string} plotType - Type of plot (defaults to the plot type that provides the sample)
      */
     loadSample(sampleName, plotType = null) {
-        const targetPlotType = plotType || this.plotType;
+        const targetPlotType = plotType || PlotDataFactory.getPlotTypeForSample(sampleName) || this.plotType;
         
         try {
             const rawData = PlotDataFactory.createPlotData(targetPlotType, sampleName);
@@ -167,6 +230,41 @@ export class PlotData {
         return PlotDataFactory.getSupportedPlotTypes();
     }
 
+    /**
+     * Gets information about the current plot type
+     * @returns {Object|null} Plot type information (see PlotDataFactory.getSupportedPlotTypes)
+     */
+    getPlotTypeInfo() {
+        return PlotDataFactory.getPlotTypeInfo(this.plotType);
+    }
+
+    /**
+     * Whether the current plot type is drawn as a surface mesh
+     * @returns {boolean} False for point clouds such as scatter plots
+     */
+    hasSurfaceMesh() {
+        const info = this.getPlotTypeInfo();
+        return info ? info.mesh : true;
+    }
+
+    /**
+     * Whether point navigation moves between nearest neighbours instead of X/Z grid segments
+     * @returns {boolean} True for irregular point clouds
+     */
+    usesNearestNeighborNavigation() {
+        const info = this.getPlotTypeInfo();
+        return info ? info.navigation === 'nearest-neighbor' : false;
+    }
+
+    /**
+     * Whether point navigation follows the vertices in data order
+     * @returns {boolean} True for line plots such as trajectories
+     */
+    usesPathNavigation() {
+        const info = this.getPlotTypeInfo();
+        return info ? info.navigation === 'path' : false;
+    }
+
     /**
      * Changes the current plot type
      * @param {string} newPlotType - The new plot type to switch to
@@ -194,6 +292,13 @@ export class PlotData {
         this.yUnit = '';
         this.zUnit = '';
         this.description = '';
+        this.peaks = [];
+        this.resetBaselineState();
+        this.deconvolution = null;
+        this.series = [];
+        this.currentSeriesIndex = -1;
+        this.seriesComparison = null;
+        this.zoomRegions = [];
         
         // Notify components that data (including labels) has been cleared
         this.notifyDataChanged();
@@ -202,145 +307,523 @@ export class PlotData {
     }
 
     // File operations methods
+
+    /**
+     * Load X/Y/Z columns from CSV text (delimiter, decimal separator and matrix layout are detected)
+     * @param {string} content - CSV file content
+     * @param {string} xVar - Header of the X column (defaults to the first column)
+     * @param {string} yVar - Header of the Y column (defaults to the third column)
+     * @param {string} zVar - Header of the Z column (defaults to the second column)
+     * @returns {Object} Import report (see loadCSVColumns)
+     */
     async loadFromCSV(content, xVar = null, yVar = null, zVar = null) {
         try {
-            const lines = content.split('\n');
-            const originalHeaders = lines[0].split(',').map(h => h.trim());
-            const lowerHeaders = originalHeaders.map(h => h.toLowerCase());
-            
-            // Find column indices based on provided variables or default to first three numeric columns
-            let xIndex, yIndex, zIndex;
-            
-            if (xVar && yVar && zVar) {
-                xIndex = lowerHeaders.findIndex(h => h === xVar.toLowerCase());
-                yIndex = lowerHeaders.findIndex(h => h === yVar.toLowerCase());
-                zIndex = lowerHeaders.findIndex(h => h === zVar.toLowerCase());
-                
-                // Validate that all requested variables were found
-                if (xIndex === -1) {
-                    throw new Error(`X variable '${xVar}' not found in CSV headers: ${originalHeaders.join(', ')}`);
-                }
-                if (yIndex === -1) {
-                    throw new Error(`Y variable '${yVar}' not found in CSV headers: ${originalHeaders.join(', ')}`);
-                }
-                if (zIndex === -1) {
-                    throw new Error(`Z variable '${zVar}' not found in CSV headers: ${originalHeaders.join(', ')}`);
-                }
-            } else {
-                // Default to first three numeric columns
-                if (originalHeaders.length < 3) {
-                    throw new Error(`CSV must have at least 3 columns, found: ${originalHeaders.length}`);
-                }
-                xIndex = 0;
-                yIndex = 1;
-                zIndex = 2;
+            return this.loadParsedRecords(CsvParser.parse(content), xVar, yVar, zVar);
+        } catch (error) {
+            throw new Error(`CSV import failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load one worksheet of an Excel workbook; the sheet goes through the same checks as a CSV file
+     * @param {Object} workbook - Result of XlsxReader.read()
+     * @param {string} sheetName - Sheet to load (defaults to the first visible sheet)
+     * @param {string} xVar - Header of the X column (defaults to the first column)
+     * @param {string} yVar - Header of the Y column (defaults to the third column)
+     * @param {string} zVar - Header of the Z column (defaults to the second column)
+     * @returns {Object} Import report (see loadCSVColumns)
+     */
+    async loadFromXlsx(workbook, sheetName = null, xVar = null, yVar = null, zVar = null) {
+        try {
+            return this.loadParsedRecords(await XlsxReader.readSheet(workbook, sheetName), xVar, yVar, zVar);
+        } catch (error) {
+            throw new Error(`Excel import failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load records split by CsvParser.parse() or XlsxReader.readSheet(), detecting a matrix layout
+     * when no variables are given
+     * @param {Object} parsed - { headers, records, delimiter, decimalSeparator, commentLines, sheet }
+     * @returns {Object} Import report (see loadCSVColumns)
+     */
+    loadParsedRecords(parsed, xVar = null, yVar = null, zVar = null) {
+        const sample = parsed.records.slice(0, CsvParser.DEFAULT_OPTIONS.sniffLines);
+        if (!xVar && CsvParser.isMatrixLayout(parsed.headers, sample, parsed.decimalSeparator)) {
+            return this.loadCSVMatrix(parsed);
+        }
+
+        const columns = CsvParser.findColumns(parsed.headers, xVar, yVar, zVar);
+        const { values, text, rowCount, dropped } = CsvParser.readColumns(
+            parsed,
+            { x: columns.x, y: columns.y, z: columns.z },
+            columns.series !== -1 ? { series: columns.series } : {}
+        );
+
+        // Same shape as CsvParser.readFile so both paths share loadCSVColumns
+        let seriesNames = [];
+        let seriesIndex = null;
+        if (text.series) {
+            const ids = new Map();
+            seriesIndex = new Uint32Array(rowCount);
+            text.series.forEach((name, i) => {
+                const key = name || 'custom';
+                if (!ids.has(key)) ids.set(key, ids.size);
+                seriesIndex[i] = ids.get(key);
+            });
+            seriesNames = Array.from(ids.keys());
+        }
+
+        return this.loadCSVColumns({
+            headers: parsed.headers,
+            columns,
+            delimiter: parsed.delimiter,
+            decimalSeparator: parsed.decimalSeparator,
+            commentLines: parsed.commentLines,
+            values: { x: new Float32Array(values.x), y: new Float32Array(values.y), z: new Float32Array(values.z) },
+            rowCount,
+            seriesNames,
+            seriesIndex,
+            droppedRows: dropped.length,
+            skippedCells: 0,
+            summary: CsvParser.describeDropped(dropped),
+            layout: 'long',
+            matrix: null,
+            sheet: parsed.sheet
+        }, xVar, yVar, zVar);
+    }
+
+    /**
+     * Load a wide matrix (column axis in the header row, row axis in the first column) as X/Y/Z columns
+     * @param {Object} parsed - Result of CsvParser.parse() or XlsxReader.readSheet()
+     * @returns {Object} Import report (see loadCSVColumns)
+     */
+    loadCSVMatrix(parsed) {
+        const { headers, values, rowCount, dropped, skippedCells, matrix } = CsvParser.readMatrix(parsed);
+        const summary = [CsvParser.describeDropped(dropped), CsvParser.describeSkippedCells(skippedCells)]
+            .filter(Boolean).join('\n');
+
+        return this.loadCSVColumns({
+            headers,
+            columns: { x: 0, y: 1, z: 2, series: -1 },
+            delimiter: parsed.delimiter,
+            decimalSeparator: parsed.decimalSeparator,
+            commentLines: parsed.commentLines,
+            values: { x: new Float32Array(values.x), y: new Float32Array(values.y), z: new Float32Array(values.z) },
+            rowCount,
+            seriesNames: [],
+            seriesIndex: null,
+            droppedRows: dropped.length,
+            skippedCells: skippedCells.count,
+            summary,
+            layout: 'matrix',
+            matrix,
+            sheet: parsed.sheet
+        });
+    }
+
+    /**
+     * Load X/Y/Z columns from a CSV file, reading it in chunks in a Web Worker
+     * @param {File} file - CSV file
+     * @param {string} xVar - Header of the X column (defaults to the first column)
+     * @param {string} yVar - Header of the Y column (defaults to the third column)
+     * @param {string} zVar - Header of the Z column (defaults to the second column)
+     * @param {Function} onProgress - Called with { loaded, total, rows } while the file is read
+     * @returns {Promise<Object>} Import report (see loadCSVColumns)
+     */
+    async loadFromCSVFile(file, xVar = null, yVar = null, zVar = null, onProgress = null) {
+        const endTimer = DataLogger.startTimer('CSV file import');
+        let imported;
+        try {
+            imported = await this.csvImporter.import(file, { x: xVar, y: yVar, z: zVar }, onProgress);
+        } catch (error) {
+            // A cancelled import was replaced by a newer one; let the caller tell the two apart
+            if (error.name === 'AbortError') throw error;
+            throw new Error(`CSV import failed: ${error.message}`);
+        }
+        endTimer({ rows: imported.rowCount, bytes: file.size });
+
+        try {
+            return this.loadCSVColumns(imported, xVar, yVar, zVar);
+        } catch (error) {
+            throw new Error(`CSV import failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Turn columns read by CsvParser into plot data, one series per value of a Sample or Series column
+     * @param {Object} imported - { headers, columns, delimiter, decimalSeparator, commentLines, values,
+     *   rowCount, seriesNames, seriesIndex, droppedRows, skippedCells, summary, layout, matrix, sheet }
+     * @returns {Object} Import report { rows, droppedRows, summary, delimiter, decimalSeparator, commentLines, matrix, sheet }
+     *   where rows counts points, matrix is { rows, columns } for matrix files and sheet names the Excel sheet
+     */
+    loadCSVColumns(imported, xVar = null, yVar = null, zVar = null) {
+        const { headers, columns, values, rowCount, seriesNames, seriesIndex, summary } = imported;
+        if (rowCount === 0) {
+            throw new Error(`No numeric rows found. ${summary}`.trim());
+        }
+
+        const seriesList = this.buildSeries(values, rowCount, seriesNames, seriesIndex);
+        const source = imported.sheet ? `Excel sheet '${imported.sheet}'` : 'Custom CSV';
+
+        // Parse headers to extract variable names and units
+        const xHeaderInfo = this.parseHeaderLabelAndUnit(xVar || headers[columns.x]);
+        const yHeaderInfo = this.parseHeaderLabelAndUnit(yVar || headers[columns.y]);
+        const zHeaderInfo = this.parseHeaderLabelAndUnit(zVar || headers[columns.z]);
+
+        this.setSeriesData(
+            seriesList,
+            {
+                xLabel: xHeaderInfo.label,
+                yLabel: yHeaderInfo.label,
+                zLabel: zHeaderInfo.label,
+                xUnit: xHeaderInfo.unit,
+                yUnit: yHeaderInfo.unit,
+                zUnit: zHeaderInfo.unit,
+                description: imported.matrix
+                    ? `${source} matrix, ${imported.matrix.rows} rows by ${imported.matrix.columns} columns`
+                    : seriesList.length > 1 ? `${source} data, ${seriesList.length} series` : `${source} data`
             }
+        );
 
-            const xValues = [];
-            const yValues = [];
-            const zValues = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                if (lines[i].trim() === '') continue;
-                
-                const values = lines[i].split(',').map(v => v.trim());
-                
-                const x = parseFloat(values[xIndex]);
-                const y = parseFloat(values[yIndex]);
-                const z = parseFloat(values[zIndex]);
-                
-                if (!isNaN(x) && !isNaN(y) && !isNaN(z)) {
-                    xValues.push(x);
-                    yValues.push(y);
-                    zValues.push(z);
-                }
+        const format = imported.sheet ? 'Excel' : 'CSV';
+        if (summary) {
+            DataLogger.warn(`${format} import: ${summary}`);
+        }
+        const layout = imported.matrix ? `${imported.matrix.rows} x ${imported.matrix.columns} matrix, ` : '';
+        if (imported.sheet) {
+            DataLogger.info(`Excel import: sheet '${imported.sheet}', ${layout}${rowCount} rows`);
+        } else {
+            DataLogger.info(`CSV import: ${layout}${rowCount} rows, ${CsvParser.DELIMITER_NAMES[imported.delimiter]}-delimited, ` +
+                            `decimal ${imported.decimalSeparator === ',' ? 'comma' : 'point'}, ${imported.commentLines} comment lines skipped`);
+        }
+
+        return {
+            rows: rowCount,
+            droppedRows: imported.droppedRows,
+            summary,
+            delimiter: imported.delimiter,
+            decimalSeparator: imported.decimalSeparator,
+            commentLines: imported.commentLines,
+            layout: imported.layout || 'long',
+            matrix: imported.matrix || null,
+            sheet: imported.sheet || null
+        };
+    }
+
+    /**
+     * Split imported columns into named series
+     * @param {Object} values - { x, y, z } column arrays, y plotted as height and z as depth
+     * @param {number} rowCount - Number of rows
+     * @param {Array} seriesNames - Series names
+     * @param {Uint32Array|null} seriesIndex - Index into seriesNames per row, or null for a single series
+     * @returns {Array} Series of { name, xValues, zValues, yValues }
+     */
+    buildSeries(values, rowCount, seriesNames, seriesIndex) {
+        // Count the rows of each series first so every series gets exactly sized arrays
+        const names = seriesIndex ? seriesNames : ['custom'];
+        const counts = new Uint32Array(names.length);
+        for (let i = 0; i < rowCount; i++) {
+            counts[seriesIndex ? seriesIndex[i] : 0]++;
+        }
+
+        // Series keep the argument order used by setData
+        const seriesList = names.map((name, id) => ({
+            name,
+            xValues: new Float32Array(counts[id]),
+            zValues: new Float32Array(counts[id]),
+            yValues: new Float32Array(counts[id])
+        }));
+        const filled = new Uint32Array(names.length);
+        for (let i = 0; i < rowCount; i++) {
+            const id = seriesIndex ? seriesIndex[i] : 0;
+            const series = seriesList[id];
+            const position = filled[id]++;
+            series.xValues[position] = values.x[i];
+            series.zValues[position] = values.z[i];
+            series.yValues[position] = values.y[i];
+        }
+
+        // Series left empty by missing values are not worth switching to
+        return seriesList.filter(series => series.xValues.length > 0);
+    }
+
+    /**
+     * Load three variables of a NetCDF-3 classic file (.nc, .cdf, ANDI/AIA chromatography)
+     * @param {ArrayBuffer} buffer - File content
+     * @param {string} xVar - Variable for the X dropdown
+     * @param {string} yVar - Variable for the Y dropdown
+     * @param {string} zVar - Variable for the Z dropdown (all three are guessed when any is missing)
+     * @returns {Object} Import report { rows, droppedRows, summary, layout, variables, seriesDimensions }
+     */
+    async loadFromNetCDF(buffer, xVar = null, yVar = null, zVar = null) {
+        try {
+            const file = NetCdfReader.read(buffer);
+            const variables = xVar && yVar && zVar ? { x: xVar, y: yVar, z: zVar } : NetCdfReader.guessVariables(file);
+            if (!variables) {
+                throw new Error('choose the X, Y and Z variables with Load Custom Data; none could be guessed from the file');
             }
 
-            // Parse headers to extract variable names and units
-            const xHeaderInfo = this.parseHeaderLabelAndUnit(xVar || originalHeaders[xIndex]);
-            const yHeaderInfo = this.parseHeaderLabelAndUnit(yVar || originalHeaders[yIndex]);
-            const zHeaderInfo = this.parseHeaderLabelAndUnit(zVar || originalHeaders[zIndex]);
+            const columns = NetCdfReader.readColumns(file, variables);
+            if (columns.rowCount === 0) {
+                throw new Error(`no point has a value for all of ${Object.values(variables).join(', ')}`);
+            }
 
-            this.setData(
-                new Float32Array(xValues),
-                new Float32Array(yValues),
-                new Float32Array(zValues),
-                'custom',
-                {
-                    xLabel: xHeaderInfo.label,
-                    yLabel: yHeaderInfo.label,
-                    zLabel: zHeaderInfo.label,
-                    xUnit: xHeaderInfo.unit,
-                    yUnit: yHeaderInfo.unit,
-                    zUnit: zHeaderInfo.unit,
-                    description: 'Custom CSV data'
+            const seriesList = this.buildSeries(columns.values, columns.rowCount, columns.seriesNames, columns.seriesIndex);
+            const x = NetCdfReader.describeVariable(file, variables.x);
+            const y = NetCdfReader.describeVariable(file, variables.y);
+            const z = NetCdfReader.describeVariable(file, variables.z);
+            const title = typeof file.attributes.title === 'string' && file.attributes.title.trim()
+                ? file.attributes.title.trim()
+                : 'NetCDF data';
+
+            this.setSeriesData(seriesList, {
+                xLabel: x.label,
+                yLabel: y.label,
+                zLabel: z.label,
+                xUnit: x.unit,
+                yUnit: y.unit,
+                zUnit: z.unit,
+                description: seriesList.length > 1 ? `${title}, ${seriesList.length} series by ${columns.seriesDimensions.join(' and ')}` : title
+            });
+
+            const notes = [];
+            if (columns.droppedRows > 0) {
+                notes.push(`${columns.droppedRows} points with a missing or fill value were left out`);
+            }
+            if (columns.truncated) {
+                notes.push(`Only the first slice along dimensions no other variable uses was loaded; ` +
+                           `splitting them would make more than ${NetCdfReader.MAX_SERIES} series`);
+            }
+            const summary = notes.join('\n');
+            if (summary) {
+                DataLogger.warn(`NetCDF import: ${summary}`);
+            }
+            DataLogger.info(`NetCDF import: ${columns.rowCount} points from ${variables.x}, ${variables.y}, ${variables.z}` +
+                            (seriesList.length > 1 ? ` in ${seriesList.length} series` : ''));
+
+            return {
+                rows: columns.rowCount,
+                droppedRows: columns.droppedRows,
+                summary,
+                layout: 'netcdf',
+                variables,
+                seriesDimensions: columns.seriesDimensions
+            };
+        } catch (error) {
+            throw new Error(`NetCDF import failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load three numeric columns of an Arrow IPC or Parquet table; values are read from the binary
+     * column buffers, so there is no text to parse
+     * @param {Object} table - Result of ArrowReader.read() or ParquetReader.read()
+     * @param {string} xVar - Column for the X dropdown
+     * @param {string} yVar - Column for the Y dropdown
+     * @param {string} zVar - Column for the Z dropdown (the first three numeric columns are used as X, Z, Y when any is missing)
+     * @returns {Object} Import report { rows, droppedRows, summary, layout, format }
+     */
+    async loadFromColumnar(table, xVar = null, yVar = null, zVar = null) {
+        try {
+            const reader = table.format === 'Parquet' ? ParquetReader : ArrowReader;
+            let names = { x: xVar, y: yVar, z: zVar };
+            if (!xVar || !yVar || !zVar) {
+                const numeric = table.columns.filter(column => column.numeric);
+                if (numeric.length < 3) {
+                    throw new Error(`at least three numeric columns are needed, found ${numeric.length}`);
                 }
-            );
+                names = { x: numeric[0].name, y: numeric[2].name, z: numeric[1].name };
+            }
+
+            const columns = {
+                x: await reader.getValues(table, names.x),
+                y: await reader.getValues(table, names.y),
+                z: await reader.getValues(table, names.z)
+            };
+
+            // Nulls arrive as NaN; rows missing any coordinate are left out
+            const values = {
+                x: new Float32Array(table.rowCount),
+                y: new Float32Array(table.rowCount),
+                z: new Float32Array(table.rowCount)
+            };
+            let rowCount = 0;
+            for (let i = 0; i < table.rowCount; i++) {
+                const x = columns.x[i], y = columns.y[i], z = columns.z[i];
+                if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+                values.x[rowCount] = x;
+                values.y[rowCount] = y;
+                values.z[rowCount] = z;
+                rowCount++;
+            }
+            if (rowCount === 0) {
+                throw new Error(`no row has a value for all of ${Object.values(names).join(', ')}`);
+            }
+
+            const seriesList = this.buildSeries(values, rowCount, [], null);
+            const xHeaderInfo = this.parseHeaderLabelAndUnit(names.x);
+            const yHeaderInfo = this.parseHeaderLabelAndUnit(names.y);
+            const zHeaderInfo = this.parseHeaderLabelAndUnit(names.z);
+            this.setSeriesData(seriesList, {
+                xLabel: xHeaderInfo.label,
+                yLabel: yHeaderInfo.label,
+                zLabel: zHeaderInfo.label,
+                xUnit: xHeaderInfo.unit,
+                yUnit: yHeaderInfo.unit,
+                zUnit: zHeaderInfo.unit,
+                description: `Custom ${table.format} data`
+            });
+
+            const droppedRows = table.rowCount - rowCount;
+            const summary = droppedRows > 0
+                ? `${droppedRows} ${droppedRows === 1 ? 'row' : 'rows'} with a null or non-finite value left out`
+                : '';
+            if (summary) {
+                DataLogger.warn(`${table.format} import: ${summary}`);
+            }
+            DataLogger.info(`${table.format} import: ${rowCount} rows from ${names.x}, ${names.y}, ${names.z}`);
 
-            return true;
+            return { rows: rowCount, droppedRows, summary, layout: 'long', format: table.format };
         } catch (error) {
-            throw new Error(`CSV import failed: ${error.message}`);
+            throw new Error(`${table.format} import failed: ${error.message}`);
         }
     }
 
+    /**
+     * Load three arrays of a JSON object. Files written by Export Data keep their labels, units,
+     * description, sample name and series; arrays of other files are labelled from their keys.
+     * @param {string} content - JSON text
+     * @param {string} xVar - Key of the X array
+     * @param {string} yVar - Key of the Y array
+     * @param {string} zVar - Key of the Z array (all three are suggested when any is missing)
+     * @returns {Object} Import report { rows, droppedRows, summary, layout }
+     */
     async loadFromJSON(content, xVar = null, yVar = null, zVar = null) {
         try {
             const data = JSON.parse(content);
-            
-            // Get available arrays
-            const arrays = Object.entries(data)
-                .filter(([_, value]) => Array.isArray(value))
-                .map(([key, _]) => key);
-            
-            if (arrays.length < 3) {
+            const keys = DataImporter.getJsonColumns(data);
+            if (keys.length < 3) {
                 throw new Error('JSON must contain at least 3 numeric arrays');
             }
 
-            // Use provided variables or default to first three arrays
-            const xKey = xVar || arrays[0];
-            const yKey = yVar || arrays[1];
-            const zKey = zVar || arrays[2];
+            const names = xVar && yVar && zVar ? { x: xVar, y: yVar, z: zVar } : DataImporter.suggestMapping(keys);
+            for (const key of Object.values(names)) {
+                if (!keys.includes(key)) {
+                    throw new Error(`Array '${key}' not found in JSON: ${keys.join(', ')}`);
+                }
+            }
+            const length = data[names.x].length;
+            if (data[names.y].length !== length || data[names.z].length !== length) {
+                throw new Error('Arrays must have the same length');
+            }
 
-            if (!data[xKey] || !data[yKey] || !data[zKey]) {
-                throw new Error('Required arrays not found in JSON');
+            // Export Data writes several series one after another, with the length of each
+            const runs = Array.isArray(data.series) &&
+                data.series.reduce((sum, series) => sum + (Number(series?.count) || 0), 0) === length
+                ? data.series : null;
+            const seriesOf = runs ? new Uint32Array(length) : null;
+            if (runs) {
+                let start = 0;
+                runs.forEach((series, index) => {
+                    seriesOf.fill(index, start, start + Number(series.count));
+                    start += Number(series.count);
+                });
             }
 
-            // Convert to Float32Array and validate
-            const xValues = new Float32Array(data[xKey].map(v => parseFloat(v)));
-            const yValues = new Float32Array(data[yKey].map(v => parseFloat(v)));
-            const zValues = new Float32Array(data[zKey].map(v => parseFloat(v)));
+            // Points missing a coordinate are left out rather than plotted at zero
+            const values = { x: new Float32Array(length), y: new Float32Array(length), z: new Float32Array(length) };
+            const seriesIndex = runs ? new Uint32Array(length) : null;
+            const toNumber = (value) => typeof value === 'number' ? value : parseFloat(value);
+            let rowCount = 0;
+            for (let i = 0; i < length; i++) {
+                const x = toNumber(data[names.x][i]), y = toNumber(data[names.y][i]), z = toNumber(data[names.z][i]);
+                if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+                values.x[rowCount] = x;
+                values.y[rowCount] = y;
+                values.z[rowCount] = z;
+                if (seriesIndex) seriesIndex[rowCount] = seriesOf[i];
+                rowCount++;
+            }
+            if (rowCount === 0) {
+                throw new Error(`no point has a value for all of ${Object.values(names).join(', ')}`);
+            }
 
-            if (xValues.length !== yValues.length || xValues.length !== zValues.length) {
-                throw new Error('Arrays must have the same length');
+            const seriesList = this.buildSeries(values, rowCount, runs ? runs.map(series => String(series.name)) : [], seriesIndex);
+            if (!runs) {
+                seriesList[0].name = data.sampleName || data.sample || 'custom';
             }
 
-            // Parse keys to extract variable names and units
-            const xHeaderInfo = this.parseHeaderLabelAndUnit(xKey);
-            const yHeaderInfo = this.parseHeaderLabelAndUnit(yKey);
-            const zHeaderInfo = this.parseHeaderLabelAndUnit(zKey);
+            // Labels of exported arrays are kept in metadata (labels in older exports); other keys name themselves
+            const metadata = data.metadata || data.labels || {};
+            const describe = (axis) => DataImporter.JSON_KEYS[axis].includes(names[axis]) && metadata[`${axis}Label`]
+                ? { label: metadata[`${axis}Label`], unit: metadata[`${axis}Unit`] || '' }
+                : this.parseHeaderLabelAndUnit(names[axis]);
+            const x = describe('x');
+            const y = describe('y');
+            const z = describe('z');
 
-            this.setData(
-                xValues,
-                yValues,
-                zValues,
-                'custom',
-                {
-                    xLabel: xHeaderInfo.label,
-                    yLabel: yHeaderInfo.label,
-                    zLabel: zHeaderInfo.label,
-                    xUnit: xHeaderInfo.unit,
-                    yUnit: yHeaderInfo.unit,
-                    zUnit: zHeaderInfo.unit,
-                    description: 'Custom JSON data'
-                }
-            );
+            this.setSeriesData(seriesList, {
+                xLabel: x.label,
+                yLabel: y.label,
+                zLabel: z.label,
+                xUnit: x.unit,
+                yUnit: y.unit,
+                zUnit: z.unit,
+                description: metadata.description ||
+                    (seriesList.length > 1 ? `Custom JSON data, ${seriesList.length} series` : 'Custom JSON data')
+            });
+
+            const droppedRows = length - rowCount;
+            const summary = droppedRows > 0
+                ? `${droppedRows} ${droppedRows === 1 ? 'point' : 'points'} with a missing or non-numeric value left out`
+                : '';
+            if (summary) {
+                DataLogger.warn(`JSON import: ${summary}`);
+            }
+            DataLogger.info(`JSON import: ${rowCount} points from ${names.x}, ${names.y}, ${names.z}`);
 
-            return true;
+            return { rows: rowCount, droppedRows, summary, layout: 'long' };
         } catch (error) {
             throw new Error(`JSON import failed: ${error.message}`);
         }
     }
 
+    /**
+     * Load a file opened by DataImporter with the chosen columns; every import goes through here
+     * @param {Object} source - Result of DataImporter.open() (and selectSheet() for workbooks)
+     * @param {Object|null} mapping - { x, y, z } column or variable names (null for matrix files)
+     * @param {Function} onProgress - Called with { loaded, total, rows } while a CSV file is read
+     * @returns {Promise<Object>} Import report of the format's loader
+     */
+    async importSource(source, mapping = null, onProgress = null) {
+        const { x = null, y = null, z = null } = mapping || {};
+        let report;
+        if (source.type === 'csv') {
+            report = await this.loadFromCSVFile(source.file, x, y, z, onProgress);
+        } else if (source.type === 'json') {
+            report = await this.loadFromJSON(source.content, x, y, z);
+        } else if (source.type === 'netcdf') {
+            report = await this.loadFromNetCDF(source.content, x, y, z);
+        } else if (source.type === 'xlsx') {
+            report = await this.loadFromXlsx(source.content, source.sheet, x, y, z);
+        } else if (DataImporter.COLUMNAR_READERS[source.type]) {
+            report = await this.loadFromColumnar(source.content, x, y, z);
+        } else {
+            throw new Error(`Files of type '${source.type}' cannot be imported as data`);
+        }
+
+        // Export Data writes the plot type and description next to the values
+        const { plotType, description } = source.metadata || {};
+        if (plotType && this.getSupportedPlotTypes().some(type => type.id === plotType)) {
+            this.plotType = plotType;
+        }
+        if (description) {
+            this.description = description;
+        }
+        return report;
+    }
+
     exportToCSV() {
         return this.fileOperations.exportToCSV();
     }
@@ -349,25 +832,518 @@ export class PlotData {
         return this.fileOperations.exportToJSON();
     }
 
-    downloadFile(content, filename) {
-        return this.fileOperations.downloadFile(content, filename);
+    downloadFile(content, filename, type = 'text/csv') {
+        return this.fileOperations.downloadFile(content, filename, type);
     }
 
     getDataRange() {
         return {
-            x: {
-                min: Math.min(...this.xValues),
-                max: Math.max(...this.xValues)
-            },
-            z: {
-                min: Math.min(...this.zValues),
-                max: Math.max(...this.zValues)
+            x: ValueRange.getMinMax(this.xValues),
+            z: ValueRange.getMinMax(this.zValues),
+            y: ValueRange.getMinMax(this.yValues)
+        };
+    }
+
+    /**
+     * Get the regular grid the surface mesh is built from when the points do not lie on one.
+     * Scattered data is resampled with inverse distance weighting; the result is cached until
+     * the coordinate arrays are replaced (new data, baseline correction, deconvolution) or the zoom changes.
+     * @returns {Object|null} Grid from GridInterpolator.interpolate, or null if the data is already gridded
+     */
+    getResampledGrid() {
+        const region = this.getZoomRegion();
+        const cache = this.resampledGrid;
+        if (cache && cache.xValues === this.xValues && cache.zValues === this.zValues &&
+            cache.yValues === this.yValues && cache.region === region) {
+            return cache.grid;
+        }
+
+        // While zoomed the mesh spends all of its nodes on the region
+        let { xValues, zValues, yValues } = this;
+        if (region) {
+            const inside = LevelOfDetail.findInRegion(xValues, zValues, region);
+            xValues = Array.from(inside, i => this.xValues[i]);
+            zValues = Array.from(inside, i => this.zValues[i]);
+            yValues = Array.from(inside, i => this.yValues[i]);
+        }
+
+        let grid = null;
+        if (!GridInterpolator.isRegularGrid(xValues, zValues)) {
+            const endTimer = DataLogger.startTimer('Grid interpolation');
+            grid = GridInterpolator.interpolate(xValues, zValues, yValues);
+            endTimer({ nodes: grid ? grid.nx * grid.nz : 0 });
+            // Nearest points are reported into the region's copy; navigation needs indices into the full arrays
+            if (grid && region) {
+                grid.nearest = grid.nearest.map(i => i < 0 ? -1 : inside[i]);
+            }
+        }
+
+        this.resampledGrid = { xValues: this.xValues, zValues: this.zValues, yValues: this.yValues, region, grid };
+        return grid;
+    }
+
+    /**
+     * Points to draw and to segment for navigation. Above LevelOfDetail.POINT_BUDGET the data is
+     * decimated; while zoomed, navigation covers only the zoom region, which is drawn over the overview.
+     * @returns {Object} { indices, decimated, navigationIndices, navigationDecimated, total, regionTotal, region }
+     *                   where a null index list stands for every point
+     */
+    getLevelOfDetail() {
+        const region = this.getZoomRegion();
+        // Line plots keep vertices in path order, so the plot type is part of the cache key too
+        const ordered = this.usesPathNavigation();
+        const cache = this.levelOfDetail;
+        if (cache && cache.xValues === this.xValues && cache.zValues === this.zValues &&
+            cache.yValues === this.yValues && cache.region === region && cache.ordered === ordered) {
+            return cache.lod;
+        }
+
+        const endTimer = DataLogger.startTimer('Level of detail');
+        const overview = LevelOfDetail.decimate(this.xValues, this.zValues, this.yValues, { ordered });
+        const local = region
+            ? LevelOfDetail.decimate(this.xValues, this.zValues, this.yValues, { ordered, region })
+            : overview;
+
+        const lod = {
+            indices: overview.decimated
+                ? (region ? LevelOfDetail.merge(overview.indices, local.indices) : overview.indices)
+                : null,
+            decimated: overview.decimated,
+            navigationIndices: region || local.decimated ? local.indices : null,
+            navigationDecimated: local.decimated,
+            total: overview.total,
+            regionTotal: local.total,
+            region
+        };
+        endTimer({ drawn: lod.indices ? lod.indices.length : lod.total, navigable: lod.navigationIndices ? lod.navigationIndices.length : lod.total });
+
+        this.levelOfDetail = { xValues: this.xValues, zValues: this.zValues, yValues: this.yValues, region, ordered, lod };
+        return lod;
+    }
+
+    /**
+     * Innermost zoom region, or null when the whole dataset is shown
+     * @returns {Object|null} { xMin, xMax, zMin, zMax }
+     */
+    getZoomRegion() {
+        return this.zoomRegions.length > 0 ? this.zoomRegions[this.zoomRegions.length - 1] : null;
+    }
+
+    /**
+     * Drill into the neighbourhood of a point, narrowing the current view on X and Z
+     * @param {number} x - X coordinate to centre on
+     * @param {number} z - Z coordinate to centre on
+     * @returns {Object} The new zoom region
+     */
+    zoomInto(x, z) {
+        if (!this.xValues || this.xValues.length === 0) {
+            throw new Error('No data loaded to zoom into');
+        }
+        const range = this.getDataRange();
+
+        const view = this.getZoomRegion() ||
+            { xMin: range.x.min, xMax: range.x.max, zMin: range.z.min, zMax: range.z.max };
+        const region = LevelOfDetail.regionAround(x, z, view);
+        this.zoomRegions.push(region);
+
+        DataLogger.info(`Zoomed into X ${region.xMin} to ${region.xMax}, Z ${region.zMin} to ${region.zMax} (level ${this.zoomRegions.length})`);
+        return region;
+    }
+
+    /**
+     * Step back out to the enclosing region, or to the whole dataset
+     * @returns {boolean} False when the data was not zoomed
+     */
+    zoomOut() {
+        if (this.zoomRegions.length === 0) return false;
+        this.zoomRegions.pop();
+        return true;
+    }
+
+    /**
+     * Detect peaks on the X/Z grid and store them as the current peak list
+     * @param {Object} options - Detection parameters (minProminence, minSeparation, noiseThreshold, maxPeaks)
+     * @returns {Array} Peaks ranked by prominence
+     */
+    findPeaks(options = {}) {
+        const endTimer = DataLogger.startTimer('Peak detection');
+        this.peaks = PeakDetector.findPeaks(this.xValues, this.zValues, this.yValues, options);
+        endTimer({ peaks: this.peaks.length });
+
+        DataLogger.info(`Found ${this.peaks.length} peaks in ${this.currentSample}`);
+        return this.peaks;
+    }
+
+    /**
+     * Forget any baseline correction (the current yValues become the raw data)
+     */
+    resetBaselineState() {
+        this.rawYValues = null;         // Original Y values while a correction exists
+        this.correctedYValues = null;   // Baseline-corrected copy of the raw Y values
+        this.baselineValues = null;     // Estimated baseline per data point
+        this.baselineCorrection = null; // { method, sliceAxis, active } for the current correction
+    }
+
+    /**
+     * Estimate the baseline and switch yValues to the corrected copy.
+     * The raw values are kept so the correction can be toggled or undone.
+     * @param {Object} options - Baseline parameters (method, sliceAxis, windowSize, lambda, ...)
+     * @returns {Object} Current baseline correction state
+     */
+    applyBaselineCorrection(options = {}) {
+        this.clearDeconvolution();
+        const raw = this.rawYValues || this.yValues;
+        const endTimer = DataLogger.startTimer('Baseline correction');
+        const { baseline, corrected } = BaselineCorrector.correct(this.xValues, this.zValues, raw, options);
+        endTimer({ method: options.method });
+
+        const settings = { ...BaselineCorrector.DEFAULT_OPTIONS, ...options };
+        this.rawYValues = raw;
+        this.baselineValues = baseline;
+        this.correctedYValues = corrected;
+        this.yValues = corrected;
+        const methodInfo = BaselineCorrector.METHODS.find(m => m.id === settings.method);
+        this.baselineCorrection = {
+            method: settings.method,
+            methodName: methodInfo ? methodInfo.name : settings.method,
+            sliceAxis: settings.sliceAxis,
+            active: true
+        };
+
+        // Peaks were measured on the previous Y values
+        this.peaks = [];
+
+        DataLogger.info(`Applied ${settings.method} baseline correction per ${settings.sliceAxis.toUpperCase()} slice`);
+        return this.baselineCorrection;
+    }
+
+    /**
+     * Switch yValues between the corrected copy and the original data
+     * @returns {Object|null} Current baseline correction state, or null if none has been applied
+     */
+    toggleBaselineCorrection() {
+        if (!this.baselineCorrection) {
+            return null;
+        }
+
+        this.clearDeconvolution();
+        this.baselineCorrection.active = !this.baselineCorrection.active;
+        this.yValues = this.baselineCorrection.active ? this.correctedYValues : this.rawYValues;
+        this.peaks = [];
+
+        DataLogger.debug(`Baseline correction ${this.baselineCorrection.active ? 'shown' : 'hidden'}`);
+        return this.baselineCorrection;
+    }
+
+    /**
+     * Discard the baseline correction and restore the original Y values
+     * @returns {boolean} True if a correction was undone
+     */
+    undoBaselineCorrection() {
+        if (!this.baselineCorrection) {
+            return false;
+        }
+
+        this.clearDeconvolution();
+        this.yValues = this.rawYValues;
+        this.resetBaselineState();
+        this.peaks = [];
+
+        DataLogger.debug('Baseline correction undone');
+        return true;
+    }
+
+    /**
+     * Fit overlapping components along Z to the current Y values.
+     * The fitted data stay selected until a component dataset is chosen.
+     * @param {Object} options - Fitting parameters (shape, components, maxComponents, ...)
+     * @returns {Object} Deconvolution state (see selectDeconvolutionDataset)
+     */
+    runDeconvolution(options = {}) {
+        this.clearDeconvolution();
+        const source = this.yValues;
+
+        const endTimer = DataLogger.startTimer('Spectral deconvolution');
+        const result = SpectralDeconvolution.deconvolve(this.xValues, this.zValues, source, options);
+        endTimer({ components: result.components.length });
+
+        const shapeInfo = SpectralDeconvolution.SHAPES.find(s => s.id === result.shape);
+        this.deconvolution = {
+            ...result,
+            shapeName: shapeInfo ? shapeInfo.name : result.shape,
+            sourceYValues: source,  // Y values the components were fitted to
+            activeComponent: -1     // -1 = fitted data, otherwise index into components
+        };
+
+        DataLogger.info(`Deconvolved ${this.currentSample} into ${result.components.length} ${result.shape} components (R² ${result.rSquared.toFixed(4)})`);
+        return this.deconvolution;
+    }
+
+    /**
+     * Show either the fitted data or one component as the current Y values
+     * @param {number} index - Component index, or -1 for the data the components were fitted to
+     * @returns {Object|null} Deconvolution state, or null if no deconvolution has been run
+     */
+    selectDeconvolutionDataset(index) {
+        if (!this.deconvolution) {
+            return null;
+        }
+
+        const { components, sourceYValues } = this.deconvolution;
+        const active = Math.max(-1, Math.min(components.length - 1, index));
+        this.deconvolution.activeComponent = active;
+        this.yValues = active === -1 ? sourceYValues : components[active].yValues;
+
+        // Peaks were measured on the previous Y values
+        this.peaks = [];
+
+        DataLogger.debug(active === -1 ? 'Showing deconvolution source data' : `Showing deconvolution component ${active + 1}`);
+        return this.deconvolution;
+    }
+
+    /**
+     * Step through the datasets in the order: fitted data, component 1, component 2, ...
+     * @param {number} step - 1 for forward, -1 for backward
+     * @returns {Object|null} Deconvolution state, or null if no deconvolution has been run
+     */
+    cycleDeconvolutionDataset(step = 1) {
+        if (!this.deconvolution) {
+            return null;
+        }
+
+        const count = this.deconvolution.components.length + 1;
+        const position = (this.deconvolution.activeComponent + 1 + step + count) % count;
+        return this.selectDeconvolutionDataset(position - 1);
+    }
+
+    /**
+     * Discard the deconvolution and restore the Y values it was fitted to
+     * @returns {boolean} True if a deconvolution was cleared
+     */
+    clearDeconvolution() {
+        if (!this.deconvolution) {
+            return false;
+        }
+
+        this.yValues = this.deconvolution.sourceYValues;
+        this.deconvolution = null;
+        this.peaks = [];
+        return true;
+    }
+
+    /**
+     * Show one of the loaded series, discarding analysis results of the previous one
+     * @param {number} index - Series index
+     * @returns {Object|null} The selected series, or null if no series were loaded
+     */
+    selectSeries(index) {
+        if (this.series.length === 0) {
+            return null;
+        }
+
+        const active = Math.max(0, Math.min(this.series.length - 1, index));
+        const series = this.series[active];
+        this.xValues = series.xValues;
+        this.zValues = series.zValues;
+        this.yValues = series.yValues;
+        this.currentSample = series.name;
+        this.currentSeriesIndex = active;
+        this.seriesComparison = null;
+        this.peaks = [];
+        this.resetBaselineState();
+        this.deconvolution = null;
+
+        DataLogger.debug(`Showing series ${active + 1} of ${this.series.length}: ${series.name}`);
+        return series;
+    }
+
+    /**
+     * Step to the next or previous series, wrapping around at either end
+     * @param {number} step - 1 for forward, -1 for backward
+     * @returns {Object|null} The selected series, or null if no series were loaded
+     */
+    cycleSeries(step = 1) {
+        if (this.series.length === 0) {
+            return null;
+        }
+
+        const count = this.series.length;
+        const start = this.seriesComparison ? this.seriesComparison.baseIndex : this.currentSeriesIndex;
+        return this.selectSeries((start + step + count) % count);
+    }
+
+    /**
+     * Show the difference between the current series and another one (current minus other).
+     * Points are paired by identical X and Z; points without a partner are left out.
+     * @param {number} otherIndex - Index of the series to subtract
+     * @returns {Object|null} { baseIndex, otherIndex, baseName, otherName, matched, dropped }, or null with fewer than two series
+     */
+    compareSeries(otherIndex) {
+        if (this.series.length < 2) {
+            return null;
+        }
+
+        const baseIndex = this.seriesComparison ? this.seriesComparison.baseIndex : this.currentSeriesIndex;
+        if (otherIndex === baseIndex || otherIndex < 0 || otherIndex >= this.series.length) {
+            throw new Error('Choose a different series to compare with');
+        }
+
+        const base = this.series[baseIndex];
+        const other = this.series[otherIndex];
+        const otherY = new Map();
+        for (let i = 0; i < other.xValues.length; i++) {
+            otherY.set(`${other.xValues[i]},${other.zValues[i]}`, other.yValues[i]);
+        }
+
+        const xValues = [];
+        const zValues = [];
+        const yValues = [];
+        for (let i = 0; i < base.xValues.length; i++) {
+            const key = `${base.xValues[i]},${base.zValues[i]}`;
+            if (otherY.has(key)) {
+                xValues.push(base.xValues[i]);
+                zValues.push(base.zValues[i]);
+                yValues.push(base.yValues[i] - otherY.get(key));
+            }
+        }
+
+        if (xValues.length === 0) {
+            throw new Error(`Series '${base.name}' and '${other.name}' share no ${this.xLabel}/${this.zLabel} positions`);
+        }
+
+        this.xValues = new Float32Array(xValues);
+        this.zValues = new Float32Array(zValues);
+        this.yValues = new Float32Array(yValues);
+        this.currentSample = `${base.name} minus ${other.name}`;
+        this.currentSeriesIndex = baseIndex;
+        this.peaks = [];
+        this.resetBaselineState();
+        this.deconvolution = null;
+        this.seriesComparison = {
+            baseIndex,
+            otherIndex,
+            baseName: base.name,
+            otherName: other.name,
+            matched: xValues.length,
+            dropped: base.xValues.length + other.xValues.length - 2 * xValues.length
+        };
+
+        DataLogger.info(`Comparing ${base.name} with ${other.name}: ${xValues.length} paired points, ${this.seriesComparison.dropped} unpaired`);
+        return this.seriesComparison;
+    }
+
+    /**
+     * Leave the difference view and show the series it was based on
+     * @returns {boolean} True if a comparison was cleared
+     */
+    clearSeriesComparison() {
+        if (!this.seriesComparison) {
+            return false;
+        }
+
+        this.selectSeries(this.seriesComparison.baseIndex);
+        return true;
+    }
+
+    /**
+     * Data and analysis results for a project file. Derived arrays (series differences,
+     * the raw values behind a baseline correction) are rebuilt on restore rather than stored.
+     * @returns {Object} Project data section (see restoreProjectState)
+     */
+    getProjectState() {
+        if (!this.xValues || this.xValues.length === 0) {
+            throw new Error('No data available to save');
+        }
+
+        // Without named series the loaded data is the one series; its Y values are the
+        // ones before any baseline correction or deconvolution
+        const series = this.series.length > 0
+            ? this.series.map(({ name, xValues, zValues, yValues }) => ({ name, xValues, zValues, yValues }))
+            : [{
+                name: this.currentSample,
+                xValues: this.xValues,
+                zValues: this.zValues,
+                yValues: this.rawYValues || this.deconvolution?.sourceYValues || this.yValues
+            }];
+
+        let deconvolution = null;
+        if (this.deconvolution) {
+            const { sourceYValues, ...result } = this.deconvolution;
+            deconvolution = result;
+        }
+
+        return {
+            plotType: this.plotType,
+            labels: {
+                xLabel: this.xLabel, yLabel: this.yLabel, zLabel: this.zLabel,
+                xUnit: this.xUnit, yUnit: this.yUnit, zUnit: this.zUnit,
+                description: this.description
             },
-            y: {
-                min: Math.min(...this.yValues),
-                max: Math.max(...this.yValues)
+            series,
+            currentSeriesIndex: this.currentSeriesIndex,
+            comparedSeriesIndex: this.seriesComparison ? this.seriesComparison.otherIndex : -1,
+            baseline: this.baselineCorrection ? {
+                ...this.baselineCorrection,
+                correctedYValues: this.correctedYValues,
+                baselineValues: this.baselineValues
+            } : null,
+            deconvolution,
+            peaks: this.peaks,
+            zoomRegions: this.zoomRegions
+        };
+    }
+
+    /**
+     * Load the data of a project file and put back its analysis results in the order they
+     * were produced: series and comparison, baseline correction, deconvolution, peaks
+     * @param {Object} state - Project data section from getProjectState
+     */
+    restoreProjectState(state) {
+        const supportedTypes = this.getSupportedPlotTypes().map(type => type.id);
+        if (!supportedTypes.includes(state.plotType)) {
+            throw new Error(`Unsupported plot type: ${state.plotType}`);
+        }
+
+        if (state.currentSeriesIndex >= 0) {
+            this.setSeriesData(state.series, state.labels, state.plotType);
+            this.selectSeries(state.currentSeriesIndex);
+            if (state.comparedSeriesIndex >= 0) {
+                this.compareSeries(state.comparedSeriesIndex);
+            }
+        } else {
+            const [data] = state.series;
+            this.setData(data.xValues, data.zValues, data.yValues, data.name, state.labels, state.plotType);
+        }
+
+        const count = this.yValues.length;
+        const checkLength = (values, name) => {
+            if (!values || values.length !== count) {
+                throw new Error(`${name} in project file do not match the data (${values ? values.length : 0} of ${count} values)`);
             }
         };
+
+        if (state.baseline) {
+            const { correctedYValues, baselineValues, ...correction } = state.baseline;
+            checkLength(correctedYValues, 'Baseline-corrected values');
+            checkLength(baselineValues, 'Baseline values');
+            this.rawYValues = this.yValues;
+            this.correctedYValues = correctedYValues;
+            this.baselineValues = baselineValues;
+            this.baselineCorrection = correction;
+            this.yValues = correction.active ? correctedYValues : this.rawYValues;
+        }
+
+        if (state.deconvolution) {
+            state.deconvolution.components.forEach((component, index) =>
+                checkLength(component.yValues, `Deconvolution component ${index + 1} values`));
+            this.deconvolution = { ...state.deconvolution, sourceYValues: this.yValues };
+            this.selectDeconvolutionDataset(state.deconvolution.activeComponent);
+        }
+
+        this.peaks = state.peaks || [];
+        this.zoomRegions = state.zoomRegions || [];
+
+        DataLogger.info(`Restored project data: ${this.currentSample}, ${count} points`);
     }
 
     getDataPoints() {
@@ -1,11 +1,13 @@
 // PlotDataFactory.js - Factory for creating different plot types
 import { SurfacePlotDataGenerator } from '../plots/surface/SurfacePlotDataGenerator.js';
+import { ScatterPlotDataGenerator } from '../plots/scatter/ScatterPlotDataGenerator.js';
+import { LinePlotDataGenerator } from '../plots/line/LinePlotDataGenerator.js';
 
 export class PlotDataFactory {
     
     /**
      * Creates plot data based on plot type and sample name
-     * @param {string} plotType - The type of plot ('surface', etc.)
+     * @param {string} plotType - The type of plot ('surface', 'scatter', 'line')
      * @param {string} sampleName - The sample to generate
      * @returns {Object} Plot data object with standardized structure
      */
@@ -13,6 +15,10 @@ export class PlotDataFactory {
         switch (plotType) {
             case 'surface':
                 return PlotDataFactory.createSurfacePlotData(sampleName);
+            case 'scatter':
+                return PlotDataFactory.createScatterPlotData(sampleName);
+            case 'line':
+                return PlotDataFactory.createLinePlotData(sampleName);
             default:
                 throw new Error(`Unsupported plot type: ${plotType}`);
         }
@@ -41,6 +47,38 @@ export class PlotDataFactory {
         return data;
     }
 
+    /**
+     * Creates scatter plot data
+     * @param {string} sampleName - The scatter sample to generate
+     * @returns {Object} Scatter plot data
+     */
+    static createScatterPlotData(sampleName) {
+        switch (sampleName) {
+            case 'clusters':
+                return ScatterPlotDataGenerator.generateClusters();
+            case 'spiral':
+                return ScatterPlotDataGenerator.generateSpiral();
+            default:
+                throw new Error(`Unknown scatter plot sample: ${sampleName}`);
+        }
+    }
+
+    /**
+     * Creates line plot data
+     * @param {string} sampleName - The line sample to generate
+     * @returns {Object} Line plot data with vertices in path order
+     */
+    static createLinePlotData(sampleName) {
+        switch (sampleName) {
+            case 'trajectory':
+                return LinePlotDataGenerator.generateTrajectory();
+            case 'randomWalk':
+                return LinePlotDataGenerator.generateRandomWalk();
+            default:
+                throw new Error(`Unknown line plot sample: ${sampleName}`);
+        }
+    }
+
     /**
      * Gets available samples for a specific plot type
      * @param {string} plotType - The plot type to get samples for
@@ -50,6 +88,10 @@ export class PlotDataFactory {
         switch (plotType) {
             case 'surface':
                 return SurfacePlotDataGenerator.getAvailableSamples();
+            case 'scatter':
+                return ScatterPlotDataGenerator.getAvailableSamples();
+            case 'line':
+                return LinePlotDataGenerator.getAvailableSamples();
             default:
                 return [];
         }
@@ -57,6 +99,9 @@ export class PlotDataFactory {
 
     /**
      * Gets all supported plot types
+     * mesh: whether a surface mesh can be built from the points
+     * navigation: 'grid' (segments on the X/Z grid), 'nearest-neighbor' (irregular point clouds)
+     * or 'path' (vertices in data order)
      * @returns {Array} Array of supported plot type information
      */
     static getSupportedPlotTypes() {
@@ -65,24 +110,50 @@ export class PlotDataFactory {
                 id: 'surface',
                 name: 'Surface Plot',
                 description: '3D surface visualization with X, Y, Z coordinates',
-                dataStructure: 'point-cloud'
+                dataStructure: 'point-cloud',
+                mesh: true,
+                navigation: 'grid'
+            },
+            {
+                id: 'scatter',
+                name: 'Scatter Plot',
+                description: '3D scatter plot visualization',
+                dataStructure: 'point-cloud',
+                mesh: false,
+                navigation: 'nearest-neighbor'
+            },
+            {
+                id: 'line',
+                name: 'Line Plot',
+                description: '3D line plot visualization',
+                dataStructure: 'line-segments',
+                mesh: false,
+                navigation: 'path'
             }
-            // Future plot types can be added here:
-            // {
-            //     id: 'scatter',
-            //     name: 'Scatter Plot',
-            //     description: '3D scatter plot visualization',
-            //     dataStructure: 'point-cloud'
-            // },
-            // {
-            //     id: 'line',
-            //     name: 'Line Plot',
-            //     description: '3D line plot visualization',
-            //     dataStructure: 'line-segments'
-            // }
         ];
     }
 
+    /**
+     * Gets information about a single plot type
+     * @param {string} plotType - The plot type id
+     * @returns {Object|null} Plot type information, or null if unsupported
+     */
+    static getPlotTypeInfo(plotType) {
+        return PlotDataFactory.getSupportedPlotTypes().find(type => type.id === plotType) || null;
+    }
+
+    /**
+     * Finds the plot type that provides a sample
+     * @param {string} sampleName - The sample id
+     * @returns {string|null} Plot type id, or null if no plot type provides the sample
+     */
+    static getPlotTypeForSample(sampleName) {
+        const plotType = PlotDataFactory.getSupportedPlotTypes().find(type =>
+            PlotDataFactory.getAvailableSamples(type.id).some(sample => sample.id === sampleName)
+        );
+        return plotType ? plotType.id : null;
+    }
+
     /**
      * Validates plot data structure
      * @param {Object} plotData - The plot data to validate
@@ -0,0 +1,449 @@
+// SpectralDeconvolution.js - Multi-component peak fitting along the Z axis
+// This file is only accessed by PlotData.js for separating co-eluting components
+import { ValueRange } from '../utils/ValueRange.js';
+
+export class SpectralDeconvolution {
+    // Supported component line shapes
+    static SHAPES = [
+        { id: 'gaussian', name: 'Gaussian' },
+        { id: 'lorentzian', name: 'Lorentzian' }
+    ];
+
+    // Default fitting parameters
+    static DEFAULT_OPTIONS = {
+        shape: 'gaussian',
+        components: null,        // Number of components (null = choose automatically)
+        maxComponents: 6,        // Upper limit for automatic selection
+        minImprovement: 0.1,     // Relative error reduction required to keep an extra automatic component
+        minResidual: 0.05,       // Residual (fraction of the profile range) worth an extra automatic component
+        maxIterations: 200       // Levenberg-Marquardt iteration limit
+    };
+
+    /**
+     * Fit the data as a sum of components that share a Z profile (retention time peak)
+     * and have an independent amplitude for every X value (the component spectrum).
+     * @param {Float32Array|Array} xValues - X coordinate values
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {Float32Array|Array} yValues - Y coordinate values
+     * @param {Object} options - Fitting parameters (see DEFAULT_OPTIONS)
+     * @returns {Object} { shape, components: [{ center, width, height, area, contribution, yValues }], residual, rSquared }
+     */
+    static deconvolve(xValues, zValues, yValues, options = {}) {
+        const settings = { ...SpectralDeconvolution.DEFAULT_OPTIONS, ...options };
+        const shapeFunction = SpectralDeconvolution.getShapeFunction(settings.shape);
+
+        const rawProfile = SpectralDeconvolution.buildZProfile(zValues, yValues);
+        if (rawProfile.z.length < 4) {
+            throw new Error('At least 4 distinct Z values are required for deconvolution');
+        }
+
+        // Remove the constant floor so it is not mistaken for a broad component
+        const floor = ValueRange.getMinMax(rawProfile.y).min;
+        const profile = { z: rawProfile.z, y: rawProfile.y.map(y => y - floor) };
+
+        const components = SpectralDeconvolution.fitProfile(profile, shapeFunction, settings);
+        return SpectralDeconvolution.resolveComponents(xValues, zValues, yValues, components, shapeFunction, settings.shape);
+    }
+
+    /**
+     * Get the line shape function and its partial derivatives
+     * @param {string} shape - 'gaussian' or 'lorentzian'
+     * @returns {Object} { value(u), dValue(u) } where u = (z - center) / width
+     */
+    static getShapeFunction(shape) {
+        switch (shape) {
+            case 'gaussian':
+                return {
+                    value: (u) => Math.exp(-0.5 * u * u),
+                    dValue: (u) => -u * Math.exp(-0.5 * u * u),
+                    areaFactor: Math.sqrt(2 * Math.PI)
+                };
+            case 'lorentzian':
+                return {
+                    value: (u) => 1 / (1 + u * u),
+                    dValue: (u) => -2 * u / ((1 + u * u) * (1 + u * u)),
+                    areaFactor: Math.PI
+                };
+            default:
+                throw new Error(`Unknown component shape: ${shape}. Supported shapes: ${SpectralDeconvolution.SHAPES.map(s => s.id).join(', ')}`);
+        }
+    }
+
+    /**
+     * Average Y over all X values for every distinct Z value
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {Float32Array|Array} yValues - Y coordinate values
+     * @returns {Object} { z: sorted Z values, y: mean Y per Z }
+     */
+    static buildZProfile(zValues, yValues) {
+        const sums = new Map();
+        for (let i = 0; i < zValues.length; i++) {
+            const entry = sums.get(zValues[i]) || { sum: 0, count: 0 };
+            entry.sum += yValues[i];
+            entry.count++;
+            sums.set(zValues[i], entry);
+        }
+
+        const z = Array.from(sums.keys()).sort((a, b) => a - b);
+        const y = z.map(value => sums.get(value).sum / sums.get(value).count);
+        return { z, y };
+    }
+
+    /**
+     * Fit the Z profile, adding components until the requested count is reached
+     * (or, in automatic mode, until an extra component stops improving the fit)
+     * @param {Object} profile - { z, y } from buildZProfile
+     * @param {Object} shapeFunction - From getShapeFunction
+     * @param {Object} settings - Fitting parameters
+     * @returns {Array} Components [{ amplitude, center, width }] sorted by center
+     */
+    static fitProfile(profile, shapeFunction, settings) {
+        const target = settings.components ? Math.max(1, Math.round(settings.components)) : null;
+        const limit = target || settings.maxComponents;
+
+        let components = SpectralDeconvolution.findInitialComponents(profile).slice(0, limit);
+        if (components.length === 0) {
+            throw new Error('No peak found along the Z axis');
+        }
+
+        let fit = SpectralDeconvolution.levenbergMarquardt(profile, components, shapeFunction, settings.maxIterations);
+
+        while (fit.components.length < limit) {
+            const residual = profile.y.map((y, i) =>
+                y - SpectralDeconvolution.evaluate(fit.components, profile.z[i], shapeFunction)
+            );
+
+            // Seed the next component where the current model under-predicts the most
+            let worst = 0;
+            for (let i = 1; i < residual.length; i++) {
+                if (residual[i] > residual[worst]) worst = i;
+            }
+            // In automatic mode, ignore residual structure smaller than the noise floor
+            const range = ValueRange.getMinMax(profile.y);
+            const floor = target ? 0 : settings.minResidual * (range.max - range.min);
+            if (residual[worst] <= floor) break;
+
+            const spacing = (profile.z[profile.z.length - 1] - profile.z[0]) / (profile.z.length - 1);
+            const narrowest = fit.components.reduce((min, c) => Math.min(min, c.width), Infinity);
+            const candidate = SpectralDeconvolution.levenbergMarquardt(
+                profile,
+                [...fit.components, { amplitude: residual[worst], center: profile.z[worst], width: Math.max(spacing, narrowest / 2) }],
+                shapeFunction,
+                settings.maxIterations
+            );
+
+            if (!target && candidate.error > fit.error * (1 - settings.minImprovement)) {
+                break; // Extra component does not explain enough of the remaining signal
+            }
+            fit = candidate;
+        }
+
+        return fit.components.sort((a, b) => a.center - b.center);
+    }
+
+    /**
+     * Locate local maxima of the Z profile to seed the fit
+     * @param {Object} profile - { z, y } from buildZProfile
+     * @returns {Array} Components [{ amplitude, center, width }] sorted by amplitude
+     */
+    static findInitialComponents(profile) {
+        const { z, y } = profile;
+        const { min, max } = ValueRange.getMinMax(y);
+        const minHeight = (max - min) * 0.05;
+        const components = [];
+
+        for (let i = 0; i < y.length; i++) {
+            const left = i > 0 ? y[i - 1] : -Infinity;
+            const right = i < y.length - 1 ? y[i + 1] : -Infinity;
+            if (y[i] <= left || y[i] < right || y[i] - min < minHeight) continue;
+
+            // Width from the half-height crossings on either side
+            const halfHeight = min + (y[i] - min) / 2;
+            let lo = i;
+            while (lo > 0 && y[lo] > halfHeight) lo--;
+            let hi = i;
+            while (hi < y.length - 1 && y[hi] > halfHeight) hi++;
+            const fwhm = Math.max(z[hi] - z[lo], z[Math.min(i + 1, z.length - 1)] - z[Math.max(i - 1, 0)]);
+
+            components.push({ amplitude: y[i] - min, center: z[i], width: fwhm / 2.355 });
+        }
+
+        return components.sort((a, b) => b.amplitude - a.amplitude);
+    }
+
+    /**
+     * Evaluate the sum of components at a Z position
+     * @param {Array} components - [{ amplitude, center, width }]
+     * @param {number} z - Z position
+     * @param {Object} shapeFunction - From getShapeFunction
+     * @returns {number} Model value
+     */
+    static evaluate(components, z, shapeFunction) {
+        let sum = 0;
+        for (const component of components) {
+            sum += component.amplitude * shapeFunction.value((z - component.center) / component.width);
+        }
+        return sum;
+    }
+
+    /**
+     * Levenberg-Marquardt least squares fit of amplitude, center and width for every component
+     * @param {Object} profile - { z, y } from buildZProfile
+     * @param {Array} initial - Starting components [{ amplitude, center, width }]
+     * @param {Object} shapeFunction - From getShapeFunction
+     * @param {number} maxIterations - Iteration limit
+     * @returns {Object} { components, error } with error as the sum of squared residuals
+     */
+    static levenbergMarquardt(profile, initial, shapeFunction, maxIterations) {
+        const { z, y } = profile;
+        const zMin = z[0];
+        const zMax = z[z.length - 1];
+        const minWidth = (zMax - zMin) / (z.length - 1) / 2;
+        // Anything wider than a quarter of the Z range is drift rather than a peak
+        const maxWidth = (zMax - zMin) / 4;
+
+        let params = initial.flatMap(c => [c.amplitude, c.center, c.width]);
+        const size = params.length;
+
+        const toComponents = (p) => {
+            const components = [];
+            for (let k = 0; k < p.length; k += 3) {
+                components.push({ amplitude: p[k], center: p[k + 1], width: p[k + 2] });
+            }
+            return components;
+        };
+        const sumOfSquares = (p) => {
+            const components = toComponents(p);
+            let sum = 0;
+            for (let i = 0; i < z.length; i++) {
+                const r = y[i] - SpectralDeconvolution.evaluate(components, z[i], shapeFunction);
+                sum += r * r;
+            }
+            return sum;
+        };
+        const constrain = (p) => {
+            for (let k = 0; k < p.length; k += 3) {
+                p[k] = Math.max(0, p[k]);
+                p[k + 1] = Math.min(zMax, Math.max(zMin, p[k + 1]));
+                p[k + 2] = Math.min(maxWidth, Math.max(minWidth, p[k + 2]));
+            }
+            return p;
+        };
+
+        let error = sumOfSquares(params);
+        let damping = 1e-3;
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            // Build J'J and J'r with analytic derivatives
+            const jtj = Array.from({ length: size }, () => new Float64Array(size));
+            const jtr = new Float64Array(size);
+            const row = new Float64Array(size);
+
+            for (let i = 0; i < z.length; i++) {
+                let model = 0;
+                for (let k = 0; k < size; k += 3) {
+                    const [amplitude, center, width] = [params[k], params[k + 1], params[k + 2]];
+                    const u = (z[i] - center) / width;
+                    const value = shapeFunction.value(u);
+                    const slope = shapeFunction.dValue(u);
+                    model += amplitude * value;
+                    row[k] = value;
+                    row[k + 1] = -amplitude * slope / width;
+                    row[k + 2] = -amplitude * slope * u / width;
+                }
+                const r = y[i] - model;
+                for (let a = 0; a < size; a++) {
+                    jtr[a] += row[a] * r;
+                    for (let b = 0; b < size; b++) {
+                        jtj[a][b] += row[a] * row[b];
+                    }
+                }
+            }
+
+            let improved = false;
+            while (damping < 1e10) {
+                const system = jtj.map((values, a) => {
+                    const copy = Float64Array.from(values);
+                    copy[a] += damping * (values[a] || 1e-12);
+                    return copy;
+                });
+                const step = SpectralDeconvolution.solveLinearSystem(system, jtr);
+                const candidate = constrain(params.map((p, a) => p + step[a]));
+                const candidateError = sumOfSquares(candidate);
+
+                if (candidateError < error) {
+                    const relativeChange = (error - candidateError) / (error || 1);
+                    params = candidate;
+                    error = candidateError;
+                    damping = Math.max(damping / 3, 1e-12);
+                    improved = relativeChange > 1e-9;
+                    break;
+                }
+                damping *= 3;
+            }
+
+            if (!improved) break;
+        }
+
+        return { components: toComponents(params), error };
+    }
+
+    /**
+     * Solve a small dense linear system with Gaussian elimination and partial pivoting
+     * @param {Array<Float64Array>} matrix - Square coefficient matrix (modified in place)
+     * @param {Float64Array} rhs - Right-hand side
+     * @returns {Float64Array} Solution vector
+     */
+    static solveLinearSystem(matrix, rhs) {
+        const size = rhs.length;
+        const a = matrix.map((values, i) => {
+            const row = new Float64Array(size + 1);
+            row.set(values);
+            row[size] = rhs[i];
+            return row;
+        });
+
+        for (let col = 0; col < size; col++) {
+            let pivotRow = col;
+            for (let r = col + 1; r < size; r++) {
+                if (Math.abs(a[r][col]) > Math.abs(a[pivotRow][col])) pivotRow = r;
+            }
+            [a[col], a[pivotRow]] = [a[pivotRow], a[col]];
+
+            const pivot = a[col][col] || 1e-12;
+            for (let r = col + 1; r < size; r++) {
+                const factor = a[r][col] / pivot;
+                for (let k = col; k <= size; k++) {
+                    a[r][k] -= factor * a[col][k];
+                }
+            }
+        }
+
+        const solution = new Float64Array(size);
+        for (let r = size - 1; r >= 0; r--) {
+            let sum = a[r][size];
+            for (let k = r + 1; k < size; k++) {
+                sum -= a[r][k] * solution[k];
+            }
+            solution[r] = sum / (a[r][r] || 1e-12);
+        }
+        return solution;
+    }
+
+    /**
+     * With the Z profiles fixed, solve the non-negative amplitude of every component for
+     * each X slice (plus a constant background) and build one Y array per component
+     * @param {Float32Array|Array} xValues - X coordinate values
+     * @param {Float32Array|Array} zValues - Z coordinate values
+     * @param {Float32Array|Array} yValues - Y coordinate values
+     * @param {Array} profileComponents - Fitted Z profiles [{ amplitude, center, width }]
+     * @param {Object} shapeFunction - From getShapeFunction
+     * @param {string} shape - Shape id
+     * @returns {Object} Deconvolution result
+     */
+    static resolveComponents(xValues, zValues, yValues, profileComponents, shapeFunction, shape) {
+        const count = profileComponents.length;
+        const componentY = profileComponents.map(() => new Float32Array(yValues.length));
+        const residual = new Float32Array(yValues.length);
+
+        const slices = new Map();
+        for (let i = 0; i < xValues.length; i++) {
+            if (!slices.has(xValues[i])) slices.set(xValues[i], []);
+            slices.get(xValues[i]).push(i);
+        }
+
+        for (const indices of slices.values()) {
+            // The last basis column is a constant background that stays in the residual
+            const basis = indices.map(i => [
+                ...profileComponents.map(c => shapeFunction.value((zValues[i] - c.center) / c.width)),
+                1
+            ]);
+            const amplitudes = SpectralDeconvolution.nonNegativeLeastSquares(basis, indices.map(i => yValues[i]), count + 1);
+
+            indices.forEach((dataIndex, row) => {
+                let fitted = 0;
+                for (let k = 0; k < count; k++) {
+                    const value = amplitudes[k] * basis[row][k];
+                    componentY[k][dataIndex] = value;
+                    fitted += value;
+                }
+                residual[dataIndex] = yValues[dataIndex] - fitted;
+            });
+        }
+
+        // Goodness of fit over the whole surface
+        let mean = 0;
+        for (let i = 0; i < yValues.length; i++) mean += yValues[i];
+        mean /= yValues.length || 1;
+        let totalSquares = 0;
+        let residualSquares = 0;
+        for (let i = 0; i < yValues.length; i++) {
+            totalSquares += (yValues[i] - mean) ** 2;
+            residualSquares += residual[i] ** 2;
+        }
+
+        const totals = componentY.map(values => values.reduce((sum, v) => sum + v, 0));
+        const grandTotal = totals.reduce((sum, v) => sum + v, 0) || 1;
+
+        return {
+            shape,
+            components: profileComponents.map((component, k) => ({
+                center: component.center,
+                width: component.width,
+                height: ValueRange.getMinMax(componentY[k]).max,
+                area: component.amplitude * component.width * shapeFunction.areaFactor,
+                contribution: totals[k] / grandTotal,
+                yValues: componentY[k]
+            })),
+            residual,
+            rSquared: totalSquares > 0 ? 1 - residualSquares / totalSquares : 1
+        };
+    }
+
+    /**
+     * Least squares with non-negative coefficients using a simple active-set strategy
+     * (components with negative amplitudes are removed and the rest re-solved)
+     * @param {Array<Array<number>>} basis - Rows of basis function values
+     * @param {Array<number>} values - Target values per row
+     * @param {number} count - Number of basis functions
+     * @returns {Float64Array} Non-negative coefficients
+     */
+    static nonNegativeLeastSquares(basis, values, count) {
+        const active = new Set(Array.from({ length: count }, (_, k) => k));
+        const coefficients = new Float64Array(count);
+
+        while (active.size > 0) {
+            const columns = Array.from(active);
+            const size = columns.length;
+            const ata = Array.from({ length: size }, () => new Float64Array(size));
+            const atb = new Float64Array(size);
+
+            for (let row = 0; row < basis.length; row++) {
+                for (let a = 0; a < size; a++) {
+                    const va = basis[row][columns[a]];
+                    atb[a] += va * values[row];
+                    for (let b = 0; b < size; b++) {
+                        ata[a][b] += va * basis[row][columns[b]];
+                    }
+                }
+            }
+
+            const solution = SpectralDeconvolution.solveLinearSystem(ata, atb);
+            let mostNegative = -1;
+            for (let a = 0; a < size; a++) {
+                if (solution[a] < 0 && (mostNegative === -1 || solution[a] < solution[mostNegative])) {
+                    mostNegative = a;
+                }
+            }
+
+            if (mostNegative === -1) {
+                coefficients.fill(0);
+                columns.forEach((column, a) => { coefficients[column] = solution[a]; });
+                return coefficients;
+            }
+            active.delete(columns[mostNegative]);
+        }
+
+        return coefficients;
+    }
+}
@@ -3,6 +3,9 @@ import { Shaders } from '../shaders/Shaders.js';
 import { EngineLogger } from '../utils/Logger.js';
 
 export class VisualizationEngine {
+    // Color used to mark detected peaks in both display modes
+    static PEAK_MARKER_COLOR = [1.0, 0.85, 0.0, 1.0];
+
     constructor(canvas) {
         this.canvas = canvas;
         this.gl = null;
@@ -164,13 +167,16 @@ export class VisualizationEngine {
             return;
         }
         
-        switch(this.currentDisplayMode) {
+        // Dispatch on the buffer mode: surface display mode falls back to points when no mesh was built
+        switch(this.buffers.mode) {
+            case 'hybrid_mesh':
+                this.renderMeshWithGrid(projectionMatrix, modelViewMatrix);
+                break;
             case 'surface':
-                if (this.buffers?.mode === 'hybrid_mesh') {
-                    this.renderMeshWithGrid(projectionMatrix, modelViewMatrix);
-                } else {
-                    this.renderSurface(projectionMatrix, modelViewMatrix);
-                }
+                this.renderSurface(projectionMatrix, modelViewMatrix);
+                break;
+            case 'polyline':
+                this.renderPolyline(projectionMatrix, modelViewMatrix);
                 break;
             default:
                 this.renderPoints(projectionMatrix, modelViewMatrix);
@@ -226,12 +232,7 @@ export class VisualizationEngine {
         }
         
         // Get UI filter parameters
-        const xStart = parseFloat(document.getElementById('xStart')?.value || dataRange.x.min);
-        const xEnd = parseFloat(document.getElementById('xEnd')?.value || dataRange.x.max);
-        const zStart = parseFloat(document.getElementById('zStart')?.value || dataRange.z.min);
-        const zEnd = parseFloat(document.getElementById('zEnd')?.value || dataRange.z.max);
-        const threshold = parseFloat(document.getElementById('threshold')?.value || dataRange.y.min);
-        const colorScheme = document.getElementById('colorScheme')?.value || 'rainbow';
+        const { xStart, xEnd, zStart, zEnd, threshold, colorScheme } = this.getViewFilters(dataRange);
         
         // Map point size: 1 -> 6px, 10 -> 10px, linear in between
         const sliderVal = parseInt(document.getElementById('pointSize')?.value || 1, 10);
@@ -242,43 +243,20 @@ export class VisualizationEngine {
         const zValues = data.zValues;
         const yValues = data.yValues;
 
-        // Create a data grid for advanced visualization modes
-        const dataGrid = [];
-        let validPoints = 0;
+        // Point clouds such as scatter plots are never meshed, whatever the display mode
+        const drawMesh = this.currentDisplayMode === 'surface' && data.hasSurfaceMesh();
 
-        // Determine grid resolution based on data characteristics
-        const xRange = dataRange.x.max - dataRange.x.min;
-        const zRange = dataRange.z.max - dataRange.z.min;
-        // Use fewer grid cells for better density with scattered data
-        const gridResolution = Math.max(10, Math.min(50, Math.sqrt(xValues.length) / 4));
-        const xStep = xRange / gridResolution;
-        const zStep = zRange / gridResolution;
-
-        // Fill the grid for structured data access
-        for (let i = 0; i < xValues.length; i++) {
-            const x = xValues[i];
-            const z = zValues[i];
-            const y = yValues[i];
-            
-            // Apply filters
-            if (x >= xStart && x <= xEnd && 
-                z >= zStart && z <= zEnd && 
-                y >= threshold) {
-                
-                const xIndex = Math.round((x - dataRange.x.min) / xStep);
-                const zIndex = Math.round((z - dataRange.z.min) / zStep);
-                
-                if (!dataGrid[xIndex]) dataGrid[xIndex] = [];
-                dataGrid[xIndex][zIndex] = {
-                    x, z, y,
-                    nx: (x - dataRange.x.min) / (dataRange.x.max - dataRange.x.min) * 2 - 1, // Normalized X
-                    ny: this.normalizeYCoordinate(y, dataRange), // Dynamic Y normalization
-                    nz: (z - dataRange.z.min) / (dataRange.z.max - dataRange.z.min) * 2 - 1  // Normalized Z
-                };
-                validPoints++;
-            }
+        // Large datasets are drawn from a min/max-preserving subset; a zoom region is drawn in full
+        const lod = data.getLevelOfDetail();
+        if (lod.decimated || lod.region) {
+            EngineLogger.debug(`Level of detail: drawing ${lod.indices ? lod.indices.length : lod.total} of ${lod.total} points` +
+                (lod.region ? `, zoom region holds ${lod.regionTotal}` : ''));
         }
 
+        const grid = this.createDataGrid(data, dataRange, lod, { xStart, xEnd, zStart, zEnd, threshold }, drawMesh);
+        const { dataGrid, meshCount } = grid;
+        let validPoints = grid.validPoints;
+
         // Analyze grid density for debugging
         let filledCells = 0;
         let maxFilledInRow = 0;
@@ -295,11 +273,11 @@ export class VisualizationEngine {
             }
         }
         
-        EngineLogger.debug(`Data grid created: ${validPoints} valid points from ${xValues.length} total points`);
+        EngineLogger.debug(`Data grid created: ${validPoints} valid points from ${meshCount} of ${xValues.length} total points`);
         EngineLogger.debug(`Grid structure: ${dataGrid.length} x-indices, ${filledCells} filled cells, max ${maxFilledInRow} filled per row`);
 
         // Generate visualization data based on mode
-        if (this.currentDisplayMode === 'surface') {
+        if (drawMesh) {
             // Arrays for surface - filled rectangles with black grid overlay (formerly wireframe)
             const linePositions = [];
             const lineColors = [];
@@ -315,6 +293,7 @@ export class VisualizationEngine {
             // CRITICAL FIX: Ensure wireframe generation works regardless of navigation state
             try {
                 this.generateWireframe(dataGrid, linePositions, lineColors, colorScheme, filledPositions, filledColors, filledIndices, highlightPositions, highlightColors, highlightIndices);
+                this.generatePeakMarkers(linePositions, lineColors, xStart, xEnd, zStart, zEnd, threshold, dataRange);
                 validPoints = Math.max(linePositions.length / 3, filledPositions.length / 3);
                 EngineLogger.debug(`Generated wireframe: ${linePositions.length / 6} lines, ${filledPositions.length / 3} filled vertices, ${highlightPositions.length / 3} highlight vertices`);
             } catch (error) {
@@ -383,7 +362,7 @@ export class VisualizationEngine {
                     positions, colors, pointSizes, 
                     colorScheme, pointSize, 
                     xStart, xEnd, zStart, zEnd, threshold,
-                    dataRange
+                    dataRange, lod.indices
                 );
                 validPoints = positions.length / 3;
                 
@@ -406,22 +385,33 @@ export class VisualizationEngine {
             }
             
         } else {
-            // Points mode with highlighting
+            // Points mode (and scatter plots in any mode) with highlighting
             this.generatePointsWithHighlighting(
                 xValues, zValues, yValues, 
                 positions, colors, pointSizes, 
                 colorScheme, pointSize, 
                 xStart, xEnd, zStart, zEnd, threshold,
-                dataRange
+                dataRange, lod.indices
             );
             validPoints = positions.length / 3;
+
+            // Line plots join consecutive vertices; the points stay visible as vertex markers
+            if (data.usesPathNavigation()) {
+                this.generatePathLines(
+                    xValues, zValues, yValues,
+                    linePositions, lineColors,
+                    colorScheme,
+                    xStart, xEnd, zStart, zEnd, threshold,
+                    dataRange, lod.indices
+                );
+            }
             
             // Create point buffers
             this.buffers = {
                 position: this.gl.createBuffer(),
                 color: this.gl.createBuffer(),
                 pointSize: this.gl.createBuffer(),
-                mode: 'points',
+                mode: linePositions.length > 0 ? 'polyline' : 'points',
                 count: validPoints
             };
             
@@ -433,6 +423,18 @@ export class VisualizationEngine {
             
             this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.pointSize);
             this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(pointSizes), this.gl.STATIC_DRAW);
+
+            if (this.buffers.mode === 'polyline') {
+                this.buffers.linePosition = this.gl.createBuffer();
+                this.buffers.lineColor = this.gl.createBuffer();
+                this.buffers.lineCount = linePositions.length / 3;
+
+                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.linePosition);
+                this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(linePositions), this.gl.STATIC_DRAW);
+
+                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.lineColor);
+                this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(lineColors), this.gl.STATIC_DRAW);
+            }
         }
         
         EngineLogger.debug(`Buffers created for mode '${this.currentDisplayMode}' with ${validPoints} points`);
@@ -445,8 +447,184 @@ export class VisualizationEngine {
     
 
     
+    /**
+     * Range filters, threshold and color scheme currently set in the view controls
+     * @param {Object} dataRange - Result of PlotData.getDataRange(), used where a control is missing
+     * @returns {Object} { xStart, xEnd, zStart, zEnd, threshold, colorScheme }
+     */
+    getViewFilters(dataRange) {
+        return {
+            xStart: parseFloat(document.getElementById('xStart')?.value || dataRange.x.min),
+            xEnd: parseFloat(document.getElementById('xEnd')?.value || dataRange.x.max),
+            zStart: parseFloat(document.getElementById('zStart')?.value || dataRange.z.min),
+            zEnd: parseFloat(document.getElementById('zEnd')?.value || dataRange.z.max),
+            threshold: parseFloat(document.getElementById('threshold')?.value || dataRange.y.min),
+            colorScheme: document.getElementById('colorScheme')?.value || 'rainbow'
+        };
+    }
+
+    /**
+     * Triangulated surface for 3D model export, built like the drawn surface from the current data,
+     * zoom region, range filters, threshold and color scheme (whatever the display mode)
+     * @returns {Object|null} { positions, colors, indices } in plot coordinates (X and Z from -1 to 1,
+     *   Y from 0 up) with RGBA colors, or null when the plot type has no surface or nothing is left to mesh
+     */
+    getSurfaceMesh() {
+        const data = this.dataController;
+        if (!data || !data.xValues || data.xValues.length === 0 || !data.hasSurfaceMesh()) {
+            return null;
+        }
+        const dataRange = data.getDataRange();
+        if (!dataRange) return null;
+
+        const filters = this.getViewFilters(dataRange);
+        const { dataGrid } = this.createDataGrid(data, dataRange, data.getLevelOfDetail(), filters, true);
+        const positions = [];
+        const colors = [];
+        const indices = [];
+        this.generateSurfaceMesh(dataGrid, positions, colors, indices, filters.colorScheme);
+        if (indices.length === 0) return null;
+
+        return {
+            positions: new Float32Array(positions),
+            colors: new Float32Array(colors),
+            indices: new Uint32Array(indices)
+        };
+    }
+
+    /**
+     * Visible surface as a regular grid for 2D renderings such as tactile graphics, built from the same
+     * data, zoom region, range filters and threshold as the drawn surface
+     * @returns {Object|null} { xAxis, zAxis, values } with values[zIndex][xIndex] in data units (NaN where
+     *   no point is shown), or null when the plot type has no surface or nothing is left
+     */
+    getSurfaceGrid() {
+        const data = this.dataController;
+        if (!data || !data.xValues || data.xValues.length === 0 || !data.hasSurfaceMesh()) {
+            return null;
+        }
+        const dataRange = data.getDataRange();
+        if (!dataRange) return null;
+
+        const { dataGrid } = this.createDataGrid(data, dataRange, data.getLevelOfDetail(), this.getViewFilters(dataRange), true);
+
+        // Keep only the columns and rows with points, placed at the mean of their points' coordinates
+        const columns = new Map();
+        const rows = new Map();
+        dataGrid.forEach((column, xIndex) => {
+            column.forEach((cell, zIndex) => {
+                const columnSum = columns.get(xIndex) || { sum: 0, count: 0 };
+                const rowSum = rows.get(zIndex) || { sum: 0, count: 0 };
+                columns.set(xIndex, { sum: columnSum.sum + cell.x, count: columnSum.count + 1 });
+                rows.set(zIndex, { sum: rowSum.sum + cell.z, count: rowSum.count + 1 });
+            });
+        });
+        if (columns.size < 2 || rows.size < 2) return null;
+
+        const xIndices = [...columns.keys()].sort((a, b) => a - b);
+        const zIndices = [...rows.keys()].sort((a, b) => a - b);
+        return {
+            xAxis: xIndices.map(index => columns.get(index).sum / columns.get(index).count),
+            zAxis: zIndices.map(index => rows.get(index).sum / rows.get(index).count),
+            values: zIndices.map(zIndex => xIndices.map(xIndex => {
+                const cell = dataGrid[xIndex][zIndex];
+                return cell ? cell.y : NaN;
+            }))
+        };
+    }
+
+    /**
+     * Place the visible points on the grid that the surface mesh and wireframe are built from
+     * @param {Object} data - PlotData
+     * @param {Object} dataRange - Result of data.getDataRange()
+     * @param {Object} lod - Result of data.getLevelOfDetail()
+     * @param {Object} filters - { xStart, xEnd, zStart, zEnd, threshold } from the view controls
+     * @param {boolean} useResampledGrid - Mesh scattered data from PlotData's interpolated grid
+     * @returns {Object} { dataGrid, validPoints, meshCount } with dataGrid[xIndex][zIndex] = { x, z, y, nx, ny, nz }
+     */
+    createDataGrid(data, dataRange, lod, filters, useResampledGrid) {
+        const { xStart, xEnd, zStart, zEnd, threshold } = filters;
+        const { xValues, zValues, yValues } = data;
+
+        // The mesh covers only the zoom region, so its cells are measured across the region
+        const meshIndices = lod.region ? lod.navigationIndices : lod.indices;
+        const meshCount = meshIndices ? meshIndices.length : xValues.length;
+        const meshOrigin = lod.region ? { x: lod.region.xMin, z: lod.region.zMin } : { x: dataRange.x.min, z: dataRange.z.min };
+
+        // Create a data grid for advanced visualization modes
+        const dataGrid = [];
+        let validPoints = 0;
+
+        // Determine grid resolution based on data characteristics
+        const xRange = lod.region ? lod.region.xMax - lod.region.xMin : dataRange.x.max - dataRange.x.min;
+        const zRange = lod.region ? lod.region.zMax - lod.region.zMin : dataRange.z.max - dataRange.z.min;
+        // Use fewer grid cells for better density with scattered data
+        const gridResolution = Math.max(10, Math.min(50, Math.sqrt(meshCount) / 4));
+        const xStep = xRange / gridResolution;
+        const zStep = zRange / gridResolution;
+
+        // Scattered data is meshed from PlotData's interpolated grid, which also defines the wireframe rectangles
+        const resampledGrid = useResampledGrid ? data.getResampledGrid() : null;
+
+        if (resampledGrid) {
+            for (let xIndex = 0; xIndex < resampledGrid.nx; xIndex++) {
+                for (let zIndex = 0; zIndex < resampledGrid.nz; zIndex++) {
+                    const x = resampledGrid.xAxis[xIndex];
+                    const z = resampledGrid.zAxis[zIndex];
+                    const y = resampledGrid.get(xIndex, zIndex);
+
+                    // Skip nodes too far from any sample, then apply filters
+                    if (Number.isNaN(y) ||
+                        x < xStart || x > xEnd ||
+                        z < zStart || z > zEnd ||
+                        y < threshold) {
+                        continue;
+                    }
+
+                    if (!dataGrid[xIndex]) dataGrid[xIndex] = [];
+                    dataGrid[xIndex][zIndex] = {
+                        x, z, y,
+                        nx: (x - dataRange.x.min) / (dataRange.x.max - dataRange.x.min) * 2 - 1,
+                        ny: this.normalizeYCoordinate(y, dataRange),
+                        nz: (z - dataRange.z.min) / (dataRange.z.max - dataRange.z.min) * 2 - 1
+                    };
+                    validPoints++;
+                }
+            }
+        } else {
+            // Fill the grid for structured data access
+            for (let k = 0; k < meshCount; k++) {
+                const i = meshIndices ? meshIndices[k] : k;
+                const x = xValues[i];
+                const z = zValues[i];
+                const y = yValues[i];
+                
+                // Apply filters
+                if (x >= xStart && x <= xEnd && 
+                    z >= zStart && z <= zEnd && 
+                    y >= threshold) {
+                    
+                    const xIndex = Math.round((x - meshOrigin.x) / xStep);
+                    const zIndex = Math.round((z - meshOrigin.z) / zStep);
+                    
+                    if (!dataGrid[xIndex]) dataGrid[xIndex] = [];
+                    dataGrid[xIndex][zIndex] = {
+                        x, z, y,
+                        nx: (x - dataRange.x.min) / (dataRange.x.max - dataRange.x.min) * 2 - 1, // Normalized X
+                        ny: this.normalizeYCoordinate(y, dataRange), // Dynamic Y normalization
+                        nz: (z - dataRange.z.min) / (dataRange.z.max - dataRange.z.min) * 2 - 1  // Normalized Z
+                    };
+                    validPoints++;
+                }
+            }
+        }
+
+        return { dataGrid, validPoints, meshCount };
+    }
+
     renderPoints(projectionMatrix, modelViewMatrix) {
-        if (!this.buffers || this.buffers.count === 0 || this.buffers.mode !== 'points') {
+        if (!this.buffers || this.buffers.count === 0 ||
+            (this.buffers.mode !== 'points' && this.buffers.mode !== 'polyline')) {
             return;
         }
         
@@ -555,6 +733,38 @@ export class VisualizationEngine {
         gl.drawArrays(gl.LINES, 0, this.buffers.count);
     }
     
+    /**
+     * Render a line plot: path segments with the line shader, then the vertices as points
+     */
+    renderPolyline(projectionMatrix, modelViewMatrix) {
+        if (!this.buffers || this.buffers.mode !== 'polyline') {
+            return;
+        }
+
+        const gl = this.gl;
+
+        if (this.buffers.lineCount > 0 && this.lineShaderProgram) {
+            const lineProgram = this.lineShaderProgram;
+            gl.useProgram(lineProgram);
+
+            gl.uniformMatrix4fv(lineProgram.projectionMatrixUniform, false, projectionMatrix);
+            gl.uniformMatrix4fv(lineProgram.modelViewMatrixUniform, false, modelViewMatrix);
+
+            gl.enableVertexAttribArray(lineProgram.vertexPositionAttribute);
+            gl.enableVertexAttribArray(lineProgram.vertexColorAttribute);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.linePosition);
+            gl.vertexAttribPointer(lineProgram.vertexPositionAttribute, 3, gl.FLOAT, false, 0, 0);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.lineColor);
+            gl.vertexAttribPointer(lineProgram.vertexColorAttribute, 4, gl.FLOAT, false, 0, 0);
+
+            gl.drawArrays(gl.LINES, 0, this.buffers.lineCount);
+        }
+
+        this.renderPoints(projectionMatrix, modelViewMatrix);
+    }
+    
     renderMeshWithGrid(projectionMatrix, modelViewMatrix) {
         if (!this.buffers || this.buffers.mode !== 'hybrid_mesh') {
             return;
@@ -690,8 +900,9 @@ export class VisualizationEngine {
         }
     }
 
-    generatePointsWithHighlighting(xValues, zValues, yValues, positions, colors, pointSizes, colorScheme, pointSize, xStart, xEnd, zStart, zEnd, threshold, dataRange) {
-        console.log(`[DEBUG] generatePointsWithHighlighting: Processing ${xValues.length} total points`);
+    generatePointsWithHighlighting(xValues, zValues, yValues, positions, colors, pointSizes, colorScheme, pointSize, xStart, xEnd, zStart, zEnd, threshold, dataRange, indices = null) {
+        const count = indices ? indices.length : xValues.length;
+        console.log(`[DEBUG] generatePointsWithHighlighting: Processing ${count} of ${xValues.length} total points`);
         let highlightedPointsCount = 0;
         let ySegmentHighlightedPointsCount = 0;
         
@@ -701,9 +912,13 @@ export class VisualizationEngine {
             (this.navigationController?.getCurrentSegmentPointIndices() || new Set()) : 
             new Set();
         console.log(`[DEBUG] Segment highlighting: ${currentSegmentIndices.size} points in current segment (navigation active: ${this.navigationController?.isActive || false})`);
+
+        // Detected peaks are marked regardless of navigation state
+        const peakIndices = new Set((this.dataController?.peaks || []).map(peak => peak.index));
         
-        // Iterate through original data to maintain index tracking for highlighting
-        for (let i = 0; i < xValues.length; i++) {
+        // Iterate through original data indices (all, or the level-of-detail subset) to keep highlighting aligned
+        for (let k = 0; k < count; k++) {
+            const i = indices ? indices[k] : k;
             const x = xValues[i];
             const z = zValues[i];
             const y = yValues[i];
@@ -741,6 +956,10 @@ export class VisualizationEngine {
                 pointSizes.push(pointSize * (0.5 + y) * multiplier);
                 
                 console.log(`[DEBUG] Point ${i} individually highlighted: x=${x}, z=${z}, y=${y}, size=${pointSize * (0.5 + y) * multiplier}`);
+            } else if (peakIndices.has(i)) {
+                // Use yellow for detected peaks so they stand out from segment highlighting
+                colors.push(...VisualizationEngine.PEAK_MARKER_COLOR);
+                pointSizes.push(pointSize * (0.5 + y) * 1.5);
             } else if (isInCurrentSegment) {
                 ySegmentHighlightedPointsCount++;
                 // Use white color for current segment points (but not individually highlighted)
@@ -761,6 +980,77 @@ export class VisualizationEngine {
         console.log(`[DEBUG] generatePointsWithHighlighting complete: ${highlightedPointsCount} individually highlighted, ${ySegmentHighlightedPointsCount} segment highlighted, out of ${positions.length / 3} visible points`);
     }
     
+    /**
+     * Append the segments between consecutive vertices of a line plot to the line buffers.
+     * Segments touching the current vertex are drawn white to show where navigation can go next.
+     * @private
+     */
+    generatePathLines(xValues, zValues, yValues, linePositions, lineColors, colorScheme, xStart, xEnd, zStart, zEnd, threshold, dataRange, indices = null) {
+        const currentIndex = this.navigationController?.isActive ? this.navigationController.currentPointIndex : -1;
+        const isVisible = (i) => xValues[i] >= xStart && xValues[i] <= xEnd &&
+            zValues[i] >= zStart && zValues[i] <= zEnd &&
+            yValues[i] >= threshold;
+        const count = indices ? indices.length : xValues.length;
+
+        for (let k = 1; k < count; k++) {
+            // A decimated path joins the kept vertices in their original order
+            const previous = indices ? indices[k - 1] : k - 1;
+            const i = indices ? indices[k] : k;
+
+            // A filtered-out vertex breaks the path rather than bridging the gap
+            if (!isVisible(previous) || !isVisible(i)) continue;
+
+            const isCurrentSegment = currentIndex !== -1 && (i === currentIndex || previous === currentIndex);
+            for (const j of [previous, i]) {
+                const nx = (xValues[j] - dataRange.x.min) / (dataRange.x.max - dataRange.x.min) * 2 - 1;
+                const ny = this.normalizeYCoordinate(yValues[j], dataRange);
+                const nz = (zValues[j] - dataRange.z.min) / (dataRange.z.max - dataRange.z.min) * 2 - 1;
+                linePositions.push(nx, ny, nz);
+
+                if (isCurrentSegment) {
+                    lineColors.push(1.0, 1.0, 1.0, 1.0);
+                } else {
+                    const color = this.getEnhancedColor(yValues[j], xValues[j], zValues[j], colorScheme);
+                    lineColors.push(color.r, color.g, color.b, color.a);
+                }
+            }
+        }
+    }
+
+    /**
+     * Append peak markers (a vertical stem topped by a cross) to the surface line buffers
+     * @private
+     */
+    generatePeakMarkers(linePositions, lineColors, xStart, xEnd, zStart, zEnd, threshold, dataRange) {
+        const peaks = this.dataController?.peaks || [];
+        const stemHeight = 0.25;
+        const crossSize = 0.04;
+        const color = VisualizationEngine.PEAK_MARKER_COLOR;
+
+        for (const peak of peaks) {
+            // Respect the same filters as the surface itself
+            if (peak.x < xStart || peak.x > xEnd ||
+                peak.z < zStart || peak.z > zEnd ||
+                peak.y < threshold) {
+                continue;
+            }
+
+            const nx = (peak.x - dataRange.x.min) / (dataRange.x.max - dataRange.x.min) * 2 - 1;
+            const ny = this.normalizeYCoordinate(peak.y, dataRange);
+            const nz = (peak.z - dataRange.z.min) / (dataRange.z.max - dataRange.z.min) * 2 - 1;
+            const top = ny + stemHeight;
+
+            linePositions.push(
+                nx, ny, nz, nx, top, nz,                                 // Stem
+                nx - crossSize, top, nz, nx + crossSize, top, nz,        // Cross along X
+                nx, top, nz - crossSize, nx, top, nz + crossSize         // Cross along Z
+            );
+            for (let i = 0; i < 6; i++) {
+                lineColors.push(...color);
+            }
+        }
+    }
+
     generateSurfaceMesh(dataGrid, positions, colors, indices, colorScheme) {
         console.log('[DEBUG] generateSurfaceMesh called with dataGrid length:', dataGrid.length);
         const vertexMap = new Map();
@@ -827,50 +1117,10 @@ export class VisualizationEngine {
             }
         }
         
-        // If grid-based approach didn't generate enough triangles, use simpler triangulation
-        if (quadsGenerated < 3 && allPoints.length >= 3) {
-            console.log('[DEBUG] generateSurfaceMesh: Using fallback triangulation');
-            
-            // Simple fan triangulation from first point
-            const centerPoint = allPoints[0].point;
-            const centerKey = `${centerPoint.nx.toFixed(4)},${centerPoint.ny.toFixed(4)},${centerPoint.nz.toFixed(4)}`;
-            
-            if (!vertexMap.has(centerKey)) {
-                positions.push(centerPoint.nx, centerPoint.ny, centerPoint.nz);
-                const color = this.getEnhancedColor(centerPoint.y, centerPoint.x, centerPoint.z, colorScheme);
-                colors.push(color.r, color.g, color.b, color.a);
-                vertexMap.set(centerKey, vertexIndex++);
-            }
-            const centerIndex = vertexMap.get(centerKey);
-            
-            // Create triangles from center to consecutive edge points
-            for (let i = 1; i < allPoints.length - 1; i++) {
-                const p1 = allPoints[i].point;
-                const p2 = allPoints[i + 1].point;
-                
-                const keys = [
-                    `${p1.nx.toFixed(4)},${p1.ny.toFixed(4)},${p1.nz.toFixed(4)}`,
-                    `${p2.nx.toFixed(4)},${p2.ny.toFixed(4)},${p2.nz.toFixed(4)}`
-                ];
-                
-                const vertexIndices = [centerIndex];
-                
-                for (let j = 0; j < 2; j++) {
-                    const key = keys[j];
-                    const point = [p1, p2][j];
-                    
-                    if (!vertexMap.has(key)) {
-                        positions.push(point.nx, point.ny, point.nz);
-                        const color = this.getEnhancedColor(point.y, point.x, point.z, colorScheme);
-                        colors.push(color.r, color.g, color.b, color.a);
-                        vertexMap.set(key, vertexIndex++);
-                    }
-                    vertexIndices.push(vertexMap.get(key));
-                }
-                
-                indices.push(vertexIndices[0], vertexIndices[1], vertexIndices[2]);
-                triangleCount++;
-            }
+        // Scattered data reaches this point already resampled (PlotData.getResampledGrid), so an
+        // incomplete grid means the filters removed too much rather than that the data is irregular
+        if (quadsGenerated === 0) {
+            console.log('[DEBUG] generateSurfaceMesh: No complete grid cells to triangulate');
         }
         
         console.log('[DEBUG] generateSurfaceMesh created:', {
@@ -0,0 +1,110 @@
+// LinePlotDataGenerator.js - Line plot specific data generation
+// Vertices are returned in path order; the array order is the order of travel
+export class LinePlotDataGenerator {
+
+    /**
+     * Generate a time-ordered flight trajectory: take-off, cruise, two turns and a descent
+     * Each leg has its own heading, climb rate and speed, so the path turns and the segment
+     * length changes where one leg meets the next
+     */
+    static generateTrajectory() {
+        const xValues = [0];  // X coordinate data (east)
+        const zValues = [0];  // Z coordinate data (north)
+        const yValues = [0];  // Y coordinate data (altitude)
+
+        // heading in degrees (0 = east, 90 = north), climb and speed in km per sample
+        const legs = [
+            { heading: 0, climb: 0.15, speed: 0.5, samples: 20 },    // Take-off
+            { heading: 0, climb: 0, speed: 1.0, samples: 20 },       // Cruise
+            { heading: 90, climb: 0, speed: 1.0, samples: 15 },      // Turn north
+            { heading: 200, climb: 0.05, speed: 0.8, samples: 20 },  // Turn back south-west
+            { heading: 270, climb: -0.12, speed: 0.5, samples: 25 }  // Descent
+        ];
+
+        legs.forEach(leg => {
+            const radians = leg.heading * Math.PI / 180;
+            for (let i = 0; i < leg.samples; i++) {
+                const last = xValues.length - 1;
+                xValues.push(xValues[last] + Math.cos(radians) * leg.speed);
+                zValues.push(zValues[last] + Math.sin(radians) * leg.speed);
+                yValues.push(Math.max(0, yValues[last] + leg.climb));
+            }
+        });
+
+        return {
+            plotType: 'line',
+            xValues: new Float32Array(xValues),
+            zValues: new Float32Array(zValues),
+            yValues: new Float32Array(yValues),
+            sampleName: 'trajectory',
+            metadata: {
+                xLabel: 'East',
+                yLabel: 'Altitude',
+                zLabel: 'North',
+                xUnit: 'km',
+                yUnit: 'km',
+                zUnit: 'km',
+                description: 'Flight Trajectory'
+            }
+        };
+    }
+
+    /**
+     * Generate a three-dimensional random walk with unit-length steps
+     * Every step changes direction, so each vertex reports a turn
+     */
+    static generateRandomWalk() {
+        const xValues = [0];
+        const zValues = [0];
+        const yValues = [0];
+
+        const stepCount = 80;
+        for (let i = 1; i <= stepCount; i++) {
+            // Uniformly distributed direction on the unit sphere
+            const theta = Math.random() * 2 * Math.PI;
+            const cosPhi = Math.random() * 2 - 1;
+            const sinPhi = Math.sqrt(1 - cosPhi * cosPhi);
+
+            xValues.push(xValues[i - 1] + sinPhi * Math.cos(theta));
+            zValues.push(zValues[i - 1] + sinPhi * Math.sin(theta));
+            yValues.push(yValues[i - 1] + cosPhi);
+        }
+
+        return {
+            plotType: 'line',
+            xValues: new Float32Array(xValues),
+            zValues: new Float32Array(zValues),
+            yValues: new Float32Array(yValues),
+            sampleName: 'randomWalk',
+            metadata: {
+                xLabel: 'X Position',
+                yLabel: 'Y Position',
+                zLabel: 'Z Position',
+                xUnit: 'steps',
+                yUnit: 'steps',
+                zUnit: 'steps',
+                description: 'Three-Dimensional Random Walk'
+            }
+        };
+    }
+
+    /**
+     * Get list of available line plot samples
+     */
+    static getAvailableSamples() {
+        return [
+            {
+                id: 'trajectory',
+                name: 'Flight Trajectory',
+                description: 'Time-ordered flight path with turns, a climb and a descent',
+                generator: 'generateTrajectory'
+            },
+            {
+                id: 'randomWalk',
+                name: 'Random Walk',
+                description: 'Unit steps in random directions',
+                generator: 'generateRandomWalk'
+            }
+        ];
+    }
+}
@@ -0,0 +1,111 @@
+// ScatterPlotDataGenerator.js - Scatter plot specific data generation
+export class ScatterPlotDataGenerator {
+
+    /**
+     * Generate three overlapping clusters of irregularly placed points
+     * Simulates a PCA-style score plot where each cluster is one sample group
+     */
+    static generateClusters() {
+        const xValues = [];  // X coordinate data (component 1)
+        const zValues = [];  // Z coordinate data (component 2)
+        const yValues = [];  // Y coordinate data (component 3)
+
+        const clusters = [
+            { x: -2.0, z: -1.0, y: 1.0, spread: 0.6, count: 80 },
+            { x: 1.5, z: -0.5, y: 2.5, spread: 0.5, count: 60 },
+            { x: 0.0, z: 2.0, y: 1.8, spread: 0.8, count: 100 }
+        ];
+
+        clusters.forEach(cluster => {
+            for (let i = 0; i < cluster.count; i++) {
+                xValues.push(cluster.x + ScatterPlotDataGenerator.gaussianNoise() * cluster.spread);
+                zValues.push(cluster.z + ScatterPlotDataGenerator.gaussianNoise() * cluster.spread);
+                // Keep Y positive so point sizes stay meaningful
+                yValues.push(Math.max(0.05, cluster.y + ScatterPlotDataGenerator.gaussianNoise() * cluster.spread * 0.5));
+            }
+        });
+
+        return {
+            plotType: 'scatter',
+            xValues: new Float32Array(xValues),
+            zValues: new Float32Array(zValues),
+            yValues: new Float32Array(yValues),
+            sampleName: 'clusters',
+            metadata: {
+                xLabel: 'Component 1',
+                yLabel: 'Component 3',
+                zLabel: 'Component 2',
+                xUnit: '',
+                yUnit: '',
+                zUnit: '',
+                description: 'Three Sample Groups in Principal Component Space'
+            }
+        };
+    }
+
+    /**
+     * Generate a noisy rising spiral of points
+     * Points follow no grid, so only nearest-neighbour navigation can reach them in order
+     */
+    static generateSpiral() {
+        const xValues = [];
+        const zValues = [];
+        const yValues = [];
+
+        const pointCount = 200;
+        for (let i = 0; i < pointCount; i++) {
+            const t = (i / pointCount) * 4 * Math.PI;  // Two full turns
+            const radius = 0.5 + t / (4 * Math.PI) * 2.5;
+            xValues.push(radius * Math.cos(t) + ScatterPlotDataGenerator.gaussianNoise() * 0.1);
+            zValues.push(radius * Math.sin(t) + ScatterPlotDataGenerator.gaussianNoise() * 0.1);
+            yValues.push(0.2 + t / (4 * Math.PI) * 2.0 + ScatterPlotDataGenerator.gaussianNoise() * 0.05);
+        }
+
+        return {
+            plotType: 'scatter',
+            xValues: new Float32Array(xValues),
+            zValues: new Float32Array(zValues),
+            yValues: new Float32Array(yValues),
+            sampleName: 'spiral',
+            metadata: {
+                xLabel: 'X Position',
+                yLabel: 'Height',
+                zLabel: 'Z Position',
+                xUnit: 'units',
+                yUnit: 'units',
+                zUnit: 'units',
+                description: 'Rising Spiral Point Cloud'
+            }
+        };
+    }
+
+    /**
+     * Standard normal random value (Box-Muller transform)
+     * @returns {number} Normally distributed value with mean 0 and standard deviation 1
+     */
+    static gaussianNoise() {
+        const u = 1 - Math.random();  // Avoid log(0)
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Get list of available scatter plot samples
+     */
+    static getAvailableSamples() {
+        return [
+            {
+                id: 'clusters',
+                name: 'Sample Clusters',
+                description: 'Three overlapping groups of irregularly placed points',
+                generator: 'generateClusters'
+            },
+            {
+                id: 'spiral',
+                name: 'Spiral Point Cloud',
+                description: 'Noisy rising spiral with no underlying grid',
+                generator: 'generateSpiral'
+            }
+        ];
+    }
+}
@@ -0,0 +1,287 @@
+// DataTableController.js - Data table view: the shown data as a grid with row and column headers, a page of rows at a time
+// Logger will be injected by UIController
+
+import { EVENTS } from '../constants/EventConstants.js';
+import { DataTable } from '../utils/DataTable.js';
+
+export class DataTableController {
+    static PAGE_SIZE = 50;  // Rows rendered at once; Page Up/Down and the toolbar buttons move between pages
+
+    constructor(plotData) {
+        this.data = plotData;
+        this.logger = null; // Will be injected by UIController
+        this.eventListeners = new Map();
+
+        this.table = null;          // Result of DataTable.build() for the shown data
+        this.stale = true;          // Data changed while the view was closed
+        this.isOpen = false;
+        this.activeCell = { row: 0, column: 0 };  // Row in the whole table, column among the data cells
+        this.selectedIndex = -1;    // Data index of the point last sent to the plot cursor
+    }
+
+    setDependencies({ logger }) {
+        this.logger = logger;
+    }
+
+    initialize() {
+        this.toggleButton = document.getElementById('toggleDataTable');
+        this.section = document.getElementById('dataTableSection');
+        this.tableElement = document.getElementById('dataTable');
+        this.status = document.getElementById('dataTableStatus');
+        this.previousButton = document.getElementById('dataTablePrevious');
+        this.nextButton = document.getElementById('dataTableNext');
+        this.exportButtons = {
+            html: document.getElementById('exportTableHtml'),
+            csv: document.getElementById('exportTableCsv')
+        };
+
+        if (!this.section || !this.tableElement) {
+            this.logger?.warn('DataTableController: Data table elements not found');
+            return;
+        }
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const listen = (key, element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.set(key, { element, event, handler });
+        };
+
+        listen('toggle', this.toggleButton, 'click', () => this.setOpen(!this.isOpen));
+        listen('previous', this.previousButton, 'click', () => this.showPage(this.getPage() - 1));
+        listen('next', this.nextButton, 'click', () => this.showPage(this.getPage() + 1));
+        Object.entries(this.exportButtons).forEach(([format, button]) => {
+            // UI layer dispatches event to Application layer (following architecture)
+            listen(`export-${format}`, button, 'click', () => {
+                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_EXPORT_TABLE, { detail: { format } }));
+            });
+        });
+
+        listen('keydown', this.tableElement, 'keydown', (event) => this.handleKeyDown(event));
+        listen('click', this.tableElement, 'click', (event) => {
+            const cell = event.target.closest('td');
+            if (!cell) return;
+            this.activeCell = { row: Number(cell.dataset.row), column: Number(cell.dataset.column) };
+            this.updateActiveCell(false);
+            this.selectActiveCell(false);
+        });
+
+        // Every data change (load, series, baseline, deconvolution) refreshes the sample info
+        listen('sample-info', document, EVENTS.SAMPLE_INFO_UPDATED, () => {
+            this.stale = true;
+            if (this.isOpen) this.refresh();
+        });
+    }
+
+    /**
+     * Show or hide the table; it is built when first shown after a data change
+     * @param {boolean} open - True to show the table
+     */
+    setOpen(open) {
+        this.isOpen = open;
+        this.section.hidden = !open;
+        this.toggleButton?.setAttribute('aria-expanded', String(open));
+        if (open && this.stale) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Rebuild the table from the shown data and go back to its first cell
+     */
+    refresh() {
+        this.table = DataTable.build(this.data);
+        this.stale = false;
+        this.activeCell = { row: 0, column: 0 };
+        this.selectedIndex = -1;
+        this.logger?.debug(`DataTableController: ${this.table.layout} table with ${this.table.rowCount} rows and ${this.table.columns.length} columns`);
+        this.render();
+    }
+
+    getPage() {
+        return Math.floor(this.activeCell.row / DataTableController.PAGE_SIZE);
+    }
+
+    getPageCount() {
+        return Math.max(1, Math.ceil((this.table?.rowCount || 0) / DataTableController.PAGE_SIZE));
+    }
+
+    /**
+     * Show another page of rows, keeping the active column
+     * @param {number} page - Page number from 0
+     */
+    showPage(page) {
+        if (!this.table || page < 0 || page >= this.getPageCount()) return;
+        this.activeCell.row = page * DataTableController.PAGE_SIZE;
+        this.render();
+    }
+
+    /**
+     * Draw the page holding the active cell; only its rows are taken from the table. The rows keep
+     * their position in the whole table (aria-rowindex), so screen readers report e.g. row 120 of 151
+     * on later pages.
+     */
+    render() {
+        const table = this.tableElement;
+        const { caption, corner, columns, rowCount } = this.table;
+        const page = this.getPage();
+        const first = page * DataTableController.PAGE_SIZE;
+        const last = Math.min(rowCount, first + DataTableController.PAGE_SIZE);
+
+        table.replaceChildren();
+        table.setAttribute('aria-rowcount', String(rowCount + 1));
+        table.setAttribute('aria-colcount', String(columns.length + 1));
+        table.createCaption().textContent = caption;
+
+        const headerRow = table.createTHead().insertRow();
+        headerRow.setAttribute('aria-rowindex', '1');
+        [corner, ...columns.map(column => column.text)].forEach(text => {
+            const header = document.createElement('th');
+            header.scope = 'col';
+            header.textContent = text;
+            headerRow.appendChild(header);
+        });
+
+        const body = table.createTBody();
+        for (let rowIndex = first; rowIndex < last; rowIndex++) {
+            const row = this.table.getRow(rowIndex);
+            const tableRow = body.insertRow();
+            tableRow.setAttribute('aria-rowindex', String(rowIndex + 2));
+
+            const header = document.createElement('th');
+            header.scope = 'row';
+            header.textContent = row.header;
+            tableRow.appendChild(header);
+
+            row.cells.forEach((cell, column) => {
+                const tableCell = tableRow.insertCell();
+                tableCell.textContent = cell ? DataTable.formatValue(cell.value) : '';
+                tableCell.dataset.row = String(rowIndex);
+                tableCell.dataset.column = String(column);
+                tableCell.tabIndex = -1;
+                if (cell && cell.index === this.selectedIndex) {
+                    tableCell.setAttribute('aria-selected', 'true');
+                }
+            });
+        }
+
+        if (this.status) {
+            this.status.textContent = rowCount > 0
+                ? `Rows ${first + 1} to ${last} of ${rowCount}`
+                : 'No data loaded';
+        }
+        if (this.previousButton) this.previousButton.disabled = page === 0;
+        if (this.nextButton) this.nextButton.disabled = page >= this.getPageCount() - 1;
+        this.updateActiveCell(false);
+    }
+
+    /**
+     * Make the active cell the one cell in the tab order (roving tabindex)
+     * @param {boolean} focus - Also move keyboard focus to it
+     */
+    updateActiveCell(focus) {
+        this.tableElement.querySelectorAll('td[tabindex="0"]').forEach(cell => { cell.tabIndex = -1; });
+        const cell = this.tableElement.querySelector(
+            `td[data-row="${this.activeCell.row}"][data-column="${this.activeCell.column}"]`);
+        if (!cell) return;
+        cell.tabIndex = 0;
+        if (focus) cell.focus();
+    }
+
+    /**
+     * Grid keys inside the table. Handled keys stop here so they do not also reach the
+     * global plot shortcuts (Space resets the view); other keys such as C, T and S still work.
+     * @param {KeyboardEvent} event - Key pressed on a table cell
+     */
+    handleKeyDown(event) {
+        if (!this.table || !event.target.closest('td')) return;
+
+        const lastRow = this.table.rowCount - 1;
+        const lastColumn = this.table.columns.length - 1;
+        const { row, column } = this.activeCell;
+        let target = null;
+
+        switch (event.key) {
+            case 'ArrowLeft':
+                target = { row, column: column - 1 };
+                break;
+            case 'ArrowRight':
+                target = { row, column: column + 1 };
+                break;
+            case 'ArrowUp':
+                target = { row: row - 1, column };
+                break;
+            case 'ArrowDown':
+                target = { row: row + 1, column };
+                break;
+            case 'Home':
+                target = { row: event.ctrlKey ? 0 : row, column: 0 };
+                break;
+            case 'End':
+                target = { row: event.ctrlKey ? lastRow : row, column: lastColumn };
+                break;
+            case 'PageUp':
+                target = { row: Math.max(0, row - DataTableController.PAGE_SIZE), column };
+                break;
+            case 'PageDown':
+                target = { row: Math.min(lastRow, row + DataTableController.PAGE_SIZE), column };
+                break;
+            case 'Enter':
+            case ' ':
+                event.preventDefault();
+                event.stopPropagation();
+                // Shift+Enter continues exploring in the plot from the chosen point
+                this.selectActiveCell(event.shiftKey && event.key === 'Enter');
+                return;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        if (target.row < 0 || target.row > lastRow || target.column < 0 || target.column > lastColumn) {
+            return;
+        }
+
+        const pageChanged = Math.floor(target.row / DataTableController.PAGE_SIZE) !== this.getPage();
+        this.activeCell = target;
+        if (pageChanged) {
+            this.render();
+        }
+        this.updateActiveCell(true);
+    }
+
+    /**
+     * Ask the application to move the plot cursor to the point in the active cell
+     * @param {boolean} focusPlot - Move keyboard focus to the plot afterwards
+     */
+    selectActiveCell(focusPlot) {
+        const cell = this.table.getRow(this.activeCell.row)?.cells[this.activeCell.column];
+        if (!cell) {
+            if (this.status) this.status.textContent = 'No data point in this cell';
+            return;
+        }
+
+        this.selectedIndex = cell.index;
+        this.tableElement.querySelectorAll('td[aria-selected]').forEach(element => element.removeAttribute('aria-selected'));
+        this.tableElement.querySelectorAll('td').forEach(element => {
+            const { row, column } = element.dataset;
+            if (this.table.getRow(Number(row))?.cells[column]?.index === cell.index) {
+                element.setAttribute('aria-selected', 'true');
+            }
+        });
+
+        document.dispatchEvent(new CustomEvent(EVENTS.DATA_TABLE_CELL_SELECTED, {
+            detail: { index: cell.index, focusPlot }
+        }));
+    }
+
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners.clear();
+    }
+}
@@ -0,0 +1,153 @@
+// EarconSettingsController.js - Earcon settings in the Sound Mapping panel: turn earcons on and off, preview them and give them custom samples
+// Logger will be injected by UIController
+
+import { EVENTS } from '../constants/EventConstants.js';
+import { EarconRegistry } from '../accessibility/EarconRegistry.js';
+
+export class EarconSettingsController {
+    constructor() {
+        this.logger = null; // Will be injected by UIController
+        this.eventListeners = new Map();
+
+        // Until navigation reports the registry, show the built-in earcons with the remembered settings
+        const stored = EarconRegistry.loadSettings();
+        this.settings = {
+            enabled: stored.enabled,
+            earcons: Object.entries(EarconRegistry.BUILT_IN).map(([name, { label, description }]) => ({
+                name,
+                label,
+                description,
+                enabled: stored.earcons[name]?.enabled !== false,
+                sample: stored.earcons[name]?.sample || null,
+                stored: !!stored.earcons[name]?.sample
+            }))
+        };
+    }
+
+    setDependencies({ logger }) {
+        this.logger = logger;
+    }
+
+    initialize() {
+        this.section = document.getElementById('earconSettings');
+        this.enabledCheckbox = document.getElementById('earconsEnabled');
+        this.list = document.getElementById('earconList');
+        this.status = document.getElementById('earconStatus');
+
+        if (!this.section || !this.list) {
+            this.logger?.warn('EarconSettingsController: Earcon settings not found');
+            return;
+        }
+        this.render();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const listen = (key, element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.set(key, { element, event, handler });
+        };
+
+        // UI layer dispatches events to the Application layer (following architecture)
+        listen('enabled', this.enabledCheckbox, 'change', () => {
+            this.request(EVENTS.EARCON_SETTINGS_REQUESTED, { enabled: this.enabledCheckbox.checked });
+        });
+        listen('list-change', this.list, 'change', (event) => {
+            const { earcon, role } = event.target.dataset;
+            if (role === 'enabled') {
+                this.request(EVENTS.EARCON_SETTINGS_REQUESTED, { earcons: { [earcon]: event.target.checked } });
+            } else if (role === 'sample' && event.target.files.length > 0) {
+                if (this.status) this.status.textContent = `Loading ${event.target.files[0].name}...`;
+                this.request(EVENTS.EARCON_SAMPLE_REQUESTED, { name: earcon, file: event.target.files[0] });
+                event.target.value = '';
+            }
+        });
+        listen('list-click', this.list, 'click', (event) => {
+            const { earcon, role } = event.target.dataset;
+            if (role === 'preview') {
+                this.request(EVENTS.EARCON_PREVIEW_REQUESTED, { name: earcon });
+            } else if (role === 'reset') {
+                this.request(EVENTS.EARCON_SAMPLE_REQUESTED, { name: earcon, file: null });
+            }
+        });
+
+        listen('earcons-changed', document, EVENTS.EARCONS_CHANGED, (event) => {
+            this.settings = event.detail.settings;
+            this.render();
+            if (this.status && event.detail.message) this.status.textContent = event.detail.message;
+        });
+    }
+
+    request(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(eventName, { detail }));
+    }
+
+    /**
+     * One row per earcon: enable checkbox, the sound in use, Preview, a file input for a custom
+     * sample and a button back to the built-in sound. Focus stays on the same control when the
+     * list is redrawn after a change.
+     */
+    render() {
+        const focused = document.activeElement?.closest?.('#earconList') ? document.activeElement.dataset : null;
+        if (this.enabledCheckbox) this.enabledCheckbox.checked = this.settings.enabled;
+
+        this.list.replaceChildren(...this.settings.earcons.map(earcon => {
+            const item = document.createElement('li');
+            item.className = 'earcon-item';
+
+            const toggle = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = earcon.enabled;
+            checkbox.disabled = !this.settings.enabled;
+            checkbox.dataset.earcon = earcon.name;
+            checkbox.dataset.role = 'enabled';
+            toggle.append(checkbox, ` ${earcon.label}`);
+
+            const description = document.createElement('span');
+            description.className = 'earcon-description';
+            description.textContent = earcon.sample
+                ? `${earcon.description}. Sound: ${earcon.sample}${earcon.stored ? '' : ' (this session)'}`
+                : `${earcon.description}. Sound: built-in`;
+
+            const preview = this.createButton('Preview', `Play the ${earcon.label} earcon`, earcon.name, 'preview');
+            const reset = this.createButton('Built-in Sound', `Use the built-in sound for ${earcon.label}`, earcon.name, 'reset');
+            reset.disabled = !earcon.sample;
+
+            const fileLabel = document.createElement('label');
+            fileLabel.className = 'earcon-sample';
+            const file = document.createElement('input');
+            file.type = 'file';
+            file.accept = 'audio/*';
+            file.dataset.earcon = earcon.name;
+            file.dataset.role = 'sample';
+            file.setAttribute('aria-label', `Custom sound for ${earcon.label}`);
+            fileLabel.append('Custom Sound: ', file);
+
+            item.append(toggle, description, preview, fileLabel, reset);
+            return item;
+        }));
+
+        if (focused?.earcon) {
+            this.list.querySelector(`[data-earcon="${focused.earcon}"][data-role="${focused.role}"]`)?.focus();
+        }
+    }
+
+    createButton(text, label, name, role) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        button.dataset.earcon = name;
+        button.dataset.role = role;
+        return button;
+    }
+
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners.clear();
+    }
+}
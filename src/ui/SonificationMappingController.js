@@ -0,0 +1,246 @@
+// SonificationMappingController.js - Editor for the sonification mapping: which dimension drives each sound property, pitch curve, scale and range, 3D position, presets
+// Logger will be injected by UIController
+
+import { EVENTS } from '../constants/EventConstants.js';
+import { SonificationMapping } from '../accessibility/SonificationMapping.js';
+
+export class SonificationMappingController {
+    static CUSTOM = '';                 // Preset select value while the controls match no preset
+    static USER_PREFIX = 'user:';       // Option values of saved presets, apart from the built-in keys
+
+    constructor(plotData) {
+        this.data = plotData;
+        this.logger = null; // Will be injected by UIController
+        this.eventListeners = new Map();
+        this.mapping = SonificationMapping.loadCurrent();
+        this.userPresets = {};
+    }
+
+    setDependencies({ logger }) {
+        this.logger = logger;
+    }
+
+    initialize() {
+        this.section = document.getElementById('sonificationMapping');
+        if (!this.section) {
+            this.logger?.warn('SonificationMappingController: Mapping editor not found');
+            return;
+        }
+
+        this.presetSelect = document.getElementById('mappingPreset');
+        this.propertySelects = {};
+        Object.keys(SonificationMapping.PROPERTIES).forEach(property => {
+            this.propertySelects[property] = document.getElementById(`mapping${property[0].toUpperCase()}${property.slice(1)}`);
+        });
+        this.pitchCurveSelect = document.getElementById('mappingPitchCurve');
+        this.spatialSelect = document.getElementById('mappingSpatial');
+        this.scaleSelect = document.getElementById('mappingScale');
+        this.referenceButton = document.getElementById('playReferenceTones');
+        this.minFrequencyInput = document.getElementById('mappingMinFrequency');
+        this.maxFrequencyInput = document.getElementById('mappingMaxFrequency');
+        this.presetNameInput = document.getElementById('mappingPresetName');
+        this.savePresetButton = document.getElementById('saveMappingPreset');
+        this.deletePresetButton = document.getElementById('deleteMappingPreset');
+        this.status = document.getElementById('mappingStatus');
+
+        Object.entries(SonificationMapping.PITCH_CURVES).forEach(([value, name]) => {
+            this.pitchCurveSelect?.add(new Option(name, value));
+        });
+        Object.entries(SonificationMapping.SCALES).forEach(([value, scale]) => {
+            this.scaleSelect?.add(new Option(scale.name, value));
+        });
+        Object.entries(SonificationMapping.SPATIAL_MODES).forEach(([value, name]) => {
+            this.spatialSelect?.add(new Option(name, value));
+        });
+        this.userPresets = SonificationMapping.loadUserPresets();
+        this.updateDimensionOptions();
+        this.updatePresetOptions();
+        this.showMapping(this.mapping);
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const listen = (key, element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.set(key, { element, event, handler });
+        };
+
+        listen('preset', this.presetSelect, 'change', () => {
+            const mapping = this.getPresetMapping(this.presetSelect.value);
+            if (mapping) this.requestMapping(mapping);
+            this.updateDeleteButton();
+        });
+        [...Object.values(this.propertySelects), this.pitchCurveSelect, this.scaleSelect, this.spatialSelect].forEach((select, index) => {
+            listen(`control-${index}`, select, 'change', () => this.requestMapping(this.readControls()));
+        });
+        [this.minFrequencyInput, this.maxFrequencyInput].forEach((input, index) => {
+            listen(`frequency-${index}`, input, 'change', () => this.requestMapping(this.readControls()));
+        });
+        listen('save', this.savePresetButton, 'click', () => this.savePreset());
+        listen('delete', this.deletePresetButton, 'click', () => this.deletePreset());
+        listen('reference', this.referenceButton, 'click', () => {
+            document.dispatchEvent(new CustomEvent(EVENTS.SONIFICATION_REFERENCE_REQUESTED));
+        });
+
+        // Typing a preset name or a frequency must not trigger the global single-key shortcuts
+        // (1 and 2 switch the display mode, S toggles sonification)
+        listen('typing', this.section, 'keydown', (event) => {
+            if (event.target.tagName === 'INPUT' && event.key.length === 1 && !event.ctrlKey && !event.metaKey) {
+                event.stopPropagation();
+            }
+        });
+        listen('name-enter', this.presetNameInput, 'keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.savePreset();
+            }
+        });
+
+        // The mapping actually in use, after the application applied it or a project restored it
+        listen('mapping-changed', document, EVENTS.SONIFICATION_MAPPING_CHANGED, (event) => {
+            this.mapping = event.detail.mapping;
+            this.showMapping(this.mapping);
+            if (this.status) this.status.textContent = event.detail.description;
+        });
+        listen('labels-changed', document, EVENTS.DATA_LABELS_CHANGED, () => this.updateDimensionOptions());
+        listen('sample-info', document, EVENTS.SAMPLE_INFO_UPDATED, () => this.updateDimensionOptions());
+    }
+
+    /**
+     * Ask the application layer to use a mapping (following architecture: UI dispatches, app applies)
+     * @param {Object} mapping - Mapping to apply
+     */
+    requestMapping(mapping) {
+        document.dispatchEvent(new CustomEvent(EVENTS.SONIFICATION_MAPPING_REQUESTED, { detail: { mapping } }));
+    }
+
+    readControls() {
+        const mapping = {};
+        Object.entries(this.propertySelects).forEach(([property, select]) => {
+            if (select) mapping[property] = select.value;
+        });
+        mapping.pitchCurve = this.pitchCurveSelect?.value;
+        mapping.scale = this.scaleSelect?.value;
+        mapping.spatial = this.spatialSelect?.value;
+        mapping.minFrequency = Number(this.minFrequencyInput?.value);
+        mapping.maxFrequency = Number(this.maxFrequencyInput?.value);
+        return SonificationMapping.normalize({ ...this.mapping, ...mapping });
+    }
+
+    /**
+     * Show a mapping in the controls and select the preset it matches, if any
+     * @param {Object} mapping - Normalized mapping
+     */
+    showMapping(mapping) {
+        Object.entries(this.propertySelects).forEach(([property, select]) => {
+            if (select) select.value = mapping[property];
+        });
+        if (this.pitchCurveSelect) this.pitchCurveSelect.value = mapping.pitchCurve;
+        if (this.scaleSelect) {
+            this.scaleSelect.value = mapping.scale;
+            this.scaleSelect.disabled = mapping.pitchCurve !== 'scale';
+        }
+        if (this.spatialSelect) this.spatialSelect.value = mapping.spatial;
+        // A 3D position takes the place of the stereo pan
+        if (this.propertySelects.pan) this.propertySelects.pan.disabled = mapping.spatial !== 'off';
+        if (this.minFrequencyInput) this.minFrequencyInput.value = String(mapping.minFrequency);
+        if (this.maxFrequencyInput) this.maxFrequencyInput.value = String(mapping.maxFrequency);
+
+        if (this.presetSelect) {
+            const matching = [...this.presetSelect.options].find(option =>
+                option.value !== SonificationMappingController.CUSTOM &&
+                this.sameMapping(this.getPresetMapping(option.value), mapping));
+            this.presetSelect.value = matching ? matching.value : SonificationMappingController.CUSTOM;
+        }
+        this.updateDeleteButton();
+    }
+
+    sameMapping(a, b) {
+        return !!a && !!b && Object.keys(a).every(key => a[key] === b[key]);
+    }
+
+    getPresetMapping(value) {
+        if (value.startsWith(SonificationMappingController.USER_PREFIX)) {
+            return this.userPresets[value.slice(SonificationMappingController.USER_PREFIX.length)] || null;
+        }
+        return SonificationMapping.PRESETS[value]?.mapping || null;
+    }
+
+    updatePresetOptions() {
+        if (!this.presetSelect) return;
+        this.presetSelect.replaceChildren(new Option('Custom', SonificationMappingController.CUSTOM));
+
+        const builtIn = document.createElement('optgroup');
+        builtIn.label = 'Built-in';
+        Object.entries(SonificationMapping.PRESETS).forEach(([key, preset]) => builtIn.appendChild(new Option(preset.name, key)));
+        this.presetSelect.appendChild(builtIn);
+
+        const names = Object.keys(this.userPresets).sort((a, b) => a.localeCompare(b));
+        if (names.length > 0) {
+            const saved = document.createElement('optgroup');
+            saved.label = 'Saved';
+            names.forEach(name => saved.appendChild(new Option(name, SonificationMappingController.USER_PREFIX + name)));
+            this.presetSelect.appendChild(saved);
+        }
+    }
+
+    updateDeleteButton() {
+        if (this.deletePresetButton) {
+            this.deletePresetButton.disabled = !this.presetSelect?.value.startsWith(SonificationMappingController.USER_PREFIX);
+        }
+    }
+
+    /**
+     * Name the X, Y and Z options after the loaded data's axes, e.g. "X (Wavelength)"
+     */
+    updateDimensionOptions() {
+        const names = {
+            x: `X (${this.data.xLabel || 'X'})`,
+            y: `Y (${this.data.yLabel || 'Y'})`,
+            z: `Z (${this.data.zLabel || 'Z'})`,
+            none: 'None (fixed)'
+        };
+        Object.entries(this.propertySelects).forEach(([property, select]) => {
+            if (!select) return;
+            const value = select.value || this.mapping[property];
+            select.replaceChildren(...SonificationMapping.DIMENSIONS.map(dimension => new Option(names[dimension], dimension)));
+            select.value = value;
+        });
+    }
+
+    savePreset() {
+        const name = this.presetNameInput?.value.trim();
+        if (!name) {
+            if (this.status) this.status.textContent = 'Enter a name for the preset first.';
+            this.presetNameInput?.focus();
+            return;
+        }
+
+        this.userPresets = SonificationMapping.saveUserPreset(name, this.readControls());
+        this.updatePresetOptions();
+        this.presetSelect.value = SonificationMappingController.USER_PREFIX + name;
+        this.updateDeleteButton();
+        this.presetNameInput.value = '';
+        if (this.status) this.status.textContent = `Preset ${name} saved.`;
+        this.logger?.debug(`SonificationMappingController: Saved preset ${name}`);
+    }
+
+    deletePreset() {
+        const value = this.presetSelect?.value || '';
+        if (!value.startsWith(SonificationMappingController.USER_PREFIX)) return;
+
+        const name = value.slice(SonificationMappingController.USER_PREFIX.length);
+        this.userPresets = SonificationMapping.deleteUserPreset(name);
+        this.updatePresetOptions();
+        this.showMapping(this.mapping);
+        if (this.status) this.status.textContent = `Preset ${name} deleted.`;
+    }
+
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners.clear();
+    }
+}
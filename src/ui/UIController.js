@@ -2,8 +2,12 @@
 import { AxesController } from './AxesController.js';
 import { DarkModeController } from './DarkModeController.js';
 import { MenuController } from './MenuController.js';
+import { DataTableController } from './DataTableController.js';
+import { SonificationMappingController } from './SonificationMappingController.js';
+import { EarconSettingsController } from './EarconSettingsController.js';
 import { EVENTS } from '../constants/EventConstants.js';
 import { UILogger } from '../utils/Logger.js';
+import { DataImporter } from '../utils/DataImporter.js';
 
 export class UIController {
     constructor(visualizationEngine, plotData) {
@@ -18,6 +22,9 @@ export class UIController {
         this.axesController = null;
         this.darkModeController = null;
         this.menuController = null;
+        this.dataTableController = null;
+        this.sonificationMappingController = null;
+        this.earconSettingsController = null;
     }
 
     async initialize() {
@@ -47,6 +54,21 @@ export class UIController {
             this.menuController.setDependencies({ logger: UILogger });
             await this.menuController.initialize();
 
+            // Initialize data table view
+            this.dataTableController = new DataTableController(this.data);
+            this.dataTableController.setDependencies({ logger: UILogger });
+            this.dataTableController.initialize();
+
+            // Initialize sonification mapping editor
+            this.sonificationMappingController = new SonificationMappingController(this.data);
+            this.sonificationMappingController.setDependencies({ logger: UILogger });
+            this.sonificationMappingController.initialize();
+
+            // Initialize earcon settings
+            this.earconSettingsController = new EarconSettingsController();
+            this.earconSettingsController.setDependencies({ logger: UILogger });
+            this.earconSettingsController.initialize();
+
             // Initialize review text field
             this.initializeReviewTextField();
 
@@ -113,24 +135,66 @@ export class UIController {
         this.resetViewButton = document.getElementById('resetView');
         this.exportDataButton = document.getElementById('exportData');
         this.exportImageButton = document.getElementById('exportImage');
+        this.exportModelButton = document.getElementById('exportModel');
+        this.modelFormatSelect = document.getElementById('modelFormat');
+        this.exportTactileButton = document.getElementById('exportTactile');
+        this.tactileModeSelect = document.getElementById('tactileMode');
+        this.exportAudioButton = document.getElementById('exportAudio');
+        this.audioExportModeSelect = document.getElementById('audioExportMode');
+        this.audioMarkersCheckbox = document.getElementById('audioMarkers');
+        this.audioSpokenMarkersCheckbox = document.getElementById('audioSpokenMarkers');
         this.importDataButton = document.getElementById('importData');
+        this.saveProjectButton = document.getElementById('saveProject');
         
         // Sample data buttons (optional elements)
         this.loadBenzeneButton = document.getElementById('loadBenzene');
         this.loadSinusoidalButton = document.getElementById('loadSinusoidal');
+        this.loadClustersButton = document.getElementById('loadClusters');
+        this.loadTrajectoryButton = document.getElementById('loadTrajectory');
         this.loadCustomDataButton = document.getElementById('loadCustomData');
         
-        // Variable selection (optional elements)
+        // Sheet and variable selection (optional elements)
+        this.sheetSelection = document.getElementById('sheetSelection');
+        this.sheetSelect = document.getElementById('sheetSelect');
         this.variableSelection = document.getElementById('variableSelection');
         this.xVariable = document.getElementById('xVariable');
         this.yVariable = document.getElementById('yVariable');
         this.zVariable = document.getElementById('zVariable');
+        this.plotTypeSelect = document.getElementById('plotType');
+        this.importSelectedButton = document.getElementById('importSelectedData');
+        this.importMappingStatus = document.getElementById('importMappingStatus');
+        this.importPreview = document.getElementById('importPreview');
+        this.importReport = document.getElementById('importReport');
+        this.importSource = null;  // File shown in the import preview
+        this.populatePlotTypeOptions();
         
         // Analysis buttons (optional elements)
         this.findPeaksButton = document.getElementById('findPeaks');
         this.baselineCorrectionButton = document.getElementById('baselineCorrection');
         this.spectralDeconvolutionButton = document.getElementById('spectralDeconvolution');
 
+        // Baseline correction controls (optional elements)
+        this.baselineMethodSelect = document.getElementById('baselineMethod');
+        this.baselineSliceSelect = document.getElementById('baselineSlice');
+        this.toggleBaselineButton = document.getElementById('toggleBaseline');
+        this.undoBaselineButton = document.getElementById('undoBaseline');
+
+        // Spectral deconvolution controls (optional elements)
+        this.deconvolutionShapeSelect = document.getElementById('deconvolutionShape');
+        this.deconvolutionComponentsInput = document.getElementById('deconvolutionComponents');
+        this.deconvolutionDatasetSelect = document.getElementById('deconvolutionDataset');
+
+        // Series controls for files with several named series (optional elements)
+        this.seriesSelect = document.getElementById('seriesSelect');
+        this.seriesCompareSelect = document.getElementById('seriesCompare');
+
+        // Peak detection parameters (optional elements)
+        this.peakControls = {
+            prominence: document.getElementById('peakProminence'),
+            separation: document.getElementById('peakSeparation'),
+            noise: document.getElementById('peakNoise')
+        };
+
         this.setupEventListeners();
     }
 
@@ -172,6 +236,38 @@ export class UIController {
             this.eventListeners.set('exportImage', { element: this.exportImageButton, event: 'click', handler });
         }
 
+        if (this.exportModelButton) {
+            const handler = () => {
+                // UI layer dispatches event to Application layer (following architecture)
+                const format = this.modelFormatSelect ? this.modelFormatSelect.value : 'glb';
+                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_EXPORT_MODEL, { detail: { format } }));
+            };
+            this.exportModelButton.addEventListener('click', handler);
+            this.eventListeners.set('exportModel', { element: this.exportModelButton, event: 'click', handler });
+        }
+
+        if (this.exportTactileButton) {
+            const handler = () => {
+                // UI layer dispatches event to Application layer (following architecture)
+                const mode = this.tactileModeSelect ? this.tactileModeSelect.value : 'contour';
+                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_EXPORT_TACTILE, { detail: { mode } }));
+            };
+            this.exportTactileButton.addEventListener('click', handler);
+            this.eventListeners.set('exportTactile', { element: this.exportTactileButton, event: 'click', handler });
+        }
+
+        if (this.exportAudioButton) {
+            const handler = () => {
+                // UI layer dispatches event to Application layer (following architecture)
+                const mode = this.audioExportModeSelect ? this.audioExportModeSelect.value : 'normal';
+                const markers = this.audioMarkersCheckbox ? this.audioMarkersCheckbox.checked : true;
+                const spokenMarkers = this.audioSpokenMarkersCheckbox ? this.audioSpokenMarkersCheckbox.checked : true;
+                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_EXPORT_AUDIO, { detail: { mode, markers, spokenMarkers } }));
+            };
+            this.exportAudioButton.addEventListener('click', handler);
+            this.eventListeners.set('exportAudio', { element: this.exportAudioButton, event: 'click', handler });
+        }
+
         if (this.importDataButton) {
             const handler = () => {
                 // UI layer dispatches event to Application layer (following architecture)
@@ -181,6 +277,14 @@ export class UIController {
             this.eventListeners.set('importData', { element: this.importDataButton, event: 'click', handler });
         }
 
+        if (this.saveProjectButton) {
+            const handler = () => {
+                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_SAVE_PROJECT));
+            };
+            this.saveProjectButton.addEventListener('click', handler);
+            this.eventListeners.set('saveProject', { element: this.saveProjectButton, event: 'click', handler });
+        }
+
         // Sample data buttons
         if (this.loadBenzeneButton) {
             const handler = () => {
@@ -197,32 +301,89 @@ export class UIController {
             this.loadSinusoidalButton.addEventListener('click', handler);
             this.eventListeners.set('loadSinusoidal', { element: this.loadSinusoidalButton, event: 'click', handler });
         }
+
+        if (this.loadClustersButton) {
+            const handler = () => {
+                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_LOAD_SAMPLE, { detail: { sample: 'clusters' } }));
+            };
+            this.loadClustersButton.addEventListener('click', handler);
+            this.eventListeners.set('loadClusters', { element: this.loadClustersButton, event: 'click', handler });
+        }
+
+        if (this.loadTrajectoryButton) {
+            const handler = () => {
+                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_LOAD_SAMPLE, { detail: { sample: 'trajectory' } }));
+            };
+            this.loadTrajectoryButton.addEventListener('click', handler);
+            this.eventListeners.set('loadTrajectory', { element: this.loadTrajectoryButton, event: 'click', handler });
+        }
         
         // Analysis button event listeners
         if (this.findPeaksButton) {
-            const handler = () => {
-                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_FIND_PEAKS));
-            };
+            const handler = () => this.requestPeakDetection();
             this.findPeaksButton.addEventListener('click', handler);
             this.eventListeners.set('findPeaks', { element: this.findPeaksButton, event: 'click', handler });
         }
+
+        Object.entries(this.peakControls).forEach(([key, element]) => {
+            if (element) {
+                const handler = () => this.updatePeakDisplayValues();
+                element.addEventListener('input', handler);
+                this.eventListeners.set(`peak-${key}`, { element, event: 'input', handler });
+            }
+        });
         
         if (this.baselineCorrectionButton) {
-            const handler = () => {
-                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_BASELINE_CORRECTION));
-            };
+            const handler = () => this.requestBaselineCorrection('apply');
             this.baselineCorrectionButton.addEventListener('click', handler);
             this.eventListeners.set('baselineCorrection', { element: this.baselineCorrectionButton, event: 'click', handler });
         }
+
+        if (this.toggleBaselineButton) {
+            const handler = () => this.requestBaselineCorrection('toggle');
+            this.toggleBaselineButton.addEventListener('click', handler);
+            this.eventListeners.set('toggleBaseline', { element: this.toggleBaselineButton, event: 'click', handler });
+        }
+
+        if (this.undoBaselineButton) {
+            const handler = () => this.requestBaselineCorrection('undo');
+            this.undoBaselineButton.addEventListener('click', handler);
+            this.eventListeners.set('undoBaseline', { element: this.undoBaselineButton, event: 'click', handler });
+        }
         
         if (this.spectralDeconvolutionButton) {
-            const handler = () => {
-                document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_SPECTRAL_DECONVOLUTION));
-            };
+            const handler = () => this.requestSpectralDeconvolution('run');
             this.spectralDeconvolutionButton.addEventListener('click', handler);
             this.eventListeners.set('spectralDeconvolution', { element: this.spectralDeconvolutionButton, event: 'click', handler });
         }
 
+        if (this.deconvolutionComponentsInput) {
+            const handler = () => this.updateDeconvolutionDisplayValues();
+            this.deconvolutionComponentsInput.addEventListener('input', handler);
+            this.eventListeners.set('deconvolutionComponents', { element: this.deconvolutionComponentsInput, event: 'input', handler });
+        }
+
+        if (this.deconvolutionDatasetSelect) {
+            const handler = () => this.requestSpectralDeconvolution('select', parseInt(this.deconvolutionDatasetSelect.value, 10));
+            this.deconvolutionDatasetSelect.addEventListener('change', handler);
+            this.eventListeners.set('deconvolutionDataset', { element: this.deconvolutionDatasetSelect, event: 'change', handler });
+        }
+
+        if (this.seriesSelect) {
+            const handler = () => this.requestSeriesChange('select', parseInt(this.seriesSelect.value, 10));
+            this.seriesSelect.addEventListener('change', handler);
+            this.eventListeners.set('seriesSelect', { element: this.seriesSelect, event: 'change', handler });
+        }
+
+        if (this.seriesCompareSelect) {
+            const handler = () => {
+                const index = parseInt(this.seriesCompareSelect.value, 10);
+                this.requestSeriesChange(index === -1 ? 'clear' : 'compare', index);
+            };
+            this.seriesCompareSelect.addEventListener('change', handler);
+            this.eventListeners.set('seriesCompare', { element: this.seriesCompareSelect, event: 'change', handler });
+        }
+
         // Special handling for display mode changes
         if (this.controls.displayMode) {
             const handler = () => {
@@ -255,6 +416,18 @@ export class UIController {
             this.eventListeners.set('loadCustomData', { element: this.loadCustomDataButton, event: 'click', handler });
         }
 
+        // Sheet selection comes before variable selection for Excel workbooks
+        if (this.sheetSelect) {
+            const handler = () => {
+                if (!this.sheetSelect.value) return;
+                document.dispatchEvent(new CustomEvent(EVENTS.SHEET_SELECTED, {
+                    detail: { sheet: this.sheetSelect.value }
+                }));
+            };
+            this.sheetSelect.addEventListener('change', handler);
+            this.eventListeners.set('sheetSelect', { element: this.sheetSelect, event: 'change', handler });
+        }
+
         // Variable selection change handlers
         if (this.xVariable) {
             const handler = () => this.updateVariableSelection();
@@ -271,31 +444,257 @@ export class UIController {
             this.zVariable.addEventListener('change', handler);
             this.eventListeners.set('zVariable', { element: this.zVariable, event: 'change', handler });
         }
+        if (this.importSelectedButton) {
+            const handler = () => {
+                const mapping = this.getSelectedMapping();
+                if (!this.importSource || DataImporter.validateMapping(this.importSource, mapping).errors.length > 0) return;
+                this.loadCustomData(mapping.x, mapping.y, mapping.z);
+            };
+            this.importSelectedButton.addEventListener('click', handler);
+            this.eventListeners.set('importSelectedData', { element: this.importSelectedButton, event: 'click', handler });
+        }
     }
 
     handleKeyboardShortcuts(event) {
         switch(event.key) {
             case '1':
                 this.setDisplayMode('surface');
-                break;
+                return;
             case '2':
                 this.setDisplayMode('points');
-                break;
+                return;
             case 'r':
             case 'R':
                 this.resetView();
-                break;
+                return;
             case ' ':
                 event.preventDefault();
                 this.resetView();
-                break;
+                return;
             case 'a':
             case 'A':
                 // Toggle axes display
                 if (this.axesController) {
                     this.axesController.toggle();
                 }
+                return;
+        }
+
+        // The keys below analyse or change the data, so they are ignored while typing in a form control
+        // (a select jumps to options by their first letter) or with a modifier held
+        if (this.isTypingInFormControl(event) || event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+
+        switch(event.key) {
+            case 'k':
+            case 'K':
+                this.requestPeakDetection();
+                break;
+            case 'b':
+                this.requestBaselineCorrection('apply');
                 break;
+            case 'B':
+                // Shift+B compares corrected and original data
+                this.requestBaselineCorrection('toggle');
+                break;
+            case 'd':
+                this.requestSpectralDeconvolution('run');
+                break;
+            case 'D':
+                // Shift+D steps through the fitted data and its components
+                this.requestSpectralDeconvolution('next');
+                break;
+            case 'e':
+                this.requestSeriesChange('next');
+                break;
+            case 'E':
+                // Shift+E steps back through the series
+                this.requestSeriesChange('previous');
+                break;
+            case 'g':
+            case 'G': {
+                // Ctrl+G, left to the gamepad controller, never gets here
+                const index = this.seriesCompareSelect ? parseInt(this.seriesCompareSelect.value, 10) : -1;
+                this.requestSeriesChange('toggle-compare', index);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Whether a key went to a text field, number input, select or editable content
+     * @param {KeyboardEvent} event - Key pressed anywhere in the document
+     * @returns {boolean} True if the key belongs to the focused control
+     */
+    isTypingInFormControl(event) {
+        const target = event.target;
+        return !!target && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable);
+    }
+
+    /**
+     * Ask the application layer to show another series or compare two series
+     * @param {string} action - 'select', 'next', 'previous', 'compare', 'toggle-compare' or 'clear'
+     * @param {number} index - Series index for 'select' and 'compare' (-1 lets 'toggle-compare' pick the next series)
+     */
+    requestSeriesChange(action, index = -1) {
+        document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_SERIES, { detail: { action, index } }));
+    }
+
+    /**
+     * Rebuild the series and comparison selectors from the loaded series
+     * @param {PlotData} data - Plot data holding the series
+     */
+    updateSeriesControls(data) {
+        const { series = [], currentSeriesIndex = -1, seriesComparison = null } = data || {};
+
+        if (this.seriesSelect) {
+            this.seriesSelect.innerHTML = '';
+            if (series.length === 0) {
+                this.seriesSelect.add(new Option('Single dataset', '-1'));
+            }
+            series.forEach((entry, index) => {
+                this.seriesSelect.add(new Option(`${entry.name} (${entry.xValues.length} points)`, String(index)));
+            });
+            this.seriesSelect.value = String(series.length > 0 ? currentSeriesIndex : -1);
+            this.seriesSelect.disabled = series.length < 2;
+        }
+
+        if (this.seriesCompareSelect) {
+            this.seriesCompareSelect.innerHTML = '';
+            this.seriesCompareSelect.add(new Option('None', '-1'));
+            series.forEach((entry, index) => {
+                if (index !== currentSeriesIndex) {
+                    this.seriesCompareSelect.add(new Option(entry.name, String(index)));
+                }
+            });
+            this.seriesCompareSelect.value = String(seriesComparison ? seriesComparison.otherIndex : -1);
+            this.seriesCompareSelect.disabled = series.length < 2;
+        }
+    }
+
+    /**
+     * Ask the application layer to run a deconvolution or switch the displayed dataset
+     * @param {string} action - 'run', 'select', 'next', 'previous' or 'clear'
+     * @param {number} index - Component index for 'select' (-1 for the fitted data)
+     */
+    requestSpectralDeconvolution(action, index = -1) {
+        const detail = { action };
+        if (action === 'run') {
+            if (this.deconvolutionShapeSelect) {
+                detail.shape = this.deconvolutionShapeSelect.value;
+            }
+            if (this.deconvolutionComponentsInput) {
+                // Zero components means "choose automatically"
+                const components = parseInt(this.deconvolutionComponentsInput.value, 10);
+                detail.components = components > 0 ? components : null;
+            }
+        } else if (action === 'select') {
+            detail.index = index;
+        }
+
+        document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_SPECTRAL_DECONVOLUTION, { detail }));
+    }
+
+    /**
+     * Rebuild the dataset selector from the current deconvolution result
+     * @param {Object|null} state - PlotData.deconvolution
+     */
+    updateDeconvolutionDatasets(state) {
+        const select = this.deconvolutionDatasetSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        if (!state) {
+            select.add(new Option('Original data (no deconvolution)', '-1'));
+            select.disabled = true;
+            return;
+        }
+
+        const zUnit = this.data.zUnit ? ` ${this.data.zUnit}` : '';
+        select.add(new Option('Fitted data', '-1'));
+        state.components.forEach((component, index) => {
+            select.add(new Option(`Component ${index + 1} (${this.data.zLabel} ${component.center.toFixed(2)}${zUnit})`, String(index)));
+        });
+        select.value = String(state.activeComponent);
+        select.disabled = false;
+    }
+
+    updateDeconvolutionDisplayValues() {
+        const components = this.deconvolutionComponentsInput;
+        const componentsValue = document.getElementById('deconvolutionComponentsValue');
+
+        if (components && componentsValue) {
+            const value = parseInt(components.value, 10);
+            componentsValue.textContent = value > 0 ? String(value) : 'Auto';
+        }
+    }
+
+    /**
+     * Ask the application layer to apply, toggle or undo baseline correction
+     * @param {string} action - 'apply', 'toggle' or 'undo'
+     */
+    requestBaselineCorrection(action) {
+        const detail = { action };
+        if (action === 'apply') {
+            if (this.baselineMethodSelect) {
+                detail.method = this.baselineMethodSelect.value;
+            }
+            if (this.baselineSliceSelect) {
+                detail.sliceAxis = this.baselineSliceSelect.value;
+            }
+        }
+
+        document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_BASELINE_CORRECTION, { detail }));
+    }
+
+    /**
+     * Read the peak detection parameters from the UI (falling back to detector defaults)
+     * @returns {Object} Options for PlotData.findPeaks
+     */
+    getPeakDetectionOptions() {
+        const options = {};
+        const { prominence, separation, noise } = this.peakControls || {};
+
+        if (prominence) {
+            options.minProminence = parseFloat(prominence.value);
+        }
+        if (separation) {
+            options.minSeparation = parseInt(separation.value, 10);
+        }
+        if (noise) {
+            // A noise threshold of zero means "estimate from the data"
+            const noiseValue = parseFloat(noise.value);
+            options.noiseThreshold = noiseValue > 0 ? noiseValue : null;
+        }
+
+        return options;
+    }
+
+    /**
+     * Ask the application layer to run peak detection with the current parameters
+     */
+    requestPeakDetection() {
+        document.dispatchEvent(new CustomEvent(EVENTS.SURFACE_PLOT_FIND_PEAKS, {
+            detail: this.getPeakDetectionOptions()
+        }));
+    }
+
+    updatePeakDisplayValues() {
+        const { prominence, separation, noise } = this.peakControls || {};
+        const prominenceValue = document.getElementById('peakProminenceValue');
+        const separationValue = document.getElementById('peakSeparationValue');
+        const noiseValue = document.getElementById('peakNoiseValue');
+
+        if (prominence && prominenceValue) {
+            prominenceValue.textContent = Math.round(parseFloat(prominence.value) * 100) + '%';
+        }
+        if (separation && separationValue) {
+            separationValue.textContent = separation.value;
+        }
+        if (noise && noiseValue) {
+            const value = parseFloat(noise.value);
+            noiseValue.textContent = value > 0 ? Math.round(value * 100) + '%' : 'Auto';
         }
     }
 
@@ -340,6 +739,10 @@ export class UIController {
     }
 
     setDisplayMode(mode) {
+        if (mode === 'surface' && !this.data.hasSurfaceMesh()) {
+            // Point clouds cannot be meshed - stay in points mode
+            mode = 'points';
+        }
         UILogger.debug('Setting display mode to:', mode);
         this.controls.displayMode.value = mode;
         // Trigger the change event
@@ -353,6 +756,67 @@ export class UIController {
         }));
     }
 
+    /**
+     * Controls whose values are saved in project files: the view controls followed by the analysis parameters
+     * @returns {Object} Key to form element (missing elements are null)
+     */
+    getProjectControls() {
+        const { xStart, xEnd, zStart, zEnd, displayMode, colorScheme, pointSize, threshold, rotationX, rotationY, zoom } = this.controls;
+        return {
+            xStart, xEnd, zStart, zEnd, displayMode, colorScheme, pointSize, threshold, rotationX, rotationY, zoom,
+            peakProminence: this.peakControls.prominence,
+            peakSeparation: this.peakControls.separation,
+            peakNoise: this.peakControls.noise,
+            baselineMethod: this.baselineMethodSelect,
+            baselineSlice: this.baselineSliceSelect,
+            deconvolutionShape: this.deconvolutionShapeSelect,
+            deconvolutionComponents: this.deconvolutionComponentsInput
+        };
+    }
+
+    /**
+     * View state for a project file. The camera is taken from the engine because dragging
+     * and the mouse wheel move it without updating the sliders.
+     * @returns {Object} { camera: { rotationX, rotationY, zoom }, controls }
+     */
+    getProjectState() {
+        const controls = {};
+        Object.entries(this.getProjectControls()).forEach(([key, element]) => {
+            if (element) controls[key] = element.value;
+        });
+
+        return {
+            camera: { rotationX: this.engine.rotationX, rotationY: this.engine.rotationY, zoom: this.engine.zoom },
+            controls
+        };
+    }
+
+    /**
+     * Put back the view of a project file. Call after updateRangeControls so the range
+     * sliders already span the restored data.
+     * @param {Object} state - View state from getProjectState
+     */
+    restoreProjectState({ camera = null, controls = {} } = {}) {
+        Object.entries(this.getProjectControls()).forEach(([key, element]) => {
+            if (element && controls[key] !== undefined) element.value = controls[key];
+        });
+        if (this.controls.displayMode && this.controls.displayMode.value === 'surface' && !this.data.hasSurfaceMesh()) {
+            this.controls.displayMode.value = 'points';
+        }
+
+        this.updateDisplayValues();
+        this.updatePeakDisplayValues();
+        this.updateDeconvolutionDisplayValues();
+        this.updateVisualization();
+
+        if (camera) {
+            ['rotationX', 'rotationY', 'zoom'].forEach(key => {
+                if (Number.isFinite(camera[key])) this.engine[key] = camera[key];
+            });
+            this.engine.render(this.data);
+        }
+    }
+
     resetView() {
         // Set camera to view X-Y plane from the front (Z axis not visible)
         this.controls.rotationX.value = 0;  // No up/down rotation
@@ -415,6 +879,10 @@ export class UIController {
         
         // Update display values to reflect new ranges
         this.updateDisplayValues();
+
+        // The dataset list follows whatever deconvolution belongs to the current data
+        this.updateDeconvolutionDatasets(this.data.deconvolution);
+        this.updateSeriesControls(this.data);
         
         // Update axes when data changes
         if (this.axesController) {
@@ -811,6 +1279,21 @@ export class UIController {
         if (this.menuController) {
             this.menuController = null;
         }
+
+        if (this.dataTableController) {
+            this.dataTableController.destroy();
+            this.dataTableController = null;
+        }
+
+        if (this.sonificationMappingController) {
+            this.sonificationMappingController.destroy();
+            this.sonificationMappingController = null;
+        }
+
+        if (this.earconSettingsController) {
+            this.earconSettingsController.destroy();
+            this.earconSettingsController = null;
+        }
         
         // Reset initialization flag
         this.initialized = false;
@@ -818,17 +1301,84 @@ export class UIController {
                     UILogger.info('UIController destroyed and cleaned up');
     }
 
+    /**
+     * Fill the plot type selector from the plot types supported by the data layer
+     */
+    populatePlotTypeOptions() {
+        if (!this.plotTypeSelect) return;
+
+        this.plotTypeSelect.innerHTML = '';
+        this.data.getSupportedPlotTypes().forEach(type => {
+            this.plotTypeSelect.add(new Option(type.name, type.id));
+        });
+        this.plotTypeSelect.value = this.data.plotType;
+    }
+
+    /**
+     * Match the display mode options to the current plot type.
+     * Plot types without a mesh (scatter, line) can only be shown as points.
+     */
+    updatePlotTypeControls() {
+        const displayMode = this.controls?.displayMode;
+        if (!displayMode) return;
+
+        const hasMesh = this.data.hasSurfaceMesh();
+        const surfaceOption = Array.from(displayMode.options).find(option => option.value === 'surface');
+        if (surfaceOption) {
+            surfaceOption.disabled = !hasMesh;
+        }
+        if (!hasMesh && displayMode.value === 'surface') {
+            displayMode.value = 'points';
+            // Let the usual change handler leave wireframe navigation and rebuild buffers
+            displayMode.dispatchEvent(new Event('change'));
+        }
+
+        if (this.plotTypeSelect) {
+            this.plotTypeSelect.value = this.data.plotType;
+        }
+    }
+
+    populateSheetDropdown(sheets) {
+        this.sheetSelect.innerHTML = '';
+        sheets.forEach(sheet => {
+            this.sheetSelect.add(new Option(sheet.hidden ? `${sheet.name} (hidden)` : sheet.name, sheet.name));
+        });
+        this.sheetSelect.value = '';
+    }
+
+    /**
+     * Show a file opened for import: its columns in the X, Y and Z dropdowns with the suggested
+     * mapping selected, its plot type and a preview of the first rows
+     * @param {Object} source - Result of DataImporter.open()
+     */
+    showImportPreview(source) {
+        this.importSource = source;
+        this.populateVariableDropdowns(source.headers);
+        if (source.mapping) {
+            this.xVariable.value = source.mapping.x ?? '';
+            this.yVariable.value = source.mapping.y ?? '';
+            this.zVariable.value = source.mapping.z ?? '';
+        }
+        if (this.plotTypeSelect && source.metadata?.plotType &&
+            Array.from(this.plotTypeSelect.options).some(option => option.value === source.metadata.plotType)) {
+            this.plotTypeSelect.value = source.metadata.plotType;
+        }
+        this.updateVariableSelection();
+    }
+
     populateVariableDropdowns(headers) {
         // Clear existing options
         this.xVariable.innerHTML = '';
         this.yVariable.innerHTML = '';
         this.zVariable.innerHTML = '';
 
-        // Add options to all dropdowns
+        // Add options to all dropdowns; a header may be { value, label } to show more than the name
         headers.forEach(header => {
-            this.xVariable.add(new Option(header, header));
-            this.yVariable.add(new Option(header, header));
-            this.zVariable.add(new Option(header, header));
+            const value = typeof header === 'string' ? header : header.value;
+            const label = typeof header === 'string' ? header : header.label;
+            this.xVariable.add(new Option(label, value));
+            this.yVariable.add(new Option(label, value));
+            this.zVariable.add(new Option(label, value));
         });
 
         // Reset selections
@@ -837,6 +1387,10 @@ export class UIController {
         this.zVariable.value = '';
     }
 
+    getSelectedMapping() {
+        return { x: this.xVariable.value || null, y: this.yVariable.value || null, z: this.zVariable.value || null };
+    }
+
     updateVariableSelection() {
         const selectedX = this.xVariable.value;
         const selectedY = this.yVariable.value;
@@ -858,9 +1412,87 @@ export class UIController {
                             (option.value === selectedX || option.value === selectedY);
         });
 
-        // If all variables are selected, load the data
-        if (selectedX && selectedY && selectedZ) {
-            this.loadCustomData(selectedX, selectedY, selectedZ);
+        // Nothing loads until Import is chosen, so the mapping can be checked against the preview first
+        const mapping = this.getSelectedMapping();
+        this.renderImportPreview(mapping);
+        if (!this.importSource) return;
+
+        const { errors, warnings } = DataImporter.validateMapping(this.importSource, mapping);
+        if (this.importSelectedButton) {
+            this.importSelectedButton.disabled = errors.length > 0;
+        }
+        if (this.importMappingStatus) {
+            this.importMappingStatus.textContent = [...errors, ...warnings].join(' ');
+        }
+    }
+
+    /**
+     * Fill the preview table with the first rows of the pending file, marking the chosen columns
+     * @param {Object} mapping - { x, y, z } selected column names
+     */
+    renderImportPreview(mapping) {
+        const table = this.importPreview;
+        const preview = this.importSource?.preview;
+        if (!table) return;
+
+        table.replaceChildren();
+        if (!preview || preview.headers.length === 0) {
+            table.hidden = true;
+            return;
+        }
+        table.hidden = false;
+
+        const caption = table.createCaption();
+        caption.textContent = `First ${preview.rows.length} rows of ${this.importSource.sheet ? `sheet ${this.importSource.sheet}` : this.importSource.name}`;
+
+        const axesOf = (header) => ['x', 'y', 'z'].filter(axis => mapping[axis] === header).map(axis => axis.toUpperCase());
+        const headerRow = table.createTHead().insertRow();
+        preview.headers.forEach(header => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            const axes = axesOf(header);
+            cell.textContent = axes.length > 0 ? `${header} (${axes.join(', ')})` : header;
+            cell.classList.toggle('mapped', axes.length > 0);
+            headerRow.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        preview.rows.forEach(row => {
+            const tableRow = body.insertRow();
+            row.forEach((value, column) => {
+                const cell = tableRow.insertCell();
+                cell.textContent = value;
+                cell.classList.toggle('mapped', axesOf(preview.headers[column]).length > 0);
+            });
+        });
+    }
+
+    /**
+     * Show what an import loaded, where each axis came from and any problems found
+     * @param {Array<string>} lines - Summary lines from DataImporter.describeImport()
+     * @param {Array<string>} problems - Dropped rows and suspicious columns
+     */
+    showImportReport(lines, problems = []) {
+        this.importSource = null;
+        if (!this.importReport) return;
+
+        const list = document.createElement('ul');
+        [...lines, ...problems].forEach((line, index) => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            item.classList.toggle('import-problem', index >= lines.length);
+            list.appendChild(item);
+        });
+        const heading = document.createElement('h2');
+        heading.textContent = 'Import report';
+        this.importReport.replaceChildren(heading, list);
+        this.importReport.hidden = false;
+    }
+
+    hideImportReport() {
+        if (this.importReport) {
+            this.importReport.hidden = true;
+            this.importReport.replaceChildren();
         }
     }
 
@@ -872,7 +1504,7 @@ export class UIController {
 
             // Dispatch event to application layer to handle data loading
             document.dispatchEvent(new CustomEvent(EVENTS.LOAD_SELECTED_VARIABLES, {
-                detail: { xVar, yVar, zVar }
+                detail: { xVar, yVar, zVar, plotType: this.plotTypeSelect?.value }
             }));
 
             // Hide variable selection - the app will handle the rest
@@ -0,0 +1,357 @@
+// ArrowReader.js - Reader for Apache Arrow IPC files and streams (.arrow, .feather v2, .arrows)
+// Used by PlotData and the custom data file picker; numeric columns are read straight from the record batch buffers
+
+export class ArrowReader {
+    static FILE_MAGIC = 'ARROW1';
+
+    // Message header and field type ids from Message.fbs and Schema.fbs
+    static MESSAGE_TYPES = { schema: 1, dictionaryBatch: 2, recordBatch: 3 };
+    static TYPE_IDS = {
+        null: 1, int: 2, floatingPoint: 3, binary: 4, utf8: 5, bool: 6, decimal: 7, date: 8, time: 9,
+        timestamp: 10, interval: 11, list: 12, struct: 13, union: 14, fixedSizeBinary: 15, fixedSizeList: 16,
+        map: 17, duration: 18, largeBinary: 19, largeUtf8: 20, largeList: 21, runEndEncoded: 22,
+        binaryView: 23, utf8View: 24, listView: 25, largeListView: 26
+    };
+
+    static TIME_UNITS = ['s', 'ms', 'us', 'ns'];
+
+    // Continuation marker that precedes every message since Arrow 0.15
+    static CONTINUATION = 0xFFFFFFFF;
+
+    /**
+     * Read the schema and record batches of an Arrow IPC file or stream
+     * @param {ArrayBuffer} buffer - File content
+     * @returns {Object} { format, rowCount, columns, batches, view } where columns are { name, type, numeric }
+     *   in schema order and batches hold the field nodes and buffers of each record batch
+     */
+    static read(buffer) {
+        const view = new DataView(buffer);
+        let offset = ArrowReader.hasFileMagic(buffer) ? 8 : 0;
+
+        let fields = null;
+        const batches = [];
+        while (offset + 4 <= buffer.byteLength) {
+            // Streams written before Arrow 0.15 have no continuation marker
+            let metadataLength = view.getInt32(offset, true);
+            if (view.getUint32(offset, true) === ArrowReader.CONTINUATION) {
+                offset += 4;
+                metadataLength = offset + 4 <= buffer.byteLength ? view.getInt32(offset, true) : 0;
+            }
+            offset += 4;
+            if (metadataLength === 0) break; // End of stream
+
+            const message = ArrowReader.root(view, offset);
+            const headerType = ArrowReader.readScalar(view, message, 1, 'Uint8', 0);
+            const header = ArrowReader.readTable(view, message, 2);
+            const bodyLength = ArrowReader.readScalar(view, message, 3, 'BigInt64', 0n);
+            const bodyOffset = offset + metadataLength;
+
+            if (headerType === ArrowReader.MESSAGE_TYPES.schema) {
+                fields = ArrowReader.readSchema(view, header);
+            } else if (headerType === ArrowReader.MESSAGE_TYPES.recordBatch) {
+                if (!fields) throw new Error('Record batch found before the schema');
+                const batch = ArrowReader.readRecordBatch(view, header, bodyOffset);
+                batch.columns = ArrowReader.assignColumns(fields, batch);
+                batches.push(batch);
+            }
+            offset = bodyOffset + Number(bodyLength);
+        }
+
+        if (!fields) {
+            throw new Error('Not an Arrow IPC file (no schema message found)');
+        }
+
+        const columns = fields.map((field, index) => ({
+            name: field.name || `Column ${index + 1}`,
+            type: ArrowReader.describeType(field),
+            numeric: ArrowReader.isNumeric(field),
+            field
+        }));
+        const rowCount = batches.reduce((total, batch) => total + batch.length, 0);
+        return { format: 'Arrow', rowCount, columns, batches, view };
+    }
+
+    static hasFileMagic(buffer) {
+        if (buffer.byteLength < 8) return false;
+        return new TextDecoder().decode(new Uint8Array(buffer, 0, 6)) === ArrowReader.FILE_MAGIC;
+    }
+
+    /**
+     * Values of one numeric column across all record batches; nulls become NaN
+     * @param {Object} table - Result of read()
+     * @param {string} name - Column name
+     * @returns {Float64Array} Column values
+     */
+    static getValues(table, name) {
+        const column = table.columns.find(candidate => candidate.name === name);
+        if (!column) {
+            throw new Error(`Column '${name}' not found: ${table.columns.map(c => c.name).join(', ')}`);
+        }
+        if (!column.numeric) {
+            throw new Error(`Column '${name}' has type ${column.type}, which is not numeric`);
+        }
+
+        const fieldIndex = table.columns.indexOf(column);
+        const values = new Float64Array(table.rowCount);
+        let start = 0;
+        table.batches.forEach(batch => {
+            if (!batch.columns[fieldIndex]) {
+                throw new Error(`Column '${name}' comes after a column whose layout is not supported`);
+            }
+            const { node, validity, data } = batch.columns[fieldIndex];
+            const read = ArrowReader.createValueReader(table.view, column.field, data);
+            for (let i = 0; i < node.length; i++) {
+                const valid = !validity || node.nullCount === 0 ||
+                    (table.view.getUint8(validity.offset + (i >> 3)) >> (i & 7)) & 1;
+                values[start + i] = valid ? read(i) : NaN;
+            }
+            start += node.length;
+        });
+        return values;
+    }
+
+    /**
+     * Reader for value i of a data buffer, by the field's type
+     * @returns {Function} (index) => number
+     */
+    static createValueReader(view, field, data) {
+        const { typeId, bitWidth, signed, precision, scale } = field.type;
+        const at = data.offset;
+        switch (typeId) {
+            case ArrowReader.TYPE_IDS.floatingPoint:
+                if (precision === 2) return (i) => view.getFloat64(at + i * 8, true);
+                if (precision === 1) return (i) => view.getFloat32(at + i * 4, true);
+                return (i) => ArrowReader.halfToFloat(view.getUint16(at + i * 2, true));
+            case ArrowReader.TYPE_IDS.decimal: {
+                // Only the low 64 bits are read, which covers up to 18 significant digits
+                const divisor = Math.pow(10, scale);
+                return (i) => Number(view.getBigInt64(at + i * (bitWidth / 8), true)) / divisor;
+            }
+            default:
+                switch (bitWidth) {
+                    case 8: return signed ? (i) => view.getInt8(at + i) : (i) => view.getUint8(at + i);
+                    case 16: return signed ? (i) => view.getInt16(at + i * 2, true) : (i) => view.getUint16(at + i * 2, true);
+                    case 32: return signed ? (i) => view.getInt32(at + i * 4, true) : (i) => view.getUint32(at + i * 4, true);
+                    default: return signed
+                        ? (i) => Number(view.getBigInt64(at + i * 8, true))
+                        : (i) => Number(view.getBigUint64(at + i * 8, true));
+                }
+        }
+    }
+
+    static readSchema(view, schema) {
+        if (ArrowReader.readScalar(view, schema, 0, 'Int16', 0) === 1) {
+            throw new Error('Big-endian Arrow files are not supported');
+        }
+        return ArrowReader.readTableVector(view, schema, 1).map(field => ArrowReader.readField(view, field));
+    }
+
+    static readField(view, field) {
+        const typeId = ArrowReader.readScalar(view, field, 2, 'Uint8', 0);
+        const typeTable = ArrowReader.readTable(view, field, 3);
+        const type = { typeId, bitWidth: 0, signed: true, precision: 0, scale: 0, unit: 0 };
+
+        switch (typeId) {
+            case ArrowReader.TYPE_IDS.int:
+                type.bitWidth = ArrowReader.readScalar(view, typeTable, 0, 'Int32', 0);
+                type.signed = ArrowReader.readScalar(view, typeTable, 1, 'Uint8', 0) === 1;
+                break;
+            case ArrowReader.TYPE_IDS.floatingPoint:
+                type.precision = ArrowReader.readScalar(view, typeTable, 0, 'Int16', 0);
+                break;
+            case ArrowReader.TYPE_IDS.decimal:
+                type.precision = ArrowReader.readScalar(view, typeTable, 0, 'Int32', 0);
+                type.scale = ArrowReader.readScalar(view, typeTable, 1, 'Int32', 0);
+                type.bitWidth = ArrowReader.readScalar(view, typeTable, 2, 'Int32', 128);
+                break;
+            case ArrowReader.TYPE_IDS.date:
+                // DAY dates are 32-bit day counts, MILLISECOND dates 64-bit
+                type.unit = ArrowReader.readScalar(view, typeTable, 0, 'Int16', 1);
+                type.bitWidth = type.unit === 0 ? 32 : 64;
+                break;
+            case ArrowReader.TYPE_IDS.time:
+                type.unit = ArrowReader.readScalar(view, typeTable, 0, 'Int16', 1);
+                type.bitWidth = ArrowReader.readScalar(view, typeTable, 1, 'Int32', 32);
+                break;
+            case ArrowReader.TYPE_IDS.timestamp:
+                type.unit = ArrowReader.readScalar(view, typeTable, 0, 'Int16', 0);
+                type.bitWidth = 64;
+                break;
+            case ArrowReader.TYPE_IDS.duration:
+                type.unit = ArrowReader.readScalar(view, typeTable, 0, 'Int16', 1);
+                type.bitWidth = 64;
+                break;
+        }
+
+        return {
+            name: ArrowReader.readString(view, field, 0),
+            type,
+            dictionary: ArrowReader.readTable(view, field, 4) !== null,
+            children: ArrowReader.readTableVector(view, field, 5).map(child => ArrowReader.readField(view, child))
+        };
+    }
+
+    /**
+     * Field nodes and buffer locations of one record batch, assigned to the top-level fields in schema order
+     * @returns {Object} { length, columns } where columns are { node, validity, data }
+     */
+    static readRecordBatch(view, batch, bodyOffset) {
+        if (ArrowReader.readTable(view, batch, 3) !== null) {
+            throw new Error('Compressed Arrow record batches (LZ4 or ZSTD) are not supported; write the file without compression');
+        }
+
+        const length = Number(ArrowReader.readScalar(view, batch, 0, 'BigInt64', 0n));
+        const nodes = ArrowReader.readStructVector(view, batch, 1, 16, (at) => ({
+            length: Number(view.getBigInt64(at, true)),
+            nullCount: Number(view.getBigInt64(at + 8, true))
+        }));
+        const buffers = ArrowReader.readStructVector(view, batch, 2, 16, (at) => ({
+            offset: bodyOffset + Number(view.getBigInt64(at, true)),
+            length: Number(view.getBigInt64(at + 8, true))
+        }));
+        return { length, nodes, buffers };
+    }
+
+    /**
+     * Pair every top-level field of a batch with its node and buffers. Nested fields take one node per
+     * field and their own buffers, so those are counted and skipped. Fields after one whose buffer
+     * count is unknown cannot be located and are null.
+     */
+    static assignColumns(fields, batch) {
+        let nodeIndex = 0;
+        let bufferIndex = 0;
+        return fields.map(field => {
+            if (bufferIndex === null) return null;
+            const node = batch.nodes[nodeIndex];
+            const validity = batch.buffers[bufferIndex];
+            const data = batch.buffers[bufferIndex + 1];
+            const bufferCount = ArrowReader.countBuffers(field);
+            nodeIndex += ArrowReader.countNodes(field);
+            bufferIndex = bufferCount === null ? null : bufferIndex + bufferCount;
+            return { node, validity: validity && validity.length > 0 ? validity : null, data };
+        });
+    }
+
+    static countNodes(field) {
+        return 1 + field.children.reduce((total, child) => total + ArrowReader.countNodes(child), 0);
+    }
+
+    static countBuffers(field) {
+        let children = 0;
+        for (const child of field.children) {
+            const count = ArrowReader.countBuffers(child);
+            if (count === null) return null;
+            children += count;
+        }
+        switch (field.type.typeId) {
+            case ArrowReader.TYPE_IDS.null:
+                return 0;
+            case ArrowReader.TYPE_IDS.struct:
+            case ArrowReader.TYPE_IDS.fixedSizeList:
+                return 1 + children;
+            case ArrowReader.TYPE_IDS.binary:
+            case ArrowReader.TYPE_IDS.utf8:
+            case ArrowReader.TYPE_IDS.largeBinary:
+            case ArrowReader.TYPE_IDS.largeUtf8:
+                return 3;
+            case ArrowReader.TYPE_IDS.list:
+            case ArrowReader.TYPE_IDS.largeList:
+            case ArrowReader.TYPE_IDS.map:
+                return 2 + children;
+            case ArrowReader.TYPE_IDS.union:
+            case ArrowReader.TYPE_IDS.runEndEncoded:
+            case ArrowReader.TYPE_IDS.binaryView:
+            case ArrowReader.TYPE_IDS.utf8View:
+            case ArrowReader.TYPE_IDS.listView:
+            case ArrowReader.TYPE_IDS.largeListView:
+                return null;
+            default:
+                return 2;
+        }
+    }
+
+    static isNumeric(field) {
+        if (field.dictionary || field.children.length > 0) return false;
+        const ids = ArrowReader.TYPE_IDS;
+        return [ids.int, ids.floatingPoint, ids.decimal, ids.date, ids.time, ids.timestamp, ids.duration]
+            .includes(field.type.typeId);
+    }
+
+    // Type name shown next to the column in the variable dropdowns, e.g. float32, uint16, timestamp[ms]
+    static describeType(field) {
+        const { typeId, bitWidth, signed, precision, scale, unit } = field.type;
+        const ids = ArrowReader.TYPE_IDS;
+        if (field.dictionary) return 'dictionary';
+        switch (typeId) {
+            case ids.int: return `${signed ? 'int' : 'uint'}${bitWidth}`;
+            case ids.floatingPoint: return ['float16', 'float32', 'float64'][precision] || 'float';
+            case ids.decimal: return `decimal(${precision},${scale})`;
+            case ids.date: return unit === 0 ? 'date32[day]' : 'date64[ms]';
+            case ids.time: return `time${bitWidth}[${ArrowReader.TIME_UNITS[unit]}]`;
+            case ids.timestamp: return `timestamp[${ArrowReader.TIME_UNITS[unit]}]`;
+            case ids.duration: return `duration[${ArrowReader.TIME_UNITS[unit]}]`;
+            case ids.utf8: case ids.largeUtf8: case ids.utf8View: return 'string';
+            case ids.bool: return 'bool';
+            default: {
+                const name = Object.keys(ids).find(key => ids[key] === typeId);
+                return name ? name.toLowerCase() : 'unknown';
+            }
+        }
+    }
+
+    static halfToFloat(bits) {
+        const exponent = (bits >> 10) & 0x1F;
+        const fraction = bits & 0x3FF;
+        const sign = bits & 0x8000 ? -1 : 1;
+        if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+        if (exponent === 0x1F) return fraction ? NaN : sign * Infinity;
+        return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+    }
+
+    // FlatBuffers access: a table starts with a signed offset back to its vtable of field offsets
+
+    static root(view, offset) {
+        return offset + view.getUint32(offset, true);
+    }
+
+    static fieldOffset(view, table, index) {
+        const vtable = table - view.getInt32(table, true);
+        const vtableSize = view.getUint16(vtable, true);
+        const entry = 4 + index * 2;
+        return entry < vtableSize ? view.getUint16(vtable + entry, true) : 0;
+    }
+
+    static readScalar(view, table, index, type, fallback) {
+        if (table === null) return fallback;
+        const offset = ArrowReader.fieldOffset(view, table, index);
+        return offset ? view[`get${type}`](table + offset, true) : fallback;
+    }
+
+    static readTable(view, table, index) {
+        if (table === null) return null;
+        const offset = ArrowReader.fieldOffset(view, table, index);
+        return offset ? table + offset + view.getUint32(table + offset, true) : null;
+    }
+
+    static readString(view, table, index) {
+        const start = ArrowReader.readTable(view, table, index);
+        if (start === null) return '';
+        const length = view.getUint32(start, true);
+        return new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + start + 4, length));
+    }
+
+    static readTableVector(view, table, index) {
+        const start = ArrowReader.readTable(view, table, index);
+        if (start === null) return [];
+        return Array.from({ length: view.getUint32(start, true) }, (_, i) => {
+            const element = start + 4 + i * 4;
+            return element + view.getUint32(element, true);
+        });
+    }
+
+    static readStructVector(view, table, index, size, readStruct) {
+        const start = ArrowReader.readTable(view, table, index);
+        if (start === null) return [];
+        return Array.from({ length: view.getUint32(start, true) }, (_, i) => readStruct(start + 4 + i * size));
+    }
+}
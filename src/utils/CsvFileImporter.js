@@ -0,0 +1,81 @@
+// CsvFileImporter.js - Runs CsvParser.readFile in a Web Worker so large imports do not block rendering
+// Falls back to reading on the main thread where workers are unavailable
+import { CsvParser } from './CsvParser.js';
+import { DataLogger } from './Logger.js';
+
+export class CsvFileImporter {
+    constructor() {
+        this.worker = null;
+        this.rejectCurrent = null;
+    }
+
+    /**
+     * Read the X, Y and Z columns of a CSV file. Starting a new import cancels the previous one.
+     * @param {File|Blob} file - CSV file
+     * @param {Object} variables - Headers of the { x, y, z } columns (first three columns when missing)
+     * @param {Function} onProgress - Called with { loaded, total, rows } while the file is read
+     * @returns {Promise<Object>} Result of CsvParser.readFile
+     */
+    import(file, variables = {}, onProgress = null) {
+        this.cancel();
+
+        if (typeof Worker === 'undefined') {
+            DataLogger.debug('Web Workers unavailable, reading CSV on the main thread');
+            return CsvParser.readFile(file, variables, onProgress);
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('./CsvImportWorker.js', import.meta.url), { type: 'module' });
+            this.worker = worker;
+            this.rejectCurrent = reject;
+
+            worker.onmessage = (event) => {
+                const { type, ...detail } = event.data;
+                if (type === 'progress') {
+                    if (onProgress) onProgress(detail);
+                    return;
+                }
+
+                this.finish(worker);
+                if (type === 'done') {
+                    resolve(detail.result);
+                } else {
+                    reject(new Error(detail.message));
+                }
+            };
+
+            worker.onerror = (event) => {
+                this.finish(worker);
+                reject(new Error(event.message || 'CSV import worker failed'));
+            };
+
+            worker.postMessage({ file, variables });
+        });
+    }
+
+    /**
+     * Stop a running import; its promise rejects with an AbortError
+     * @returns {boolean} True if an import was running
+     */
+    cancel() {
+        if (!this.worker) {
+            return false;
+        }
+
+        const reject = this.rejectCurrent;
+        this.finish(this.worker);
+        const error = new Error('CSV import cancelled');
+        error.name = 'AbortError';
+        reject(error);
+        DataLogger.debug('Cancelled running CSV import');
+        return true;
+    }
+
+    finish(worker) {
+        worker.terminate();
+        if (this.worker === worker) {
+            this.worker = null;
+            this.rejectCurrent = null;
+        }
+    }
+}
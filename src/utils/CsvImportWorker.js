@@ -0,0 +1,23 @@
+// CsvImportWorker.js - Web Worker that reads large CSV files off the main thread
+// This file is only started by CsvFileImporter.js; the parsing itself lives in CsvParser.readFile
+
+import { CsvParser } from './CsvParser.js';
+
+self.onmessage = async (event) => {
+    const { file, variables, options } = event.data;
+
+    try {
+        const result = await CsvParser.readFile(file, variables, (progress) => {
+            self.postMessage({ type: 'progress', ...progress });
+        }, options);
+
+        // Hand the column buffers over instead of copying them
+        const transfer = Object.values(result.values).map(array => array.buffer);
+        if (result.seriesIndex) {
+            transfer.push(result.seriesIndex.buffer);
+        }
+        self.postMessage({ type: 'done', result }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
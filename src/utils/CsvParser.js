@@ -0,0 +1,796 @@
+// CsvParser.js - RFC 4180 CSV parsing with delimiter and decimal separator detection
+// Shared by PlotData, DataImporter and CsvImportWorker.js
+
+export class CsvParser {
+    // Default parsing parameters
+    static DEFAULT_OPTIONS = {
+        delimiter: null,          // Field delimiter (null = detect from the first lines)
+        decimalSeparator: null,   // '.' or ',' (null = detect; always '.' for comma-delimited files)
+        commentPrefix: '#',       // Lines starting with this are skipped (null = no comments)
+        sniffLines: 20,           // Lines inspected when detecting the delimiter and decimal separator
+        chunkSize: 1024 * 1024,   // Bytes decoded at a time by readFile()
+        layout: 'auto'            // 'long' (one X, Y, Z per row), 'matrix' (wide grid) or 'auto' (detect)
+    };
+
+    // Column headers (lower case) that name the series a row belongs to
+    static SERIES_HEADERS = ['sample', 'series'];
+
+    // Candidate delimiters in order of preference when several fit equally well
+    static DELIMITERS = [',', ';', '\t', '|'];
+
+    static DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+    // Fewest numeric column headers for a file to be read as a matrix
+    static MATRIX_MIN_COLUMNS = 3;
+
+    // Labels for matrix axes the corner cell does not name
+    static MATRIX_LABELS = { column: 'Column', row: 'Row', value: 'Value' };
+
+    /**
+     * Split CSV text into a header row and data records
+     * @param {string} content - CSV file content
+     * @param {Object} options - Parsing parameters (see DEFAULT_OPTIONS)
+     * @returns {Object} { headers, records, delimiter, decimalSeparator, commentLines } where each
+     *   record is { line, fields } plus an error message when the record could not be parsed
+     */
+    static parse(content, options = {}) {
+        const settings = { ...CsvParser.DEFAULT_OPTIONS, ...options };
+        const text = String(content ?? '').replace(/^\uFEFF/, '');
+        const sample = CsvParser.getSample(text, settings.sniffLines);
+
+        const delimiter = settings.delimiter || CsvParser.sniffDelimiter(sample, settings.commentPrefix);
+        const { records, commentLines } = CsvParser.tokenize(text, delimiter, settings.commentPrefix);
+        if (records.length === 0) {
+            throw new Error('CSV file contains no header row');
+        }
+
+        const [headerRecord, ...dataRecords] = records;
+        const decimalSeparator = settings.decimalSeparator ||
+            CsvParser.sniffDecimalSeparator(dataRecords.slice(0, settings.sniffLines), delimiter);
+
+        return {
+            headers: headerRecord.fields.map(h => h.trim()),
+            records: dataRecords,
+            delimiter,
+            decimalSeparator,
+            commentLines
+        };
+    }
+
+    /**
+     * Split text into records of fields. Quoted fields may contain the delimiter, line breaks
+     * and doubled quotes; blank lines and comment lines are skipped.
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter
+     * @param {string|null} commentPrefix - Prefix that marks a comment line
+     * @returns {Object} { records, commentLines }
+     */
+    static tokenize(text, delimiter, commentPrefix = null) {
+        const tokenizer = CsvParser.createTokenizer(delimiter, commentPrefix);
+        const records = tokenizer.push(text).concat(tokenizer.end());
+        return { records, commentLines: tokenizer.commentLines };
+    }
+
+    /**
+     * Create an incremental tokenizer for text that arrives in chunks. Records, quoted fields,
+     * comments and CRLF line breaks may all be split across chunk boundaries.
+     * @param {string} delimiter - Field delimiter
+     * @param {string|null} commentPrefix - Prefix that marks a comment line
+     * @returns {Object} { push(chunk), end(), commentLines } where push and end return the completed
+     *   records as { line, fields } plus an error message when a record could not be parsed
+     */
+    static createTokenizer(delimiter, commentPrefix = null) {
+        let records = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let quoteAtChunkEnd = false;  // A quote inside a quoted field ended the previous chunk
+        let inComment = false;
+        let atRecordStart = true;
+        let line = 1;
+        let recordLine = 1;
+        let carry = '';               // Trailing CR held back in case the next chunk starts with LF
+        let commentLines = 0;
+
+        const endRecord = (error = null) => {
+            fields.push(field);
+            // A line holding nothing but whitespace is not a record
+            if (fields.length > 1 || fields[0].trim() !== '' || error) {
+                records.push(error ? { line: recordLine, fields, error } : { line: recordLine, fields });
+            }
+            fields = [];
+            field = '';
+        };
+
+        // Returns the index of the comment's line break (the caller steps past it)
+        const skipComment = (text, start) => {
+            const end = text.indexOf('\n', start);
+            if (end === -1) {
+                inComment = true;
+                return text.length;
+            }
+            inComment = false;
+            atRecordStart = true;
+            line++;
+            return end;
+        };
+
+        const scan = (text) => {
+            let i = 0;
+            if (quoteAtChunkEnd) {
+                quoteAtChunkEnd = false;
+                if (text[0] === '"') {
+                    field += '"';
+                    i = 1;
+                } else {
+                    inQuotes = false;
+                }
+            }
+
+            for (; i < text.length; i++) {
+                const char = text[i];
+
+                if (inComment) {
+                    i = skipComment(text, i);
+                    continue;
+                }
+
+                if (inQuotes) {
+                    if (char === '"') {
+                        if (i + 1 === text.length) {
+                            quoteAtChunkEnd = true;
+                        } else if (text[i + 1] === '"') {
+                            field += '"';
+                            i++;
+                        } else {
+                            inQuotes = false;
+                        }
+                    } else {
+                        // Copy everything up to the next quote at once
+                        const close = text.indexOf('"', i);
+                        const end = close === -1 ? text.length : close;
+                        for (let k = i; k < end; k++) {
+                            if (text.charCodeAt(k) === 10) line++;
+                        }
+                        field += text.slice(i, end);
+                        i = end - 1;
+                    }
+                    continue;
+                }
+
+                if (atRecordStart) {
+                    atRecordStart = false;
+                    recordLine = line;
+                    if (commentPrefix && text.startsWith(commentPrefix, i)) {
+                        commentLines++;
+                        i = skipComment(text, i);
+                        continue;
+                    }
+                }
+
+                if (char === '"' && field.trim() === '') {
+                    // Quotes only open a quoted field at its start; elsewhere they are literal
+                    field = '';
+                    inQuotes = true;
+                } else if (char === delimiter) {
+                    fields.push(field);
+                    field = '';
+                } else if (char === '\n') {
+                    endRecord();
+                    line++;
+                    atRecordStart = true;
+                } else {
+                    // Copy a run of ordinary characters at once
+                    let end = i + 1;
+                    while (end < text.length) {
+                        const next = text[end];
+                        if (next === delimiter || next === '\n' || next === '"') break;
+                        end++;
+                    }
+                    field += text.slice(i, end);
+                    i = end - 1;
+                }
+            }
+        };
+
+        const takeRecords = () => {
+            const completed = records;
+            records = [];
+            return completed;
+        };
+
+        return {
+            push(chunk) {
+                let text = carry + chunk;
+                carry = '';
+                if (text.endsWith('\r')) {
+                    carry = '\r';
+                    text = text.slice(0, -1);
+                }
+                // Treat CRLF and lone CR like LF
+                scan(text.replace(/\r\n?/g, '\n'));
+                return takeRecords();
+            },
+
+            end() {
+                if (carry) {
+                    carry = '';
+                    scan('\n');
+                }
+                if (quoteAtChunkEnd) {
+                    quoteAtChunkEnd = false;
+                    inQuotes = false;
+                }
+                if (inQuotes) {
+                    inQuotes = false;
+                    endRecord('with an unterminated quoted field');
+                } else if (!atRecordStart && !inComment) {
+                    endRecord();
+                }
+                atRecordStart = true;
+                return takeRecords();
+            },
+
+            get commentLines() {
+                return commentLines;
+            }
+        };
+    }
+
+    /**
+     * First lines of the text, used to detect the delimiter
+     * @param {string} text - CSV text
+     * @param {number} lineCount - Number of lines to keep
+     * @returns {string} Sample text with LF line endings
+     */
+    static getSample(text, lineCount) {
+        return text.replace(/\r\n?/g, '\n').split('\n', lineCount).join('\n');
+    }
+
+    /**
+     * Find the X, Y and Z columns by header (defaulting to the first three columns as X, Z, Y) and the series column
+     * @param {Array} headers - Column headers
+     * @param {string|null} xVar - Header of the X column
+     * @param {string|null} yVar - Header of the Y column
+     * @param {string|null} zVar - Header of the Z column
+     * @returns {Object} { x, y, z, series } column indices (series is -1 without a Sample or Series column)
+     */
+    static findColumns(headers, xVar = null, yVar = null, zVar = null) {
+        const lowerHeaders = headers.map(h => h.toLowerCase());
+        let columns;
+
+        if (xVar && yVar && zVar) {
+            columns = {};
+            for (const [axis, name] of [['x', xVar], ['y', yVar], ['z', zVar]]) {
+                columns[axis] = lowerHeaders.findIndex(h => h === name.toLowerCase());
+                if (columns[axis] === -1) {
+                    throw new Error(`${axis.toUpperCase()} variable '${name}' not found in CSV headers: ${headers.join(', ')}`);
+                }
+            }
+        } else {
+            // Default to the first three columns in the documented X, Z, Y order
+            if (headers.length < 3) {
+                throw new Error(`CSV must have at least 3 columns, found: ${headers.length}`);
+            }
+            columns = { x: 0, y: 2, z: 1 };
+        }
+
+        const axisColumns = Object.values(columns);
+        columns.series = lowerHeaders.findIndex((h, index) =>
+            CsvParser.SERIES_HEADERS.includes(h) && !axisColumns.includes(index));
+        return columns;
+    }
+
+    /**
+     * Check for a wide matrix: numeric column headers after the corner cell (e.g. wavelengths)
+     * and a numeric first field in most sampled rows (e.g. retention times)
+     * @param {Array} headers - Column headers
+     * @param {Array} records - Sample data records
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {boolean} True if the cells hold the values and the headers hold an axis
+     */
+    static isMatrixLayout(headers, records, decimalSeparator = '.') {
+        if (!CsvParser.readMatrixAxis(headers, decimalSeparator)) return false;
+
+        // A few unreadable rows are dropped later rather than turning the file into a long one
+        const rows = records.filter(record => !record.error);
+        const numericRows = rows.filter(record => !Number.isNaN(CsvParser.parseNumber(record.fields[0], decimalSeparator)));
+        return numericRows.length > rows.length / 2;
+    }
+
+    /**
+     * Read the column axis of a matrix from the header row
+     * @param {Array} headers - Column headers; the first one is the corner cell
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {Float64Array|null} Column values, or null if the headers are not all numbers
+     */
+    static readMatrixAxis(headers, decimalSeparator = '.') {
+        // A trailing delimiter leaves an empty last header
+        const cells = headers.slice(1);
+        while (cells.length > 0 && cells[cells.length - 1].trim() === '') cells.pop();
+        if (cells.length < CsvParser.MATRIX_MIN_COLUMNS) return null;
+
+        const axis = Float64Array.from(cells, cell => CsvParser.parseNumber(cell, decimalSeparator));
+        return axis.some(Number.isNaN) ? null : axis;
+    }
+
+    /**
+     * Name the matrix axes from the corner cell, written as "row axis \ column axis"
+     * (e.g. "Retention Time (min) \ Wavelength (nm)"); a single name labels the rows
+     * @param {string} corner - First header
+     * @returns {Object} { row, column, value } labels
+     */
+    static readMatrixLabels(corner) {
+        const [row, column] = String(corner ?? '').split('\\').map(part => part.trim());
+        return {
+            row: row || CsvParser.MATRIX_LABELS.row,
+            column: column || CsvParser.MATRIX_LABELS.column,
+            value: CsvParser.MATRIX_LABELS.value
+        };
+    }
+
+    /**
+     * Read one matrix row
+     * @param {Object} record - Record from the tokenizer
+     * @param {Object} parsed - { decimalSeparator, axis } with axis the column values
+     * @returns {Object} { rowValue, cells } with NaN for empty or non-numeric cells, or { reason } when the row has to be dropped
+     */
+    static readMatrixRecord(record, parsed) {
+        if (record.error) {
+            return { reason: record.error };
+        }
+
+        const rowValue = CsvParser.parseNumber(record.fields[0], parsed.decimalSeparator);
+        if (Number.isNaN(rowValue)) {
+            return { reason: record.fields[0].trim() === '' ? 'with an empty row value' : 'with a non-numeric row value' };
+        }
+
+        const cells = new Float64Array(parsed.axis.length);
+        for (let column = 0; column < cells.length; column++) {
+            cells[column] = CsvParser.parseNumber(record.fields[column + 1], parsed.decimalSeparator);
+        }
+        return { rowValue, cells };
+    }
+
+    /**
+     * Convert a parsed matrix into long X, Y, Z columns: X from the column headers, Y (height)
+     * from the cells and Z (depth) from the first column
+     * @param {Object} parsed - Result of parse() for a file where isMatrixLayout() holds
+     * @returns {Object} { headers, values, rowCount, dropped, skippedCells, matrix } with headers naming
+     *   the three columns, skippedCells as { count, lines } and matrix holding { rows, columns }
+     */
+    static readMatrix(parsed) {
+        const axis = CsvParser.readMatrixAxis(parsed.headers, parsed.decimalSeparator);
+        const labels = CsvParser.readMatrixLabels(parsed.headers[0]);
+        const matrix = { ...parsed, axis };
+        const values = { x: [], y: [], z: [] };
+        const dropped = [];
+        const skippedCells = { count: 0, lines: [] };
+        let rows = 0;
+
+        for (const record of parsed.records) {
+            const { rowValue, cells, reason } = CsvParser.readMatrixRecord(record, matrix);
+            if (reason) {
+                dropped.push({ line: record.line, reason });
+                continue;
+            }
+
+            rows++;
+            cells.forEach((cell, column) => {
+                if (Number.isNaN(cell)) {
+                    CsvParser.countSkippedCell(skippedCells, record.line);
+                    return;
+                }
+                values.x.push(axis[column]);
+                values.y.push(cell);
+                values.z.push(rowValue);
+            });
+        }
+
+        return {
+            headers: [labels.column, labels.value, labels.row],
+            values,
+            rowCount: values.x.length,
+            dropped,
+            skippedCells,
+            matrix: { rows, columns: axis.length }
+        };
+    }
+
+    /**
+     * Pick the delimiter that splits the sample into the most consistent number of fields
+     * @param {string} sample - First lines of the file
+     * @param {string|null} commentPrefix - Prefix that marks a comment line
+     * @returns {string} Detected delimiter (comma when nothing fits better)
+     */
+    static sniffDelimiter(sample, commentPrefix = null) {
+        let best = { delimiter: ',', consistency: 0, fieldCount: 0 };
+
+        for (const delimiter of CsvParser.DELIMITERS) {
+            const { records } = CsvParser.tokenize(sample, delimiter, commentPrefix);
+            if (records.length === 0) continue;
+
+            // The header decides how many fields every row should have
+            const fieldCount = records[0].fields.length;
+            if (fieldCount < 2) continue;
+
+            const consistency = records.filter(record => record.fields.length === fieldCount).length / records.length;
+            if (consistency > best.consistency || (consistency === best.consistency && fieldCount > best.fieldCount)) {
+                best = { delimiter, consistency, fieldCount };
+            }
+        }
+
+        return best.delimiter;
+    }
+
+    /**
+     * Decide whether numbers use a decimal point or a decimal comma
+     * @param {Array} records - Sample data records
+     * @param {string} delimiter - Field delimiter (a comma delimiter rules out decimal commas)
+     * @returns {string} '.' or ','
+     */
+    static sniffDecimalSeparator(records, delimiter) {
+        if (delimiter === ',') return '.';
+
+        let commaNumbers = 0;
+        let pointNumbers = 0;
+        records.forEach(record => {
+            record.fields.forEach(field => {
+                const value = field.trim();
+                if (/^[-+]?[\d.\s]*\d,\d+([eE][-+]?\d+)?$/.test(value)) commaNumbers++;
+                else if (/^[-+]?\d*\.\d+([eE][-+]?\d+)?$/.test(value)) pointNumbers++;
+            });
+        });
+
+        return commaNumbers > pointNumbers ? ',' : '.';
+    }
+
+    /**
+     * Convert a field to a number; with a decimal comma, points and spaces are thousands separators
+     * @param {string} text - Field text
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {number} Finite number, or NaN if the field is empty or not a number
+     */
+    static parseNumber(text, decimalSeparator = '.') {
+        let value = String(text ?? '').trim();
+        if (value === '') return NaN;
+
+        if (decimalSeparator === ',') {
+            value = value.replace(/[.\s]/g, '').replace(',', '.');
+        }
+        const number = Number(value);
+        return Number.isFinite(number) ? number : NaN;
+    }
+
+    /**
+     * Read the numbers of one record
+     * @param {Object} record - Record from the tokenizer
+     * @param {Object} parsed - { headers, decimalSeparator }
+     * @param {Object} numericColumns - Column index per key, e.g. { x: 0, y: 1, z: 2 }
+     * @returns {Object} { numbers } in key order, or { reason } when the record has to be dropped
+     */
+    static readRecord(record, parsed, numericColumns) {
+        if (record.error) {
+            return { reason: record.error };
+        }
+
+        const indices = Object.values(numericColumns);
+        if (record.fields.length <= Math.max(...indices)) {
+            return { reason: 'with too few fields' };
+        }
+
+        const numbers = [];
+        for (const index of indices) {
+            const raw = record.fields[index];
+            const number = CsvParser.parseNumber(raw, parsed.decimalSeparator);
+            if (Number.isNaN(number)) {
+                const header = parsed.headers[index] || `column ${index + 1}`;
+                return { reason: raw.trim() === '' ? `with an empty ${header}` : `with a non-numeric ${header}` };
+            }
+            numbers.push(number);
+        }
+        return { numbers };
+    }
+
+    /**
+     * Read numeric (and optional text) columns from the parsed records.
+     * Records with a missing or non-numeric value are dropped and reported with their line number.
+     * @param {Object} parsed - Result of parse()
+     * @param {Object} numericColumns - Column index per key, e.g. { x: 0, y: 1, z: 2 }
+     * @param {Object} textColumns - Column index per key for text values kept alongside the numbers
+     * @returns {Object} { values, text, rowCount, dropped } with one array per key and dropped rows as { line, reason }
+     */
+    static readColumns(parsed, numericColumns, textColumns = {}) {
+        const numericKeys = Object.keys(numericColumns);
+        const textKeys = Object.keys(textColumns);
+        const values = Object.fromEntries(numericKeys.map(key => [key, []]));
+        const text = Object.fromEntries(textKeys.map(key => [key, []]));
+        const dropped = [];
+
+        for (const record of parsed.records) {
+            const { numbers, reason } = CsvParser.readRecord(record, parsed, numericColumns);
+            if (reason) {
+                dropped.push({ line: record.line, reason });
+                continue;
+            }
+
+            numericKeys.forEach((key, index) => values[key].push(numbers[index]));
+            textKeys.forEach(key => text[key].push((record.fields[textColumns[key]] ?? '').trim()));
+        }
+
+        return { values, text, rowCount: parsed.records.length - dropped.length, dropped };
+    }
+
+    /**
+     * Read the X, Y and Z columns of a CSV file in chunks without holding the whole text in memory.
+     * Works on the main thread and in CsvImportWorker.js.
+     * A matrix file (see isMatrixLayout) is unrolled into the same three columns, one row per cell.
+     * @param {Blob} file - CSV file
+     * @param {Object} variables - Headers of the { x, y, z } columns (first three columns when missing)
+     * @param {Function} onProgress - Called after each chunk with { loaded, total, rows }
+     * @param {Object} options - Parsing parameters (see DEFAULT_OPTIONS)
+     * @returns {Promise<Object>} { headers, columns, delimiter, decimalSeparator, commentLines, values,
+     *   rowCount, seriesNames, seriesIndex, droppedRows, skippedCells, summary, layout, matrix } with values
+     *   as Float32Arrays per axis, seriesIndex (index into seriesNames per row) null without a series column
+     *   and matrix ({ rows, columns }) null for long files
+     */
+    static async readFile(file, variables = {}, onProgress = null, options = {}) {
+        const settings = { ...CsvParser.DEFAULT_OPTIONS, ...options };
+        const decoder = new TextDecoder();  // Removes a byte order mark
+        let tokenizer = null;
+        let delimiter = null;
+        let parsed = null;
+        let columns = null;
+        let pending = [];  // Records waiting until the decimal separator is known
+
+        let capacity = 1 << 16;
+        let values = { x: new Float32Array(capacity), y: new Float32Array(capacity), z: new Float32Array(capacity) };
+        let seriesIndex = null;
+        const seriesNames = new Map();
+        let rowCount = 0;
+        let droppedRows = 0;
+        const dropped = new Map();
+        const skippedCells = { count: 0, lines: [] };
+        let matrixRows = 0;
+
+        const grow = () => {
+            capacity *= 2;
+            for (const axis of Object.keys(values)) {
+                const larger = new Float32Array(capacity);
+                larger.set(values[axis]);
+                values[axis] = larger;
+            }
+            if (seriesIndex) {
+                const larger = new Uint32Array(capacity);
+                larger.set(seriesIndex);
+                seriesIndex = larger;
+            }
+        };
+
+        let numericColumns = null;
+        const addLongRecord = (record) => {
+            const { numbers, reason } = CsvParser.readRecord(record, parsed, numericColumns);
+            if (reason) {
+                droppedRows++;
+                CsvParser.countDropped(dropped, record.line, reason);
+                return;
+            }
+
+            if (rowCount === capacity) grow();
+            values.x[rowCount] = numbers[0];
+            values.y[rowCount] = numbers[1];
+            values.z[rowCount] = numbers[2];
+            if (seriesIndex) {
+                const name = (record.fields[columns.series] ?? '').trim() || 'custom';
+                if (!seriesNames.has(name)) {
+                    seriesNames.set(name, seriesNames.size);
+                }
+                seriesIndex[rowCount] = seriesNames.get(name);
+            }
+            rowCount++;
+        };
+
+        const addMatrixRecord = (record) => {
+            const { rowValue, cells, reason } = CsvParser.readMatrixRecord(record, parsed);
+            if (reason) {
+                droppedRows++;
+                CsvParser.countDropped(dropped, record.line, reason);
+                return;
+            }
+
+            matrixRows++;
+            while (rowCount + cells.length > capacity) grow();
+            for (let column = 0; column < cells.length; column++) {
+                if (Number.isNaN(cells[column])) {
+                    CsvParser.countSkippedCell(skippedCells, record.line);
+                    continue;
+                }
+                values.x[rowCount] = parsed.axis[column];
+                values.y[rowCount] = cells[column];
+                values.z[rowCount] = rowValue;
+                rowCount++;
+            }
+        };
+
+        // The layout and decimal separator are decided from the first records
+        let addRecord = null;
+        const flushPending = () => {
+            parsed.decimalSeparator = settings.decimalSeparator || CsvParser.sniffDecimalSeparator(pending, parsed.delimiter);
+
+            // Chosen variables always name columns of a long file
+            const isMatrix = settings.layout === 'matrix' || (settings.layout === 'auto' && !variables.x &&
+                CsvParser.isMatrixLayout(parsed.headers, pending, parsed.decimalSeparator));
+            if (isMatrix) {
+                parsed.axis = CsvParser.readMatrixAxis(parsed.headers, parsed.decimalSeparator);
+                if (!parsed.axis) {
+                    throw new Error(`A matrix needs at least ${CsvParser.MATRIX_MIN_COLUMNS} numeric column headers`);
+                }
+                parsed.labels = CsvParser.readMatrixLabels(parsed.headers[0]);
+                columns = { x: 0, y: 1, z: 2, series: -1 };
+                addRecord = addMatrixRecord;
+            } else {
+                columns = CsvParser.findColumns(parsed.headers, variables.x, variables.y, variables.z);
+                numericColumns = { x: columns.x, y: columns.y, z: columns.z };
+                if (columns.series !== -1) {
+                    seriesIndex = new Uint32Array(capacity);
+                }
+                addRecord = addLongRecord;
+            }
+
+            pending.forEach(addRecord);
+            pending = [];
+        };
+
+        const handleRecords = (records) => {
+            for (const record of records) {
+                if (!parsed) {
+                    parsed = {
+                        headers: record.fields.map(h => h.trim()),
+                        delimiter,
+                        decimalSeparator: null
+                    };
+                } else if (!addRecord) {
+                    pending.push(record);
+                    if (pending.length >= settings.sniffLines) flushPending();
+                } else {
+                    addRecord(record);
+                }
+            }
+        };
+
+        // The delimiter is detected once the first lines have arrived
+        let head = '';
+        let headLines = 0;
+        const start = (text) => {
+            delimiter = settings.delimiter || CsvParser.sniffDelimiter(CsvParser.getSample(text, settings.sniffLines), settings.commentPrefix);
+            tokenizer = CsvParser.createTokenizer(delimiter, settings.commentPrefix);
+            handleRecords(tokenizer.push(text));
+        };
+
+        for (let offset = 0; offset < file.size; offset += settings.chunkSize) {
+            const buffer = await file.slice(offset, offset + settings.chunkSize).arrayBuffer();
+            const text = decoder.decode(buffer, { stream: true });
+
+            if (tokenizer) {
+                handleRecords(tokenizer.push(text));
+            } else {
+                head += text;
+                headLines += text.split('\n').length - 1;
+                if (headLines >= settings.sniffLines) {
+                    start(head);
+                    head = '';
+                }
+            }
+
+            if (onProgress) {
+                onProgress({ loaded: Math.min(file.size, offset + settings.chunkSize), total: file.size, rows: rowCount });
+            }
+        }
+
+        const rest = decoder.decode();
+        if (tokenizer) {
+            handleRecords(tokenizer.push(rest));
+        } else {
+            start(head + rest);
+        }
+        handleRecords(tokenizer.end());
+        if (!parsed) {
+            throw new Error('CSV file contains no header row');
+        }
+        if (!addRecord) {
+            flushPending();
+        }
+
+        const summary = [CsvParser.describeCounts(dropped, droppedRows), CsvParser.describeSkippedCells(skippedCells)]
+            .filter(Boolean).join('\n');
+        const labels = parsed.labels;
+        return {
+            headers: labels ? [labels.column, labels.value, labels.row] : parsed.headers,
+            columns,
+            delimiter: parsed.delimiter,
+            decimalSeparator: parsed.decimalSeparator,
+            commentLines: tokenizer.commentLines,
+            values: { x: values.x.slice(0, rowCount), y: values.y.slice(0, rowCount), z: values.z.slice(0, rowCount) },
+            rowCount,
+            seriesNames: Array.from(seriesNames.keys()),
+            seriesIndex: seriesIndex ? seriesIndex.slice(0, rowCount) : null,
+            droppedRows,
+            skippedCells: skippedCells.count,
+            summary,
+            layout: labels ? 'matrix' : 'long',
+            matrix: labels ? { rows: matrixRows, columns: parsed.axis.length } : null
+        };
+    }
+
+    /**
+     * Add a dropped row to per-reason counts, keeping the first few line numbers of each reason
+     * @param {Map} counts - Reason to { count, lines }
+     * @param {number} line - Line number of the dropped row
+     * @param {string} reason - Why the row was dropped
+     * @param {number} maxLines - Line numbers kept per reason
+     */
+    static countDropped(counts, line, reason, maxLines = 3) {
+        const entry = counts.get(reason) || { count: 0, lines: [] };
+        entry.count++;
+        if (entry.lines.length < maxLines) entry.lines.push(line);
+        counts.set(reason, entry);
+    }
+
+    /**
+     * Count an empty or non-numeric matrix cell, keeping the first few line numbers
+     * @param {Object} skipped - { count, lines, more } where more is set once lines were left out
+     * @param {number} line - Line number of the row holding the cell
+     */
+    static countSkippedCell(skipped, line, maxLines = 3) {
+        skipped.count++;
+        if (skipped.lines[skipped.lines.length - 1] === line) return;
+
+        if (skipped.lines.length < maxLines) {
+            skipped.lines.push(line);
+        } else {
+            skipped.more = true;
+        }
+    }
+
+    /**
+     * Summarize skipped matrix cells, e.g. "4 empty or non-numeric cells skipped (lines 7, 12)"
+     * @param {Object} skipped - { count, lines } from countSkippedCell()
+     * @returns {string} Summary, or an empty string when no cell was skipped
+     */
+    static describeSkippedCells(skipped) {
+        if (!skipped || skipped.count === 0) return '';
+
+        const plural = skipped.count === 1 ? '' : 's';
+        const lines = `line${skipped.lines.length === 1 ? '' : 's'} ${skipped.lines.join(', ')}`;
+        return `${skipped.count} empty or non-numeric cell${plural} skipped (${lines}${skipped.more ? ', ...' : ''})`;
+    }
+
+    /**
+     * Summarize dropped rows by reason, e.g. "3 rows dropped: 2 with a non-numeric Y (lines 4, 9), ..."
+     * @param {Array} dropped - Dropped rows from readColumns()
+     * @returns {string} Summary, or an empty string when nothing was dropped
+     */
+    static describeDropped(dropped) {
+        if (!dropped || dropped.length === 0) return '';
+
+        const counts = new Map();
+        dropped.forEach(({ line, reason }) => CsvParser.countDropped(counts, line, reason));
+        return CsvParser.describeCounts(counts, dropped.length);
+    }
+
+    /**
+     * Summarize per-reason counts built with countDropped()
+     * @param {Map} counts - Reason to { count, lines }
+     * @param {number} total - Number of dropped rows
+     * @returns {string} Summary, or an empty string when nothing was dropped
+     */
+    static describeCounts(counts, total) {
+        if (total === 0) return '';
+
+        const details = Array.from(counts, ([reason, { count, lines }]) => {
+            const more = count > lines.length ? ', ...' : '';
+            return `${count} ${reason} (line${count === 1 ? '' : 's'} ${lines.join(', ')}${more})`;
+        });
+        return `${total} row${total === 1 ? '' : 's'} dropped: ${details.join('; ')}`;
+    }
+}
@@ -0,0 +1,342 @@
+// DataImporter.js - Opens data files for import: detects the format, previews the first rows and suggests the X, Y and Z columns
+// Used by the application for every import; PlotData.importSource() then loads the file with the chosen columns
+
+import { CsvParser } from './CsvParser.js';
+import { NetCdfReader } from './NetCdfReader.js';
+import { XlsxReader } from './XlsxReader.js';
+import { ArrowReader } from './ArrowReader.js';
+import { ParquetReader } from './ParquetReader.js';
+import { ProjectFile } from './ProjectFile.js';
+
+export class DataImporter {
+    // Loader used for each file extension the pickers accept
+    static FILE_TYPES = {
+        csv: 'csv', json: 'json', nc: 'netcdf', cdf: 'netcdf', xlsx: 'xlsx',
+        arrow: 'arrow', arrows: 'arrow', feather: 'arrow', parquet: 'parquet',
+        [ProjectFile.EXTENSION]: 'project'
+    };
+    static FILE_ACCEPT = `.csv,.json,.nc,.cdf,.xlsx,.arrow,.arrows,.feather,.parquet,.${ProjectFile.EXTENSION}`;
+
+    // Binary columnar formats share one loader in PlotData
+    static COLUMNAR_READERS = { arrow: ArrowReader, parquet: ParquetReader };
+
+    // Bytes read from a CSV file to preview it before the full import
+    static CSV_HEADER_BYTES = 64 * 1024;
+
+    // Rows shown in the preview table, and columns read for it from binary formats
+    static PREVIEW_ROWS = 5;
+    static PREVIEW_COLUMNS = 8;
+
+    static AXES = ['x', 'y', 'z'];
+
+    // Column names (lower case, without unit) that say which axis a column belongs on
+    static AXIS_NAMES = {
+        x: ['x', 'wavelength', 'wavenumber', 'mass', 'm/z', 'mass_values', 'xvalues', 'wavelengths'],
+        y: ['y', 'intensity', 'absorbance', 'abundance', 'response', 'height', 'intensity_values', 'yvalues', 'intensities'],
+        z: ['z', 'time', 'retention time', 'retention', 'scan_acquisition_time', 'zvalues', 'retentiontimes']
+    };
+
+    // Arrays written by Export Data (and older exports); their labels are kept in the file's metadata
+    static JSON_KEYS = { x: ['xValues', 'wavelengths'], y: ['yValues', 'intensities'], z: ['zValues', 'retentionTimes'] };
+
+    // Export metadata written by Export Data as "# key: value" comment lines above the CSV header
+    static CSV_METADATA_PATTERN = /^#\s*(plotType|description|x|y|z)\s*:\s?(.*)$/;
+
+    /**
+     * Open a file for import without loading it into the plot yet
+     * @param {File} file - File chosen in the picker
+     * @returns {Promise<Object>} Source { file, name, type, content, sheets, sheet, headers, preview, isMatrix,
+     *   decimalSeparator, metadata, mapping } where headers are names or { value, label }, preview is
+     *   { headers, rows } of text cells and mapping the suggested { x, y, z } (null for matrix files)
+     */
+    static async open(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const type = DataImporter.FILE_TYPES[extension];
+        if (!type) {
+            throw new Error('Unsupported file format. Please use CSV, JSON, NetCDF (.nc, .cdf), Excel (.xlsx), Arrow, Parquet or DIXTRAL project (.dixtral) files.');
+        }
+
+        const source = {
+            file,
+            name: file.name,
+            type,
+            content: null,
+            sheets: null,
+            sheet: null,
+            headers: [],
+            preview: null,
+            isMatrix: false,
+            decimalSeparator: '.',
+            metadata: {},
+            mapping: null
+        };
+
+        if (type === 'csv') {
+            // Only the first bytes are needed now; the whole file is read in a worker once the columns are chosen
+            const head = await file.slice(0, DataImporter.CSV_HEADER_BYTES).text();
+            source.metadata = DataImporter.readCsvMetadata(head);
+            DataImporter.describeRecords(source, CsvParser.parse(head));
+        } else if (type === 'json') {
+            source.content = await file.text();
+            let data;
+            try {
+                data = JSON.parse(source.content);
+            } catch (error) {
+                throw new Error(`Not a valid JSON file (${error.message})`);
+            }
+            const keys = DataImporter.getJsonColumns(data);
+            source.headers = keys;
+            source.metadata = { plotType: data.plotType };
+            source.mapping = DataImporter.suggestMapping(keys);
+            source.preview = DataImporter.previewColumns(keys, key => data[key]);
+        } else if (type === 'netcdf') {
+            // NetCDF variables take the place of columns
+            source.content = await file.arrayBuffer();
+            const netcdf = NetCdfReader.read(source.content);
+            source.headers = NetCdfReader.getNumericVariableNames(netcdf);
+            source.mapping = NetCdfReader.guessVariables(netcdf) || DataImporter.suggestMapping(source.headers);
+            source.preview = DataImporter.previewColumns(source.headers, name => NetCdfReader.getValues(netcdf, name), source.mapping);
+        } else if (type === 'xlsx') {
+            // Columns are listed once a sheet is chosen
+            source.content = await XlsxReader.read(await file.arrayBuffer());
+            source.sheets = source.content.sheets;
+        } else if (DataImporter.COLUMNAR_READERS[type]) {
+            // Only numeric columns can be plotted; their types help tell them apart
+            const reader = DataImporter.COLUMNAR_READERS[type];
+            source.content = reader.read(await file.arrayBuffer());
+            const numeric = source.content.columns.filter(column => column.numeric);
+            source.headers = numeric.map(column => ({ value: column.name, label: `${column.name} (${column.type})` }));
+            source.mapping = DataImporter.suggestMapping(source.headers);
+
+            const names = numeric.map(column => column.name);
+            const columns = DataImporter.pickPreviewColumns(names, source.mapping);
+            const values = new Map();
+            for (const name of columns) {
+                values.set(name, await reader.getValues(source.content, name));
+            }
+            source.preview = DataImporter.previewColumns(columns, name => values.get(name));
+        }
+        return source;
+    }
+
+    /**
+     * Read the columns of one sheet of a workbook opened by open()
+     * @param {Object} source - Source of an .xlsx file
+     * @param {string|null} sheetName - Sheet name (null for the first visible sheet)
+     * @returns {Promise<Object>} The source with the sheet's headers, preview and suggested mapping
+     */
+    static async selectSheet(source, sheetName) {
+        const parsed = await XlsxReader.readSheet(source.content, sheetName);
+        source.sheet = parsed.sheet;
+        DataImporter.describeRecords(source, parsed);
+        return source;
+    }
+
+    /**
+     * Fill in headers, matrix detection, preview and mapping from records split by CsvParser or XlsxReader
+     * @param {Object} source - Source being opened
+     * @param {Object} parsed - { headers, records, decimalSeparator }
+     */
+    static describeRecords(source, parsed) {
+        const sample = parsed.records.slice(0, CsvParser.DEFAULT_OPTIONS.sniffLines);
+        source.headers = parsed.headers;
+        source.decimalSeparator = parsed.decimalSeparator;
+        source.isMatrix = CsvParser.isMatrixLayout(parsed.headers, sample, parsed.decimalSeparator);
+        source.mapping = source.isMatrix ? null : DataImporter.suggestMapping(parsed.headers, source.metadata);
+        source.preview = {
+            headers: parsed.headers,
+            rows: parsed.records
+                .filter(record => !record.error)
+                .slice(0, DataImporter.PREVIEW_ROWS)
+                .map(record => parsed.headers.map((header, column) => record.fields[column] ?? ''))
+        };
+    }
+
+    /**
+     * Read the "# key: value" lines Export Data writes above the CSV header
+     * @param {string} text - First bytes of the file
+     * @returns {Object} { plotType, description, x, y, z } for the keys present; x, y and z name header cells
+     */
+    static readCsvMetadata(text) {
+        const metadata = {};
+        for (const line of String(text).replace(/^\uFEFF/, '').split(/\r\n?|\n/)) {
+            if (line.trim() === '') continue;
+            if (!line.startsWith(CsvParser.DEFAULT_OPTIONS.commentPrefix)) break;
+
+            const match = line.match(DataImporter.CSV_METADATA_PATTERN);
+            if (match) {
+                metadata[match[1]] = match[2].trim();
+            }
+        }
+        return metadata;
+    }
+
+    /**
+     * Keys of a JSON object that hold arrays of plain values (numbers, numeric text or null)
+     * @param {Object} data - Parsed JSON
+     * @returns {Array<string>} Keys in file order
+     */
+    static getJsonColumns(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('JSON must be an object of named arrays');
+        }
+        return Object.keys(data).filter(key => Array.isArray(data[key]) && data[key].length > 0 &&
+            data[key].every(value => value === null || typeof value !== 'object'));
+    }
+
+    /**
+     * Suggest the X, Y and Z columns: columns named in the export metadata first, then columns whose
+     * name is an axis name (whole names only, so "Max" is not taken for X), then the remaining
+     * columns in the documented X, Z, Y order. Sample and Series columns are never suggested.
+     * @param {Array} headers - Column names or { value, label }
+     * @param {Object} metadata - { x, y, z } header names from readCsvMetadata()
+     * @returns {Object} { x, y, z } column names, null where there are not enough columns
+     */
+    static suggestMapping(headers, metadata = {}) {
+        const names = headers.map(header => typeof header === 'string' ? header : header.value);
+        const mapping = { x: null, y: null, z: null };
+        const isFree = (name) => !Object.values(mapping).includes(name);
+
+        for (const axis of DataImporter.AXES) {
+            if (metadata[axis] && names.includes(metadata[axis]) && isFree(metadata[axis])) {
+                mapping[axis] = metadata[axis];
+            }
+        }
+        for (const axis of DataImporter.AXES) {
+            if (mapping[axis]) continue;
+            mapping[axis] = names.find(name => isFree(name) &&
+                DataImporter.AXIS_NAMES[axis].includes(DataImporter.normalizeName(name))) ?? null;
+        }
+
+        const remaining = names.filter(name => isFree(name) && !CsvParser.SERIES_HEADERS.includes(name.trim().toLowerCase()));
+        for (const axis of ['x', 'z', 'y']) {
+            if (!mapping[axis]) {
+                mapping[axis] = remaining.shift() ?? null;
+            }
+        }
+        return mapping;
+    }
+
+    /**
+     * Lower-case column name without a trailing unit, e.g. "Wavelength (nm)" becomes "wavelength"
+     * @param {string} name - Column name
+     * @returns {string} Name compared with AXIS_NAMES
+     */
+    static normalizeName(name) {
+        return String(name).replace(/\s*[([][^()[\]]*[)\]]\s*$/, '').trim().toLowerCase();
+    }
+
+    /**
+     * Check a column mapping before importing
+     * @param {Object} source - Source from open()
+     * @param {Object} mapping - { x, y, z } chosen column names
+     * @returns {Object} { errors, warnings } as messages; the file can be imported when errors is empty
+     */
+    static validateMapping(source, mapping) {
+        const errors = [];
+        const warnings = [];
+
+        for (const axis of DataImporter.AXES) {
+            if (!mapping[axis]) {
+                errors.push(`Choose a column for ${axis.toUpperCase()}.`);
+            }
+        }
+        DataImporter.AXES.forEach((axis, index) => {
+            const other = DataImporter.AXES.slice(index + 1).find(next => mapping[axis] && mapping[next] === mapping[axis]);
+            if (other) {
+                errors.push(`${axis.toUpperCase()} and ${other.toUpperCase()} both use '${mapping[axis]}'.`);
+            }
+        });
+
+        // The preview shows whether a column holds numbers before the whole file is read
+        const preview = source.preview;
+        if (preview && preview.rows.length > 0) {
+            for (const axis of DataImporter.AXES) {
+                const column = preview.headers.indexOf(mapping[axis]);
+                if (column === -1) continue;
+                const text = preview.rows.filter(row => Number.isNaN(CsvParser.parseNumber(row[column], source.decimalSeparator)));
+                if (text.length === preview.rows.length) {
+                    warnings.push(`'${mapping[axis]}' has no numbers in the first ${preview.rows.length} rows; rows without a number are left out.`);
+                } else if (text.length > 0) {
+                    warnings.push(`'${mapping[axis]}' has ${text.length} empty or non-numeric values in the first ${preview.rows.length} rows.`);
+                }
+            }
+        }
+        return { errors, warnings };
+    }
+
+    /**
+     * Describe a finished import: what was loaded, where each axis came from and what looks wrong
+     * @param {Object} source - Source from open()
+     * @param {Object|null} mapping - { x, y, z } column names (null for matrix files)
+     * @param {Object} report - Import report from PlotData.importSource()
+     * @param {Object} data - PlotData holding the imported data
+     * @returns {Object} { lines, problems } as messages
+     */
+    static describeImport(source, mapping, report, data) {
+        const where = source.sheet ? `sheet '${source.sheet}' of ${source.name}` : source.name;
+        const unit = report.layout === 'long' ? 'rows' : 'points';
+        const seriesCount = data.series.length;
+        const lines = [
+            `${report.rows.toLocaleString()} ${unit} loaded from ${where}` +
+            (report.matrix ? ` (${report.matrix.rows} by ${report.matrix.columns} matrix)` : '') +
+            (seriesCount > 1 ? ` in ${seriesCount} series` : '') + '.'
+        ];
+        const problems = report.summary ? report.summary.split('\n') : [];
+
+        const matrixSources = { x: 'the header row', y: 'the cells', z: 'the first column' };
+        const seriesList = seriesCount > 0 ? data.series : [data];
+        for (const axis of DataImporter.AXES) {
+            const label = data[`${axis}Label`];
+            const axisUnit = data[`${axis}Unit`] ? ` (${data[`${axis}Unit`]})` : '';
+            const from = mapping ? `'${mapping[axis]}'` : matrixSources[axis];
+
+            let min = Infinity;
+            let max = -Infinity;
+            for (const series of seriesList) {
+                for (const value of series[`${axis}Values`]) {
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+            }
+            lines.push(`${axis.toUpperCase()}: ${label}${axisUnit} from ${from}, ${min} to ${max}.`);
+            if (min === max) {
+                problems.push(`${axis.toUpperCase()} is constant at ${min}; check the column chosen for it.`);
+            }
+        }
+        return { lines, problems };
+    }
+
+    /**
+     * Columns shown in the preview of a binary file: the first few plus the suggested ones
+     * @param {Array<string>} names - Column or variable names
+     * @param {Object|null} mapping - Suggested { x, y, z }
+     * @returns {Array<string>} Names in file order
+     */
+    static pickPreviewColumns(names, mapping = null) {
+        const mapped = mapping ? Object.values(mapping) : [];
+        return names.filter((name, index) => index < DataImporter.PREVIEW_COLUMNS || mapped.includes(name));
+    }
+
+    /**
+     * Preview table of the first values of each column
+     * @param {Array<string>} names - Column or variable names
+     * @param {Function} getValues - Returns the values of a column by name
+     * @param {Object|null} mapping - Suggested { x, y, z }, always included in the preview
+     * @returns {Object} { headers, rows } with text cells; missing values are empty
+     */
+    static previewColumns(names, getValues, mapping = null) {
+        const headers = DataImporter.pickPreviewColumns(names, mapping);
+        const columns = headers.map(name => getValues(name));
+        const length = Math.min(DataImporter.PREVIEW_ROWS, Math.max(0, ...columns.map(values => values.length)));
+
+        const rows = [];
+        for (let row = 0; row < length; row++) {
+            rows.push(columns.map(values => {
+                const value = values[row];
+                return value === null || value === undefined || Number.isNaN(value) ? '' : String(value);
+            }));
+        }
+        return { headers, rows };
+    }
+}
@@ -0,0 +1,241 @@
+// DataTable.js - Lays the shown data out as a table: one row per Z value and one column per X value with Y in the cells,
+// or one row per point where the points do not form a grid. Used by the data table view and its HTML and CSV exports
+
+import { FileOperations } from './FileOperations.js';
+
+export class DataTable {
+    static FORMATS = {
+        html: { name: 'HTML', extension: 'html', type: 'text/html' },
+        csv: { name: 'CSV', extension: 'csv', type: 'text/csv' }
+    };
+    static MAX_COLUMNS = 500;  // More distinct X values than this would not fit a readable table
+    static MIN_FILL = 0.5;     // Share of grid cells that must hold a point for the grid layout
+    static CHUNK_LINES = 5000; // Lines joined into each piece of an export, so no single string holds the whole file
+
+    /**
+     * Lay out the shown data. Surface data whose points share X and Z values becomes a grid;
+     * scatter and line plots and scattered points are listed one row per point in data order.
+     * A point list reads its rows from the data arrays when asked for them, so only the rows
+     * on screen are ever created.
+     * @param {PlotData} data - Shown data with labels, units and sample name
+     * @returns {Object} { layout: 'grid' | 'points', caption, corner, columns, rowCount, getRow, points } where
+     *   columns are [{ text, value }], getRow(rowIndex) returns { header, value, cells } and each cell is
+     *   { value, index } (index into the PlotData arrays) or null where the grid has no point.
+     *   A point list also keeps its source columns in order as values: [xValues, zValues, yValues].
+     */
+    static build(data) {
+        const { xValues = [], zValues = [], yValues = [] } = data;
+        const titles = DataTable.getTitles(data);
+        const name = data.currentSample || 'Data';
+
+        const grid = data.usesNearestNeighborNavigation?.() || data.usesPathNavigation?.()
+            ? null : DataTable.buildGrid(xValues, zValues);
+
+        if (!grid) {
+            const values = [xValues, zValues, yValues];
+            return {
+                layout: 'points',
+                caption: `${name}: ${xValues.length} points, one row per point`,
+                corner: 'Point',
+                columns: [titles.x, titles.z, titles.y].map(text => ({ text, value: null })),
+                rowCount: xValues.length,
+                getRow: (index) => index < 0 || index >= xValues.length ? null : {
+                    header: `Point ${index + 1}`,
+                    value: index + 1,
+                    cells: values.map(column => ({ value: column[index], index }))
+                },
+                values,
+                points: xValues.length
+            };
+        }
+
+        const columns = grid.xAxis.map(value => ({ text: DataTable.formatValue(value, data.xUnit), value }));
+        const rows = grid.zAxis.map(value => ({
+            header: DataTable.formatValue(value, data.zUnit),
+            value,
+            cells: new Array(columns.length).fill(null)
+        }));
+        grid.cells.forEach((index, key) => {
+            rows[Math.floor(key / columns.length)].cells[key % columns.length] = { value: yValues[index], index };
+        });
+
+        return {
+            layout: 'grid',
+            caption: `${name}: ${titles.y} by ${titles.z} (rows) and ${titles.x} (columns)`,
+            corner: `${titles.z} \\ ${titles.x}`,
+            columns,
+            rowCount: rows.length,
+            getRow: (index) => rows[index] || null,
+            points: xValues.length
+        };
+    }
+
+    /**
+     * Place points on the grid of their distinct X and Z values
+     * @param {Array} xValues - X coordinates
+     * @param {Array} zValues - Z coordinates
+     * @returns {Object|null} { xAxis, zAxis, cells } with cells mapping zIndex * columns + xIndex to
+     *   the point index (a repeated position keeps its last point), or null if the points are too
+     *   scattered or too wide for a grid
+     */
+    static buildGrid(xValues, zValues) {
+        const xAxis = [...new Set(xValues)].sort((a, b) => a - b);
+        const zAxis = [...new Set(zValues)].sort((a, b) => a - b);
+        if (xAxis.length === 0 || xAxis.length > DataTable.MAX_COLUMNS) return null;
+
+        const xIndex = new Map(xAxis.map((value, index) => [value, index]));
+        const zIndex = new Map(zAxis.map((value, index) => [value, index]));
+        const cells = new Map();
+        for (let i = 0; i < xValues.length; i++) {
+            cells.set(zIndex.get(zValues[i]) * xAxis.length + xIndex.get(xValues[i]), i);
+        }
+        return cells.size >= xAxis.length * zAxis.length * DataTable.MIN_FILL ? { xAxis, zAxis, cells } : null;
+    }
+
+    /**
+     * Axis labels with their units, e.g. "Wavelength (nm)"
+     * @param {PlotData} data - Data with labels and units
+     * @returns {Object} { x, y, z }
+     */
+    static getTitles(data) {
+        const title = (label, unit, fallback) => unit ? `${label || fallback} (${unit})` : (label || fallback);
+        return {
+            x: title(data.xLabel, data.xUnit, 'X'),
+            y: title(data.yLabel, data.yUnit, 'Y'),
+            z: title(data.zLabel, data.zUnit, 'Z')
+        };
+    }
+
+    /**
+     * Value as shown in the table, to six significant digits
+     * @param {number} value - Number to show
+     * @param {string} unit - Unit to append, if any
+     * @returns {string} Text for the cell or header
+     */
+    static formatValue(value, unit = '') {
+        if (!Number.isFinite(value)) return '';
+        const text = Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(6)));
+        return unit ? `${text} ${unit}` : text;
+    }
+
+    /**
+     * Export a table as a download
+     * @param {Object} table - Result of build()
+     * @param {string} format - 'html' or 'csv'
+     * @param {string} sampleName - Current sample, used in the file name
+     * @returns {Object} { content, filename, type } with content the file text in pieces, ready for a Blob
+     */
+    static export(table, format, sampleName) {
+        const spec = DataTable.FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unknown table format: ${format}`);
+        }
+        const safeName = String(sampleName || 'data').replace(/[^\w.-]+/g, '_');
+        return {
+            content: DataTable.toChunks(line => format === 'html' ? DataTable.writeHtml(table, line) : DataTable.writeCsv(table, line)),
+            filename: `surface_plot_table_${safeName}_${new Date().getTime()}.${spec.extension}`,
+            type: spec.type
+        };
+    }
+
+    /**
+     * Collect the lines a writer produces into pieces of CHUNK_LINES lines, each ending in a newline
+     * @param {Function} write - Called with a function that takes one line of the file
+     * @returns {Array} Strings to pass to a Blob in order
+     */
+    static toChunks(write) {
+        const chunks = [];
+        let batch = [];
+        write(line => {
+            batch.push(line);
+            if (batch.length === DataTable.CHUNK_LINES) {
+                chunks.push(batch.join('\n') + '\n');
+                batch = [];
+            }
+        });
+        if (batch.length > 0) {
+            chunks.push(batch.join('\n') + '\n');
+        }
+        return chunks;
+    }
+
+    /**
+     * Visit the rows of a table in order with their cell values. A point list is read straight
+     * from its data arrays rather than through row objects.
+     * @param {Object} table - Result of build()
+     * @param {Function} callback - Called with (header, value, values), values holding null for empty grid cells
+     */
+    static forEachRow(table, callback) {
+        if (table.layout === 'points') {
+            const [xValues, zValues, yValues] = table.values;
+            for (let i = 0; i < table.rowCount; i++) {
+                callback(`Point ${i + 1}`, i + 1, [xValues[i], zValues[i], yValues[i]]);
+            }
+            return;
+        }
+        for (let i = 0; i < table.rowCount; i++) {
+            const row = table.getRow(i);
+            callback(row.header, row.value, row.cells.map(cell => cell ? cell.value : null));
+        }
+    }
+
+    /**
+     * Standalone HTML document with the table. Every column and row has a header cell with its
+     * scope, so screen readers announce the X and Z values when moving between cells.
+     * @param {Object} table - Result of build()
+     * @param {Function} line - Receives the document line by line
+     */
+    static writeHtml(table, line) {
+        const escape = DataTable.escapeHtml;
+        const headerRow = [`<th scope="col">${escape(table.corner)}</th>`,
+            ...table.columns.map(column => `<th scope="col">${escape(column.text)}</th>`)].join('');
+
+        [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="UTF-8">',
+            `<title>${escape(table.caption)}</title>`,
+            '<style>',
+            'body { font-family: sans-serif; margin: 1rem; }',
+            'table { border-collapse: collapse; }',
+            'caption { font-weight: bold; text-align: left; padding: 0.5rem 0; }',
+            'th, td { border: 1px solid #999; padding: 0.25rem 0.5rem; text-align: right; }',
+            'th { background: #eee; }',
+            '</style>',
+            '</head>',
+            '<body>',
+            '<table>',
+            `<caption>${escape(table.caption)}</caption>`,
+            `<thead><tr>${headerRow}</tr></thead>`,
+            '<tbody>'
+        ].forEach(line);
+        DataTable.forEachRow(table, (header, value, values) => line('<tr>' +
+            `<th scope="row">${escape(header)}</th>` +
+            values.map(cell => `<td>${cell === null ? '' : escape(DataTable.formatValue(cell))}</td>`).join('') +
+            '</tr>'));
+        ['</tbody>', '</table>', '</body>', '</html>'].forEach(line);
+    }
+
+    /**
+     * CSV with full-precision values. A grid is written as a matrix whose corner cell names both
+     * axes, and a point list as X, Z and Y columns, so either file loads back through Import Data.
+     * @param {Object} table - Result of build()
+     * @param {Function} line - Receives the file line by line
+     */
+    static writeCsv(table, line) {
+        const field = FileOperations.csvField;
+        if (table.layout === 'points') {
+            line(table.columns.map(column => field(column.text)).join(','));
+            DataTable.forEachRow(table, (header, value, values) => line(values.join(',')));
+            return;
+        }
+        line([field(table.corner), ...table.columns.map(column => column.value)].join(','));
+        DataTable.forEachRow(table, (header, value, values) =>
+            line([value, ...values.map(cell => cell === null ? '' : cell)].join(',')));
+    }
+
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+}
@@ -1,9 +1,34 @@
-// FileOperations.js - File import/export operations
+// FileOperations.js - File export operations
+// Exported CSV and JSON files carry their labels, plot type and series so DataImporter reads them back unchanged
+
 export class FileOperations {
     constructor(plotData) {
         this.data = plotData;
     }
 
+    /**
+     * Series written by Export Data: every loaded series so the file re-imports with the same series,
+     * with the shown series as displayed (e.g. baseline-corrected)
+     * @returns {Array} Series of { name, xValues, zValues, yValues }
+     */
+    getExportSeries() {
+        const series = this.data.series || [];
+        const shown = { xValues: this.data.xValues, zValues: this.data.zValues, yValues: this.data.yValues };
+        return series.length > 1 && !this.data.seriesComparison
+            ? series.map((entry, index) => index === this.data.currentSeriesIndex ? { ...shown, name: entry.name } : entry)
+            : [{ ...shown, name: this.data.currentSample }];
+    }
+
+    /**
+     * Quote a CSV field when it holds a delimiter, quote or line break, or would start a comment line
+     * @param {string} value - Field text
+     * @returns {string} Field as written
+     */
+    static csvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) || text.startsWith('#') ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
     exportToCSV() {
         if (!this.data.xValues || this.data.xValues.length === 0) {
             throw new Error('No data available to export');
@@ -16,12 +41,21 @@ export class FileOperations {
         const xUnit = this.data.xUnit ? ` (${this.data.xUnit})` : '';
         const yUnit = this.data.yUnit ? ` (${this.data.yUnit})` : '';
         const zUnit = this.data.zUnit ? ` (${this.data.zUnit})` : '';
-
-        let csvContent = `${xLabel}${xUnit},${zLabel}${zUnit},${yLabel}${yUnit},Sample\n`;
-        
-        for (let i = 0; i < this.data.xValues.length; i++) {
-            csvContent += `${this.data.xValues[i]},${this.data.zValues[i]},${this.data.yValues[i]},${this.data.currentSample}\n`;
-        }
+        const headers = { x: `${xLabel}${xUnit}`, y: `${yLabel}${yUnit}`, z: `${zLabel}${zUnit}` };
+
+        // Comment lines say which column is which axis, so re-importing does not depend on column order
+        let csvContent = '# DIXTRAL data export\n' +
+            `# plotType: ${this.data.plotType}\n` +
+            (this.data.description ? `# description: ${this.data.description.replace(/[\r\n]+/g, ' ')}\n` : '') +
+            `# x: ${headers.x}\n# y: ${headers.y}\n# z: ${headers.z}\n`;
+        csvContent += [headers.x, headers.z, headers.y, 'Sample'].map(FileOperations.csvField).join(',') + '\n';
+
+        this.getExportSeries().forEach(({ xValues, zValues, yValues, name }) => {
+            const sample = FileOperations.csvField(name);
+            for (let i = 0; i < xValues.length; i++) {
+                csvContent += `${xValues[i]},${zValues[i]},${yValues[i]},${sample}\n`;
+            }
+        });
         
         return {
             content: csvContent,
@@ -34,12 +68,16 @@ export class FileOperations {
             throw new Error('No data available to export');
         }
 
+        // Several series are written one after another; series gives the name and length of each
+        const seriesList = this.getExportSeries();
+        const concat = (key) => seriesList.flatMap(series => Array.from(series[key]));
         const jsonData = {
             plotType: this.data.plotType,
-            xValues: Array.from(this.data.xValues),
-            yValues: Array.from(this.data.yValues),
-            zValues: Array.from(this.data.zValues),
+            xValues: concat('xValues'),
+            yValues: concat('yValues'),
+            zValues: concat('zValues'),
             sampleName: this.data.currentSample,
+            ...(seriesList.length > 1 ? { series: seriesList.map(({ name, xValues }) => ({ name, count: xValues.length })) } : {}),
             metadata: {
                 xLabel: this.data.xLabel || 'X',
                 yLabel: this.data.yLabel || 'Y',
@@ -85,80 +123,9 @@ export class FileOperations {
         });
     }
 
-    importFromJSON(content) {
-        try {
-            const data = JSON.parse(content);
-            
-                    // Support both old and new data formats
-        const xValues = data.xValues || data.wavelengths;
-        const zValues = data.zValues || data.retentionTimes;
-        const yValues = data.yValues || data.intensities;
-        
-        if (!xValues || !zValues || !yValues) {
-            throw new Error('Invalid JSON format: missing required coordinate fields (xValues/wavelengths, zValues/retentionTimes, yValues/intensities)');
-        }
-
-        if (xValues.length !== zValues.length || xValues.length !== yValues.length) {
-            throw new Error('Data arrays must have the same length');
-        }
-
-        this.data.setData(
-            xValues,
-            zValues,
-            yValues,
-            data.sample || 'custom',
-            data.labels
-        );
-
-            return true;
-        } catch (error) {
-            throw new Error(`JSON import failed: ${error.message}`);
-        }
-    }
-
-    importFromCSV(content) {
-        try {
-            const lines = content.split('\n');
-            const headers = lines[0].toLowerCase().split(',').map(h => h.trim());
-            
-            // Find column indices - support both generic and specific names
-            const xIndex = headers.findIndex(h => h.includes('x') || h.includes('wave'));
-            const zIndex = headers.findIndex(h => h.includes('z') || h.includes('time') || h.includes('retention'));
-            const yIndex = headers.findIndex(h => h.includes('y') || h.includes('intensity') || h.includes('absorbance'));
-            
-            if (xIndex === -1 || zIndex === -1 || yIndex === -1) {
-                throw new Error('CSV must contain X/wavelength, Z/time, and Y/intensity columns');
-            }
-
-            const xValues = [];
-            const zValues = [];
-            const yValues = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                if (lines[i].trim() === '') continue;
-                
-                const values = lines[i].split(',').map(v => v.trim());
-                
-                const x = parseFloat(values[xIndex]);
-                const z = parseFloat(values[zIndex]);
-                const y = parseFloat(values[yIndex]);
-                
-                if (!isNaN(x) && !isNaN(z) && !isNaN(y)) {
-                    xValues.push(x);
-                    zValues.push(z);
-                    yValues.push(y);
-                }
-            }
-
-            this.data.setData(xValues, zValues, yValues, 'custom');
-            return true;
-        } catch (error) {
-            throw new Error(`CSV import failed: ${error.message}`);
-        }
-    }
-
-    downloadFile(content, filename) {
-        const blob = new Blob([content], { type: 'text/csv' });
+    downloadFile(content, filename, type = 'text/csv') {
+        // Large exports arrive as an array of pieces, so no single string has to hold the whole file
+        const blob = new Blob(Array.isArray(content) ? content : [content], { type });
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.style.display = 'none';
@@ -0,0 +1,306 @@
+// MeshExporter.js - Writes the surface mesh as glTF 2.0 (.glb), binary STL or OBJ
+// Used by the application to export plots for 3D printing and for external 3D viewers
+
+export class MeshExporter {
+    static FORMATS = {
+        glb: { name: 'glTF 2.0', extension: 'glb', type: 'model/gltf-binary' },
+        stl: { name: 'STL', extension: 'stl', type: 'model/stl' },
+        obj: { name: 'OBJ', extension: 'obj', type: 'model/obj' }
+    };
+
+    // STL files are in millimetres: the longer side of the surface is printed at size, on a base this thick
+    static DEFAULT_PRINT_OPTIONS = { size: 100, base: true, baseThickness: 3 };
+
+    static GLTF = { arrayBuffer: 34962, elementArrayBuffer: 34963, float: 5126, unsignedInt: 5125, triangles: 4 };
+    static GLB_MAGIC = 0x46546C67;  // "glTF"
+    static GLB_CHUNKS = { json: 0x4E4F534A, bin: 0x004E4942 };
+
+    /**
+     * Write a mesh in one of FORMATS
+     * @param {Object} mesh - { positions, colors, indices } from VisualizationEngine.getSurfaceMesh()
+     * @param {string} format - Key of FORMATS
+     * @param {Object} options - { name, labels: { x, y, z } } plus DEFAULT_PRINT_OPTIONS for STL
+     * @returns {Object} { content, filename, type, triangles } with content an ArrayBuffer or string
+     */
+    static export(mesh, format, options = {}) {
+        const info = MeshExporter.FORMATS[format];
+        if (!info) {
+            throw new Error(`Unknown 3D model format '${format}'`);
+        }
+
+        const surface = MeshExporter.orientUp(mesh);
+        let result;
+        if (format === 'glb') {
+            result = { content: MeshExporter.toGlb(surface, options), triangles: surface.indices.length / 3 };
+        } else if (format === 'stl') {
+            result = MeshExporter.toStl(surface, options);
+        } else {
+            result = { content: MeshExporter.toObj(surface, options), triangles: surface.indices.length / 3 };
+        }
+
+        const safeName = String(options.name || 'surface').replace(/[^\w.-]+/g, '_');
+        return {
+            ...result,
+            filename: `surface_plot_model_${safeName}_${new Date().getTime()}.${info.extension}`,
+            type: info.type
+        };
+    }
+
+    /**
+     * Wind every triangle so its front faces up (+Y), the way 3D printers and viewers expect the top of a surface
+     * @param {Object} mesh - { positions, colors, indices }
+     * @returns {Object} Mesh with reordered indices
+     */
+    static orientUp(mesh) {
+        const indices = Uint32Array.from(mesh.indices);
+        for (let t = 0; t < indices.length; t += 3) {
+            const normal = MeshExporter.triangleNormal(mesh.positions, indices[t], indices[t + 1], indices[t + 2]);
+            if (normal[1] < 0) {
+                [indices[t + 1], indices[t + 2]] = [indices[t + 2], indices[t + 1]];
+            }
+        }
+        return { ...mesh, indices };
+    }
+
+    /**
+     * Close the surface into a printable solid: walls down from every open edge to a flat bottom below the lowest point
+     * @param {Object} mesh - Mesh wound by orientUp()
+     * @param {number} thickness - Distance from the lowest point of the surface to the bottom
+     * @returns {Object} { positions, indices } of the solid; vertex i + n is vertex i dropped to the bottom
+     */
+    static addBase(mesh, thickness) {
+        const { positions, indices } = mesh;
+        const count = positions.length / 3;
+        let minY = Infinity;
+        for (let i = 1; i < positions.length; i += 3) {
+            minY = Math.min(minY, positions[i]);
+        }
+        const bottom = minY - thickness;
+
+        const solid = new Float32Array(positions.length * 2);
+        solid.set(positions);
+        for (let i = 0; i < count; i++) {
+            solid[(count + i) * 3] = positions[i * 3];
+            solid[(count + i) * 3 + 1] = bottom;
+            solid[(count + i) * 3 + 2] = positions[i * 3 + 2];
+        }
+
+        // Edges used by one triangle only are the outline of the surface (and of holes the filters cut)
+        const edges = new Map();
+        for (let t = 0; t < indices.length; t += 3) {
+            for (let e = 0; e < 3; e++) {
+                const a = indices[t + e];
+                const b = indices[t + (e + 1) % 3];
+                const key = a < b ? `${a},${b}` : `${b},${a}`;
+                const edge = edges.get(key);
+                if (edge) {
+                    edge.shared = true;
+                } else {
+                    edges.set(key, { a, b, opposite: indices[t + (e + 2) % 3], shared: false });
+                }
+            }
+        }
+
+        const solidIndices = Array.from(indices);
+        for (const { a, b, opposite, shared } of edges.values()) {
+            if (shared) continue;
+
+            // The wall faces away from the triangle it borders
+            const outward = [
+                (positions[a * 3] + positions[b * 3]) / 2 - positions[opposite * 3],
+                0,
+                (positions[a * 3 + 2] + positions[b * 3 + 2]) / 2 - positions[opposite * 3 + 2]
+            ];
+            const normal = MeshExporter.triangleNormal(solid, a, b, count + b);
+            if (normal[0] * outward[0] + normal[2] * outward[2] >= 0) {
+                solidIndices.push(a, b, count + b, a, count + b, count + a);
+            } else {
+                solidIndices.push(a, count + a, count + b, a, count + b, b);
+            }
+        }
+
+        // The bottom repeats the surface's triangles flat, facing down
+        for (let t = 0; t < indices.length; t += 3) {
+            solidIndices.push(count + indices[t + 2], count + indices[t + 1], count + indices[t]);
+        }
+        return { positions: solid, indices: Uint32Array.from(solidIndices) };
+    }
+
+    /**
+     * Binary STL in millimetres with Z up, optionally standing on a solid base so it can be printed
+     * @param {Object} mesh - Mesh wound by orientUp()
+     * @param {Object} options - { name, size, base, baseThickness } (see DEFAULT_PRINT_OPTIONS)
+     * @returns {Object} { content, triangles } with content an ArrayBuffer
+     */
+    static toStl(mesh, options = {}) {
+        const settings = { ...MeshExporter.DEFAULT_PRINT_OPTIONS, ...options };
+        const extent = MeshExporter.getExtent(mesh.positions);
+        const scale = settings.size / Math.max(extent.x, extent.z, Number.EPSILON);
+        const { positions, indices } = settings.base
+            ? MeshExporter.addBase(mesh, settings.baseThickness / scale)
+            : mesh;
+
+        const triangles = indices.length / 3;
+        const buffer = new ArrayBuffer(84 + triangles * 50);
+        const view = new DataView(buffer);
+        const header = `DIXTRAL ${settings.name || 'surface'}`.slice(0, 80);
+        for (let i = 0; i < header.length; i++) {
+            view.setUint8(i, header.charCodeAt(i) & 0x7F);
+        }
+        view.setUint32(80, triangles, true);
+
+        // Plot Y (height) becomes Z, the up axis of slicers; plot Z becomes -Y to keep the winding
+        const toPrint = (i) => [positions[i * 3] * scale, -positions[i * 3 + 2] * scale, positions[i * 3 + 1] * scale];
+        let offset = 84;
+        for (let t = 0; t < indices.length; t += 3) {
+            const normal = MeshExporter.triangleNormal(positions, indices[t], indices[t + 1], indices[t + 2]);
+            for (const value of [normal[0], -normal[2], normal[1]]) {
+                view.setFloat32(offset, value, true);
+                offset += 4;
+            }
+            for (let k = 0; k < 3; k++) {
+                for (const value of toPrint(indices[t + k])) {
+                    view.setFloat32(offset, value, true);
+                    offset += 4;
+                }
+            }
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        }
+        return { content: buffer, triangles };
+    }
+
+    /**
+     * Wavefront OBJ with vertex colors after the coordinates (read by Blender, MeshLab and most viewers)
+     * @param {Object} mesh - Mesh wound by orientUp()
+     * @param {Object} options - { name, labels }
+     * @returns {string} OBJ text
+     */
+    static toObj(mesh, options = {}) {
+        const { positions, colors, indices } = mesh;
+        const lines = [`# DIXTRAL surface: ${options.name || 'surface'}`];
+        if (options.labels) {
+            lines.push(`# X: ${options.labels.x}, Y (up): ${options.labels.y}, Z: ${options.labels.z}`);
+        }
+        lines.push(`o ${String(options.name || 'surface').replace(/\s+/g, '_')}`);
+
+        for (let i = 0; i < positions.length / 3; i++) {
+            lines.push(`v ${positions[i * 3]} ${positions[i * 3 + 1]} ${positions[i * 3 + 2]} ` +
+                       `${colors[i * 4].toFixed(4)} ${colors[i * 4 + 1].toFixed(4)} ${colors[i * 4 + 2].toFixed(4)}`);
+        }
+        for (let t = 0; t < indices.length; t += 3) {
+            lines.push(`f ${indices[t] + 1} ${indices[t + 1] + 1} ${indices[t + 2] + 1}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Binary glTF 2.0 with positions, vertex colors and indices in one buffer
+     * @param {Object} mesh - Mesh wound by orientUp()
+     * @param {Object} options - { name, labels }
+     * @returns {ArrayBuffer} GLB file
+     */
+    static toGlb(mesh, options = {}) {
+        const { positions, colors, indices } = mesh;
+        const count = positions.length / 3;
+
+        // glTF vertex colors are linear; the plot's colors are sRGB
+        const linearColors = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            for (let c = 0; c < 3; c++) {
+                const value = colors[i * 4 + c];
+                linearColors[i * 3 + c] = value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+            }
+        }
+
+        const views = [positions, linearColors, indices];
+        const offsets = [];
+        let byteLength = 0;
+        for (const array of views) {
+            offsets.push(byteLength);
+            byteLength += array.byteLength;  // Every view is a multiple of 4 bytes, so the next stays aligned
+        }
+
+        const extent = MeshExporter.getExtent(positions);
+        const name = options.name || 'surface';
+        const gltf = {
+            asset: { version: '2.0', generator: 'DIXTRAL' },
+            scene: 0,
+            scenes: [{ name, nodes: [0] }],
+            nodes: [{ name, mesh: 0 }],
+            meshes: [{
+                name,
+                primitives: [{
+                    attributes: { POSITION: 0, COLOR_0: 1 },
+                    indices: 2,
+                    material: 0,
+                    mode: MeshExporter.GLTF.triangles
+                }],
+                extras: options.labels ? { axes: options.labels } : undefined
+            }],
+            materials: [{
+                name: 'Surface',
+                pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 },
+                doubleSided: true
+            }],
+            buffers: [{ byteLength }],
+            bufferViews: [
+                { buffer: 0, byteOffset: offsets[0], byteLength: positions.byteLength, target: MeshExporter.GLTF.arrayBuffer },
+                { buffer: 0, byteOffset: offsets[1], byteLength: linearColors.byteLength, target: MeshExporter.GLTF.arrayBuffer },
+                { buffer: 0, byteOffset: offsets[2], byteLength: indices.byteLength, target: MeshExporter.GLTF.elementArrayBuffer }
+            ],
+            accessors: [
+                {
+                    bufferView: 0, componentType: MeshExporter.GLTF.float, count, type: 'VEC3',
+                    min: [extent.min[0], extent.min[1], extent.min[2]], max: [extent.max[0], extent.max[1], extent.max[2]]
+                },
+                { bufferView: 1, componentType: MeshExporter.GLTF.float, count, type: 'VEC3' },
+                { bufferView: 2, componentType: MeshExporter.GLTF.unsignedInt, count: indices.length, type: 'SCALAR' }
+            ]
+        };
+
+        // Chunks are padded to 4 bytes: JSON with spaces, binary with zeros
+        const jsonBytes = new TextEncoder().encode(JSON.stringify(gltf));
+        const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+        const total = 12 + 8 + jsonLength + 8 + byteLength;
+        const glb = new ArrayBuffer(total);
+        const view = new DataView(glb);
+        const bytes = new Uint8Array(glb);
+
+        view.setUint32(0, MeshExporter.GLB_MAGIC, true);
+        view.setUint32(4, 2, true);
+        view.setUint32(8, total, true);
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, MeshExporter.GLB_CHUNKS.json, true);
+        bytes.set(jsonBytes, 20);
+        bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+        const binStart = 20 + jsonLength;
+        view.setUint32(binStart, byteLength, true);
+        view.setUint32(binStart + 4, MeshExporter.GLB_CHUNKS.bin, true);
+        views.forEach((array, index) => {
+            bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), binStart + 8 + offsets[index]);
+        });
+        return glb;
+    }
+
+    static triangleNormal(positions, a, b, c) {
+        const u = [positions[b * 3] - positions[a * 3], positions[b * 3 + 1] - positions[a * 3 + 1], positions[b * 3 + 2] - positions[a * 3 + 2]];
+        const v = [positions[c * 3] - positions[a * 3], positions[c * 3 + 1] - positions[a * 3 + 1], positions[c * 3 + 2] - positions[a * 3 + 2]];
+        const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const length = Math.hypot(normal[0], normal[1], normal[2]) || 1;
+        return normal.map(value => value / length);
+    }
+
+    static getExtent(positions) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                min[k] = Math.min(min[k], positions[i + k]);
+                max[k] = Math.max(max[k], positions[i + k]);
+            }
+        }
+        return { min, max, x: max[0] - min[0], y: max[1] - min[1], z: max[2] - min[2] };
+    }
+}
@@ -0,0 +1,442 @@
+// NetCdfReader.js - Reader for NetCDF-3 classic and 64-bit offset files (.nc, .cdf, ANDI/AIA)
+// Used by PlotData and the custom data file picker to turn gridded variables into X, Y, Z columns
+
+export class NetCdfReader {
+    // Header tags and external data types from the NetCDF classic format specification
+    static TAGS = { dimension: 0x0A, variable: 0x0B, attribute: 0x0C };
+
+    // Default fill values mark unwritten data; bytes have none unless _FillValue is set
+    static TYPES = {
+        1: { name: 'byte', size: 1, read: (view, offset) => view.getInt8(offset), fill: null },
+        2: { name: 'char', size: 1, read: (view, offset) => view.getUint8(offset), fill: null },
+        3: { name: 'short', size: 2, read: (view, offset) => view.getInt16(offset), fill: -32767 },
+        4: { name: 'int', size: 4, read: (view, offset) => view.getInt32(offset), fill: -2147483647 },
+        5: { name: 'float', size: 4, read: (view, offset) => view.getFloat32(offset), fill: Math.fround(9.9692099683868690e+36) },
+        6: { name: 'double', size: 8, read: (view, offset) => view.getFloat64(offset), fill: 9.9692099683868690e+36 }
+    };
+
+    // Most series made from the dimensions of the Y variable that no other variable uses
+    static MAX_SERIES = 100;
+
+    // ANDI mass spectrometry files store scans back to back; this variable holds each scan's first point
+    static SCAN_INDEX_VARIABLE = 'scan_index';
+
+    /**
+     * Parse the header of a NetCDF classic file
+     * @param {ArrayBuffer} buffer - File content
+     * @returns {Object} { version, numRecords, recordSize, dimensions, attributes, variables, view } where
+     *   dimensions are { name, size, isRecord } and variables { name, type, dimensions, shape, attributes,
+     *   begin, isRecord, size }
+     */
+    static read(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 8 || view.getUint8(0) !== 0x43 || view.getUint8(1) !== 0x44 || view.getUint8(2) !== 0x46) {
+            throw new Error('Not a NetCDF file (missing CDF signature)');
+        }
+
+        const version = view.getUint8(3);
+        if (version !== 1 && version !== 2) {
+            throw new Error(version === 5
+                ? 'NetCDF-5 (64-bit data) files are not supported; save the file as NetCDF-3 classic'
+                : `Unsupported NetCDF version ${version}; only NetCDF-3 classic files can be read (not NetCDF-4/HDF5)`);
+        }
+
+        const cursor = { view, offset: 4, version };
+        let numRecords = view.getUint32(cursor.offset);
+        cursor.offset += 4;
+
+        const dimensions = NetCdfReader.readList(cursor, NetCdfReader.TAGS.dimension, () => {
+            const name = NetCdfReader.readName(cursor);
+            const size = NetCdfReader.readInt(cursor);
+            return { name, size, isRecord: size === 0 };
+        });
+        const attributes = NetCdfReader.readAttributes(cursor);
+        const variables = NetCdfReader.readList(cursor, NetCdfReader.TAGS.variable, () => {
+            const name = NetCdfReader.readName(cursor);
+            const dimensionIds = Array.from({ length: NetCdfReader.readInt(cursor) }, () => NetCdfReader.readInt(cursor));
+            const variableAttributes = NetCdfReader.readAttributes(cursor);
+            const type = NetCdfReader.readInt(cursor);
+            const size = view.getUint32(cursor.offset);
+            cursor.offset += 4;
+            const begin = version === 2 ? Number(view.getBigUint64(cursor.offset)) : view.getUint32(cursor.offset);
+            cursor.offset += version === 2 ? 8 : 4;
+
+            if (!NetCdfReader.TYPES[type]) {
+                throw new Error(`Variable '${name}' has an unknown data type ${type}`);
+            }
+            const variableDimensions = dimensionIds.map(id => dimensions[id]);
+            return {
+                name,
+                type,
+                dimensions: variableDimensions.map(dimension => dimension.name),
+                attributes: variableAttributes,
+                begin,
+                isRecord: variableDimensions.length > 0 && variableDimensions[0].isRecord,
+                size
+            };
+        });
+
+        // Record variables are interleaved record by record; a lone record variable is not padded
+        const recordVariables = variables.filter(variable => variable.isRecord);
+        const recordSize = recordVariables.length === 1
+            ? NetCdfReader.elementsPerRecord(recordVariables[0], dimensions) * NetCdfReader.TYPES[recordVariables[0].type].size
+            : recordVariables.reduce((sum, variable) => sum + variable.size, 0);
+
+        // Files still being written (streaming) leave the record count unset
+        if (numRecords === 0xFFFFFFFF) {
+            numRecords = recordVariables.length > 0 && recordSize > 0
+                ? Math.floor((buffer.byteLength - recordVariables[0].begin) / recordSize)
+                : 0;
+        }
+
+        variables.forEach(variable => {
+            variable.shape = variable.dimensions.map(name => {
+                const dimension = dimensions.find(d => d.name === name);
+                return dimension.isRecord ? numRecords : dimension.size;
+            });
+        });
+
+        return { version, numRecords, recordSize, dimensions, attributes, variables, view };
+    }
+
+    /**
+     * Read the values of a variable as numbers, with fill and missing values as NaN and
+     * scale_factor / add_offset applied
+     * @param {Object} file - Result of read()
+     * @param {string} name - Variable name
+     * @returns {Float64Array} Values in row-major order of the variable's dimensions
+     */
+    static getValues(file, name) {
+        const variable = NetCdfReader.getVariable(file, name);
+        const type = NetCdfReader.TYPES[variable.type];
+        const count = variable.shape.reduce((product, size) => product * size, 1);
+        const values = new Float64Array(count);
+
+        const perRecord = variable.isRecord ? NetCdfReader.elementsPerRecord(variable, file.dimensions) : count;
+        const records = variable.isRecord ? file.numRecords : 1;
+        if (variable.begin + (records - 1) * file.recordSize + perRecord * type.size > file.view.byteLength) {
+            throw new Error(`Variable '${name}' extends past the end of the file`);
+        }
+
+        let index = 0;
+        for (let record = 0; record < records; record++) {
+            let offset = variable.begin + record * file.recordSize;
+            for (let i = 0; i < perRecord; i++) {
+                values[index++] = type.read(file.view, offset);
+                offset += type.size;
+            }
+        }
+
+        const fill = NetCdfReader.numericAttribute(variable, '_FillValue') ?? type.fill;
+        const missing = NetCdfReader.numericAttribute(variable, 'missing_value');
+        const scale = NetCdfReader.numericAttribute(variable, 'scale_factor') ?? 1;
+        const offset = NetCdfReader.numericAttribute(variable, 'add_offset') ?? 0;
+        for (let i = 0; i < count; i++) {
+            const value = values[i];
+            values[i] = value === fill || value === missing || !Number.isFinite(value) ? NaN : value * scale + offset;
+        }
+        return values;
+    }
+
+    /**
+     * Numeric variables, offered as X, Y and Z choices
+     * @param {Object} file - Result of read()
+     * @returns {Array} Variable names
+     */
+    static getNumericVariableNames(file) {
+        return file.variables
+            .filter(variable => NetCdfReader.TYPES[variable.type].name !== 'char' && variable.shape.every(size => size > 0))
+            .map(variable => variable.name);
+    }
+
+    /**
+     * Suggest variables for a file opened without choosing any: the ANDI mass spectrometry trio,
+     * or the largest multi-dimensional variable plotted over the coordinate variables of its last two dimensions
+     * @param {Object} file - Result of read()
+     * @returns {Object|null} { x, y, z } variable names in the order of the X, Y and Z dropdowns
+     */
+    static guessVariables(file) {
+        const has = (name) => file.variables.some(variable => variable.name === name);
+        if (has('mass_values') && has('intensity_values') && has('scan_acquisition_time') && has(NetCdfReader.SCAN_INDEX_VARIABLE)) {
+            return { x: 'mass_values', y: 'intensity_values', z: 'scan_acquisition_time' };
+        }
+
+        const gridded = NetCdfReader.getNumericVariableNames(file)
+            .map(name => NetCdfReader.getVariable(file, name))
+            .filter(variable => variable.dimensions.length >= 2 &&
+                variable.dimensions.slice(-2).every(dimension => has(dimension)) &&
+                !variable.dimensions.includes(variable.name))
+            .sort((a, b) => NetCdfReader.count(b) - NetCdfReader.count(a));
+        if (gridded.length === 0) return null;
+
+        const [rowDimension, columnDimension] = gridded[0].dimensions.slice(-2);
+        return { x: columnDimension, y: gridded[0].name, z: rowDimension };
+    }
+
+    /**
+     * Combine three variables into X, Y, Z columns. The variable with the most dimensions sets the
+     * points; the other two are repeated along it, so 1-D coordinate variables span a 2-D grid.
+     * Dimensions only the main variable uses (e.g. time) become series, one per index.
+     * ANDI mass spectrometry scans are matched to their points through scan_index.
+     * @param {Object} file - Result of read()
+     * @param {Object} names - { x, y, z } variable names (y is plotted as height and z as depth)
+     * @returns {Object} { values, rowCount, droppedRows, seriesNames, seriesIndex, seriesDimensions, truncated }
+     *   with values as Float32Arrays per key and seriesIndex null without series
+     */
+    static readColumns(file, names) {
+        const variables = { x: null, y: null, z: null };
+        for (const key of Object.keys(variables)) {
+            if (!names[key]) {
+                throw new Error(`No ${key.toUpperCase()} variable chosen`);
+            }
+            variables[key] = NetCdfReader.getVariable(file, names[key]);
+            if (NetCdfReader.TYPES[variables[key].type].name === 'char') {
+                throw new Error(`Variable '${names[key]}' holds text, not numbers`);
+            }
+        }
+
+        const main = Object.values(variables)
+            .reduce((best, variable) => NetCdfReader.count(variable) > NetCdfReader.count(best) ? variable : best);
+        const mainDimensions = main.dimensions;
+        const mainShape = main.shape;
+
+        // How each variable's flat index follows from the main variable's index along every dimension
+        const scanMaps = {};
+        const strides = {};
+        for (const [key, variable] of Object.entries(variables)) {
+            const missing = variable.dimensions.filter(dimension => !mainDimensions.includes(dimension));
+            if (missing.length === 0) {
+                strides[key] = NetCdfReader.stridesAlong(variable, mainDimensions);
+            } else {
+                scanMaps[key] = NetCdfReader.mapScans(file, variable, main, missing);
+                strides[key] = null;
+            }
+        }
+
+        const data = Object.fromEntries(Object.entries(variables).map(([key, variable]) => [key, NetCdfReader.getValues(file, variable.name)]));
+
+        // Dimensions no other variable follows are split into series
+        const used = new Set([variables.x, variables.y, variables.z]
+            .filter(variable => variable !== main)
+            .flatMap(variable => variable.dimensions));
+        let seriesDimensions = mainDimensions
+            .map((name, axis) => ({ name, axis, size: mainShape[axis] }))
+            .filter(dimension => !used.has(dimension.name) && dimension.size > 1 && Object.keys(scanMaps).length === 0);
+        const seriesCount = seriesDimensions.reduce((product, dimension) => product * dimension.size, 1);
+        const truncated = seriesCount > NetCdfReader.MAX_SERIES;
+        if (truncated) {
+            seriesDimensions = [];
+        }
+
+        const total = NetCdfReader.count(main);
+        const values = { x: new Float32Array(total), y: new Float32Array(total), z: new Float32Array(total) };
+        const seriesIndex = seriesDimensions.length > 0 ? new Uint32Array(total) : null;
+        const index = new Array(mainShape.length).fill(0);
+        let rowCount = 0;
+        let droppedRows = 0;
+
+        for (let flat = 0; flat < total; flat++) {
+            // Only the first slice of dimensions too large to become series is read
+            const skip = truncated && index.some((position, axis) => position > 0 &&
+                !used.has(mainDimensions[axis]) && mainShape[axis] > 1);
+
+            if (!skip) {
+                const x = NetCdfReader.valueAt(data.x, strides.x, scanMaps.x, index, flat);
+                const y = NetCdfReader.valueAt(data.y, strides.y, scanMaps.y, index, flat);
+                const z = NetCdfReader.valueAt(data.z, strides.z, scanMaps.z, index, flat);
+                if (Number.isNaN(x) || Number.isNaN(y) || Number.isNaN(z)) {
+                    droppedRows++;
+                } else {
+                    values.x[rowCount] = x;
+                    values.y[rowCount] = y;
+                    values.z[rowCount] = z;
+                    if (seriesIndex) {
+                        seriesIndex[rowCount] = seriesDimensions.reduce((id, dimension) => id * dimension.size + index[dimension.axis], 0);
+                    }
+                    rowCount++;
+                }
+            }
+
+            // Advance the multi-dimensional index, last dimension fastest
+            for (let axis = index.length - 1; axis >= 0; axis--) {
+                if (++index[axis] < mainShape[axis]) break;
+                index[axis] = 0;
+            }
+        }
+
+        return {
+            values: { x: values.x.slice(0, rowCount), y: values.y.slice(0, rowCount), z: values.z.slice(0, rowCount) },
+            rowCount,
+            droppedRows,
+            seriesNames: NetCdfReader.nameSeries(file, seriesDimensions),
+            seriesIndex: seriesIndex ? seriesIndex.slice(0, rowCount) : null,
+            seriesDimensions: seriesDimensions.map(dimension => dimension.name),
+            truncated
+        };
+    }
+
+    /**
+     * Label and unit of a variable from its long_name (or name) and units attributes
+     * @returns {Object} { label, unit }
+     */
+    static describeVariable(file, name) {
+        const variable = NetCdfReader.getVariable(file, name);
+        const longName = variable.attributes.long_name;
+        const units = variable.attributes.units;
+        return {
+            label: typeof longName === 'string' && longName.trim() ? longName.trim() : name,
+            unit: typeof units === 'string' ? units.trim() : ''
+        };
+    }
+
+    static getVariable(file, name) {
+        const variable = file.variables.find(candidate => candidate.name === name);
+        if (!variable) {
+            throw new Error(`Variable '${name}' not found in NetCDF file: ${file.variables.map(v => v.name).join(', ')}`);
+        }
+        return variable;
+    }
+
+    static count(variable) {
+        return variable.shape.reduce((product, size) => product * size, 1);
+    }
+
+    static elementsPerRecord(variable, dimensions) {
+        return variable.dimensions.slice(1)
+            .reduce((product, name) => product * dimensions.find(d => d.name === name).size, 1);
+    }
+
+    /**
+     * Stride of a variable along each dimension of the main variable (0 where it does not vary)
+     * @returns {Array} One stride per main dimension
+     */
+    static stridesAlong(variable, mainDimensions) {
+        const own = new Array(variable.shape.length);
+        let stride = 1;
+        for (let axis = variable.shape.length - 1; axis >= 0; axis--) {
+            own[axis] = stride;
+            stride *= variable.shape[axis];
+        }
+        return mainDimensions.map(name => {
+            const axis = variable.dimensions.indexOf(name);
+            return axis === -1 ? 0 : own[axis];
+        });
+    }
+
+    /**
+     * Map every point of a 1-D ANDI variable to its scan, for a per-scan variable such as scan_acquisition_time
+     * @returns {Int32Array} Scan number per point
+     */
+    static mapScans(file, variable, main, missing) {
+        const scanIndexVariable = file.variables.find(candidate => candidate.name === NetCdfReader.SCAN_INDEX_VARIABLE);
+        if (main.dimensions.length !== 1 || variable.dimensions.length !== 1 || !scanIndexVariable ||
+            scanIndexVariable.dimensions[0] !== missing[0]) {
+            throw new Error(`Variable '${variable.name}' does not share the dimensions of '${main.name}' (${main.dimensions.join(', ')})`);
+        }
+
+        const starts = NetCdfReader.getValues(file, scanIndexVariable.name);
+        const scans = new Int32Array(main.shape[0]).fill(-1);
+        for (let scan = 0; scan < starts.length; scan++) {
+            const end = scan + 1 < starts.length ? starts[scan + 1] : scans.length;
+            for (let point = Math.max(0, starts[scan]); point < Math.min(end, scans.length); point++) {
+                scans[point] = scan;
+            }
+        }
+        return scans;
+    }
+
+    static valueAt(values, strides, scans, index, flat) {
+        if (scans) {
+            return scans[flat] === -1 ? NaN : values[scans[flat]];
+        }
+        let offset = 0;
+        for (let axis = 0; axis < strides.length; axis++) {
+            offset += strides[axis] * index[axis];
+        }
+        return values[offset];
+    }
+
+    /**
+     * Name series after the values of their coordinate variables, e.g. "time = 12"
+     * @returns {Array} One name per series
+     */
+    static nameSeries(file, seriesDimensions) {
+        if (seriesDimensions.length === 0) return [];
+
+        const coordinates = seriesDimensions.map(dimension => {
+            const variable = file.variables.find(candidate =>
+                candidate.name === dimension.name && candidate.dimensions.length === 1 && candidate.dimensions[0] === dimension.name);
+            return variable ? NetCdfReader.getValues(file, variable.name) : null;
+        });
+
+        const names = [];
+        const count = seriesDimensions.reduce((product, dimension) => product * dimension.size, 1);
+        for (let id = 0; id < count; id++) {
+            let rest = id;
+            const parts = [];
+            for (let d = seriesDimensions.length - 1; d >= 0; d--) {
+                const position = rest % seriesDimensions[d].size;
+                rest = Math.floor(rest / seriesDimensions[d].size);
+                const value = coordinates[d] ? coordinates[d][position] : position + 1;
+                parts.unshift(`${seriesDimensions[d].name} = ${Number.isFinite(value) ? Number(value.toPrecision(6)) : position + 1}`);
+            }
+            names.push(parts.join(', '));
+        }
+        return names;
+    }
+
+    // --- Header primitives (big-endian, names and values padded to 4 bytes) ---
+
+    static readInt(cursor) {
+        const value = cursor.view.getInt32(cursor.offset);
+        cursor.offset += 4;
+        return value;
+    }
+
+    static readName(cursor) {
+        const length = NetCdfReader.readInt(cursor);
+        const bytes = new Uint8Array(cursor.view.buffer, cursor.view.byteOffset + cursor.offset, length);
+        cursor.offset += Math.ceil(length / 4) * 4;
+        return new TextDecoder().decode(bytes);
+    }
+
+    static readList(cursor, tag, readItem) {
+        const found = NetCdfReader.readInt(cursor);
+        const count = NetCdfReader.readInt(cursor);
+        if (found === 0 && count === 0) return [];
+        if (found !== tag) {
+            throw new Error(`Corrupt NetCDF header at byte ${cursor.offset - 8}`);
+        }
+        return Array.from({ length: count }, readItem);
+    }
+
+    static readAttributes(cursor) {
+        const attributes = {};
+        NetCdfReader.readList(cursor, NetCdfReader.TAGS.attribute, () => {
+            const name = NetCdfReader.readName(cursor);
+            const type = NetCdfReader.TYPES[NetCdfReader.readInt(cursor)];
+            const count = NetCdfReader.readInt(cursor);
+            if (!type) {
+                throw new Error(`Attribute '${name}' has an unknown data type`);
+            }
+
+            const start = cursor.offset;
+            cursor.offset += Math.ceil(count * type.size / 4) * 4;
+            if (type.name === 'char') {
+                const bytes = new Uint8Array(cursor.view.buffer, cursor.view.byteOffset + start, count);
+                attributes[name] = new TextDecoder().decode(bytes).replace(/\0+$/, '');
+            } else {
+                const values = Array.from({ length: count }, (_, i) => type.read(cursor.view, start + i * type.size));
+                attributes[name] = count === 1 ? values[0] : values;
+            }
+        });
+        return attributes;
+    }
+
+    static numericAttribute(variable, name) {
+        const value = variable.attributes[name];
+        if (typeof value === 'number') return value;
+        if (Array.isArray(value) && typeof value[0] === 'number') return value[0];
+        return null;
+    }
+}
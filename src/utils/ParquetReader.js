@@ -0,0 +1,460 @@
+// ParquetReader.js - Reader for flat numeric columns of Apache Parquet files
+// Used by PlotData and the custom data file picker alongside ArrowReader; nested columns are listed but not read
+
+export class ParquetReader {
+    static MAGIC = 'PAR1';
+
+    // Enumerations from parquet.thrift
+    static PHYSICAL_TYPES = ['boolean', 'int32', 'int64', 'int96', 'float', 'double', 'byte_array', 'fixed_len_byte_array'];
+    static REPETITION = { required: 0, optional: 1, repeated: 2 };
+    static CODECS = { uncompressed: 0, snappy: 1, gzip: 2, lzo: 3, brotli: 4, lz4: 5, zstd: 6, lz4Raw: 7 };
+    static CODEC_NAMES = ['uncompressed', 'Snappy', 'gzip', 'LZO', 'Brotli', 'LZ4', 'ZSTD', 'LZ4 raw'];
+    static PAGE_TYPES = { data: 0, index: 1, dictionary: 2, dataV2: 3 };
+    static ENCODINGS = { plain: 0, plainDictionary: 2, rle: 3, bitPacked: 4, rleDictionary: 8 };
+
+    // Converted types that change how an integer column is named or scaled
+    static CONVERTED_TYPES = {
+        5: 'decimal', 6: 'date', 7: 'time[ms]', 8: 'time[us]', 9: 'timestamp[ms]', 10: 'timestamp[us]',
+        11: 'uint8', 12: 'uint16', 13: 'uint32', 14: 'uint64', 15: 'int8', 16: 'int16', 17: 'int32', 18: 'int64'
+    };
+
+    // Thrift compact protocol field types
+    static THRIFT = { stop: 0, true: 1, false: 2, byte: 3, i16: 4, i32: 5, i64: 6, double: 7, binary: 8, list: 9, set: 10, map: 11, struct: 12 };
+
+    /**
+     * Read the file metadata from the footer
+     * @param {ArrayBuffer} buffer - File content
+     * @returns {Object} { format, rowCount, columns, rowGroups, buffer } where columns are
+     *   { name, type, numeric } for the top-level fields in schema order
+     */
+    static read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder();
+        if (bytes.length < 12 || decoder.decode(bytes.subarray(0, 4)) !== ParquetReader.MAGIC ||
+            decoder.decode(bytes.subarray(bytes.length - 4)) !== ParquetReader.MAGIC) {
+            throw new Error('Not a Parquet file (missing PAR1 signature)');
+        }
+
+        const footerLength = new DataView(buffer).getUint32(bytes.length - 8, true);
+        const footerStart = bytes.length - 8 - footerLength;
+        if (footerStart < 4) {
+            throw new Error('Damaged Parquet file (footer length out of range)');
+        }
+        const metadata = ParquetReader.readStruct({ bytes, offset: footerStart });
+
+        const columns = ParquetReader.readSchema(metadata[2] || []);
+        const rowGroups = (metadata[4] || []).map(group => ({
+            rowCount: Number(group[3]),
+            chunks: (group[1] || []).map(chunk => {
+                const meta = chunk[3];
+                return {
+                    path: (meta[3] || []).map(part => decoder.decode(part)).join('.'),
+                    codec: meta[4],
+                    valueCount: Number(meta[5]),
+                    dataPageOffset: Number(meta[9]),
+                    dictionaryPageOffset: meta[11] !== undefined ? Number(meta[11]) : null
+                };
+            })
+        }));
+
+        return { format: 'Parquet', rowCount: Number(metadata[3]), columns, rowGroups, buffer };
+    }
+
+    /**
+     * Top-level fields of the schema; a field is numeric when it is a single, non-repeated number
+     * @param {Array<Object>} elements - Flattened SchemaElement list (the first is the root)
+     * @returns {Array<Object>} { name, type, numeric, physicalType, scale, maxDefinition }
+     */
+    static readSchema(elements) {
+        const decoder = new TextDecoder();
+        const columns = [];
+        let index = 1;
+        const skipChildren = (count) => {
+            for (let i = 0; i < count; i++) {
+                const element = elements[index++];
+                skipChildren(element[5] || 0);
+            }
+        };
+
+        const topLevelCount = elements[0]?.[5] || 0;
+        for (let i = 0; i < topLevelCount && index < elements.length; i++) {
+            const element = elements[index++];
+            const name = element[4] ? decoder.decode(element[4]) : `Column ${i + 1}`;
+            const childCount = element[5] || 0;
+            if (childCount > 0) {
+                skipChildren(childCount);
+                columns.push({ name, type: 'struct', numeric: false });
+                continue;
+            }
+
+            const physicalType = ParquetReader.PHYSICAL_TYPES[element[1]] || 'unknown';
+            const { type, scale } = ParquetReader.describeType(physicalType, element);
+            const repetition = element[3] ?? ParquetReader.REPETITION.required;
+            const numeric = repetition !== ParquetReader.REPETITION.repeated &&
+                ['int32', 'int64', 'float', 'double'].includes(physicalType);
+
+            columns.push({
+                name,
+                type,
+                numeric,
+                physicalType,
+                scale: numeric ? scale : 0,
+                maxDefinition: repetition === ParquetReader.REPETITION.optional ? 1 : 0
+            });
+        }
+        return columns;
+    }
+
+    /**
+     * Type name shown next to the column in the variable dropdowns, from the logical type of newer
+     * writers or the converted type of older ones, and the decimal scale to divide by
+     * @returns {Object} { type, scale }
+     */
+    static describeType(physicalType, element) {
+        const logical = element[10];
+        if (logical) {
+            const unit = (time) => ['ms', 'us', 'ns'][Object.keys(time[2] || {})[0] - 1] || 'ms';
+            if (logical[5]) return { type: `decimal(${logical[5][2] || 0},${logical[5][1] || 0})`, scale: logical[5][1] || 0 };
+            if (logical[6]) return { type: 'date', scale: 0 };
+            if (logical[7]) return { type: `time[${unit(logical[7])}]`, scale: 0 };
+            if (logical[8]) return { type: `timestamp[${unit(logical[8])}]`, scale: 0 };
+            if (logical[10]) return { type: `${logical[10][2] ? 'int' : 'uint'}${logical[10][1]}`, scale: 0 };
+            if (logical[1]) return { type: 'string', scale: 0 };
+        }
+
+        const convertedType = ParquetReader.CONVERTED_TYPES[element[6]];
+        if (convertedType === 'decimal') return { type: `decimal(${element[8] || 0},${element[7] || 0})`, scale: element[7] || 0 };
+        if (convertedType) return { type: convertedType, scale: 0 };
+        if (physicalType === 'byte_array' && element[6] === 0) return { type: 'string', scale: 0 };
+        return { type: physicalType, scale: 0 };
+    }
+
+    /**
+     * Values of one numeric column across all row groups; nulls become NaN
+     * @param {Object} table - Result of read()
+     * @param {string} name - Column name
+     * @returns {Promise<Float64Array>} Column values
+     */
+    static async getValues(table, name) {
+        const column = table.columns.find(candidate => candidate.name === name);
+        if (!column) {
+            throw new Error(`Column '${name}' not found: ${table.columns.map(c => c.name).join(', ')}`);
+        }
+        if (!column.numeric) {
+            throw new Error(`Column '${name}' has type ${column.type}, which is not numeric`);
+        }
+
+        const values = new Float64Array(table.rowCount);
+        let start = 0;
+        for (const group of table.rowGroups) {
+            const chunk = group.chunks.find(candidate => candidate.path === name);
+            if (!chunk) throw new Error(`Column '${name}' is missing from a row group`);
+            await ParquetReader.readChunk(table.buffer, chunk, column, values.subarray(start, start + group.rowCount));
+            start += group.rowCount;
+        }
+
+        if (column.scale) {
+            const divisor = Math.pow(10, column.scale);
+            for (let i = 0; i < values.length; i++) values[i] /= divisor;
+        }
+        return values;
+    }
+
+    /**
+     * Decode the pages of one column chunk into target
+     */
+    static async readChunk(buffer, chunk, column, target) {
+        const bytes = new Uint8Array(buffer);
+        const codec = ParquetReader.CODEC_NAMES[chunk.codec] || `codec ${chunk.codec}`;
+        let offset = chunk.dictionaryPageOffset !== null && chunk.dictionaryPageOffset > 0
+            ? Math.min(chunk.dictionaryPageOffset, chunk.dataPageOffset)
+            : chunk.dataPageOffset;
+
+        let dictionary = null;
+        let row = 0;
+        let valuesRead = 0;
+        while (valuesRead < chunk.valueCount && row < target.length) {
+            const cursor = { bytes, offset };
+            const header = ParquetReader.readStruct(cursor);
+            const pageType = header[1];
+            const compressedSize = header[3];
+            const pageStart = cursor.offset;
+            offset = pageStart + compressedSize;
+            const page = bytes.subarray(pageStart, pageStart + compressedSize);
+
+            if (pageType === ParquetReader.PAGE_TYPES.dictionary) {
+                const data = await ParquetReader.decompress(page, chunk.codec, header[2], codec);
+                dictionary = ParquetReader.readPlain(data, 0, column.physicalType, header[7][1]);
+            } else if (pageType === ParquetReader.PAGE_TYPES.data) {
+                const pageHeader = header[5];
+                const data = await ParquetReader.decompress(page, chunk.codec, header[2], codec);
+                const { definitions, position } = ParquetReader.readDefinitionsV1(data, column, pageHeader[1]);
+                row += ParquetReader.readPageValues(data, position, pageHeader[2], pageHeader[1], definitions,
+                    dictionary, column, target, row);
+                valuesRead += pageHeader[1];
+            } else if (pageType === ParquetReader.PAGE_TYPES.dataV2) {
+                // Levels are never compressed in version 2 pages; only the values after them may be
+                const pageHeader = header[8];
+                const levelsLength = (pageHeader[5] || 0) + (pageHeader[6] || 0);
+                const definitions = column.maxDefinition > 0
+                    ? ParquetReader.readHybrid(page, (pageHeader[6] || 0), pageHeader[5] || 0, 1, pageHeader[1])
+                    : null;
+                const compressed = pageHeader[7] !== false;
+                const data = compressed
+                    ? await ParquetReader.decompress(page.subarray(levelsLength), chunk.codec, header[2] - levelsLength, codec)
+                    : page.subarray(levelsLength);
+                row += ParquetReader.readPageValues(data, 0, pageHeader[4], pageHeader[1], definitions,
+                    dictionary, column, target, row);
+                valuesRead += pageHeader[1];
+            }
+        }
+    }
+
+    // Version 1 data pages start with the definition levels, prefixed by their byte length
+    static readDefinitionsV1(data, column, count) {
+        if (column.maxDefinition === 0) return { definitions: null, position: 0 };
+        const length = new DataView(data.buffer, data.byteOffset).getUint32(0, true);
+        return { definitions: ParquetReader.readHybrid(data, 4, length, 1, count), position: 4 + length };
+    }
+
+    /**
+     * Decode the values of a data page and spread them over the rows whose definition level says they are present
+     * @returns {number} Rows written
+     */
+    static readPageValues(data, position, encoding, count, definitions, dictionary, column, target, row) {
+        const present = definitions ? definitions.reduce((total, level) => total + level, 0) : count;
+        let values;
+        if (encoding === ParquetReader.ENCODINGS.plain) {
+            values = ParquetReader.readPlain(data, position, column.physicalType, present);
+        } else if (encoding === ParquetReader.ENCODINGS.plainDictionary || encoding === ParquetReader.ENCODINGS.rleDictionary) {
+            if (!dictionary) throw new Error(`Column '${column.name}' refers to a missing dictionary page`);
+            const bitWidth = data[position];
+            const indices = ParquetReader.readHybrid(data, position + 1, data.length - position - 1, bitWidth, present);
+            values = Array.from(indices, index => dictionary[index]);
+        } else {
+            throw new Error(`Column '${column.name}' uses Parquet encoding ${encoding}, which is not supported; write it with PLAIN or dictionary encoding`);
+        }
+
+        const rows = Math.min(count, target.length - row);
+        let next = 0;
+        for (let i = 0; i < rows; i++) {
+            target[row + i] = !definitions || definitions[i] === 1 ? values[next++] : NaN;
+        }
+        return rows;
+    }
+
+    static readPlain(data, position, physicalType, count) {
+        const view = new DataView(data.buffer, data.byteOffset + position);
+        const values = new Float64Array(count);
+        switch (physicalType) {
+            case 'int32':
+                for (let i = 0; i < count; i++) values[i] = view.getInt32(i * 4, true);
+                break;
+            case 'int64':
+                for (let i = 0; i < count; i++) values[i] = Number(view.getBigInt64(i * 8, true));
+                break;
+            case 'float':
+                for (let i = 0; i < count; i++) values[i] = view.getFloat32(i * 4, true);
+                break;
+            case 'double':
+                for (let i = 0; i < count; i++) values[i] = view.getFloat64(i * 8, true);
+                break;
+            default:
+                throw new Error(`Parquet type ${physicalType} cannot be read as numbers`);
+        }
+        return values;
+    }
+
+    /**
+     * RLE / bit-packing hybrid decoding used for definition levels and dictionary indices
+     * @param {Uint8Array} data - Page bytes
+     * @param {number} start - Offset of the encoded run
+     * @param {number} length - Encoded byte length
+     * @param {number} bitWidth - Bits per value
+     * @param {number} count - Values to decode
+     * @returns {Uint32Array} Decoded values
+     */
+    static readHybrid(data, start, length, bitWidth, count) {
+        const values = new Uint32Array(count);
+        const byteWidth = Math.ceil(bitWidth / 8);
+        const cursor = { bytes: data, offset: start };
+        const end = start + length;
+        let written = 0;
+
+        while (written < count && cursor.offset < end) {
+            const header = ParquetReader.readVarint(cursor);
+            if (header & 1) {
+                // Bit-packed groups of eight values, least significant bit first
+                const valueCount = (header >>> 1) * 8;
+                let bitOffset = cursor.offset * 8;
+                for (let i = 0; i < valueCount && written < count; i++) {
+                    let value = 0;
+                    for (let bit = 0; bit < bitWidth; bit++, bitOffset++) {
+                        value |= ((data[bitOffset >> 3] >> (bitOffset & 7)) & 1) << bit;
+                    }
+                    values[written++] = value >>> 0;
+                }
+                cursor.offset += (header >>> 1) * bitWidth;
+            } else {
+                let value = 0;
+                for (let i = 0; i < byteWidth; i++) value |= data[cursor.offset++] << (8 * i);
+                const runLength = Math.min(header >>> 1, count - written);
+                values.fill(value >>> 0, written, written + runLength);
+                written += runLength;
+            }
+        }
+        return values;
+    }
+
+    static async decompress(page, codec, uncompressedSize, codecName) {
+        switch (codec) {
+            case ParquetReader.CODECS.uncompressed:
+                return page;
+            case ParquetReader.CODECS.snappy:
+                return ParquetReader.decompressSnappy(page, uncompressedSize);
+            case ParquetReader.CODECS.gzip: {
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('This browser cannot decompress gzip data (DecompressionStream is unavailable)');
+                }
+                const stream = new Blob([page]).stream().pipeThrough(new DecompressionStream('gzip'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+            default:
+                throw new Error(`${codecName} compression is not supported; write the file with Snappy, gzip or no compression`);
+        }
+    }
+
+    /**
+     * Snappy block decompression (literals and back-references)
+     * @returns {Uint8Array} Uncompressed bytes
+     */
+    static decompressSnappy(input, uncompressedSize) {
+        const cursor = { bytes: input, offset: 0 };
+        const length = ParquetReader.readVarint(cursor) || uncompressedSize;
+        const output = new Uint8Array(length);
+        let written = 0;
+
+        while (cursor.offset < input.length) {
+            const tag = input[cursor.offset++];
+            const kind = tag & 3;
+            if (kind === 0) {
+                let literalLength = tag >>> 2;
+                if (literalLength >= 60) {
+                    const extraBytes = literalLength - 59;
+                    literalLength = 0;
+                    for (let i = 0; i < extraBytes; i++) literalLength |= input[cursor.offset++] << (8 * i);
+                }
+                literalLength += 1;
+                output.set(input.subarray(cursor.offset, cursor.offset + literalLength), written);
+                cursor.offset += literalLength;
+                written += literalLength;
+                continue;
+            }
+
+            let copyLength;
+            let distance;
+            if (kind === 1) {
+                copyLength = ((tag >>> 2) & 7) + 4;
+                distance = ((tag >>> 5) << 8) | input[cursor.offset++];
+            } else if (kind === 2) {
+                copyLength = (tag >>> 2) + 1;
+                distance = input[cursor.offset] | (input[cursor.offset + 1] << 8);
+                cursor.offset += 2;
+            } else {
+                copyLength = (tag >>> 2) + 1;
+                distance = (input[cursor.offset] | (input[cursor.offset + 1] << 8) |
+                    (input[cursor.offset + 2] << 16) | (input[cursor.offset + 3] << 24)) >>> 0;
+                cursor.offset += 4;
+            }
+            if (distance === 0 || distance > written) {
+                throw new Error('Damaged Snappy data');
+            }
+            // Copies may overlap their own output, so they go byte by byte
+            for (let i = 0; i < copyLength; i++, written++) {
+                output[written] = output[written - distance];
+            }
+        }
+        return output;
+    }
+
+    // Thrift compact protocol: structs decode to objects keyed by field id
+
+    static readStruct(cursor) {
+        const struct = {};
+        let fieldId = 0;
+        for (;;) {
+            const header = cursor.bytes[cursor.offset++];
+            const type = header & 0x0F;
+            if (type === ParquetReader.THRIFT.stop) return struct;
+
+            const delta = header >> 4;
+            fieldId = delta ? fieldId + delta : ParquetReader.readZigzag(cursor);
+            struct[fieldId] = ParquetReader.readThriftValue(cursor, type);
+        }
+    }
+
+    static readThriftValue(cursor, type) {
+        const T = ParquetReader.THRIFT;
+        switch (type) {
+            case T.true: return true;
+            case T.false: return false;
+            case T.byte: return cursor.bytes[cursor.offset++];
+            case T.i16:
+            case T.i32:
+            case T.i64:
+                return ParquetReader.readZigzag(cursor);
+            case T.double: {
+                const value = new DataView(cursor.bytes.buffer, cursor.bytes.byteOffset + cursor.offset).getFloat64(0, true);
+                cursor.offset += 8;
+                return value;
+            }
+            case T.binary: {
+                const length = ParquetReader.readVarint(cursor);
+                const value = cursor.bytes.subarray(cursor.offset, cursor.offset + length);
+                cursor.offset += length;
+                return value;
+            }
+            case T.list:
+            case T.set: {
+                const header = cursor.bytes[cursor.offset++];
+                const size = (header >> 4) === 15 ? ParquetReader.readVarint(cursor) : header >> 4;
+                const elementType = header & 0x0F;
+                return Array.from({ length: size }, () => elementType === T.true || elementType === T.false
+                    ? cursor.bytes[cursor.offset++] === 1
+                    : ParquetReader.readThriftValue(cursor, elementType));
+            }
+            case T.map: {
+                const size = ParquetReader.readVarint(cursor);
+                const map = new Map();
+                if (size === 0) return map;
+                const types = cursor.bytes[cursor.offset++];
+                for (let i = 0; i < size; i++) {
+                    map.set(ParquetReader.readThriftValue(cursor, types >> 4), ParquetReader.readThriftValue(cursor, types & 0x0F));
+                }
+                return map;
+            }
+            case T.struct:
+                return ParquetReader.readStruct(cursor);
+            default:
+                throw new Error(`Damaged Parquet metadata (unknown field type ${type})`);
+        }
+    }
+
+    // Unsigned LEB128; plain arithmetic keeps 64-bit offsets exact up to 2^53
+    static readVarint(cursor) {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            byte = cursor.bytes[cursor.offset++];
+            value += (byte & 0x7F) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    static readZigzag(cursor) {
+        const value = ParquetReader.readVarint(cursor);
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+}
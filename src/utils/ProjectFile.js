@@ -0,0 +1,99 @@
+// ProjectFile.js - Reads and writes .dixtral project files (data, view, navigation, speech and analysis state)
+// Used by the application to save a prepared exploration and restore it exactly as it was left
+
+export class ProjectFile {
+    static FORMAT = 'dixtral-project';
+    static VERSION = 1;
+    static EXTENSION = 'dixtral';
+    static MIME_TYPE = 'application/json';
+
+    // Typed arrays are written as base64 of their bytes so values round-trip exactly and stay compact
+    static TYPED_ARRAY_KEY = '$typedArray';
+    static TYPED_ARRAYS = { Float32Array, Float64Array, Int32Array, Uint32Array, Uint8Array };
+
+    // Bytes converted per String.fromCharCode call (keeps the argument list well below engine limits)
+    static BASE64_CHUNK_SIZE = 0x8000;
+
+    /**
+     * Serialize a project
+     * @param {Object} sections - { data, view, navigation, ... } state objects of the components
+     * @returns {string} Project file content
+     */
+    static serialize(sections) {
+        const project = {
+            format: ProjectFile.FORMAT,
+            version: ProjectFile.VERSION,
+            savedAt: new Date().toISOString(),
+            ...sections
+        };
+        return JSON.stringify(project, (key, value) => ProjectFile.encodeValue(value));
+    }
+
+    /**
+     * Parse and check a project file
+     * @param {string} content - Project file content
+     * @returns {Object} Project with typed arrays restored
+     */
+    static parse(content) {
+        let project;
+        try {
+            project = JSON.parse(content, (key, value) => ProjectFile.decodeValue(value));
+        } catch (error) {
+            throw new Error(`Not a DIXTRAL project file (${error.message})`);
+        }
+
+        if (!project || project.format !== ProjectFile.FORMAT) {
+            throw new Error('Not a DIXTRAL project file');
+        }
+        if (!Number.isInteger(project.version) || project.version > ProjectFile.VERSION) {
+            throw new Error(`Project file version ${project.version} is newer than this version of DIXTRAL supports (${ProjectFile.VERSION})`);
+        }
+        if (!project.data || !Array.isArray(project.data.series) || project.data.series.length === 0) {
+            throw new Error('Project file contains no data');
+        }
+        return project;
+    }
+
+    static filename(sampleName) {
+        const safeName = String(sampleName || 'project').replace(/[^\w.-]+/g, '_');
+        return `${safeName}_${new Date().getTime()}.${ProjectFile.EXTENSION}`;
+    }
+
+    static encodeValue(value) {
+        if (!ArrayBuffer.isView(value) || value instanceof DataView) {
+            return value;
+        }
+        const type = value.constructor.name;
+        if (!ProjectFile.TYPED_ARRAYS[type]) {
+            return Array.from(value);
+        }
+
+        const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += ProjectFile.BASE64_CHUNK_SIZE) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + ProjectFile.BASE64_CHUNK_SIZE));
+        }
+        return { [ProjectFile.TYPED_ARRAY_KEY]: type, base64: btoa(binary) };
+    }
+
+    static decodeValue(value) {
+        if (!value || typeof value !== 'object' || !(ProjectFile.TYPED_ARRAY_KEY in value)) {
+            return value;
+        }
+        const ArrayType = ProjectFile.TYPED_ARRAYS[value[ProjectFile.TYPED_ARRAY_KEY]];
+        if (!ArrayType) {
+            throw new Error(`Unsupported array type '${value[ProjectFile.TYPED_ARRAY_KEY]}'`);
+        }
+
+        const binary = atob(value.base64 || '');
+        if (binary.length % ArrayType.BYTES_PER_ELEMENT !== 0) {
+            throw new Error(`Damaged ${value[ProjectFile.TYPED_ARRAY_KEY]} in project file`);
+        }
+        // Typed arrays use the platform byte order, which is little-endian on every browser platform
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new ArrayType(bytes.buffer);
+    }
+}
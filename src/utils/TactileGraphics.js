@@ -0,0 +1,516 @@
+// TactileGraphics.js - Renders the surface as a tactile graphic (contour map or cross sections) in SVG
+// Black lines on white with braille drawn as dots, for swell paper and graphics embossers (BANA guidelines)
+
+export class TactileGraphics {
+    static MODES = {
+        contour: 'Contour map',
+        sections: 'Cross sections'
+    };
+
+    // 11.5 x 11 inch braille page, landscape, in millimetres
+    static PAGE = { width: 292, height: 279, margin: 15 };
+
+    // Standard braille cell: dot diameter 1.5 mm, 2.5 mm between dots, 6.2 mm per cell, 10 mm per line
+    static BRAILLE = { dotRadius: 0.75, dotSpacing: 2.5, cellWidth: 6.2, lineHeight: 10 };
+
+    // At most three line styles, each distinct by touch; axes are thinner than any data line
+    static LINE_STYLES = [
+        { name: 'solid line', width: 1.6, dash: null },
+        { name: 'dashed line', width: 1.2, dash: '6 3' },
+        { name: 'dotted line', width: 1.4, dash: '0 3.2' }
+    ];
+    static AXIS_WIDTH = 0.8;
+    static TICK_LENGTH = 3;
+    static POINT_RADIUS = 2.5;
+
+    // Unified English Braille, uncontracted, as dot numbers
+    static LETTERS = {
+        a: '1', b: '12', c: '14', d: '145', e: '15', f: '124', g: '1245', h: '125', i: '24', j: '245',
+        k: '13', l: '123', m: '134', n: '1345', o: '135', p: '1234', q: '12345', r: '1235', s: '234', t: '2345',
+        u: '136', v: '1236', w: '2456', x: '1346', y: '13456', z: '1356'
+    };
+    static DIGITS = { 1: '1', 2: '12', 3: '14', 4: '145', 5: '15', 6: '124', 7: '1245', 8: '125', 9: '24', 0: '245' };
+    static SYMBOLS = {
+        '.': ['256'], ',': ['2'], ':': ['25'], ';': ['23'], '?': ['236'], '!': ['235'], "'": ['3'], '"': ['6', '2356'],
+        '(': ['5', '126'], ')': ['5', '345'], '[': ['46', '126'], ']': ['46', '345'], '/': ['456', '34'],
+        '-': ['36'], '−': ['5', '36'], '+': ['5', '235'], '=': ['5', '2356'], '×': ['5', '236'], '*': ['5', '35'],
+        '<': ['4', '126'], '>': ['4', '345'], '%': ['46', '356'], '°': ['45', '245'], 'µ': ['46', '134'],
+        'μ': ['46', '134'], '&': ['4', '12346'], '#': ['456', '1456'], '_': ['46', '36'], '^': ['4', '26']
+    };
+    static SUPERSCRIPTS = { '¹': '1', '²': '2', '³': '3' };
+    static INDICATORS = { capital: '6', number: '3456', grade1: '56', superscript: '35', unknown: '123456' };
+
+    /**
+     * Translate print text to uncontracted UEB
+     * @param {string} text - Print text
+     * @returns {string} Unicode braille
+     */
+    static toBraille(text) {
+        return TactileGraphics.brailleCells(text)
+            .map(mask => String.fromCharCode(0x2800 + mask))
+            .join('');
+    }
+
+    /**
+     * Translate print text to braille cells
+     * @param {string} text - Print text
+     * @returns {number[]} Cells as dot masks (dot n is bit n - 1; 0 is a space)
+     */
+    static brailleCells(text) {
+        const { LETTERS, DIGITS, SYMBOLS, SUPERSCRIPTS, INDICATORS } = TactileGraphics;
+        const cells = [];
+        const add = (...dots) => dots.forEach(pattern => cells.push(TactileGraphics.dotMask(pattern)));
+        const chars = [...String(text)];
+        let numeric = false;
+
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+            const lower = char.toLowerCase();
+            const next = chars[i + 1] || '';
+
+            if (/[0-9]/.test(char)) {
+                if (!numeric) add(INDICATORS.number);
+                add(DIGITS[char]);
+                numeric = true;
+                continue;
+            }
+            // Decimal points and digit group commas continue the number
+            if (numeric && (char === '.' || char === ',') && /[0-9]/.test(next)) {
+                add(char === '.' ? '256' : '2');
+                continue;
+            }
+            const afterNumber = numeric;
+            numeric = false;
+
+            if (LETTERS[lower]) {
+                const wordStart = i === 0 || !/[a-z]/i.test(chars[i - 1]);
+                const singleLetter = wordStart && !/[a-z]/i.test(next);
+                // Letters a-j after a number, and lone letters that could be read as a wordsign, need grade 1
+                if ((afterNumber && 'abcdefghij'.includes(lower)) || (singleLetter && !'aio'.includes(lower))) {
+                    add(INDICATORS.grade1);
+                }
+                if (char !== lower) {
+                    const word = chars.slice(i).join('').match(/^[A-Za-z]+/)[0];
+                    if (wordStart && word.length > 1 && word === word.toUpperCase()) {
+                        add(INDICATORS.capital, INDICATORS.capital);
+                        word.split('').forEach(letter => add(LETTERS[letter.toLowerCase()]));
+                        i += word.length - 1;
+                        continue;
+                    }
+                    add(INDICATORS.capital);
+                }
+                add(LETTERS[lower]);
+            } else if (/\s/.test(char)) {
+                cells.push(0);
+            } else if (char === '-' && /[0-9]/.test(next) && !/[0-9a-z]/i.test(chars[i - 1] || '')) {
+                add(...SYMBOLS['−']);
+            } else if (SUPERSCRIPTS[char]) {
+                add(INDICATORS.superscript, INDICATORS.number, DIGITS[SUPERSCRIPTS[char]]);
+            } else if (SYMBOLS[char]) {
+                add(...SYMBOLS[char]);
+            } else {
+                add(INDICATORS.unknown);
+            }
+        }
+        return cells;
+    }
+
+    static dotMask(pattern) {
+        return [...pattern].reduce((mask, dot) => mask | (1 << (Number(dot) - 1)), 0);
+    }
+
+    /**
+     * Render the grid as a tactile graphic
+     * @param {Object} grid - { xAxis, zAxis, values } from VisualizationEngine.getSurfaceGrid()
+     * @param {string} mode - Key of MODES
+     * @param {Object} options - { name, labels: { x, y, z }, count } with count the contour levels or sections (1-3)
+     * @returns {Object} { content, filename, type, description }
+     */
+    static export(grid, mode, options = {}) {
+        if (!TactileGraphics.MODES[mode]) {
+            throw new Error(`Unknown tactile graphic '${mode}'`);
+        }
+        const labels = { x: 'X', y: 'Y', z: 'Z', ...options.labels };
+        const count = Math.max(1, Math.min(TactileGraphics.LINE_STYLES.length, options.count || TactileGraphics.LINE_STYLES.length));
+        const name = options.name || 'surface';
+
+        const graph = mode === 'contour'
+            ? TactileGraphics.buildContourMap(grid, labels, count)
+            : TactileGraphics.buildCrossSections(grid, labels, count);
+        const title = `${TactileGraphics.MODES[mode]} of ${name}`;
+        const content = TactileGraphics.renderPage(title, graph);
+
+        const safeName = String(name).replace(/[^\w.-]+/g, '_');
+        return {
+            content,
+            filename: `surface_plot_tactile_${mode}_${safeName}_${new Date().getTime()}.svg`,
+            type: 'image/svg+xml',
+            description: `${title}. ${graph.description}`
+        };
+    }
+
+    /**
+     * Top view with X across, Z up the page and contour lines of Y, one line style per level
+     */
+    static buildContourMap(grid, labels, count) {
+        const { xAxis, zAxis, values } = grid;
+        const range = TactileGraphics.valueRange(values.flat());
+        if (!range) {
+            throw new Error('No values left to draw');
+        }
+
+        const step = (range.max - range.min) / (count + 1);
+        const decimals = TactileGraphics.decimalsFor(step);
+        const levels = Array.from({ length: count }, (_, k) => Number((range.min + step * (k + 1)).toFixed(decimals)));
+        const lines = levels.map((level, k) => ({
+            style: k,
+            paths: TactileGraphics.contourPaths(xAxis, zAxis, values, level),
+            key: `y ${TactileGraphics.formatNumber(level, decimals)}`
+        }));
+
+        // Mark the highest point so the peak can be found without following every line
+        let peak = null;
+        values.forEach((row, zIndex) => row.forEach((value, xIndex) => {
+            if (Number.isFinite(value) && (!peak || value > peak.value)) {
+                peak = { x: xAxis[xIndex], y: zAxis[zIndex], value };
+            }
+        }));
+
+        return {
+            horizontal: { name: 'x', title: labels.x, min: xAxis[0], max: xAxis[xAxis.length - 1] },
+            vertical: { name: 'z', title: labels.z, min: zAxis[0], max: zAxis[zAxis.length - 1] },
+            lines,
+            points: peak ? [{ ...peak, key: `highest point, y ${TactileGraphics.formatNumber(peak.value, decimals)}` }] : [],
+            description: `${labels.y} over ${labels.x} (across) and ${labels.z} (up the page). ` +
+                `Contour lines at ${levels.map((level, k) => `${TactileGraphics.formatNumber(level, decimals)} (${TactileGraphics.LINE_STYLES[k].name})`).join(', ')}; ` +
+                `highest point ${TactileGraphics.formatNumber(range.max, decimals)}.`
+        };
+    }
+
+    /**
+     * Line graphs of Y against X through evenly spaced Z rows, one line style per row
+     */
+    static buildCrossSections(grid, labels, count) {
+        const { xAxis, zAxis, values } = grid;
+        const rows = [...new Set(Array.from({ length: Math.min(count, zAxis.length) },
+            (_, k) => Math.min(zAxis.length - 1, Math.floor((k + 0.5) * zAxis.length / count))))];
+
+        const range = TactileGraphics.valueRange(rows.flatMap(row => values[row]));
+        if (!range) {
+            throw new Error('No values left to draw');
+        }
+        const zDecimals = TactileGraphics.decimalsFor((zAxis[zAxis.length - 1] - zAxis[0]) / Math.max(1, zAxis.length - 1));
+
+        const lines = rows.map((row, k) => {
+            // Gaps in a row (filtered or missing points) break the line
+            const paths = [];
+            let path = [];
+            values[row].forEach((value, xIndex) => {
+                if (Number.isFinite(value)) {
+                    path.push([xAxis[xIndex], value]);
+                } else if (path.length) {
+                    paths.push(path);
+                    path = [];
+                }
+            });
+            if (path.length) paths.push(path);
+            return { style: k, paths, key: `z ${TactileGraphics.formatNumber(zAxis[row], zDecimals)}` };
+        });
+
+        const padding = range.max === range.min ? Math.abs(range.max) || 1 : 0;
+        return {
+            horizontal: { name: 'x', title: labels.x, min: xAxis[0], max: xAxis[xAxis.length - 1] },
+            vertical: { name: 'y', title: labels.y, min: range.min - padding, max: range.max + padding },
+            lines,
+            points: [],
+            description: `${labels.y} (up the page) against ${labels.x} (across) at ${labels.z} ` +
+                rows.map((row, k) => `${TactileGraphics.formatNumber(zAxis[row], zDecimals)} (${TactileGraphics.LINE_STYLES[k].name})`).join(', ') + '.'
+        };
+    }
+
+    /**
+     * Contour lines of one level by marching squares, joined into polylines
+     * @returns {Array<Array<number[]>>} Polylines of [x, z] points in data units
+     */
+    static contourPaths(xAxis, zAxis, values, level) {
+        const segments = [];
+        const crossing = (x0, z0, v0, x1, z1, v1) => {
+            const t = (level - v0) / (v1 - v0);
+            return [xAxis[x0] + (xAxis[x1] - xAxis[x0]) * t, zAxis[z0] + (zAxis[z1] - zAxis[z0]) * t];
+        };
+
+        for (let z = 0; z < zAxis.length - 1; z++) {
+            for (let x = 0; x < xAxis.length - 1; x++) {
+                const corners = [values[z][x], values[z][x + 1], values[z + 1][x + 1], values[z + 1][x]];
+                if (!corners.every(Number.isFinite)) continue;
+
+                // Edges of the cell: bottom, right, top, left, each keyed so neighbouring cells share the point
+                const edges = [
+                    { key: `h${x},${z}`, point: () => crossing(x, z, corners[0], x + 1, z, corners[1]) },
+                    { key: `v${x + 1},${z}`, point: () => crossing(x + 1, z, corners[1], x + 1, z + 1, corners[2]) },
+                    { key: `h${x},${z + 1}`, point: () => crossing(x + 1, z + 1, corners[2], x, z + 1, corners[3]) },
+                    { key: `v${x},${z}`, point: () => crossing(x, z + 1, corners[3], x, z, corners[0]) }
+                ];
+                const above = corners.map(value => value >= level);
+                const cut = edges.filter((_, e) => above[e] !== above[(e + 1) % 4]);
+                if (cut.length === 2) {
+                    segments.push(cut);
+                } else if (cut.length === 4) {
+                    // Saddle: the cell's mean decides which corners are joined
+                    const centerAbove = corners.reduce((sum, value) => sum + value, 0) / 4 >= level;
+                    if (centerAbove === above[0]) {
+                        segments.push([cut[0], cut[1]], [cut[2], cut[3]]);
+                    } else {
+                        segments.push([cut[3], cut[0]], [cut[1], cut[2]]);
+                    }
+                }
+            }
+        }
+
+        // Walk chains of segments through their shared edge points
+        const byKey = new Map();
+        segments.forEach((segment, index) => segment.forEach(end => {
+            if (!byKey.has(end.key)) byKey.set(end.key, []);
+            byKey.get(end.key).push(index);
+        }));
+        const used = new Array(segments.length).fill(false);
+        const follow = (index, fromKey) => {
+            const chain = [];
+            let key = fromKey;
+            while (index !== undefined && !used[index]) {
+                used[index] = true;
+                const end = segments[index].find(candidate => candidate.key !== key) || segments[index][1];
+                chain.push(end);
+                key = end.key;
+                index = byKey.get(key).find(other => !used[other]);
+            }
+            return chain;
+        };
+
+        const paths = [];
+        segments.forEach((segment, index) => {
+            if (used[index]) return;
+            const forward = follow(index, segment[0].key);
+            used[index] = false;
+            const backward = follow(index, segment[1].key).slice(1).reverse();
+            used[index] = true;
+            paths.push([...backward, segment[0], ...forward].map(end => end.point()));
+        });
+        return paths;
+    }
+
+    /**
+     * Lay out the page: braille title, framed graph with braille tick labels, and a key explaining every symbol
+     */
+    static renderPage(title, graph) {
+        const { PAGE, BRAILLE, LINE_STYLES, AXIS_WIDTH, TICK_LENGTH, POINT_RADIUS } = TactileGraphics;
+        const textWidth = PAGE.width - PAGE.margin * 2;
+        const parts = [];
+        const brailleText = (text, x, y) => {
+            parts.push(TactileGraphics.brailleSvg(text, x, y));
+        };
+
+        // Title
+        let y = PAGE.margin;
+        for (const line of TactileGraphics.wrapText(title, textWidth)) {
+            brailleText(line, PAGE.margin, y);
+            y += BRAILLE.lineHeight;
+        }
+        const graphTop = y + BRAILLE.lineHeight;
+
+        // Key, from the bottom of the page up: symbols first, then what the axis letters stand for
+        const sampleWidth = 20;
+        const keyEntries = [
+            ...graph.lines.map(line => ({ line: LINE_STYLES[line.style], text: line.key })),
+            ...graph.points.map(point => ({ point: true, text: point.key })),
+            { text: `${graph.horizontal.name} ${graph.horizontal.title}` },
+            { text: `${graph.vertical.name} ${graph.vertical.title}` }
+        ];
+        const keyLines = [{ text: 'Key' }];
+        for (const entry of keyEntries) {
+            const indent = entry.line || entry.point ? sampleWidth + BRAILLE.cellWidth : 0;
+            TactileGraphics.wrapText(entry.text, textWidth - indent).forEach((text, index) => {
+                keyLines.push({ ...(index === 0 ? entry : {}), text, indent });
+            });
+        }
+        const keyTop = PAGE.height - PAGE.margin - keyLines.length * BRAILLE.lineHeight;
+
+        // Ticks that fit across and up the graph with their braille labels
+        const cellHeight = BRAILLE.dotSpacing * 2 + BRAILLE.dotRadius * 2;
+        const plot = {
+            right: PAGE.width - PAGE.margin - BRAILLE.cellWidth * 3,
+            top: graphTop + BRAILLE.lineHeight,
+            bottom: keyTop - BRAILLE.lineHeight * 2
+        };
+        const scaleY = value => plot.bottom - (value - graph.vertical.min) / ((graph.vertical.max - graph.vertical.min) || 1) * (plot.bottom - plot.top);
+        const verticalTicks = TactileGraphics.fitTicks(graph.vertical, scaleY, () => BRAILLE.lineHeight);
+        plot.left = PAGE.margin + Math.max(...verticalTicks.labels.map(label => TactileGraphics.brailleWidth(label))) + TICK_LENGTH + 3;
+
+        const scaleX = value => plot.left + (value - graph.horizontal.min) / ((graph.horizontal.max - graph.horizontal.min) || 1) * (plot.right - plot.left);
+        const horizontalTicks = TactileGraphics.fitTicks(graph.horizontal, scaleX,
+            (a, b) => (TactileGraphics.brailleWidth(a) + TactileGraphics.brailleWidth(b)) / 2 + BRAILLE.cellWidth);
+
+        // Axes with outward ticks, braille labels and the axis letters at their ends
+        const axes = [`M${plot.left} ${plot.top}V${plot.bottom}H${plot.right}`];
+        horizontalTicks.values.forEach((value, index) => {
+            const x = scaleX(value);
+            axes.push(`M${x.toFixed(2)} ${plot.bottom}v${TICK_LENGTH}`);
+            const label = horizontalTicks.labels[index];
+            const width = TactileGraphics.brailleWidth(label);
+            const left = Math.max(PAGE.margin, Math.min(PAGE.width - PAGE.margin - width, x - width / 2));
+            brailleText(label, left, plot.bottom + TICK_LENGTH + 2);
+        });
+        verticalTicks.values.forEach((value, index) => {
+            const tickY = scaleY(value);
+            axes.push(`M${plot.left} ${tickY.toFixed(2)}h${-TICK_LENGTH}`);
+            const label = verticalTicks.labels[index];
+            brailleText(label, plot.left - TICK_LENGTH - 2 - TactileGraphics.brailleWidth(label), tickY - cellHeight / 2);
+        });
+        brailleText(graph.horizontal.name, plot.right + BRAILLE.cellWidth, plot.bottom - cellHeight / 2);
+        brailleText(graph.vertical.name, plot.left - BRAILLE.cellWidth / 2, plot.top - BRAILLE.lineHeight);
+        parts.push(`<path d="${axes.join('')}" fill="none" stroke="#000" stroke-width="${AXIS_WIDTH}"/>`);
+
+        // Data lines and points
+        for (const line of graph.lines) {
+            const style = LINE_STYLES[line.style];
+            const d = line.paths
+                .filter(path => path.length > 1)
+                .map(path => 'M' + path.map(([px, py]) => `${scaleX(px).toFixed(2)} ${scaleY(py).toFixed(2)}`).join('L'))
+                .join('');
+            if (d) {
+                parts.push(`<path d="${d}" ${TactileGraphics.strokeAttributes(style)}/>`);
+            }
+        }
+        for (const point of graph.points) {
+            parts.push(`<circle cx="${scaleX(point.x).toFixed(2)}" cy="${scaleY(point.y).toFixed(2)}" r="${POINT_RADIUS}" fill="#000"/>`);
+        }
+
+        // Key
+        keyLines.forEach((entry, index) => {
+            const top = keyTop + index * BRAILLE.lineHeight;
+            if (entry.line) {
+                const middle = (top + cellHeight / 2).toFixed(2);
+                parts.push(`<path d="M${PAGE.margin} ${middle}h${sampleWidth}" ${TactileGraphics.strokeAttributes(entry.line)}/>`);
+            } else if (entry.point) {
+                parts.push(`<circle cx="${PAGE.margin + sampleWidth / 2}" cy="${(top + cellHeight / 2).toFixed(2)}" r="${POINT_RADIUS}" fill="#000"/>`);
+            }
+            brailleText(entry.text, PAGE.margin + (entry.indent || 0), top);
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE.width}mm" height="${PAGE.height}mm" ` +
+            `viewBox="0 0 ${PAGE.width} ${PAGE.height}" role="img" aria-labelledby="title desc">\n` +
+            `<title id="title">${TactileGraphics.escapeXml(title)}</title>\n` +
+            `<desc id="desc">${TactileGraphics.escapeXml(graph.description)}</desc>\n` +
+            `<rect width="${PAGE.width}" height="${PAGE.height}" fill="#fff"/>\n` +
+            parts.join('\n') + '\n</svg>\n';
+    }
+
+    static strokeAttributes(style) {
+        return `fill="none" stroke="#000" stroke-width="${style.width}" stroke-linejoin="round"` +
+            (style.dash ? ` stroke-dasharray="${style.dash}"` : '') +
+            (style.dash && style.dash.startsWith('0') ? ' stroke-linecap="round"' : '');
+    }
+
+    /**
+     * Braille drawn as dots, so the cell size does not depend on fonts; the print text is kept as its label
+     */
+    static brailleSvg(text, x, y) {
+        const { dotRadius, dotSpacing, cellWidth } = TactileGraphics.BRAILLE;
+        const dots = [];
+        TactileGraphics.brailleCells(text).forEach((mask, cell) => {
+            for (let dot = 0; dot < 6; dot++) {
+                if (mask & (1 << dot)) {
+                    const cx = x + cell * cellWidth + dotRadius + (dot >= 3 ? dotSpacing : 0);
+                    const cy = y + dotRadius + (dot % 3) * dotSpacing;
+                    dots.push(`<circle cx="${cx.toFixed(2)}" cy="${cy.toFixed(2)}" r="${dotRadius}"/>`);
+                }
+            }
+        });
+        return `<g aria-label="${TactileGraphics.escapeXml(text)}" fill="#000">${dots.join('')}</g>`;
+    }
+
+    static brailleWidth(text) {
+        const { dotRadius, dotSpacing, cellWidth } = TactileGraphics.BRAILLE;
+        const cells = TactileGraphics.brailleCells(text).length;
+        return cells ? (cells - 1) * cellWidth + dotSpacing + dotRadius * 2 : 0;
+    }
+
+    /**
+     * Break text at spaces into lines whose braille fits the width
+     */
+    static wrapText(text, width) {
+        const lines = [];
+        let line = '';
+        for (const word of String(text).split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && TactileGraphics.brailleWidth(candidate) > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Round tick values inside [min, max], about target of them, with labels as short as the step allows
+     */
+    static ticks(min, max, target) {
+        const span = max - min;
+        if (!(span > 0)) {
+            return { values: [min], labels: [TactileGraphics.formatNumber(min, TactileGraphics.decimalsFor(Math.abs(min) || 1))] };
+        }
+        const rough = span / target;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough) || magnitude * 10;
+        const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+
+        const values = [];
+        for (let value = Math.ceil(min / step - 1e-9) * step; value <= max + step * 1e-9; value += step) {
+            values.push(Number(value.toFixed(decimals)));
+        }
+        return { values, labels: values.map(value => TactileGraphics.formatNumber(value, decimals)) };
+    }
+
+    /**
+     * The most ticks (up to five) whose labels keep the gap that spacing() asks for between neighbours
+     */
+    static fitTicks(axis, scale, spacing) {
+        let ticks = null;
+        for (let target = 5; target >= 2; target--) {
+            ticks = TactileGraphics.ticks(axis.min, axis.max, target);
+            const fits = ticks.values.every((value, index) => index === 0 ||
+                Math.abs(scale(value) - scale(ticks.values[index - 1])) >= spacing(ticks.labels[index - 1], ticks.labels[index]));
+            if (fits) break;
+        }
+        return ticks;
+    }
+
+    static decimalsFor(step) {
+        return step > 0 ? Math.max(0, Math.min(6, 1 - Math.floor(Math.log10(step)))) : 2;
+    }
+
+    static formatNumber(value, decimals) {
+        const text = value.toFixed(decimals);
+        return /^-0(\.0*)?$/.test(text) ? text.slice(1) : text;
+    }
+
+    static valueRange(values) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of values) {
+            if (Number.isFinite(value)) {
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        }
+        return min <= max ? { min, max } : null;
+    }
+
+    static escapeXml(text) {
+        return String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+    }
+}
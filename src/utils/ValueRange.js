@@ -0,0 +1,20 @@
+// ValueRange.js - Smallest and largest value of large arrays
+// Used by PlotData for data ranges and by SpectralDeconvolution for profiles and components
+
+export class ValueRange {
+    /**
+     * Smallest and largest value of an array. A loop rather than Math.min(...values),
+     * which exceeds the call stack for arrays of a few hundred thousand values.
+     * @param {Float32Array|Array} values - Values to scan
+     * @returns {Object} { min, max } (Infinity and -Infinity for an empty array, like Math.min/max)
+     */
+    static getMinMax(values) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] < min) min = values[i];
+            if (values[i] > max) max = values[i];
+        }
+        return { min, max };
+    }
+}
@@ -0,0 +1,112 @@
+// WavEncoder.js - Encodes rendered audio as 16-bit PCM WAV, with markers as labelled cue points
+// Used by the application to export autoplay sonification
+
+export class WavEncoder {
+    static MIME_TYPE = 'audio/wav';
+    static EXTENSION = 'wav';
+
+    /**
+     * Encode an AudioBuffer as a WAV file
+     * @param {AudioBuffer} audioBuffer - Rendered audio ({ numberOfChannels, sampleRate, length, getChannelData })
+     * @param {Array} markers - [{ time, text }] with times in seconds; written as a cue chunk with a
+     *   labl entry per cue, which audio editors such as Audacity and Reaper show as named markers
+     * @returns {ArrayBuffer} WAV file
+     */
+    static encode(audioBuffer, markers = []) {
+        const channels = audioBuffer.numberOfChannels;
+        const { sampleRate, length } = audioBuffer;
+        const dataSize = length * channels * 2;
+
+        const encoder = new TextEncoder();
+        const labels = markers.map((marker, index) => {
+            const text = encoder.encode(marker.text);
+            return {
+                id: index + 1,
+                sample: Math.max(0, Math.min(length - 1, Math.round(marker.time * sampleRate))),
+                text,
+                size: 4 + text.length + 1  // Cue id and zero-terminated text
+            };
+        });
+        const cueSize = labels.length ? 4 + labels.length * 24 : 0;
+        const listSize = labels.length ? 4 + labels.reduce((sum, label) => sum + 8 + label.size + (label.size % 2), 0) : 0;
+        const total = 12 + 24 + 8 + dataSize + (cueSize ? 8 + cueSize : 0) + (listSize ? 8 + listSize : 0);
+
+        const buffer = new ArrayBuffer(total);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let offset = 0;
+        const writeTag = (tag) => {
+            for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+            offset += 4;
+        };
+        const writeUint32 = (value) => {
+            view.setUint32(offset, value, true);
+            offset += 4;
+        };
+        const writeUint16 = (value) => {
+            view.setUint16(offset, value, true);
+            offset += 2;
+        };
+
+        writeTag('RIFF');
+        writeUint32(total - 8);
+        writeTag('WAVE');
+
+        writeTag('fmt ');
+        writeUint32(16);
+        writeUint16(1);  // PCM
+        writeUint16(channels);
+        writeUint32(sampleRate);
+        writeUint32(sampleRate * channels * 2);
+        writeUint16(channels * 2);
+        writeUint16(16);
+
+        writeTag('data');
+        writeUint32(dataSize);
+        const channelData = Array.from({ length: channels }, (_, channel) => audioBuffer.getChannelData(channel));
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+
+        if (labels.length) {
+            writeTag('cue ');
+            writeUint32(cueSize);
+            writeUint32(labels.length);
+            for (const label of labels) {
+                writeUint32(label.id);
+                writeUint32(label.sample);
+                writeTag('data');
+                writeUint32(0);
+                writeUint32(0);
+                writeUint32(label.sample);
+            }
+
+            writeTag('LIST');
+            writeUint32(listSize);
+            writeTag('adtl');
+            for (const label of labels) {
+                writeTag('labl');
+                writeUint32(label.size);
+                writeUint32(label.id);
+                bytes.set(label.text, offset);
+                offset += label.text.length + 1 + (label.size % 2);  // Terminator and pad byte are already zero
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Name for a downloaded audio export
+     * @param {string} sampleName - Current sample
+     * @param {string} mode - Autoplay mode that was rendered
+     * @returns {string} File name
+     */
+    static filename(sampleName, mode) {
+        const safeName = String(sampleName || 'data').replace(/[^\w.-]+/g, '_');
+        return `surface_plot_audio_${mode}_${safeName}_${new Date().getTime()}.${WavEncoder.EXTENSION}`;
+    }
+}
@@ -0,0 +1,249 @@
+// XlsxReader.js - Reads worksheets of Excel .xlsx workbooks (Office Open XML) without external libraries
+// Used by PlotData and the custom data file picker; a sheet is returned in the same shape as CsvParser.parse()
+
+import { ZipReader } from './ZipReader.js';
+
+export class XlsxReader {
+    // Legacy .xls files and password-protected workbooks are OLE compound documents, not ZIP archives
+    static OLE_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0];
+
+    static DEFAULT_WORKBOOK_PATH = 'xl/workbook.xml';
+
+    static RELATIONSHIP_TYPES = {
+        officeDocument: '/officeDocument',
+        worksheet: '/worksheet',
+        sharedStrings: '/sharedStrings'
+    };
+
+    // Named entities of XML; everything else in cell text is numeric character references
+    static XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+    /**
+     * Open a workbook and list its worksheets
+     * @param {ArrayBuffer} buffer - .xlsx file content
+     * @returns {Promise<Object>} { archive, sheets, sharedStrings } where sheets are { name, path, hidden }
+     *   in workbook order (chart sheets are left out)
+     */
+    static async read(buffer) {
+        const start = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+        if (XlsxReader.OLE_SIGNATURE.every((byte, i) => start[i] === byte)) {
+            throw new Error('Legacy .xls and password-protected workbooks cannot be read; save the file as an unprotected .xlsx workbook');
+        }
+
+        const archive = ZipReader.read(buffer);
+        const workbookPath = await XlsxReader.findWorkbookPath(archive);
+        const relationships = await XlsxReader.readRelationships(archive, workbookPath);
+
+        const workbookXml = await ZipReader.getText(archive, workbookPath);
+        const sheets = [];
+        for (const match of workbookXml.matchAll(/<(?:\w+:)?sheet\b([^>]*)>/g)) {
+            const relationship = relationships.get(XlsxReader.readAttribute(match[1], '(?:\\w+:)id'));
+            if (!relationship || !relationship.type.endsWith(XlsxReader.RELATIONSHIP_TYPES.worksheet)) continue;
+
+            const state = XlsxReader.readAttribute(match[1], 'state');
+            sheets.push({
+                name: XlsxReader.decodeXml(XlsxReader.readAttribute(match[1], 'name') || `Sheet${sheets.length + 1}`),
+                path: relationship.path,
+                hidden: state === 'hidden' || state === 'veryHidden'
+            });
+        }
+        if (sheets.length === 0) {
+            throw new Error('Workbook contains no worksheets');
+        }
+
+        const sharedStringsPath = Array.from(relationships.values())
+            .find(relationship => relationship.type.endsWith(XlsxReader.RELATIONSHIP_TYPES.sharedStrings))?.path;
+        const sharedStrings = sharedStringsPath && ZipReader.has(archive, sharedStringsPath)
+            ? XlsxReader.readSharedStrings(await ZipReader.getText(archive, sharedStringsPath))
+            : [];
+
+        return { archive, sheets, sharedStrings };
+    }
+
+    /**
+     * Read one worksheet as a header row and data records. The first non-empty row is the header,
+     * empty leading columns are dropped, and record lines are the sheet's row numbers.
+     * @param {Object} workbook - Result of read()
+     * @param {string} name - Sheet name (defaults to the first visible sheet)
+     * @returns {Promise<Object>} { headers, records, delimiter, decimalSeparator, commentLines, sheet } as CsvParser.parse()
+     */
+    static async readSheet(workbook, name = null) {
+        const sheet = name
+            ? workbook.sheets.find(candidate => candidate.name === name)
+            : workbook.sheets.find(candidate => !candidate.hidden) || workbook.sheets[0];
+        if (!sheet) {
+            throw new Error(`Sheet '${name}' not found in workbook: ${workbook.sheets.map(s => s.name).join(', ')}`);
+        }
+
+        const rows = XlsxReader.readRows(await ZipReader.getText(workbook.archive, sheet.path), workbook.sharedStrings);
+        if (rows.length === 0) {
+            throw new Error(`Sheet '${sheet.name}' is empty`);
+        }
+
+        const firstColumn = rows.reduce((first, row) => Math.min(first, row.fields.findIndex(field => field !== '')), Infinity);
+        const records = rows.map(row => ({ line: row.line, fields: row.fields.slice(firstColumn) }));
+        const [headerRecord, ...dataRecords] = records;
+
+        return {
+            headers: headerRecord.fields.map(header => header.trim()),
+            records: dataRecords,
+            delimiter: ',',
+            decimalSeparator: '.',
+            commentLines: 0,
+            sheet: sheet.name
+        };
+    }
+
+    /**
+     * Cell text of every non-empty row. Cells are placed by their reference (e.g. C7), so gaps
+     * in a row become empty fields.
+     * @param {string} xml - Worksheet XML
+     * @param {Array<string>} sharedStrings - Shared string table of the workbook
+     * @returns {Array<Object>} Records { line, fields }
+     */
+    static readRows(xml, sharedStrings) {
+        const rows = [];
+        let line = 0;
+        for (const rowMatch of xml.matchAll(/<(?:\w+:)?row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?row>)/g)) {
+            const rowNumber = parseInt(XlsxReader.readAttribute(rowMatch[1], 'r'), 10);
+            line = Number.isFinite(rowNumber) ? rowNumber : line + 1;
+            if (!rowMatch[2]) continue;
+
+            const fields = [];
+            let column = 0;
+            for (const cellMatch of rowMatch[2].matchAll(/<(?:\w+:)?c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?c>)/g)) {
+                const reference = XlsxReader.readAttribute(cellMatch[1], 'r');
+                if (reference) column = XlsxReader.columnIndex(reference);
+                while (fields.length < column) fields.push('');
+                fields[column] = XlsxReader.readCell(cellMatch[1], cellMatch[2] || '', sharedStrings);
+                column++;
+            }
+
+            if (fields.some(field => field !== '')) {
+                rows.push({ line, fields });
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Text of one cell: numbers keep the stored text (always a decimal point), strings come from
+     * the shared or inline string, and booleans and errors stay as words so they read as non-numeric
+     * @returns {string} Cell text
+     */
+    static readCell(attributes, content, sharedStrings) {
+        const type = XlsxReader.readAttribute(attributes, 't') || 'n';
+        if (type === 'inlineStr') {
+            return XlsxReader.readText(content);
+        }
+
+        const valueMatch = content.match(/<(?:\w+:)?v>([\s\S]*?)<\/(?:\w+:)?v>/);
+        if (!valueMatch) return '';
+        const value = XlsxReader.decodeXml(valueMatch[1]);
+
+        switch (type) {
+            case 's':
+                return sharedStrings[parseInt(value, 10)] ?? '';
+            case 'b':
+                return value === '1' ? 'TRUE' : 'FALSE';
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Shared string table; rich text runs are joined and phonetic guides left out
+     * @param {string} xml - sharedStrings.xml
+     * @returns {Array<string>} Strings by index
+     */
+    static readSharedStrings(xml) {
+        return Array.from(xml.matchAll(/<(?:\w+:)?si\b[^>]*?(?:\/>|>([\s\S]*?)<\/(?:\w+:)?si>)/g),
+            match => XlsxReader.readText(match[1] || ''));
+    }
+
+    static readText(content) {
+        const withoutPhonetic = content.replace(/<(?:\w+:)?rPh\b[\s\S]*?<\/(?:\w+:)?rPh>/g, '');
+        return Array.from(withoutPhonetic.matchAll(/<(?:\w+:)?t\b[^>]*?(?:\/>|>([\s\S]*?)<\/(?:\w+:)?t>)/g),
+            match => XlsxReader.decodeXml(match[1] || '')).join('');
+    }
+
+    /**
+     * Path of the main workbook part, from the package relationships
+     * @returns {Promise<string>} Path inside the archive
+     */
+    static async findWorkbookPath(archive) {
+        if (ZipReader.has(archive, '_rels/.rels')) {
+            const relationships = XlsxReader.parseRelationships(await ZipReader.getText(archive, '_rels/.rels'), '');
+            const officeDocument = Array.from(relationships.values())
+                .find(relationship => relationship.type.endsWith(XlsxReader.RELATIONSHIP_TYPES.officeDocument));
+            if (officeDocument && ZipReader.has(archive, officeDocument.path)) return officeDocument.path;
+        }
+        if (ZipReader.has(archive, XlsxReader.DEFAULT_WORKBOOK_PATH)) return XlsxReader.DEFAULT_WORKBOOK_PATH;
+        throw new Error('Not an Excel workbook (no workbook part found)');
+    }
+
+    /**
+     * Relationships of a part, read from the _rels folder next to it
+     * @returns {Promise<Map>} Relationship id to { type, path }
+     */
+    static async readRelationships(archive, partPath) {
+        const folder = partPath.includes('/') ? partPath.slice(0, partPath.lastIndexOf('/') + 1) : '';
+        const relsPath = `${folder}_rels/${partPath.slice(folder.length)}.rels`;
+        if (!ZipReader.has(archive, relsPath)) {
+            throw new Error(`Workbook relationships (${relsPath}) are missing`);
+        }
+        return XlsxReader.parseRelationships(await ZipReader.getText(archive, relsPath), folder);
+    }
+
+    static parseRelationships(xml, folder) {
+        const relationships = new Map();
+        for (const match of xml.matchAll(/<(?:\w+:)?Relationship\b([^>]*)>/g)) {
+            const target = XlsxReader.decodeXml(XlsxReader.readAttribute(match[1], 'Target') || '');
+            relationships.set(XlsxReader.readAttribute(match[1], 'Id'), {
+                type: XlsxReader.readAttribute(match[1], 'Type') || '',
+                path: XlsxReader.resolvePath(folder, target)
+            });
+        }
+        return relationships;
+    }
+
+    /**
+     * Resolve a relationship target against the folder of its source part
+     * @returns {string} Path inside the archive without a leading slash
+     */
+    static resolvePath(folder, target) {
+        const parts = (target.startsWith('/') ? target.slice(1) : folder + target).split('/');
+        const resolved = [];
+        parts.forEach(part => {
+            if (part === '..') resolved.pop();
+            else if (part !== '.' && part !== '') resolved.push(part);
+        });
+        return resolved.join('/');
+    }
+
+    static readAttribute(attributes, name) {
+        const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*"([^"]*)"`));
+        return match ? match[1] : null;
+    }
+
+    // Zero-based column of a cell reference: A1 is 0, Z9 is 25, AA3 is 26
+    static columnIndex(reference) {
+        let column = 0;
+        for (const char of reference) {
+            const code = char.charCodeAt(0);
+            if (code < 65 || code > 90) break;
+            column = column * 26 + (code - 64);
+        }
+        return column - 1;
+    }
+
+    static decodeXml(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, body) => {
+            if (body[0] === '#') {
+                const code = body[1] === 'x' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return XlsxReader.XML_ENTITIES[body] ?? entity;
+        });
+    }
+}
@@ -0,0 +1,114 @@
+// ZipReader.js - Reads entries of a ZIP archive in the browser (stored and deflate compression)
+// Used by XlsxReader to open the XML parts of an Excel workbook
+
+export class ZipReader {
+    // Record signatures from the PKWARE APPNOTE specification
+    static SIGNATURES = { local: 0x04034b50, central: 0x02014b50, end: 0x06054b50 };
+
+    static METHODS = { stored: 0, deflate: 8 };
+
+    // The end of central directory record is 22 bytes plus a comment of up to 65535 bytes
+    static END_RECORD_SIZE = 22;
+    static MAX_COMMENT_SIZE = 0xFFFF;
+
+    /**
+     * List the entries of an archive from its central directory
+     * @param {ArrayBuffer} buffer - Archive content
+     * @returns {Object} { buffer, entries } where entries maps a path to { name, method, compressedSize, size, offset, encrypted }
+     */
+    static read(buffer) {
+        const view = new DataView(buffer);
+        const endOffset = ZipReader.findEndRecord(view);
+        if (endOffset === -1) {
+            throw new Error('Not a ZIP archive (end of central directory not found)');
+        }
+
+        const count = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        if (offset === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const decoder = new TextDecoder();
+        const entries = new Map();
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== ZipReader.SIGNATURES.central) {
+                throw new Error('Damaged ZIP archive (bad central directory entry)');
+            }
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+            entries.set(name, {
+                name,
+                encrypted: (view.getUint16(offset + 8, true) & 0x1) !== 0,
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                offset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return { buffer, entries };
+    }
+
+    /**
+     * Search backwards for the end of central directory record, which may be followed by a comment
+     * @returns {number} Byte offset of the record, or -1
+     */
+    static findEndRecord(view) {
+        const last = view.byteLength - ZipReader.END_RECORD_SIZE;
+        const first = Math.max(0, last - ZipReader.MAX_COMMENT_SIZE);
+        for (let offset = last; offset >= first; offset--) {
+            if (view.getUint32(offset, true) === ZipReader.SIGNATURES.end) return offset;
+        }
+        return -1;
+    }
+
+    static has(archive, name) {
+        return archive.entries.has(name);
+    }
+
+    /**
+     * Decompress one entry
+     * @param {Object} archive - Result of read()
+     * @param {string} name - Path inside the archive
+     * @returns {Promise<Uint8Array>} Entry content
+     */
+    static async getBytes(archive, name) {
+        const entry = archive.entries.get(name);
+        if (!entry) {
+            throw new Error(`'${name}' is missing from the archive`);
+        }
+        if (entry.encrypted) {
+            throw new Error(`'${name}' is encrypted`);
+        }
+
+        const view = new DataView(archive.buffer);
+        if (view.getUint32(entry.offset, true) !== ZipReader.SIGNATURES.local) {
+            throw new Error(`Damaged ZIP archive (bad local header for '${name}')`);
+        }
+        // The local header repeats the name and may carry a different extra field than the central directory
+        const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+        const data = new Uint8Array(archive.buffer, start, entry.compressedSize);
+
+        if (entry.method === ZipReader.METHODS.stored) {
+            return data;
+        }
+        if (entry.method !== ZipReader.METHODS.deflate) {
+            throw new Error(`'${name}' uses unsupported compression method ${entry.method}`);
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress ZIP archives (DecompressionStream is unavailable)');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static async getText(archive, name) {
+        return new TextDecoder().decode(await ZipReader.getBytes(archive, name));
+    }
+}